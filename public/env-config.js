@@ -4,4 +4,6 @@ window.ENV_VARS = {
     // Add local development values here if needed
     // DO_API_TOKENS: 'dev-token',
     // DO_ACCOUNT_NAMES: 'Development'
+    // API_BASE_URL: '/api' // Route API calls through the bundled proxy (npm run proxy)
+    // TOKEN_VAULT: true // Keep tokens on the proxy; set DO_API_TOKENS on the proxy, not here
   };
\ No newline at end of file
@@ -0,0 +1,377 @@
+// Local proxy server for DigitalOcean FinOps Dashboard
+//
+// Forwards billing API calls from the browser to api.digitalocean.com so the
+// dashboard is not blocked by CORS, and serves the production build when present.
+// Also hosts the token vault (see vault.js) so tokens never have to reach the browser.
+//
+// Usage: npm run proxy (or `npm run serve` to build first)
+//
+// Environment variables:
+//   PORT              - port to listen on (default 3001)
+//   HOST              - interface to listen on (default 127.0.0.1; use 0.0.0.0 to accept other machines)
+//   PROXY_ACCESS_KEY  - key the dashboard must send to use the vault or DO_API_TOKEN (generated at startup if unset)
+//   DO_API_ORIGIN     - upstream API origin (default https://api.digitalocean.com)
+//   DO_API_TOKEN      - token injected when the browser does not send one
+//   DO_API_TOKENS     - comma-separated tokens for vault accounts (with DO_ACCOUNT_NAMES)
+//   DO_ACCOUNT_NAMES  - comma-separated names matching DO_API_TOKENS
+//   VAULT_FILE        - where accounts registered from the dashboard are stored (default server/.vault.json)
+//   BUILD_DIR         - directory holding the production build (default ../build)
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const { createVault } = require('./vault');
+
+const PORT = parseInt(process.env.PORT, 10) || 3001;
+const HOST = process.env.HOST || '127.0.0.1';
+const DO_API_ORIGIN = (process.env.DO_API_ORIGIN || 'https://api.digitalocean.com').replace(/\/+$/, '');
+const BUILD_DIR = path.resolve(process.env.BUILD_DIR || path.join(__dirname, '..', 'build'));
+const VAULT_FILE = path.resolve(process.env.VAULT_FILE || path.join(__dirname, '.vault.json'));
+
+// Largest request body accepted when registering an account
+const MAX_BODY_BYTES = 16 * 1024;
+
+const vault = createVault({ filePath: VAULT_FILE });
+
+// Shared secret guarding the tokens held by the proxy - without it anyone who can reach the port
+// could list the vault and bill against its tokens. A generated key changes on every restart.
+const ACCESS_KEY = (process.env.PROXY_ACCESS_KEY || '').trim() || crypto.randomBytes(24).toString('hex');
+const isGeneratedAccessKey = !(process.env.PROXY_ACCESS_KEY || '').trim();
+
+// Only these API paths are forwarded - everything else is rejected
+const PROXY_PREFIX = '/api';
+const ALLOWED_API_PATHS = [
+  /^\/v2\/customers\/my\/invoices(\/|\?|$)/,
+  /^\/v2\/customers\/my\/balance(\?|$)/,
+  /^\/v2\/customers\/my\/billing_history(\?|$)/
+];
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.ico': 'image/x-icon',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.txt': 'text/plain; charset=utf-8',
+  '.map': 'application/json; charset=utf-8'
+};
+
+// Send a JSON response
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+// Send a JSON error response
+const sendError = (res, status, message) => {
+  sendJson(res, status, { id: 'proxy_error', message });
+};
+
+// Reply that the request needs the proxy access key; the dashboard asks for it on this error ID
+const sendUnauthorized = (res) => {
+  sendJson(res, 401, { id: 'proxy_unauthorized', message: 'This proxy needs its access key' });
+};
+
+// Check the X-Proxy-Key header against the access key (compared as hashes, in constant time)
+const hasAccessKey = (req) => {
+  const provided = req.headers['x-proxy-key'];
+  if (typeof provided !== 'string' || !provided) return false;
+  
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(provided), digest(ACCESS_KEY));
+};
+
+// Read and parse a JSON request body
+const readJsonBody = (req) => {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(new Error('Request body is not valid JSON'));
+      }
+    });
+    
+    req.on('error', reject);
+  });
+};
+
+// Work out which token to send upstream
+// A vault account ID wins, then a token sent by the browser, then the server-side token
+const resolveAuthorization = (req) => {
+  const accountId = req.headers['x-account-id'];
+  if (accountId) {
+    const token = vault.getToken(accountId);
+    return token ? `Bearer ${token}` : null;
+  }
+  
+  if (req.headers.authorization) {
+    return req.headers.authorization;
+  }
+  
+  if (process.env.DO_API_TOKEN) {
+    return `Bearer ${process.env.DO_API_TOKEN.trim()}`;
+  }
+  
+  return null;
+};
+
+// Check a token against DigitalOcean before storing it, resolving with the HTTP status
+const checkToken = (token) => {
+  return new Promise((resolve, reject) => {
+    const upstreamUrl = new URL(`${DO_API_ORIGIN}/v2/customers/my/invoices?per_page=1`);
+    const client = upstreamUrl.protocol === 'http:' ? http : https;
+    
+    const upstreamReq = client.request(upstreamUrl, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    }, (upstreamRes) => {
+      upstreamRes.resume();
+      resolve(upstreamRes.statusCode);
+    });
+    
+    upstreamReq.on('error', reject);
+    upstreamReq.end();
+  });
+};
+
+// Handle /api/accounts - list, register and remove vault accounts
+const handleAccountsRequest = async (req, res, accountsPath) => {
+  if (!hasAccessKey(req)) {
+    sendUnauthorized(res);
+    return;
+  }
+  
+  const idMatch = accountsPath.match(/^\/accounts\/([A-Za-z0-9]+)$/);
+  
+  if (accountsPath === '/accounts' && req.method === 'GET') {
+    sendJson(res, 200, { accounts: vault.list() });
+    return;
+  }
+  
+  if (accountsPath === '/accounts' && req.method === 'POST') {
+    // Requiring JSON forces a CORS preflight, so other sites cannot register accounts
+    if (!(req.headers['content-type'] || '').startsWith('application/json')) {
+      sendError(res, 415, 'Expected application/json');
+      return;
+    }
+    
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (error) {
+      sendError(res, 400, error.message);
+      return;
+    }
+    
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    const token = typeof body.token === 'string' ? body.token.trim() : '';
+    if (!name || !token) {
+      sendError(res, 400, 'Both name and token are required');
+      return;
+    }
+    
+    try {
+      const status = await checkToken(token);
+      if (status === 401 || status === 403) {
+        sendError(res, 400, 'DigitalOcean rejected this token. Check it has read access to billing.');
+        return;
+      }
+    } catch (error) {
+      sendError(res, 502, 'Could not reach the DigitalOcean API to verify the token');
+      return;
+    }
+    
+    try {
+      sendJson(res, 201, { account: vault.add(name, token) });
+    } catch (error) {
+      sendError(res, 409, error.message);
+    }
+    return;
+  }
+  
+  if (idMatch && req.method === 'DELETE') {
+    try {
+      if (vault.remove(idMatch[1])) {
+        res.writeHead(204);
+        res.end();
+      } else {
+        sendError(res, 404, 'Account not found');
+      }
+    } catch (error) {
+      sendError(res, 403, error.message);
+    }
+    return;
+  }
+  
+  sendError(res, 405, `${req.method} not supported for ${accountsPath}`);
+};
+
+// Forward an API request to DigitalOcean and stream the response back
+const proxyApiRequest = (req, res, apiPath) => {
+  if (req.method !== 'GET') {
+    sendError(res, 405, 'Only GET requests are proxied');
+    return;
+  }
+  
+  if (!ALLOWED_API_PATHS.some(pattern => pattern.test(apiPath))) {
+    sendError(res, 404, `Path not proxied: ${apiPath}`);
+    return;
+  }
+  
+  // Tokens held by the proxy (vault accounts, DO_API_TOKEN) are only used with the access key;
+  // a request carrying its own token is just relayed
+  const usesProxyToken = Boolean(req.headers['x-account-id']) || (!req.headers.authorization && Boolean(process.env.DO_API_TOKEN));
+  if (usesProxyToken && !hasAccessKey(req)) {
+    sendUnauthorized(res);
+    return;
+  }
+  
+  const authorization = resolveAuthorization(req);
+  if (!authorization) {
+    sendError(res, 401, req.headers['x-account-id']
+      ? 'Unknown account ID - it may have been removed from the vault'
+      : 'No API token provided and DO_API_TOKEN is not set on the proxy');
+    return;
+  }
+  
+  const upstreamUrl = new URL(`${DO_API_ORIGIN}${apiPath}`);
+  const client = upstreamUrl.protocol === 'http:' ? http : https;
+  
+  const upstreamReq = client.request(upstreamUrl, {
+    method: 'GET',
+    headers: {
+      'Authorization': authorization,
+      'Accept': req.headers.accept || '*/*',
+      'Content-Type': 'application/json'
+    }
+  }, (upstreamRes) => {
+    // Pass through the headers the dashboard relies on (content type, pagination, rate limits)
+    const headers = {};
+    ['content-type', 'content-disposition', 'link', 'ratelimit-limit', 'ratelimit-remaining', 'ratelimit-reset', 'retry-after']
+      .forEach(name => {
+        if (upstreamRes.headers[name]) {
+          headers[name] = upstreamRes.headers[name];
+        }
+      });
+    
+    res.writeHead(upstreamRes.statusCode, headers);
+    upstreamRes.pipe(res);
+  });
+  
+  upstreamReq.on('error', (error) => {
+    console.error(`Upstream request failed for ${apiPath}:`, error.message);
+    if (!res.headersSent) {
+      sendError(res, 502, 'Could not reach the DigitalOcean API');
+    } else {
+      res.end();
+    }
+  });
+  
+  upstreamReq.end();
+};
+
+// Serve a file from the production build, falling back to index.html for client-side routes
+const serveStatic = (req, res, urlPath) => {
+  if (!fs.existsSync(BUILD_DIR)) {
+    sendError(res, 404, 'No production build found. Run `npm run build` or use `npm start` for development.');
+    return;
+  }
+  
+  let decodedPath;
+  try {
+    decodedPath = decodeURIComponent(urlPath);
+  } catch (error) {
+    sendError(res, 400, 'Malformed URL');
+    return;
+  }
+  
+  const requestedPath = path.normalize(path.join(BUILD_DIR, decodedPath));
+  
+  // Never serve anything outside the build directory
+  if (requestedPath !== BUILD_DIR && !requestedPath.startsWith(`${BUILD_DIR}${path.sep}`)) {
+    sendError(res, 403, 'Forbidden');
+    return;
+  }
+  
+  let filePath = requestedPath;
+  if (!fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
+    filePath = path.join(BUILD_DIR, 'index.html');
+  }
+  
+  const contentType = MIME_TYPES[path.extname(filePath)] || 'application/octet-stream';
+  res.writeHead(200, { 'Content-Type': contentType });
+  fs.createReadStream(filePath).pipe(res);
+};
+
+// Route one request; anything it throws is answered with a 500 so a bad request cannot stop the server
+const handleRequest = (req, res) => {
+  let pathname;
+  let search;
+  try {
+    // The Host header is not used for routing, so a fixed base keeps a malformed one from mattering
+    ({ pathname, search } = new URL(req.url, 'http://localhost'));
+  } catch (error) {
+    sendError(res, 400, 'Malformed URL');
+    return;
+  }
+  
+  if (pathname === `${PROXY_PREFIX}/accounts` || pathname.startsWith(`${PROXY_PREFIX}/accounts/`)) {
+    handleAccountsRequest(req, res, pathname.slice(PROXY_PREFIX.length)).catch((error) => {
+      console.error('Error handling accounts request:', error);
+      if (!res.headersSent) {
+        sendError(res, 500, 'Internal error');
+      }
+    });
+    return;
+  }
+  
+  if (pathname === PROXY_PREFIX || pathname.startsWith(`${PROXY_PREFIX}/`)) {
+    proxyApiRequest(req, res, `${pathname.slice(PROXY_PREFIX.length)}${search}`);
+    return;
+  }
+  
+  serveStatic(req, res, pathname);
+};
+
+const server = http.createServer((req, res) => {
+  try {
+    handleRequest(req, res);
+  } catch (error) {
+    console.error(`Error handling ${req.method} ${req.url}:`, error);
+    if (!res.headersSent) {
+      sendError(res, 500, 'Internal error');
+    } else {
+      res.end();
+    }
+  }
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`DigitalOcean FinOps proxy listening on http://${HOST}:${PORT}`);
+  if (isGeneratedAccessKey) {
+    console.log(`Proxy access key (set PROXY_ACCESS_KEY to keep it across restarts): ${ACCESS_KEY}`);
+  }
+  console.log(`Forwarding ${PROXY_PREFIX}/v2/customers/my/invoices* to ${DO_API_ORIGIN}`);
+  console.log(`Token vault holds ${vault.list().length} account(s) (${VAULT_FILE})`);
+  if (fs.existsSync(BUILD_DIR)) {
+    console.log(`Serving dashboard build from ${BUILD_DIR}`);
+  }
+});
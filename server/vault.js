@@ -0,0 +1,110 @@
+// Server-side token vault for DigitalOcean FinOps Dashboard
+//
+// Keeps API tokens on the server. The browser only ever sees opaque account IDs
+// and sends them in the X-Account-Id header; the proxy swaps them for tokens.
+//
+// Accounts come from two places:
+//   - DO_API_TOKENS / DO_ACCOUNT_NAMES environment variables (read-only)
+//   - accounts registered from the dashboard, persisted to the vault file
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Derive a stable, opaque ID for environment accounts so they survive restarts
+const deriveAccountId = (name, token) => {
+  return crypto.createHash('sha256').update(`${name}:${token}`).digest('hex').slice(0, 16);
+};
+
+// Parse accounts from DO_API_TOKENS / DO_ACCOUNT_NAMES
+const parseEnvironmentAccounts = (env) => {
+  if (!env.DO_API_TOKENS || !env.DO_ACCOUNT_NAMES) {
+    return [];
+  }
+  
+  const tokenArray = env.DO_API_TOKENS.split(',');
+  const nameArray = env.DO_ACCOUNT_NAMES.split(',');
+  
+  // Ensure we have matching numbers of tokens and names
+  if (tokenArray.length !== nameArray.length) {
+    console.error('Mismatch between number of tokens and account names in environment variables');
+    return [];
+  }
+  
+  return tokenArray.map((token, index) => {
+    const name = nameArray[index].trim();
+    return {
+      id: deriveAccountId(name, token.trim()),
+      name,
+      token: token.trim(),
+      source: 'environment'
+    };
+  });
+};
+
+const createVault = ({ filePath, env = process.env }) => {
+  const environmentAccounts = parseEnvironmentAccounts(env);
+  let storedAccounts = [];
+  
+  // Load previously registered accounts from disk
+  if (fs.existsSync(filePath)) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      storedAccounts = Array.isArray(parsed.accounts) ? parsed.accounts : [];
+    } catch (error) {
+      console.error(`Error reading token vault ${filePath}:`, error.message);
+    }
+  }
+  
+  // Persist registered accounts - readable by the server user only
+  const persist = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({ accounts: storedAccounts }, null, 2), { mode: 0o600 });
+  };
+  
+  const allAccounts = () => [...environmentAccounts, ...storedAccounts];
+  
+  return {
+    // Public view of the accounts - never includes tokens
+    list: () => allAccounts().map(({ id, name, source }) => ({ id, name, source: source || 'vault' })),
+    
+    getToken: (id) => {
+      const account = allAccounts().find(acc => acc.id === id);
+      return account ? account.token : null;
+    },
+    
+    add: (name, token) => {
+      if (allAccounts().some(acc => acc.name === name)) {
+        throw new Error(`An account named "${name}" already exists`);
+      }
+      
+      const account = {
+        id: crypto.randomBytes(12).toString('hex'),
+        name,
+        token,
+        source: 'vault'
+      };
+      storedAccounts.push(account);
+      persist();
+      
+      return { id: account.id, name: account.name, source: account.source };
+    },
+    
+    remove: (id) => {
+      if (environmentAccounts.some(acc => acc.id === id)) {
+        throw new Error('Accounts configured through environment variables cannot be removed');
+      }
+      
+      const before = storedAccounts.length;
+      storedAccounts = storedAccounts.filter(acc => acc.id !== id);
+      if (storedAccounts.length === before) {
+        return false;
+      }
+      
+      persist();
+      return true;
+    }
+  };
+};
+
+module.exports = { createVault };
@@ -2,10 +2,54 @@ import React, { useState, useEffect } from 'react';
 import { LoginForm } from './components/LoginForm';
 import { Dashboard } from './components/Dashboard';
 import { AccountSelector } from './components/AccountSelector';
+import { LockScreen } from './components/LockScreen';
 import './App.css';
-import { fetchAllInvoiceData, processCSVDataForVisualizations } from './utils/csvUtils';
-import { saveData, loadData, needsRefresh, clearAccountData, getCacheStatus } from './utils/storageUtils';
-import { filterLineItemsByTimeRange } from './utils/dataUtils';
+import { syncInvoiceData, fetchMonthToDate, fetchBillingHistory, processCSVDataForVisualizations } from './utils/csvUtils';
+import {
+  saveData,
+  mergeLineItems,
+  loadData,
+  needsRefresh,
+  clearAccountData,
+  getCacheStatus,
+  saveBudgets,
+  loadBudgets,
+  saveAllocation,
+  loadAllocation,
+  clearAccountSettings,
+  saveAccounts,
+  loadAccounts,
+  clearAccounts,
+  isStorageLockEnabled,
+  isStorageUnlocked,
+  unlockStorage,
+  lockStorage,
+  enableStorageLock,
+  disableStorageLock,
+  resetStorageLock,
+  getAutoLockMinutes,
+  loadPreferences,
+  savePreferences,
+  exportBackup,
+  validateBackup,
+  restoreBackup
+} from './utils/storageUtils';
+import { filterByPeriod, getPeriodKey, DEFAULT_PERIOD } from './utils/periodUtils';
+import { mergeAccountData, ALL_ACCOUNTS_NAME } from './utils/consolidationUtils';
+import { readUrlState, updateUrlState, getPeriodUrlState } from './utils/urlStateUtils';
+import { isOfflineAccount, createOfflineAccount, importInvoiceFiles, mergeImportedData } from './utils/importUtils';
+import { normalizeLineItems, describeUnmappedRows } from './utils/lineItemUtils';
+import {
+  apiFetch,
+  isUsingProxy,
+  isVaultMode,
+  getAccountCredentials,
+  fetchVaultAccounts,
+  registerVaultAccount,
+  removeVaultAccount,
+  saveProxyAccessKey,
+  PROXY_UNAUTHORIZED
+} from './utils/apiUtils';
 
 // Enhanced function to parse environment variables from multiple sources
 const parseEnvironmentAccounts = () => {
@@ -49,10 +93,18 @@ const parseEnvironmentAccounts = () => {
   return null;
 };
 
+// Accounts kept in browser storage - vault accounts are listed from the server, so in vault mode
+// only offline accounts (which have no token) are stored
+const getLocalAccounts = (accountList) => (
+  isVaultMode() ? accountList.filter(isOfflineAccount) : accountList
+);
+
 function App() {
   // Multi-account state
   const [accounts, setAccounts] = useState([]);
   const [currentAccountIndex, setCurrentAccountIndex] = useState(0);
+  // Consolidated "All accounts" view - line items from every account, tagged with account_name
+  const [isConsolidated, setIsConsolidated] = useState(false);
   
   // Account data cache - stores data for each account to avoid reloading
   const [accountsData, setAccountsData] = useState({});
@@ -60,83 +112,238 @@ function App() {
   // Current view state - what's displayed in the UI
   const [isLoggedIn, setIsLoggedIn] = useState(false);
   const [allInvoices, setAllInvoices] = useState([]);
-  const [allInvoiceSummaries, setAllInvoiceSummaries] = useState([]); // Will be derived from CSV
+  const [allInvoiceSummaries, setAllInvoiceSummaries] = useState([]);
+  const [billingHistory, setBillingHistory] = useState([]);
   const [detailedLineItems, setDetailedLineItems] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
-  const [timeRange, setTimeRange] = useState('6months');
+  // Selected period (see periodUtils), taken from the URL when a link includes one
+  // The fiscal year start month is remembered between visits
+  const [period, setPeriod] = useState(() => {
+    const urlPeriod = readUrlState().period;
+    return {
+      ...DEFAULT_PERIOD,
+      ...urlPeriod,
+      fiscalYearStart: urlPeriod?.fiscalYearStart || loadPreferences().fiscalYearStart || DEFAULT_PERIOD.fiscalYearStart
+    };
+  });
   const [statusMessage, setStatusMessage] = useState('');
   const [processedData, setProcessedData] = useState(null);
   const [cacheStatus, setCacheStatus] = useState({ isCached: false });
+  // Invoices whose CSV could not be downloaded in the last sync - their months are incomplete
+  const [syncFailures, setSyncFailures] = useState([]);
+  // Budgets for the current account (see budgetUtils for the shape)
+  const [budgets, setBudgets] = useState(null);
+  // Cost allocation rules for the current account (see allocationUtils for the shape)
+  const [allocation, setAllocation] = useState(null);
+  
+  // Passphrase lock state - when locked, nothing is read from storage until the passphrase is entered
+  const [lockEnabled, setLockEnabled] = useState(isStorageLockEnabled());
+  const [isLocked, setIsLocked] = useState(isStorageLockEnabled() && !isStorageUnlocked());
+  // Set when the proxy turns the vault down for want of its access key; bumping vaultKeyVersion retries
+  const [proxyKeyRequired, setProxyKeyRequired] = useState(false);
+  const [vaultKeyVersion, setVaultKeyVersion] = useState(0);
 
   useEffect(() => {
+    // Wait for the passphrase before touching encrypted storage
+    if (isLocked) {
+      // Drop anything decrypted from memory so it does not linger behind the lock screen
+      setAccounts([]);
+      setCurrentAccountIndex(0);
+      setIsConsolidated(false);
+      setIsLoggedIn(false);
+      setAllInvoices([]);
+      setDetailedLineItems([]);
+      setProcessedData(null);
+      setSyncFailures([]);
+      setAllInvoiceSummaries([]);
+      setBillingHistory([]);
+      setAccountsData({});
+      setStatusMessage('');
+      setError('');
+      return;
+    }
+    
+    // In vault mode tokens live on the proxy - only opaque account IDs come back
+    if (isVaultMode()) {
+      Promise.all([fetchVaultAccounts(), loadAccounts()])
+        .then(([vaultAccounts, storedAccounts]) => {
+          console.log(`Found ${vaultAccounts.length} accounts in the token vault`);
+          setProxyKeyRequired(false);
+          setError('');
+          
+          // Drop any tokens left over from browser-only mode - only offline accounts are kept locally
+          const offlineAccounts = storedAccounts.filter(isOfflineAccount);
+          saveAccounts(offlineAccounts);
+          
+          const allAccounts = [...vaultAccounts, ...offlineAccounts];
+          if (allAccounts.length > 0) {
+            setAccounts(allAccounts);
+            setIsLoggedIn(true);
+            
+            openInitialAccount(allAccounts);
+          }
+        })
+        .catch(vaultError => {
+          console.error('Error loading accounts from the token vault:', vaultError);
+          if (vaultError.code === PROXY_UNAUTHORIZED) {
+            saveProxyAccessKey('');
+            setProxyKeyRequired(true);
+            setError(vaultKeyVersion > 0 ? 'The proxy did not accept that access key.' : '');
+            return;
+          }
+          setError(`Could not load accounts from the token vault: ${vaultError.message}`);
+        });
+      return;
+    }
+    
     // First check for environment variable accounts
     const envAccounts = parseEnvironmentAccounts();
     
     if (envAccounts && envAccounts.length > 0) {
       console.log(`Found ${envAccounts.length} accounts from environment variables`);
-      setAccounts(envAccounts);
-      setIsLoggedIn(true);
-      
-      // Also save to localStorage for future usage
-      localStorage.setItem('doAccounts', JSON.stringify(envAccounts));
       
-      // Load data for the first account by default
-      const firstAccount = envAccounts[0];
-      loadAccountData(firstAccount.token, firstAccount.name);
+      // Offline accounts imported in an earlier visit are listed after the configured ones
+      loadAccounts().then(storedAccounts => {
+        const allAccounts = [...envAccounts, ...storedAccounts.filter(isOfflineAccount)];
+        setAccounts(allAccounts);
+        setIsLoggedIn(true);
+        
+        // Also save to localStorage for future usage
+        saveAccounts(allAccounts);
+        
+        openInitialAccount(allAccounts);
+      });
       return;
     }
     
     // If no environment accounts, fall back to stored accounts
-    const storedAccounts = localStorage.getItem('doAccounts');
-    if (storedAccounts) {
-      const parsedAccounts = JSON.parse(storedAccounts);
-      if (parsedAccounts.length > 0) {
-        setAccounts(parsedAccounts);
+    loadAccounts().then(storedAccounts => {
+      if (storedAccounts.length > 0) {
+        setAccounts(storedAccounts);
         setIsLoggedIn(true);
         
-        // Load data for the first account by default
-        const firstAccount = parsedAccounts[0];
-        loadAccountData(firstAccount.token, firstAccount.name);
+        openInitialAccount(storedAccounts);
       }
+    });
+  }, [isLocked, vaultKeyVersion]);
+
+  // Auto-lock after a period of inactivity while the passphrase lock is enabled
+  useEffect(() => {
+    if (!lockEnabled || isLocked) {
+      return;
     }
-  }, []);
+    
+    let inactivityTimer;
+    const resetTimer = () => {
+      clearTimeout(inactivityTimer);
+      inactivityTimer = setTimeout(() => {
+        console.log('Locking dashboard after inactivity');
+        lockStorage();
+        setIsLocked(true);
+      }, getAutoLockMinutes() * 60 * 1000);
+    };
+    
+    const activityEvents = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'];
+    activityEvents.forEach(eventName => window.addEventListener(eventName, resetTimer, { passive: true }));
+    resetTimer();
+    
+    return () => {
+      clearTimeout(inactivityTimer);
+      activityEvents.forEach(eventName => window.removeEventListener(eventName, resetTimer));
+    };
+  }, [lockEnabled, isLocked]);
+
+  // Load budgets and allocation rules whenever the current account changes (or storage is unlocked)
+  const currentAccountName = accounts[currentAccountIndex]?.name;
+  useEffect(() => {
+    if (!currentAccountName || isLocked) {
+      setBudgets(null);
+      setAllocation(null);
+      return;
+    }
+    
+    let cancelled = false;
+    Promise.all([loadBudgets(currentAccountName), loadAllocation(currentAccountName)]).then(([storedBudgets, storedAllocation]) => {
+      if (cancelled) return;
+      setBudgets(storedBudgets);
+      setAllocation(storedAllocation);
+    });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [currentAccountName, isLocked]);
+
+  // Mirror the open account and period into the URL so the view can be bookmarked or shared
+  useEffect(() => {
+    if (!isLoggedIn || accounts.length === 0) {
+      return;
+    }
+    
+    updateUrlState({
+      account: isConsolidated ? ALL_ACCOUNTS_NAME : currentAccountName,
+      ...getPeriodUrlState(period)
+    });
+  }, [isLoggedIn, accounts.length, isConsolidated, currentAccountName, period]);
+
+  // Open the account named in the URL (or the consolidated view), falling back to the first account
+  const openInitialAccount = (accountList) => {
+    const { account } = readUrlState();
+    
+    if (account === ALL_ACCOUNTS_NAME && accountList.length > 1) {
+      loadConsolidatedData(accountList);
+      return;
+    }
+    
+    const index = Math.max(0, accountList.findIndex(candidate => candidate.name === account));
+    setCurrentAccountIndex(index);
+    loadAccountData(getAccountCredentials(accountList[index]), accountList[index].name);
+  };
 
   // New function to load account data, with caching
-  const loadAccountData = async (token, accountId) => {
+  // Offline accounts have no credentials and are only ever loaded from their imported data
+  const loadAccountData = async (credentials, accountId) => {
     setIsLoading(true);
     setError('');
     setStatusMessage('');
     
     // Check if we have cached data
-    const cachedStatus = getCacheStatus(accountId);
+    const cachedStatus = await getCacheStatus(accountId);
     setCacheStatus(cachedStatus);
     
-    const shouldRefresh = !cachedStatus.isCached || cachedStatus.isStale || needsRefresh(accountId, 'csvLineItems');
+    const isOffline = !credentials;
+    const shouldRefresh = !isOffline && (!cachedStatus.isCached || cachedStatus.isStale || await needsRefresh(accountId, 'csvLineItems'));
     
     // If we have cached data and it's fresh enough, use it
     if (cachedStatus.isCached && !shouldRefresh) {
       console.log(`Using cached data for account ${accountId}`);
-      const cachedLineItems = loadData(accountId, 'csvLineItems');
-      const cachedInvoices = loadData(accountId, 'invoices');
-      const cachedProcessedData = loadData(accountId, 'processedData');
+      const cachedLineItems = await loadData(accountId, 'csvLineItems');
+      const cachedInvoices = await loadData(accountId, 'invoices');
+      const cachedProcessedData = await loadData(accountId, 'processedData');
+      const cachedSyncFailures = await loadData(accountId, 'syncFailures');
+      const cachedMonthToDate = await loadData(accountId, 'monthToDate');
+      const cachedSummaries = await loadData(accountId, 'invoiceSummaries');
+      const cachedBillingHistory = await loadData(accountId, 'billingHistory');
       
       if (cachedLineItems?.data && cachedInvoices?.data) {
         setDetailedLineItems(cachedLineItems.data);
         setAllInvoices(cachedInvoices.data);
+        setSyncFailures(cachedSyncFailures?.data || []);
+        setAllInvoiceSummaries(cachedSummaries?.data || []);
+        setBillingHistory(cachedBillingHistory?.data || []);
         
-        // Filter line items by current time range and process
-        const filteredLineItems = filterLineItemsByTimeRange(cachedLineItems.data, timeRange);
+        // Filter line items by current period and process
+        const filteredLineItems = filterByPeriod(cachedLineItems.data, period);
         
-        // Either use cached processed data or process the line items again
-        if (cachedProcessedData?.data && cachedProcessedData.timeRange === timeRange) {
-          setProcessedData(cachedProcessedData.data);
-        } else {
-          const freshProcessed = processCSVDataForVisualizations(filteredLineItems);
-          setProcessedData(freshProcessed);
+        // Either use cached processed data built for this period or process the line items again
+        let currentProcessed = cachedProcessedData?.data;
+        if (!currentProcessed || cachedProcessedData.periodKey !== getPeriodKey(period)) {
+          currentProcessed = processCSVDataForVisualizations(filteredLineItems, null, cachedMonthToDate?.data);
           // Cache the processed data for faster loading next time
-          saveData(accountId, 'processedData', freshProcessed, { timeRange });
+          saveData(accountId, 'processedData', currentProcessed, { periodKey: getPeriodKey(period) });
         }
+        setProcessedData(currentProcessed);
         
         // Store in the account cache
         setAccountsData(prevData => ({
@@ -144,19 +351,24 @@ function App() {
           [accountId]: {
             invoices: cachedInvoices.data,
             detailedLineItems: cachedLineItems.data,
-            processedData: cachedProcessedData?.data || processCSVDataForVisualizations(filteredLineItems),
-            timeRange
+            processedData: currentProcessed,
+            syncFailures: cachedSyncFailures?.data || [],
+            invoiceSummaries: cachedSummaries?.data || [],
+            billingHistory: cachedBillingHistory?.data || [],
+            periodKey: getPeriodKey(period)
           }
         }));
         
-        setStatusMessage(`Using cached data from ${cachedStatus.formattedDate}`);
+        setStatusMessage(isOffline
+          ? `Offline account - showing invoice CSVs imported ${cachedStatus.formattedDate}`
+          : `Using cached data from ${cachedStatus.formattedDate}`);
         setIsLoading(false);
         
         // If it's getting stale, refresh in the background
-        if (cachedStatus.hoursSinceUpdate > 20) {
+        if (!isOffline && cachedStatus.hoursSinceUpdate > 20) {
           setStatusMessage(`Using cached data from ${cachedStatus.formattedDate}. Refreshing in background...`);
           setTimeout(() => {
-            fetchDataFromAPI(token, accountId, true);
+            fetchDataFromAPI(credentials, accountId, true);
           }, 1000);
         }
         
@@ -164,24 +376,105 @@ function App() {
       }
     }
     
+    if (isOffline) {
+      setAllInvoices([]);
+      setDetailedLineItems([]);
+      setProcessedData(null);
+      setSyncFailures([]);
+      setAllInvoiceSummaries([]);
+      setBillingHistory([]);
+      setError('No imported data found for this offline account. Import its invoice CSVs again.');
+      setIsLoading(false);
+      return;
+    }
+    
     // If we don't have cached data or it needs refresh, fetch from API
-    await fetchDataFromAPI(token, accountId);
+    await fetchDataFromAPI(credentials, accountId);
+  };
+
+  // Sync an account's invoices from the API into storage without changing what is on screen
+  // Returns the synced data; processedData is null when the account has no invoices
+  const syncAccountData = async (credentials, accountId) => {
+    if (!credentials) {
+      throw new Error(`${accountId} is an offline account and cannot be synced from the API`);
+    }
+    
+    console.log(`Fetching data from API for account: ${accountId}...`);
+    
+    // Start from the cached invoices so only new or changed invoices are downloaded
+    // (a dataset truncated by older versions is re-downloaded in full)
+    const cachedStatus = await getCacheStatus(accountId);
+    const cachedInvoices = cachedStatus.isCached && !cachedStatus.isReduced ? await loadData(accountId, 'invoices') : null;
+    const cachedLineItems = cachedInvoices ? await loadData(accountId, 'csvLineItems') : null;
+    const cachedSummaries = cachedInvoices ? await loadData(accountId, 'invoiceSummaries') : null;
+    const isIncremental = Boolean(cachedLineItems?.data);
+    
+    const { invoices, lineItems, invoiceSummaries, syncedInvoiceIds, newInvoiceCount, unmappedRows, failures } = await syncInvoiceData(
+      credentials,
+      cachedInvoices?.data || [],
+      cachedLineItems?.data || [],
+      cachedSummaries?.data || []
+    );
+    
+    console.log(`Fetched ${invoices.length} invoices and ${lineItems.length} line items`);
+    
+    if (invoices.length === 0) {
+      return { invoices, lineItems, invoiceSummaries, billingHistory: [], failures, unmappedRows, newInvoiceCount, isIncremental, monthToDate: null, processedData: null };
+    }
+    
+    // Filter line items by current period
+    const filteredLineItems = filterByPeriod(lineItems, period);
+    
+    // Month-to-date spend for the month that has not been invoiced yet
+    const monthToDate = await fetchMonthToDate(credentials);
+    
+    // Payments and credits change with every payment, so the billing history is fetched in full;
+    // the cached copy is kept if it cannot be downloaded
+    const billingHistory = (await fetchBillingHistory(credentials)) ?? (await loadData(accountId, 'billingHistory'))?.data ?? [];
+    
+    // Process the data for visualizations
+    const processedData = processCSVDataForVisualizations(filteredLineItems, null, monthToDate);
+    
+    // Save to storage - an incremental sync only rewrites the invoices that changed
+    await saveData(accountId, 'invoices', invoices);
+    if (isIncremental) {
+      await mergeLineItems(accountId, lineItems, syncedInvoiceIds);
+    } else {
+      await saveData(accountId, 'csvLineItems', lineItems);
+    }
+    await saveData(accountId, 'processedData', processedData, { periodKey: getPeriodKey(period) });
+    await saveData(accountId, 'invoiceSummaries', invoiceSummaries);
+    await saveData(accountId, 'billingHistory', billingHistory);
+    await saveData(accountId, 'syncFailures', failures);
+    await saveData(accountId, 'monthToDate', monthToDate);
+    
+    // Keep the in-memory account cache in step with storage
+    setAccountsData(prevData => ({
+      ...prevData,
+      [accountId]: {
+        invoices: invoices,
+        detailedLineItems: lineItems,
+        processedData: processedData,
+        syncFailures: failures,
+        invoiceSummaries,
+        billingHistory,
+        periodKey: getPeriodKey(period)
+      }
+    }));
+    
+    return { invoices, lineItems, invoiceSummaries, billingHistory, failures, unmappedRows, newInvoiceCount, isIncremental, monthToDate, processedData };
   };
 
   // Fetch data from Digital Ocean API and process as CSV
-  const fetchDataFromAPI = async (token, accountId, isBackgroundRefresh = false) => {
+  const fetchDataFromAPI = async (credentials, accountId, isBackgroundRefresh = false) => {
     if (!isBackgroundRefresh) {
       setIsLoading(true);
       setError('');
     }
     
     try {
-      console.log(`Fetching data from API for account: ${accountId}...`);
-      
-      // Fetch all invoice data with CSVs
-      const { invoices, lineItems } = await fetchAllInvoiceData(token);
-      
-      console.log(`Fetched ${invoices.length} invoices and ${lineItems.length} line items`);
+      const { invoices, lineItems, invoiceSummaries, billingHistory, failures, unmappedRows, newInvoiceCount, isIncremental, processedData } =
+        await syncAccountData(credentials, accountId);
       
       if (invoices.length === 0) {
         setError('No invoices found for this account.');
@@ -189,88 +482,191 @@ function App() {
         return;
       }
       
-      // Filter line items by current time range
-      const filteredLineItems = filterLineItemsByTimeRange(lineItems, timeRange);
-      
-      // Process the data for visualizations
-      const processedData = processCSVDataForVisualizations(filteredLineItems);
-      
-      // Save to local storage
-      saveData(accountId, 'invoices', invoices);
-      saveData(accountId, 'csvLineItems', lineItems);
-      saveData(accountId, 'processedData', processedData, { timeRange });
-      
       // Update the cache status
-      setCacheStatus(getCacheStatus(accountId));
+      setCacheStatus(await getCacheStatus(accountId));
       
       // Update the app state
       setAllInvoices(invoices);
       setDetailedLineItems(lineItems);
       setProcessedData(processedData);
+      setSyncFailures(failures);
+      setAllInvoiceSummaries(invoiceSummaries);
+      setBillingHistory(billingHistory);
       
-      // Store in the account cache for quick switching
-      setAccountsData(prevData => ({
-        ...prevData,
-        [accountId]: {
-          invoices: invoices,
-          detailedLineItems: lineItems,
-          processedData: processedData,
-          timeRange
-        }
-      }));
+      let syncSummary = newInvoiceCount > 0
+        ? `${newInvoiceCount} new invoice${newInvoiceCount === 1 ? '' : 's'} synced`
+        : 'No new invoices';
+      if (failures.length > 0) {
+        syncSummary += `, ${failures.length} could not be downloaded`;
+      }
+      if (unmappedRows.length > 0) {
+        syncSummary += `, ${describeUnmappedRows(unmappedRows)}`;
+      }
       
       if (isBackgroundRefresh) {
-        setStatusMessage(`Data refreshed at ${new Date().toLocaleString()}`);
+        setStatusMessage(`Data refreshed at ${new Date().toLocaleString()}. ${syncSummary}.`);
       } else {
-        setStatusMessage('');
+        setStatusMessage(isIncremental || unmappedRows.length > 0 ? `${syncSummary}.` : '');
         setIsLoading(false);
       }
     } catch (apiError) {
       console.error('API Error:', apiError);
       
+      // An HTTP error carries its status and the API's (or the proxy's) own message; anything else never got an answer
+      const failureMessage = apiError.status
+        ? `The DigitalOcean API request failed (${apiError.message})`
+        : 'Error connecting to DigitalOcean API';
+      
       if (!isBackgroundRefresh) {
         // Try to use cached data as fallback
-        const cachedLineItems = loadData(accountId, 'csvLineItems');
-        const cachedInvoices = loadData(accountId, 'invoices');
+        const cachedLineItems = await loadData(accountId, 'csvLineItems');
+        const cachedInvoices = await loadData(accountId, 'invoices');
         
         if (cachedLineItems?.data && cachedInvoices?.data) {
-          setError('Error connecting to DigitalOcean API. Using cached data.');
+          setError(`${failureMessage}. Using cached data.`);
           setDetailedLineItems(cachedLineItems.data);
           setAllInvoices(cachedInvoices.data);
+          setSyncFailures((await loadData(accountId, 'syncFailures'))?.data || []);
+          setAllInvoiceSummaries((await loadData(accountId, 'invoiceSummaries'))?.data || []);
+          setBillingHistory((await loadData(accountId, 'billingHistory'))?.data || []);
           
-          // Filter line items by current time range
-          const filteredLineItems = filterLineItemsByTimeRange(cachedLineItems.data, timeRange);
+          // Filter line items by current period
+          const filteredLineItems = filterByPeriod(cachedLineItems.data, period);
           
           // Process or load cached processed data
-          const cachedProcessedData = loadData(accountId, 'processedData');
-          if (cachedProcessedData?.data && cachedProcessedData.timeRange === timeRange) {
+          const cachedProcessedData = await loadData(accountId, 'processedData');
+          if (cachedProcessedData?.data && cachedProcessedData.periodKey === getPeriodKey(period)) {
             setProcessedData(cachedProcessedData.data);
           } else {
-            setProcessedData(processCSVDataForVisualizations(filteredLineItems));
+            const cachedMonthToDate = await loadData(accountId, 'monthToDate');
+            setProcessedData(processCSVDataForVisualizations(filteredLineItems, null, cachedMonthToDate?.data));
           }
+        } else if (apiError.status) {
+          setError(`${failureMessage}.`);
+        } else if (isUsingProxy()) {
+          setError('Error connecting to DigitalOcean API through the proxy. Check that the proxy server is running (npm run proxy) and can reach api.digitalocean.com.');
         } else {
-          setError('Error connecting to DigitalOcean API. CORS issues may prevent direct API access from a browser. Try using a browser extension or setting up a proxy server.');
+          setError('Error connecting to DigitalOcean API. CORS issues may prevent direct API access from a browser. Start the bundled proxy server (npm run proxy) and set API_BASE_URL to route requests through it.');
         }
         
         setIsLoading(false);
       } else {
         // If it's a background refresh, don't disrupt the user
-        setStatusMessage('Background refresh failed. Will try again later.');
+        setStatusMessage(`Background refresh failed${apiError.status ? ` (${apiError.message})` : ''}. Will try again later.`);
       }
     }
   };
 
+  // Load every account's data and show it as one consolidated dataset
+  // In-memory and cached data are used where available; forceRefresh syncs every account from the API
+  const loadConsolidatedData = async (accountList = accounts, forceRefresh = false) => {
+    setIsConsolidated(true);
+    setIsLoading(true);
+    setError('');
+    setStatusMessage('');
+    setCacheStatus({ isCached: false });
+    
+    const snapshots = [];
+    const failedAccounts = [];
+    
+    // One account at a time, so a first sync of several accounts does not flood the API
+    for (const account of accountList) {
+      const accountId = account.name;
+      // Offline accounts cannot be synced, so their imported data is always used
+      const skipCache = forceRefresh && !isOfflineAccount(account);
+      
+      try {
+        const inMemory = skipCache ? null : accountsData[accountId];
+        if (inMemory) {
+          snapshots.push({
+            accountName: accountId,
+            invoices: inMemory.invoices,
+            lineItems: inMemory.detailedLineItems,
+            syncFailures: inMemory.syncFailures || [],
+            invoiceSummaries: inMemory.invoiceSummaries || [],
+            billingHistory: inMemory.billingHistory || [],
+            monthToDate: inMemory.processedData?.summary?.monthToDate
+          });
+          continue;
+        }
+        
+        const cachedLineItems = skipCache ? null : await loadData(accountId, 'csvLineItems');
+        const cachedInvoices = skipCache ? null : await loadData(accountId, 'invoices');
+        if (cachedLineItems?.data && cachedInvoices?.data) {
+          const cachedSyncFailures = await loadData(accountId, 'syncFailures');
+          const cachedMonthToDate = await loadData(accountId, 'monthToDate');
+          const cachedSummaries = await loadData(accountId, 'invoiceSummaries');
+          const cachedBillingHistory = await loadData(accountId, 'billingHistory');
+          snapshots.push({
+            accountName: accountId,
+            invoices: cachedInvoices.data,
+            lineItems: cachedLineItems.data,
+            syncFailures: cachedSyncFailures?.data || [],
+            invoiceSummaries: cachedSummaries?.data || [],
+            billingHistory: cachedBillingHistory?.data || [],
+            monthToDate: cachedMonthToDate?.data
+          });
+          continue;
+        }
+        
+        const synced = await syncAccountData(getAccountCredentials(account), accountId);
+        snapshots.push({
+          accountName: accountId,
+          invoices: synced.invoices,
+          lineItems: synced.lineItems,
+          syncFailures: synced.failures,
+          invoiceSummaries: synced.invoiceSummaries,
+          billingHistory: synced.billingHistory,
+          monthToDate: synced.monthToDate
+        });
+      } catch (accountError) {
+        console.error(`Error loading data for account ${accountId}:`, accountError);
+        failedAccounts.push(accountId);
+      }
+    }
+    
+    const consolidated = mergeAccountData(snapshots);
+    const filteredLineItems = filterByPeriod(consolidated.lineItems, period);
+    
+    setAllInvoices(consolidated.invoices);
+    setDetailedLineItems(consolidated.lineItems);
+    setSyncFailures(consolidated.syncFailures);
+    setAllInvoiceSummaries(consolidated.invoiceSummaries);
+    setBillingHistory(consolidated.billingHistory);
+    setProcessedData(processCSVDataForVisualizations(filteredLineItems, null, consolidated.monthToDate));
+    
+    if (failedAccounts.length > 0) {
+      setError(`Could not load data for ${failedAccounts.join(', ')}. These accounts are left out of the totals.`);
+    }
+    setStatusMessage(`Combined data from ${snapshots.length} account${snapshots.length === 1 ? '' : 's'}.`);
+    setIsLoading(false);
+  };
+
+  // Remember the proxy access key and load the vault accounts again with it
+  const handleSaveProxyKey = (key) => {
+    saveProxyAccessKey(key);
+    setVaultKeyVersion(version => version + 1);
+  };
+
   // Handle adding a new account
-  const handleAddAccount = (name, token) => {
-    // Create new account object
-    const newAccount = { name, token };
+  // Throws if the token vault rejects the account, so the calling form can show the error
+  const handleAddAccount = async (name, token) => {
+    let newAccount;
+    
+    if (isVaultMode()) {
+      // Hand the token to the vault - only the opaque account ID is kept in the browser
+      newAccount = await registerVaultAccount(name, token);
+    } else {
+      // Create new account object
+      newAccount = { name, token };
+    }
     
     // Update accounts list
     const updatedAccounts = [...accounts, newAccount];
     setAccounts(updatedAccounts);
     
-    // Store in localStorage
-    localStorage.setItem('doAccounts', JSON.stringify(updatedAccounts));
+    // Store in localStorage (vault accounts are listed from the server instead)
+    await saveAccounts(getLocalAccounts(updatedAccounts));
     
     // Set as current account if it's the first one
     if (updatedAccounts.length === 1) {
@@ -278,13 +674,143 @@ function App() {
     }
     
     setIsLoggedIn(true);
-    loadAccountData(token, name);
+    
+    // In the consolidated view the new account is added to the totals instead of replacing them
+    if (isConsolidated) {
+      loadConsolidatedData(updatedAccounts);
+    } else {
+      loadAccountData(getAccountCredentials(newAccount), name);
+    }
+  };
+
+  // Handle importing invoice CSV files as an offline account
+  // Files imported under the name of an existing offline account are added to it; throws if nothing
+  // could be imported, so the calling form can show the error
+  const handleImportAccount = async (name, files) => {
+    const existingIndex = accounts.findIndex(account => account.name === name);
+    if (existingIndex >= 0 && !isOfflineAccount(accounts[existingIndex])) {
+      throw new Error(`${name} is already connected with an API token. Choose another name for the imported data.`);
+    }
+    
+    const imported = await importInvoiceFiles(files);
+    if (imported.invoices.length === 0) {
+      throw new Error(imported.errors.join('. ') || 'No invoice data found in the selected files');
+    }
+    
+    let { invoices, lineItems } = imported;
+    if (existingIndex >= 0) {
+      const cachedInvoices = await loadData(name, 'invoices');
+      const cachedLineItems = await loadData(name, 'csvLineItems');
+      ({ invoices, lineItems } = mergeImportedData(
+        { invoices: cachedInvoices?.data, lineItems: cachedLineItems?.data },
+        imported
+      ));
+    }
+    
+    // Store the imported data as if it had been synced, so every view can load it
+    const processed = processCSVDataForVisualizations(filterByPeriod(lineItems, period));
+    await saveData(name, 'invoices', invoices);
+    await saveData(name, 'csvLineItems', lineItems);
+    await saveData(name, 'processedData', processed, { periodKey: getPeriodKey(period) });
+    await saveData(name, 'syncFailures', []);
+    setAccountsData(prevData => {
+      const newData = { ...prevData };
+      delete newData[name];
+      return newData;
+    });
+    
+    const updatedAccounts = existingIndex >= 0 ? accounts : [...accounts, createOfflineAccount(name)];
+    const index = existingIndex >= 0 ? existingIndex : updatedAccounts.length - 1;
+    setAccounts(updatedAccounts);
+    await saveAccounts(getLocalAccounts(updatedAccounts));
+    setIsLoggedIn(true);
+    
+    if (isConsolidated) {
+      await loadConsolidatedData(updatedAccounts, false);
+    } else {
+      setCurrentAccountIndex(index);
+      await loadAccountData(null, name);
+    }
+    
+    // Files and rows that could not be used are reported, but the rest of the import goes ahead
+    if (imported.errors.length > 0) {
+      setError(`Imported ${imported.invoices.length} invoice${imported.invoices.length === 1 ? '' : 's'}, but skipped some data: ${imported.errors.join('; ')}`);
+    }
+  };
+
+  // Handle downloading a backup of the accounts, their cached data and settings
+  // options ({ passphrase, allowPlaintext }) come from the backup form - see exportBackup
+  const handleExportBackup = (options) => exportBackup(accounts, options);
+  
+  // Handle restoring a backup bundle, merged into the current accounts or replacing them
+  // Throws if the bundle is not a valid backup or has no usable accounts, so the calling form can show the error
+  const handleRestoreBackup = async (bundle, replace) => {
+    const backup = validateBackup(bundle);
+    
+    // Work out which of the backup's accounts can be used here: vault accounts are only usable
+    // when this dashboard's vault still lists them, and tokens are handed to the vault in vault mode
+    const restoredAccounts = [];
+    const skipped = [];
+    for (const account of backup.accounts) {
+      const existing = accounts.find(candidate => candidate.name === account.name);
+      if (isOfflineAccount(account)) {
+        restoredAccounts.push(createOfflineAccount(account.name));
+      } else if (isVaultMode()) {
+        const vaultAccount = accounts.find(candidate => candidate.id && candidate.id === account.id) ||
+          (existing?.id ? existing : null);
+        if (vaultAccount) {
+          restoredAccounts.push(vaultAccount);
+        } else if (account.token) {
+          restoredAccounts.push(await registerVaultAccount(account.name, account.token));
+        } else {
+          skipped.push(account.name);
+        }
+      } else if (account.token) {
+        restoredAccounts.push({ name: account.name, token: account.token });
+      } else {
+        skipped.push(account.name);
+      }
+    }
+    
+    if (restoredAccounts.length === 0) {
+      throw new Error('The backup has no accounts that can be used here.');
+    }
+    
+    // Vault accounts stay listed by the server even when the backup replaces everything else
+    const restoredNames = new Set(restoredAccounts.map(account => account.name));
+    const keptAccounts = accounts.filter(account => !restoredNames.has(account.name) && (!replace || account.id));
+    const updatedAccounts = [...keptAccounts, ...restoredAccounts];
+    
+    await restoreBackup(backup, {
+      accountIds: [...restoredNames],
+      keepAccountIds: keptAccounts.map(account => account.name),
+      replace
+    });
+    
+    setAccounts(updatedAccounts);
+    await saveAccounts(getLocalAccounts(updatedAccounts));
+    setAccountsData({});
+    setPeriod(prevPeriod => ({
+      ...prevPeriod,
+      fiscalYearStart: loadPreferences().fiscalYearStart || prevPeriod.fiscalYearStart
+    }));
+    setIsLoggedIn(true);
+    
+    // Stay on the open account if it is still there, otherwise open the first one
+    const currentName = !isConsolidated && accounts[currentAccountIndex]?.name;
+    const index = Math.max(0, updatedAccounts.findIndex(account => account.name === currentName));
+    setIsConsolidated(false);
+    setCurrentAccountIndex(index);
+    loadAccountData(getAccountCredentials(updatedAccounts[index]), updatedAccounts[index].name);
+    
+    return { restored: restoredAccounts.length, skipped };
   };
 
   // Handle switching between accounts with data caching
-  const handleAccountSwitch = (index) => {
+  const handleAccountSwitch = async (index) => {
     if (index >= 0 && index < accounts.length) {
       setCurrentAccountIndex(index);
+      setIsConsolidated(false);
       
       const account = accounts[index];
       const accountId = account.name;
@@ -296,55 +822,73 @@ function App() {
         // Use in-memory cached data for this account
         setAllInvoices(accountsData[accountId].invoices);
         setDetailedLineItems(accountsData[accountId].detailedLineItems);
+        setSyncFailures(accountsData[accountId].syncFailures || []);
+        setAllInvoiceSummaries(accountsData[accountId].invoiceSummaries || []);
+        setBillingHistory(accountsData[accountId].billingHistory || []);
         
-        // Check if we have processed data for current time range
-        if (accountsData[accountId].timeRange === timeRange && accountsData[accountId].processedData) {
+        // Check if we have processed data for current period
+        if (accountsData[accountId].periodKey === getPeriodKey(period) && accountsData[accountId].processedData) {
           setProcessedData(accountsData[accountId].processedData);
         } else {
-          // Recalculate for current time range
-          const filteredItems = filterLineItemsByTimeRange(accountsData[accountId].detailedLineItems, timeRange);
-          const newProcessed = processCSVDataForVisualizations(filteredItems);
+          // Recalculate for current period
+          const filteredItems = filterByPeriod(accountsData[accountId].detailedLineItems, period);
+          const newProcessed = processCSVDataForVisualizations(
+            filteredItems,
+            null,
+            accountsData[accountId].processedData?.summary?.monthToDate
+          );
           setProcessedData(newProcessed);
           
-          // Update account data cache with new time range and processed data
+          // Update account data cache with new period and processed data
           setAccountsData(prevData => ({
             ...prevData,
             [accountId]: {
               ...prevData[accountId],
               processedData: newProcessed,
-              timeRange
+              periodKey: getPeriodKey(period)
             }
           }));
         }
         
         // Check if we should refresh in the background
-        const cachedStatus = getCacheStatus(accountId);
+        const cachedStatus = await getCacheStatus(accountId);
         setCacheStatus(cachedStatus);
         
-        if (cachedStatus.isCached && cachedStatus.hoursSinceUpdate > 24) {
+        if (cachedStatus.isCached && cachedStatus.hoursSinceUpdate > 24 && !isOfflineAccount(account)) {
           setStatusMessage(`Using cached data from ${cachedStatus.formattedDate}. Refreshing in background...`);
           setTimeout(() => {
-            fetchDataFromAPI(account.token, accountId, true);
+            fetchDataFromAPI(getAccountCredentials(account), accountId, true);
           }, 1000);
         }
       } else {
         console.log(`No cached data for account: ${accountId}, loading...`);
         
         // Load data for this account
-        loadAccountData(account.token, accountId);
+        loadAccountData(getAccountCredentials(account), accountId);
       }
     }
   };
 
   // Handle removing an account
-  const handleRemoveAccount = (index) => {
+  const handleRemoveAccount = async (index) => {
     // Create a copy of accounts without the one being removed
     const updatedAccounts = [...accounts];
     const removedAccount = updatedAccounts.splice(index, 1)[0];
     
+    // Vault accounts must be removed from the server first
+    if (isVaultMode() && removedAccount && !isOfflineAccount(removedAccount)) {
+      try {
+        await removeVaultAccount(removedAccount.id);
+      } catch (vaultError) {
+        console.error('Error removing account from the token vault:', vaultError);
+        setError(`Could not remove ${removedAccount.name}: ${vaultError.message}`);
+        return;
+      }
+    }
+    
     // Update state and localStorage
     setAccounts(updatedAccounts);
-    localStorage.setItem('doAccounts', JSON.stringify(updatedAccounts));
+    await saveAccounts(getLocalAccounts(updatedAccounts));
     
     // Also remove this account's data from cache
     if (removedAccount) {
@@ -354,14 +898,20 @@ function App() {
         return newData;
       });
       
-      // Clear local storage for this account
-      clearAccountData(removedAccount.name);
+      // Clear cached billing data, budgets and allocation rules for this account
+      await clearAccountData(removedAccount.name);
+      await clearAccountSettings(removedAccount.name);
     }
     
     // Handle what happens after removal
     if (updatedAccounts.length === 0) {
       // No accounts left, go back to login
+      setIsConsolidated(false);
       setIsLoggedIn(false);
+    } else if (isConsolidated) {
+      // Stay in the consolidated view, without the removed account
+      setCurrentAccountIndex(0);
+      loadConsolidatedData(updatedAccounts);
     } else if (index === currentAccountIndex) {
       // Current account was removed, switch to first account
       setCurrentAccountIndex(0);
@@ -372,25 +922,32 @@ function App() {
         // Use cached data if available
         setAllInvoices(accountsData[firstAccount.name].invoices);
         setDetailedLineItems(accountsData[firstAccount.name].detailedLineItems);
+        setSyncFailures(accountsData[firstAccount.name].syncFailures || []);
+        setAllInvoiceSummaries(accountsData[firstAccount.name].invoiceSummaries || []);
+        setBillingHistory(accountsData[firstAccount.name].billingHistory || []);
         
-        // Check if we need to recalculate for time range
-        if (accountsData[firstAccount.name].timeRange === timeRange) {
+        // Check if we need to recalculate for the period
+        if (accountsData[firstAccount.name].periodKey === getPeriodKey(period)) {
           setProcessedData(accountsData[firstAccount.name].processedData);
         } else {
-          // Filter for current time range
-          const filteredItems = filterLineItemsByTimeRange(
+          // Filter for current period
+          const filteredItems = filterByPeriod(
             accountsData[firstAccount.name].detailedLineItems, 
-            timeRange
+            period
           );
-          setProcessedData(processCSVDataForVisualizations(filteredItems));
+          setProcessedData(processCSVDataForVisualizations(
+            filteredItems,
+            null,
+            accountsData[firstAccount.name].processedData?.summary?.monthToDate
+          ));
         }
         
         // Check if we should refresh
-        const cachedStatus = getCacheStatus(firstAccount.name);
+        const cachedStatus = await getCacheStatus(firstAccount.name);
         setCacheStatus(cachedStatus);
       } else {
         // Fetch data if not cached
-        loadAccountData(firstAccount.token, firstAccount.name);
+        loadAccountData(getAccountCredentials(firstAccount), firstAccount.name);
       }
     } else if (index < currentAccountIndex) {
       // Account before current was removed, adjust index
@@ -399,34 +956,88 @@ function App() {
   };
 
   // Handle logout (all accounts)
+  // In vault mode the accounts stay on the server and are listed again on the next visit
   const handleLogout = () => {
-    localStorage.removeItem('doAccounts');
+    clearAccounts();
     setAccounts([]);
     setCurrentAccountIndex(0);
+    setIsConsolidated(false);
     setIsLoggedIn(false);
     setAllInvoices([]);
     setDetailedLineItems([]);
     setProcessedData(null);
+    setSyncFailures([]);
+    setAllInvoiceSummaries([]);
+    setBillingHistory([]);
     // Clear the account data cache as well
     setAccountsData({});
     setStatusMessage('');
   };
 
-  // Handle refresh (current account)
+  // Handle locking the dashboard from the account manager
+  const handleLock = () => {
+    lockStorage();
+    setIsLocked(true);
+  };
+
+  // Handle unlocking with the passphrase - resolves false if it was wrong
+  const handleUnlock = async (passphrase) => {
+    const unlocked = await unlockStorage(passphrase);
+    if (unlocked) {
+      setIsLocked(false);
+    }
+    return unlocked;
+  };
+
+  // Handle a forgotten passphrase - encrypted data is discarded and the lock removed
+  const handleResetLock = async () => {
+    await resetStorageLock();
+    setLockEnabled(false);
+    setIsLocked(false);
+  };
+
+  // Handle turning on the passphrase lock from the account manager
+  const handleEnableLock = async (passphrase, autoLockMinutes) => {
+    await enableStorageLock(passphrase, autoLockMinutes);
+    setLockEnabled(true);
+  };
+
+  // Handle turning off the passphrase lock from the account manager
+  const handleDisableLock = async () => {
+    await disableStorageLock();
+    setLockEnabled(false);
+  };
+
+  // Handle refresh (current account, or every account in the consolidated view)
   const handleRefresh = () => {
+    if (isConsolidated) {
+      loadConsolidatedData(accounts, true);
+      return;
+    }
+    
     if (accounts.length > 0 && currentAccountIndex < accounts.length) {
       const account = accounts[currentAccountIndex];
+      
+      // Offline accounts have nothing to fetch - reload their imported data instead
+      if (isOfflineAccount(account)) {
+        loadAccountData(null, account.name);
+        return;
+      }
+      
       // Force refresh by fetching new data for the current account
-      fetchDataFromAPI(account.token, account.name);
+      fetchDataFromAPI(getAccountCredentials(account), account.name);
     }
   };
 
   // Handle clearing cache (current account)
-  const handleClearCache = () => {
+  const handleClearCache = async () => {
     if (accounts.length > 0 && currentAccountIndex < accounts.length) {
       const account = accounts[currentAccountIndex];
-      if (window.confirm(`Are you sure you want to clear cached data for ${account.name}?`)) {
-        clearAccountData(account.name);
+      const confirmMessage = isOfflineAccount(account)
+        ? `Are you sure you want to remove the imported data for ${account.name}? Its invoice CSVs will need to be imported again.`
+        : `Are you sure you want to clear cached data for ${account.name}?`;
+      if (window.confirm(confirmMessage)) {
+        await clearAccountData(account.name);
         // Remove from in-memory cache
         setAccountsData(prevData => {
           const newData = { ...prevData };
@@ -434,44 +1045,87 @@ function App() {
           return newData;
         });
         // Fetch fresh data
-        fetchDataFromAPI(account.token, account.name);
+        loadAccountData(getAccountCredentials(account), account.name);
       }
     }
   };
 
-  // Handle time range change
-  const handleTimeRangeChange = (newRange) => {
-    setTimeRange(newRange);
+  // Handle saving budgets for the current account
+  const handleSaveBudgets = async (newBudgets) => {
+    if (!currentAccountName) return;
     
-    // Recalculate processed data for the new time range if we have line items
+    setBudgets(newBudgets);
+    const saved = await saveBudgets(currentAccountName, newBudgets);
+    if (!saved) {
+      setError('Could not save budgets to browser storage.');
+    }
+  };
+
+  // Handle saving cost allocation rules for the current account
+  const handleSaveAllocation = async (newAllocation) => {
+    if (!currentAccountName) return;
+    
+    setAllocation(newAllocation);
+    const saved = await saveAllocation(currentAccountName, newAllocation);
+    if (!saved) {
+      setError('Could not save allocation rules to browser storage.');
+    }
+  };
+
+  // Handle period change
+  const handlePeriodChange = (newPeriod) => {
+    setPeriod(newPeriod);
+    
+    if (newPeriod.fiscalYearStart !== period.fiscalYearStart) {
+      savePreferences({ fiscalYearStart: newPeriod.fiscalYearStart });
+    }
+    
+    // The consolidated view is rebuilt from its merged line items and is not cached per account
+    if (isConsolidated) {
+      const filteredLineItems = filterByPeriod(detailedLineItems, newPeriod);
+      setProcessedData(processCSVDataForVisualizations(filteredLineItems, null, processedData?.summary?.monthToDate));
+      return;
+    }
+    
+    // Recalculate processed data for the new period if we have line items
     if (accounts.length > 0 && currentAccountIndex < accounts.length && detailedLineItems.length > 0) {
       const accountId = accounts[currentAccountIndex].name;
       
-      // Filter line items by the new time range
-      const filteredLineItems = filterLineItemsByTimeRange(detailedLineItems, newRange);
-      console.log(`Filtered line items for new time range ${newRange}: ${filteredLineItems.length} of ${detailedLineItems.length}`);
+      // Filter line items by the new period
+      const filteredLineItems = filterByPeriod(detailedLineItems, newPeriod);
+      console.log(`Filtered line items for new period ${getPeriodKey(newPeriod)}: ${filteredLineItems.length} of ${detailedLineItems.length}`);
       
-      // Process the filtered line items for visualizations
-      const newProcessedData = processCSVDataForVisualizations(filteredLineItems);
+      // Process the filtered line items for visualizations, keeping the month-to-date spend
+      const newProcessedData = processCSVDataForVisualizations(
+        filteredLineItems,
+        null,
+        processedData?.summary?.monthToDate
+      );
       
       // Update the processed data
       setProcessedData(newProcessedData);
       
-      // Update in-memory cache for this account with new time range
+      // Update in-memory cache for this account with new period
       setAccountsData(prevData => ({
         ...prevData,
         [accountId]: {
           ...prevData[accountId],
           processedData: newProcessedData,
-          timeRange: newRange
+          periodKey: getPeriodKey(newPeriod)
         }
       }));
       
-      // Save to local storage with time range info
-      saveData(accountId, 'processedData', newProcessedData, { timeRange: newRange });
+      // Save to local storage with period info
+      saveData(accountId, 'processedData', newProcessedData, { periodKey: getPeriodKey(newPeriod) });
     }
   };
 
+  // Credentials for an invoice in the consolidated view, from the account it is tagged with
+  const getInvoiceCredentials = (invoice) => {
+    const account = accounts.find(candidate => candidate.name === invoice.account_name);
+    return account ? getAccountCredentials(account) : null;
+  };
+
   // Fetch line item details for a specific invoice if needed
   // With the CSV approach, this might not be needed since we already have detailed data
   const fetchLineItemDetails = async (invoiceId) => {
@@ -491,58 +1145,93 @@ function App() {
     }
     
     // If we don't have the data, try fetching it from API as a fallback
+    const credentials = getAccountCredentials(accounts[currentAccountIndex]);
+    if (!credentials) {
+      return null;
+    }
+    
     try {
-      const headers = {
-        'Authorization': `Bearer ${accounts[currentAccountIndex].token}`,
-        'Content-Type': 'application/json'
-      };
-      
-      const response = await fetch(
-        `https://api.digitalocean.com/v2/customers/my/invoices/${invoiceId}`,
-        { method: 'GET', headers }
+      const response = await apiFetch(
+        credentials,
+        `/v2/customers/my/invoices/${invoiceId}`
       );
       
       if (!response.ok) throw new Error(`API Error: ${response.status}`);
       
       const data = await response.json();
-      return data;
+      return {
+        ...data,
+        invoice_items: normalizeLineItems(data.invoice_items, { invoice_uuid: invoiceId }).lineItems
+      };
     } catch (error) {
       console.error(`Error fetching line item details for invoice ${invoiceId}:`, error);
       return null;
     }
   };
 
+  if (isLocked) {
+    return (
+      <div className="App">
+        <LockScreen onUnlock={handleUnlock} onReset={handleResetLock} />
+      </div>
+    );
+  }
+
   return (
     <div className="App">
       {!isLoggedIn ? (
-        <LoginForm onAddAccount={handleAddAccount} />
+        <LoginForm
+          onAddAccount={handleAddAccount}
+          onImportAccount={handleImportAccount}
+          onRestoreBackup={handleRestoreBackup}
+          onSaveProxyKey={proxyKeyRequired ? handleSaveProxyKey : undefined}
+          connectionError={error}
+        />
       ) : (
         <>
           {/* Account Selector is now floating and not part of the main layout */}
           <AccountSelector 
             accounts={accounts}
             currentIndex={currentAccountIndex}
+            isConsolidated={isConsolidated}
             onSwitchAccount={handleAccountSwitch}
+            onSelectAllAccounts={() => loadConsolidatedData()}
             onRemoveAccount={handleRemoveAccount}
             onAddAccount={handleAddAccount}
+            onImportAccount={handleImportAccount}
+            onExportBackup={handleExportBackup}
+            onRestoreBackup={handleRestoreBackup}
+            lockEnabled={lockEnabled}
+            onEnableLock={handleEnableLock}
+            onDisableLock={handleDisableLock}
+            onLockNow={handleLock}
           />
           <Dashboard 
-            accountName={accounts[currentAccountIndex]?.name || 'Unknown Account'}
+            accountName={isConsolidated ? ALL_ACCOUNTS_NAME : (accounts[currentAccountIndex]?.name || 'Unknown Account')}
             allInvoices={allInvoices}
             allInvoiceSummaries={allInvoiceSummaries}
+            billingHistory={billingHistory}
             detailedLineItems={detailedLineItems}
             processedData={processedData}
             isLoading={isLoading}
             error={error}
             statusMessage={statusMessage}
             cacheStatus={cacheStatus}
-            apiToken={accounts[currentAccountIndex]?.token}
-            timeRange={timeRange}
+            syncFailures={syncFailures}
+            apiCredentials={getAccountCredentials(accounts[currentAccountIndex])}
+            getInvoiceCredentials={isConsolidated ? getInvoiceCredentials : undefined}
+            period={period}
             onLogout={handleLogout}
             onRefresh={handleRefresh}
             onClearCache={handleClearCache}
-            onTimeRangeChange={handleTimeRangeChange}
+            onPeriodChange={handlePeriodChange}
             fetchLineItemDetails={fetchLineItemDetails}
+            budgets={budgets}
+            onSaveBudgets={handleSaveBudgets}
+            allocation={allocation}
+            onSaveAllocation={handleSaveAllocation}
+            isConsolidated={isConsolidated}
+            accountsData={accountsData}
           />
         </>
       )}
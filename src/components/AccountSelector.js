@@ -1,20 +1,47 @@
 import React, { useState } from 'react';
+import { isVaultMode } from '../utils/apiUtils';
+import { getAutoLockMinutes } from '../utils/storageUtils';
+import { ALL_ACCOUNTS_NAME } from '../utils/consolidationUtils';
+import { isOfflineAccount } from '../utils/importUtils';
+import { InvoiceImport } from './InvoiceImport';
+import { BackupRestore } from './BackupRestore';
+
+// Dropdown value for the consolidated view
+const ALL_ACCOUNTS_VALUE = 'all';
 
 export const AccountSelector = ({ 
   accounts,
   currentIndex,
+  isConsolidated = false,
   onSwitchAccount,
+  onSelectAllAccounts,
   onRemoveAccount,
-  onAddAccount
+  onAddAccount,
+  onImportAccount,
+  onExportBackup,
+  onRestoreBackup,
+  lockEnabled,
+  onEnableLock,
+  onDisableLock,
+  onLockNow
 }) => {
   const [showAddForm, setShowAddForm] = useState(false);
+  const [showImportForm, setShowImportForm] = useState(false);
   const [newAccountName, setNewAccountName] = useState('');
   const [newAccountToken, setNewAccountToken] = useState('');
   const [error, setError] = useState('');
   const [menuOpen, setMenuOpen] = useState(false);
+  
+  // Passphrase lock form state
+  const [showLockForm, setShowLockForm] = useState(false);
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [autoLockMinutes, setAutoLockMinutes] = useState(15);
+  const [lockBusy, setLockBusy] = useState(false);
+  const [lockError, setLockError] = useState('');
 
   // Handle form submission for new account
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     
     if (!newAccountName.trim()) {
@@ -27,8 +54,13 @@ export const AccountSelector = ({
       return;
     }
     
-    // Call the parent function to add the account
-    onAddAccount(newAccountName.trim(), newAccountToken.trim());
+    try {
+      // Call the parent function to add the account (registers it with the vault in vault mode)
+      await onAddAccount(newAccountName.trim(), newAccountToken.trim());
+    } catch (addError) {
+      setError(addError.message || 'Could not add account');
+      return;
+    }
     
     // Reset form
     setNewAccountName('');
@@ -37,17 +69,89 @@ export const AccountSelector = ({
     setError('');
   };
 
+  // Handle enabling the passphrase lock
+  const handleEnableLock = async (e) => {
+    e.preventDefault();
+    
+    if (passphrase.length < 8) {
+      setLockError('Use a passphrase of at least 8 characters');
+      return;
+    }
+    
+    if (passphrase !== confirmPassphrase) {
+      setLockError('Passphrases do not match');
+      return;
+    }
+    
+    setLockBusy(true);
+    setLockError('');
+    
+    try {
+      await onEnableLock(passphrase, autoLockMinutes);
+      setPassphrase('');
+      setConfirmPassphrase('');
+      setShowLockForm(false);
+    } catch (enableError) {
+      setLockError(enableError.message || 'Could not enable the passphrase lock');
+    } finally {
+      setLockBusy(false);
+    }
+  };
+
+  // Handle disabling the passphrase lock
+  const handleDisableLock = async () => {
+    if (!window.confirm('Turn off the passphrase lock? Stored tokens and cached billing data will be saved unencrypted.')) {
+      return;
+    }
+    
+    setLockBusy(true);
+    setLockError('');
+    
+    try {
+      await onDisableLock();
+    } catch (disableError) {
+      setLockError(disableError.message || 'Could not turn off the passphrase lock');
+    } finally {
+      setLockBusy(false);
+    }
+  };
+
   // Toggle add form display
   const toggleAddForm = () => {
     setShowAddForm(!showAddForm);
+    setShowImportForm(false);
     setError('');
   };
   
+  // Toggle the invoice CSV import form
+  const toggleImportForm = () => {
+    setShowImportForm(!showImportForm);
+    setShowAddForm(false);
+  };
+  
+  // Import invoice CSVs, closing the form once they are in
+  const handleImport = async (name, files) => {
+    await onImportAccount(name, files);
+    setShowImportForm(false);
+  };
+  
   // Toggle slide-out menu
   const toggleMenu = () => {
     setMenuOpen(!menuOpen);
   };
   
+  // Handle the account dropdown, which also offers the consolidated view
+  const handleDropdownChange = (value) => {
+    if (value === ALL_ACCOUNTS_VALUE) {
+      onSelectAllAccounts();
+    } else {
+      onSwitchAccount(parseInt(value));
+    }
+  };
+  
+  // Name of what is on screen - an account, or all of them
+  const currentName = isConsolidated ? ALL_ACCOUNTS_NAME : accounts[currentIndex]?.name;
+  
   // Close the menu after an action (optional)
   const handleAccountAction = (action) => {
     action();
@@ -63,7 +167,7 @@ export const AccountSelector = ({
         onClick={toggleMenu}
       >
         <span className="current-account-name">
-          {accounts.length > 0 ? accounts[currentIndex]?.name : 'Accounts'}
+          {accounts.length > 0 ? currentName : 'Accounts'}
         </span>
         <span className="menu-icon">{menuOpen ? '×' : '☰'}</span>
       </button>
@@ -80,7 +184,7 @@ export const AccountSelector = ({
           <div className="current-account-info">
             <h3>Current Account</h3>
             <div className="account-badge">
-              {accounts[currentIndex]?.name || 'Unknown'}
+              {currentName || 'Unknown'}
             </div>
           </div>
         )}
@@ -94,15 +198,23 @@ export const AccountSelector = ({
             {showAddForm ? 'Cancel Adding' : 'Add Account'}
           </button>
           
+          <button 
+            onClick={toggleImportForm}
+            className="add-account-btn"
+          >
+            {showImportForm ? 'Cancel Import' : 'Import Invoice CSVs'}
+          </button>
+          
           {accounts.length > 1 && (
             <div className="account-switcher">
               <label htmlFor="accountDropdown">Switch to:</label>
               <select 
                 id="accountDropdown"
-                value={currentIndex}
-                onChange={(e) => onSwitchAccount(parseInt(e.target.value))}
+                value={isConsolidated ? ALL_ACCOUNTS_VALUE : currentIndex}
+                onChange={(e) => handleDropdownChange(e.target.value)}
                 className="account-dropdown"
               >
+                <option value={ALL_ACCOUNTS_VALUE}>{ALL_ACCOUNTS_NAME} (consolidated)</option>
                 {accounts.map((account, index) => (
                   <option key={index} value={index}>
                     {account.name}
@@ -138,6 +250,11 @@ export const AccountSelector = ({
                   value={newAccountToken}
                   onChange={(e) => setNewAccountToken(e.target.value)}
                 />
+                {isVaultMode() && (
+                  <small className="form-text">
+                    The token is sent to the server's token vault and is not stored in this browser
+                  </small>
+                )}
               </div>
               
               <div className="form-buttons">
@@ -154,18 +271,29 @@ export const AccountSelector = ({
           </div>
         )}
         
+        {/* Import Invoice CSVs Form */}
+        {showImportForm && (
+          <div className="add-account-form">
+            <h3>Import Invoice CSVs</h3>
+            <InvoiceImport onImport={handleImport} idPrefix="panelImport" />
+          </div>
+        )}
+        
         {/* Accounts List */}
         {accounts.length > 0 && (
           <div className="accounts-list">
             <h3>Manage Accounts</h3>
             <ul>
               {accounts.map((account, index) => (
-                <li key={index} className={index === currentIndex ? 'active' : ''}>
-                  <span className="account-name">{account.name}</span>
+                <li key={index} className={!isConsolidated && index === currentIndex ? 'active' : ''}>
+                  <span className="account-name">
+                    {account.name}
+                    {isOfflineAccount(account) && <small className="form-text">Offline - imported CSVs</small>}
+                  </span>
                   <div className="account-controls">
                     <button 
                       onClick={() => onSwitchAccount(index)}
-                      disabled={index === currentIndex}
+                      disabled={!isConsolidated && index === currentIndex}
                       className="switch-btn"
                     >
                       Switch
@@ -182,6 +310,96 @@ export const AccountSelector = ({
             </ul>
           </div>
         )}
+        
+        {/* Passphrase Lock */}
+        <div className="security-settings">
+          <h3>Passphrase Lock</h3>
+          {lockEnabled ? (
+            <>
+              <p className="security-note">
+                Stored tokens and cached billing data are encrypted. The dashboard locks after {getAutoLockMinutes()} minutes of inactivity.
+              </p>
+              <div className="account-controls">
+                <button onClick={onLockNow} className="switch-btn" disabled={lockBusy}>
+                  Lock Now
+                </button>
+                <button onClick={handleDisableLock} className="remove-btn" disabled={lockBusy}>
+                  Turn Off
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              <p className="security-note">
+                Encrypt stored tokens and cached billing data in this browser with a passphrase.
+              </p>
+              {!showLockForm ? (
+                <button onClick={() => setShowLockForm(true)} className="switch-btn">
+                  Set Passphrase
+                </button>
+              ) : (
+                <form onSubmit={handleEnableLock} className="add-account-form">
+                  <div className="form-group">
+                    <label htmlFor="lockPassphrase">Passphrase:</label>
+                    <input
+                      type="password"
+                      id="lockPassphrase"
+                      value={passphrase}
+                      onChange={(e) => setPassphrase(e.target.value)}
+                      disabled={lockBusy}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="lockPassphraseConfirm">Confirm Passphrase:</label>
+                    <input
+                      type="password"
+                      id="lockPassphraseConfirm"
+                      value={confirmPassphrase}
+                      onChange={(e) => setConfirmPassphrase(e.target.value)}
+                      disabled={lockBusy}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="autoLockMinutes">Lock after inactivity:</label>
+                    <select
+                      id="autoLockMinutes"
+                      value={autoLockMinutes}
+                      onChange={(e) => setAutoLockMinutes(parseInt(e.target.value))}
+                      className="account-dropdown"
+                      disabled={lockBusy}
+                    >
+                      <option value={5}>5 minutes</option>
+                      <option value={15}>15 minutes</option>
+                      <option value={30}>30 minutes</option>
+                      <option value={60}>1 hour</option>
+                    </select>
+                  </div>
+                  <div className="form-buttons" style={{ gap: '10px' }}>
+                    <button type="button" onClick={() => setShowLockForm(false)} disabled={lockBusy}>
+                      Cancel
+                    </button>
+                    <button type="submit" disabled={lockBusy}>
+                      {lockBusy ? 'Encrypting...' : 'Enable Lock'}
+                    </button>
+                  </div>
+                </form>
+              )}
+            </>
+          )}
+          
+          {lockError && (
+            <div className="alert" style={{ marginTop: '10px' }}>
+              <span>{lockError}</span>
+              <button className="close-btn" onClick={() => setLockError('')}>×</button>
+            </div>
+          )}
+        </div>
+        
+        {/* Backup and Restore */}
+        <div className="security-settings">
+          <h3>Backup and Restore</h3>
+          <BackupRestore onExportBackup={onExportBackup} onRestoreBackup={onRestoreBackup} lockEnabled={lockEnabled} />
+        </div>
       </div>
       
       {/* Overlay for closing the menu when clicking outside */}
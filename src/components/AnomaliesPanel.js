@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { formatCurrency } from '../utils/dataUtils';
+
+// Number of anomalies listed before "Show all"
+const INITIAL_VISIBLE = 8;
+
+const TYPE_LABELS = {
+  total: 'Total',
+  project: 'Project',
+  product: 'Product'
+};
+
+// Format a percentage change, including changes from a $0 baseline
+const formatChange = (percentChange) => {
+  if (!isFinite(percentChange)) return percentChange > 0 ? 'new spend' : 'new credit';
+  return `${percentChange > 0 ? '+' : ''}${percentChange.toFixed(0)}%`;
+};
+
+export const AnomaliesPanel = ({ anomalies, accountName, onSelectAnomaly }) => {
+  const [showAll, setShowAll] = useState(false);
+  
+  const visibleAnomalies = showAll ? anomalies : anomalies.slice(0, INITIAL_VISIBLE);
+  
+  return (
+    <div className="table-container">
+      <h3 className="chart-title">Anomalies - {accountName}</h3>
+      <p style={{ fontSize: '14px', color: '#6b7280', marginTop: 0 }}>
+        Months where total, project or product spend moved sharply away from the average of the previous months.
+      </p>
+      
+      {anomalies.length === 0 ? (
+        <p style={{ fontSize: '14px', color: '#6b7280', fontStyle: 'italic' }}>
+          No anomalies found in the selected time range. At least four months of data are needed.
+        </p>
+      ) : (
+        <table>
+          <thead>
+            <tr>
+              <th>Month</th>
+              <th>Series</th>
+              <th>Spend</th>
+              <th>Baseline</th>
+              <th>Change</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleAnomalies.map(anomaly => (
+              <tr key={`${anomaly.type}-${anomaly.name}-${anomaly.month}`}>
+                <td>{anomaly.month}</td>
+                <td>
+                  {TYPE_LABELS[anomaly.type]}
+                  {anomaly.type !== 'total' && `: ${anomaly.name}`}
+                </td>
+                <td>{formatCurrency(anomaly.amount)}</td>
+                <td>{formatCurrency(anomaly.baseline)}</td>
+                <td style={{ color: anomaly.direction === 'spike' ? '#ef4444' : '#10b981', fontWeight: '500' }}>
+                  {anomaly.direction === 'spike' ? '↑' : '↓'} {formatChange(anomaly.percentChange)}
+                </td>
+                <td>
+                  <button type="button" className="link-btn" onClick={() => onSelectAnomaly(anomaly)}>
+                    View line items
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      
+      {anomalies.length > INITIAL_VISIBLE && (
+        <div style={{ textAlign: 'center', marginTop: '10px' }}>
+          <button type="button" className="link-btn" onClick={() => setShowAll(!showAll)}>
+            {showAll ? 'Show fewer' : `Show all ${anomalies.length} anomalies`}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,161 @@
+import React, { useState, useRef } from 'react';
+import { isVaultMode } from '../utils/apiUtils';
+import { isEncryptedBackup, decryptBackup } from '../utils/storageUtils';
+
+// Download a backup of every account, its cached billing data and settings, and restore one
+// onExportBackup({ passphrase, allowPlaintext }) resolves to the backup bundle, encrypted when a passphrase
+// is given (omit it where there is nothing to back up yet); lockEnabled means the passphrase lock is on
+// onRestoreBackup(bundle, replace) resolves to { restored, skipped } or throws if the backup cannot be used
+export const BackupRestore = ({ onExportBackup, onRestoreBackup, lockEnabled = false }) => {
+  const [mode, setMode] = useState('merge');
+  const [passphrase, setPassphrase] = useState('');
+  const [allowPlaintext, setAllowPlaintext] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const fileInputRef = useRef(null);
+  
+  const downloadBackup = async () => {
+    setBusy(true);
+    setError('');
+    setMessage('');
+    
+    try {
+      const bundle = await onExportBackup({ passphrase, allowPlaintext });
+      const blob = new Blob([JSON.stringify(bundle)], { type: 'application/json' });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `do_finops_backup_${new Date().toISOString().slice(0,10)}${isEncryptedBackup(bundle) ? '_encrypted' : ''}.json`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (exportError) {
+      console.error('Error exporting backup:', exportError);
+      setError(exportError.message || 'Could not export the backup');
+    } finally {
+      setBusy(false);
+    }
+  };
+  
+  const restoreFile = async (file) => {
+    if (!file) return;
+    
+    const replace = mode === 'replace';
+    if (replace && !window.confirm('Replace all accounts and cached data in this browser with the backup?')) {
+      return;
+    }
+    
+    setBusy(true);
+    setError('');
+    setMessage('');
+    
+    try {
+      let bundle;
+      try {
+        bundle = JSON.parse(await file.text());
+      } catch (parseError) {
+        throw new Error(`${file.name} is not a valid JSON file`);
+      }
+      
+      if (isEncryptedBackup(bundle)) {
+        if (!passphrase) throw new Error('This backup is encrypted - enter its passphrase above and restore it again');
+        bundle = await decryptBackup(bundle, passphrase);
+      }
+      
+      const { restored, skipped } = await onRestoreBackup(bundle, replace);
+      setMessage(`Restored ${restored} account${restored === 1 ? '' : 's'}.` +
+        (skipped.length > 0 ? ` Skipped ${skipped.join(', ')} - their tokens are held by a token vault this dashboard cannot use.` : ''));
+    } catch (restoreError) {
+      console.error('Error restoring backup:', restoreError);
+      setError(restoreError.message || 'Could not restore the backup');
+    } finally {
+      setBusy(false);
+    }
+  };
+  
+  return (
+    <div>
+      <p className="security-note">
+        {isVaultMode()
+          ? 'A backup holds the account list, cached billing data, budgets, allocation rules and preferences. Tokens stay in the server vault.'
+          : 'A backup holds the account list with API tokens, cached billing data, budgets, allocation rules and preferences.'}
+        {' '}
+        {lockEnabled
+          ? 'It is encrypted with the passphrase that locks this dashboard.'
+          : 'Enter a passphrase to encrypt it; the same passphrase is needed to restore it.'}
+      </p>
+      
+      <div className="form-group">
+        <label htmlFor="backupPassphrase">{lockEnabled ? 'Dashboard passphrase:' : 'Backup passphrase:'}</label>
+        <input
+          type="password"
+          id="backupPassphrase"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          placeholder={onExportBackup ? 'Encrypts the backup, and opens encrypted backups' : 'Opens an encrypted backup'}
+          disabled={busy}
+        />
+      </div>
+      
+      {onExportBackup && (
+        <label className="security-note" style={{ display: 'block', cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={allowPlaintext}
+            onChange={(e) => setAllowPlaintext(e.target.checked)}
+            style={{ marginRight: '5px', width: 'auto' }}
+            disabled={busy}
+          />
+          Save the backup unencrypted, with any API tokens in plain text
+          {lockEnabled && ' (the dashboard passphrase is still required)'}
+        </label>
+      )}
+      
+      <div className="form-group">
+        <label htmlFor="restoreMode">When restoring:</label>
+        <select
+          id="restoreMode"
+          value={mode}
+          onChange={(e) => setMode(e.target.value)}
+          className="account-dropdown"
+          disabled={busy}
+        >
+          <option value="merge">Merge - add the backup's accounts, replacing any with the same name</option>
+          <option value="replace">Replace - remove everything else stored in this browser</option>
+        </select>
+      </div>
+      
+      <div className="account-controls">
+        {onExportBackup && (
+          <button onClick={downloadBackup} className="switch-btn" disabled={busy}>
+            Download Backup
+          </button>
+        )}
+        <button onClick={() => fileInputRef.current?.click()} className="switch-btn" disabled={busy}>
+          {busy ? 'Working...' : 'Restore Backup'}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          style={{ display: 'none' }}
+          onChange={(e) => {
+            restoreFile(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+      </div>
+      
+      {message && <p className="security-note" style={{ marginTop: '10px' }}>{message}</p>}
+      
+      {error && (
+        <div className="alert" style={{ marginTop: '10px' }}>
+          <span>{error}</span>
+          <button className="close-btn" onClick={() => setError('')}>×</button>
+        </div>
+      )}
+    </div>
+  );
+};
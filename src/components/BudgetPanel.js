@@ -0,0 +1,262 @@
+import React, { useState, useMemo } from 'react';
+import { formatCurrency } from '../utils/dataUtils';
+import {
+  normalizeBudgets,
+  hasBudgets,
+  getBudgetStatus,
+  calculateBurnDown,
+  BUDGET_STATUS_COLORS,
+  DEFAULT_ALERT_THRESHOLD
+} from '../utils/budgetUtils';
+import { BudgetBurndownChart } from './charts/BudgetBurndownChart';
+
+const STATUS_LABELS = {
+  ok: 'On track',
+  warning: 'Near budget',
+  over: 'Over budget'
+};
+
+// Turn a { name: amount } map into editable rows
+const toRows = (budgetMap) => Object.entries(budgetMap || {}).map(([name, amount]) => ({ name, amount: String(amount) }));
+
+// Turn editable rows back into a { name: amount } map, skipping incomplete rows
+const fromRows = (rows) => {
+  const budgetMap = {};
+  rows.forEach(row => {
+    const amount = parseFloat(row.amount);
+    if (row.name && amount > 0) {
+      budgetMap[row.name] = amount;
+    }
+  });
+  return budgetMap;
+};
+
+export const BudgetPanel = ({ accountName, budgets, onSaveBudgets, processedData }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [accountBudget, setAccountBudget] = useState('');
+  const [alertThreshold, setAlertThreshold] = useState(String(DEFAULT_ALERT_THRESHOLD));
+  const [projectRows, setProjectRows] = useState([]);
+  const [productRows, setProductRows] = useState([]);
+  const [error, setError] = useState('');
+  
+  const currentBudgets = normalizeBudgets(budgets);
+  const { summary, monthlyData, projectData = {}, productData = {} } = processedData;
+  const monthCount = Math.max(1, monthlyData?.labels?.length || 1);
+  const monthToDate = summary.monthToDate;
+  
+  const burnDown = useMemo(
+    () => calculateBurnDown(currentBudgets.account, monthToDate?.amount, summary.forecastAmount),
+    [currentBudgets.account, monthToDate, summary.forecastAmount]
+  );
+  
+  const startEditing = () => {
+    setAccountBudget(currentBudgets.account ? String(currentBudgets.account) : '');
+    setAlertThreshold(String(currentBudgets.alertThreshold));
+    setProjectRows(toRows(currentBudgets.projects));
+    setProductRows(toRows(currentBudgets.products));
+    setError('');
+    setIsEditing(true);
+  };
+  
+  const handleSave = async (e) => {
+    e.preventDefault();
+    
+    const threshold = parseFloat(alertThreshold);
+    if (isNaN(threshold) || threshold <= 0 || threshold > 100) {
+      setError('Alert threshold must be between 1 and 100%');
+      return;
+    }
+    
+    const account = accountBudget === '' ? null : parseFloat(accountBudget);
+    if (account !== null && (isNaN(account) || account <= 0)) {
+      setError('Account budget must be a positive amount');
+      return;
+    }
+    
+    await onSaveBudgets({
+      account,
+      projects: fromRows(projectRows),
+      products: fromRows(productRows),
+      alertThreshold: threshold
+    });
+    setIsEditing(false);
+  };
+  
+  // Render the add/edit rows for project or product budgets
+  const renderRowEditor = (title, rows, setRows, names) => {
+    const updateRow = (index, field, value) => {
+      setRows(rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+    };
+    
+    return (
+      <div className="form-group">
+        <label>{title}</label>
+        {rows.map((row, index) => (
+          <div key={index} style={{ display: 'flex', gap: '10px', marginBottom: '8px' }}>
+            <select
+              value={row.name}
+              onChange={(e) => updateRow(index, 'name', e.target.value)}
+              style={{ flex: 2 }}
+            >
+              <option value="">Select...</option>
+              {/* Keep budgets for names that are not in the current time range selectable */}
+              {[...new Set([...names, row.name].filter(Boolean))].sort().map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              placeholder="Monthly budget"
+              value={row.amount}
+              onChange={(e) => updateRow(index, 'amount', e.target.value)}
+              style={{ flex: 1 }}
+            />
+            <button type="button" className="remove-btn" onClick={() => setRows(rows.filter((_, i) => i !== index))}>
+              Remove
+            </button>
+          </div>
+        ))}
+        <button type="button" onClick={() => setRows([...rows, { name: '', amount: '' }])}>
+          Add
+        </button>
+      </div>
+    );
+  };
+  
+  // Render the status rows for project or product budgets
+  const renderBudgetRows = (kind, budgetMap, spendData) => {
+    return Object.entries(budgetMap).map(([name, budget]) => {
+      const averageSpend = (spendData[name] || 0) / monthCount;
+      const status = getBudgetStatus(averageSpend, budget, currentBudgets.alertThreshold);
+      return (
+        <tr key={`${kind}-${name}`}>
+          <td>{kind}: {name}</td>
+          <td>{formatCurrency(budget)}</td>
+          <td>{formatCurrency(averageSpend)}</td>
+          <td style={{ color: BUDGET_STATUS_COLORS[status], fontWeight: '500' }}>{STATUS_LABELS[status]}</td>
+        </tr>
+      );
+    });
+  };
+  
+  const renderAccountStatus = () => {
+    if (!currentBudgets.account) return null;
+    
+    const projectedSpend = burnDown ? burnDown.projectedSpend : summary.forecastAmount;
+    const projectedStatus = getBudgetStatus(projectedSpend, currentBudgets.account, currentBudgets.alertThreshold);
+    
+    return (
+      <div style={{ marginBottom: '15px' }}>
+        <p style={{ margin: '0 0 5px 0' }}>
+          Monthly budget: <strong>{formatCurrency(currentBudgets.account)}</strong>
+        </p>
+        {monthToDate ? (
+          <p style={{ margin: '0 0 5px 0', fontSize: '14px', color: '#4b5563' }}>
+            Spent {formatCurrency(burnDown.spent)} ({burnDown.percentUsed.toFixed(0)}% of budget)
+            with {burnDown.percentOfMonth.toFixed(0)}% of the month gone.
+          </p>
+        ) : (
+          <p style={{ margin: '0 0 5px 0', fontSize: '14px', color: '#6b7280' }}>
+            Month-to-date spend is not available, so only the forecast is compared with the budget.
+          </p>
+        )}
+        <p style={{ margin: 0, fontSize: '14px', color: BUDGET_STATUS_COLORS[projectedStatus], fontWeight: '500' }}>
+          Forecast {formatCurrency(projectedSpend)} - {STATUS_LABELS[projectedStatus]}
+          {projectedSpend > currentBudgets.account && ` by ${formatCurrency(projectedSpend - currentBudgets.account)}`}
+        </p>
+      </div>
+    );
+  };
+  
+  if (isEditing) {
+    return (
+      <div className="chart-container">
+        <h3 className="chart-title">Edit Budgets - {accountName}</h3>
+        <form onSubmit={handleSave}>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '20px' }}>
+            <div className="form-group">
+              <label htmlFor="accountBudget">Monthly account budget ($)</label>
+              <input
+                type="number"
+                id="accountBudget"
+                min="0"
+                step="0.01"
+                value={accountBudget}
+                onChange={(e) => setAccountBudget(e.target.value)}
+                placeholder="No budget"
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="alertThreshold">Alert threshold (%)</label>
+              <input
+                type="number"
+                id="alertThreshold"
+                min="1"
+                max="100"
+                value={alertThreshold}
+                onChange={(e) => setAlertThreshold(e.target.value)}
+              />
+              <small className="form-text">Budgets turn amber once spend reaches this share</small>
+            </div>
+          </div>
+          
+          {renderRowEditor('Project budgets (monthly)', projectRows, setProjectRows, Object.keys(projectData))}
+          {renderRowEditor('Product budgets (monthly)', productRows, setProductRows, Object.keys(productData))}
+          
+          {error && <div className="alert">{error}</div>}
+          
+          <div className="form-buttons">
+            <button type="submit">Save Budgets</button>
+            <button type="button" onClick={() => setIsEditing(false)} style={{ backgroundColor: '#6b7280' }}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    );
+  }
+  
+  return (
+    <div className="chart-container">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+        <h3 className="chart-title">Budgets - {accountName}</h3>
+        <button onClick={startEditing}>{hasBudgets(currentBudgets) ? 'Edit Budgets' : 'Set Budgets'}</button>
+      </div>
+      
+      {!hasBudgets(currentBudgets) ? (
+        <p style={{ color: '#6b7280', fontSize: '14px', margin: 0 }}>
+          No budgets set. Add a monthly budget for the account, a project or a product to track spend against it.
+        </p>
+      ) : (
+        <>
+          {renderAccountStatus()}
+          
+          {burnDown && monthToDate && (
+            <div className="chart" style={{ height: '250px' }}>
+              <BudgetBurndownChart burnDown={burnDown} />
+            </div>
+          )}
+          
+          {(Object.keys(currentBudgets.projects).length > 0 || Object.keys(currentBudgets.products).length > 0) && (
+            <table style={{ marginTop: '15px' }}>
+              <thead>
+                <tr>
+                  <th>Budget For</th>
+                  <th>Monthly Budget</th>
+                  <th>Average Monthly Spend</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {renderBudgetRows('Project', currentBudgets.projects, projectData)}
+                {renderBudgetRows('Product', currentBudgets.products, productData)}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
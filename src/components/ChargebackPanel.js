@@ -0,0 +1,232 @@
+import React, { useState } from 'react';
+import { formatCurrency } from '../utils/dataUtils';
+import {
+  ALLOCATION_FIELDS,
+  UNALLOCATED_COST_CENTRE,
+  normalizeAllocation,
+  hasAllocationRules,
+  getRuleError,
+  chargebackReportToCSV
+} from '../utils/allocationUtils';
+
+const EMPTY_RULE = { costCentre: '', field: 'resource_name', matchType: 'exact', pattern: '' };
+const EMPTY_SHARED_RULE = { field: 'product', matchType: 'exact', pattern: '' };
+
+// Cost allocation rules editor and per-cost-centre chargeback report
+// report is the buildChargebackReport result for the line items in view
+export const ChargebackPanel = ({ accountName, allocation, onSaveAllocation, report, periodLabel }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [rules, setRules] = useState([]);
+  const [sharedRules, setSharedRules] = useState([]);
+  const [splitDiscounts, setSplitDiscounts] = useState(false);
+  const [error, setError] = useState('');
+  
+  const currentAllocation = normalizeAllocation(allocation);
+  
+  const startEditing = () => {
+    setRules(currentAllocation.rules.map(rule => ({ ...rule })));
+    setSharedRules(currentAllocation.sharedRules.map(rule => ({ ...rule })));
+    setSplitDiscounts(currentAllocation.splitDiscounts);
+    setError('');
+    setIsEditing(true);
+  };
+  
+  const handleSave = async (e) => {
+    e.preventDefault();
+    
+    // Empty rows are dropped; anything half filled in is reported
+    const filledRules = rules.filter(rule => rule.costCentre || rule.pattern);
+    const filledSharedRules = sharedRules.filter(rule => rule.pattern);
+    
+    for (const [index, rule] of filledRules.entries()) {
+      const ruleError = getRuleError(rule);
+      if (ruleError) {
+        setError(`Rule ${index + 1}: ${ruleError}`);
+        return;
+      }
+    }
+    for (const [index, rule] of filledSharedRules.entries()) {
+      const ruleError = getRuleError(rule, false);
+      if (ruleError) {
+        setError(`Shared cost rule ${index + 1}: ${ruleError}`);
+        return;
+      }
+    }
+    
+    await onSaveAllocation({
+      rules: filledRules.map(rule => ({ ...rule, costCentre: rule.costCentre.trim() })),
+      sharedRules: filledSharedRules,
+      splitDiscounts
+    });
+    setIsEditing(false);
+  };
+  
+  const downloadReport = () => {
+    const blob = new Blob([chargebackReportToCSV(report)], { type: 'text/csv' });
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${accountName.replace(/\s+/g, '_').toLowerCase()}_chargeback_${new Date().toISOString().slice(0,10)}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+  };
+  
+  // Render the field, match type and pattern inputs shared by both kinds of rule
+  const renderMatchInputs = (rule, updateRule) => (
+    <>
+      <select value={rule.field} onChange={(e) => updateRule('field', e.target.value)} style={{ flex: 1 }}>
+        {Object.entries(ALLOCATION_FIELDS).map(([field, label]) => (
+          <option key={field} value={field}>{label}</option>
+        ))}
+      </select>
+      <select value={rule.matchType} onChange={(e) => updateRule('matchType', e.target.value)} style={{ flex: 1 }}>
+        <option value="exact">equals</option>
+        <option value="regex">matches regex</option>
+      </select>
+      <input
+        type="text"
+        placeholder={rule.matchType === 'regex' ? 'e.g. ^web-' : 'Value'}
+        value={rule.pattern}
+        onChange={(e) => updateRule('pattern', e.target.value)}
+        style={{ flex: 2 }}
+      />
+    </>
+  );
+  
+  // Render the add/edit rows for cost centre rules or shared cost rules
+  const renderRuleEditor = (title, hint, rows, setRows, emptyRule, withCostCentre) => (
+    <div className="form-group">
+      <label>{title}</label>
+      <small className="form-text" style={{ display: 'block', marginBottom: '8px' }}>{hint}</small>
+      {rows.map((rule, index) => {
+        const updateRule = (field, value) => {
+          setRows(rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+        };
+        
+        return (
+          <div key={index} style={{ display: 'flex', gap: '10px', marginBottom: '8px' }}>
+            {withCostCentre && (
+              <input
+                type="text"
+                placeholder="Cost centre"
+                value={rule.costCentre}
+                onChange={(e) => updateRule('costCentre', e.target.value)}
+                style={{ flex: 1 }}
+              />
+            )}
+            {renderMatchInputs(rule, updateRule)}
+            <button type="button" className="remove-btn" onClick={() => setRows(rows.filter((_, i) => i !== index))}>
+              Remove
+            </button>
+          </div>
+        );
+      })}
+      <button type="button" onClick={() => setRows([...rows, { ...emptyRule }])}>
+        Add
+      </button>
+    </div>
+  );
+  
+  if (isEditing) {
+    return (
+      <div className="chart-container">
+        <h3 className="chart-title">Edit Allocation Rules - {accountName}</h3>
+        <form onSubmit={handleSave}>
+          {renderRuleEditor(
+            'Cost centre rules',
+            'Checked in order - the first matching rule assigns the line item to its cost centre.',
+            rules,
+            setRules,
+            EMPTY_RULE,
+            true
+          )}
+          {renderRuleEditor(
+            'Shared costs',
+            'Matching line items are split across cost centres in proportion to their spend in the same month.',
+            sharedRules,
+            setSharedRules,
+            EMPTY_SHARED_RULE,
+            false
+          )}
+          
+          <div className="form-group">
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontWeight: 'normal' }}>
+              <input
+                type="checkbox"
+                checked={splitDiscounts}
+                onChange={(e) => setSplitDiscounts(e.target.checked)}
+                style={{ width: 'auto' }}
+              />
+              Split discounts and credits across cost centres as shared costs
+            </label>
+          </div>
+          
+          {error && <div className="alert">{error}</div>}
+          
+          <div className="form-buttons">
+            <button type="submit">Save Rules</button>
+            <button type="button" onClick={() => setIsEditing(false)} style={{ backgroundColor: '#6b7280' }}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    );
+  }
+  
+  return (
+    <div className="chart-container">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+        <h3 className="chart-title">Chargeback by Cost Centre - {accountName}</h3>
+        <div style={{ display: 'flex', gap: '10px' }}>
+          {hasAllocationRules(currentAllocation) && report.costCentres.length > 0 && (
+            <button onClick={downloadReport}>Download CSV</button>
+          )}
+          <button onClick={startEditing}>{hasAllocationRules(currentAllocation) ? 'Edit Rules' : 'Set Up Rules'}</button>
+        </div>
+      </div>
+      
+      {!hasAllocationRules(currentAllocation) ? (
+        <p style={{ color: '#6b7280', fontSize: '14px', margin: 0 }}>
+          No allocation rules set. Map resources, products, projects or descriptions to cost centres to
+          produce a chargeback report and group the charts by cost centre.
+        </p>
+      ) : (
+        <>
+          <p style={{ fontSize: '14px', margin: '0 0 10px 0', color: '#4b5563' }}>
+            {periodLabel}: {formatCurrency(report.totalAmount)} allocated,
+            including {formatCurrency(report.sharedAmount)} of shared costs split proportionally.
+            {report.unallocatedAmount !== 0 && ` ${formatCurrency(report.unallocatedAmount)} is unallocated, including its share of the shared costs.`}
+          </p>
+          <table>
+            <thead>
+              <tr>
+                <th>Cost Centre</th>
+                <th>Direct</th>
+                <th>Shared</th>
+                <th>Total</th>
+                <th>Share</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.costCentres.map(costCentre => (
+                <tr
+                  key={costCentre.name}
+                  style={costCentre.name === UNALLOCATED_COST_CENTRE ? { color: '#6b7280', fontStyle: 'italic' } : undefined}
+                >
+                  <td>{costCentre.name}</td>
+                  <td>{formatCurrency(costCentre.direct)}</td>
+                  <td>{formatCurrency(costCentre.shared)}</td>
+                  <td>{formatCurrency(costCentre.total)}</td>
+                  <td>{costCentre.share.toFixed(1)}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,224 @@
+import React, { useState, useMemo } from 'react';
+import { formatCurrency } from '../utils/dataUtils';
+import { filterByPeriod, getLineItemMonths } from '../utils/periodUtils';
+import {
+  COMPARISON_DIMENSIONS,
+  filterLineItemsByMonths,
+  compareLineItems,
+  buildWaterfallSteps
+} from '../utils/comparisonUtils';
+import { WaterfallChart } from './charts/WaterfallChart';
+
+// Number of rows in the biggest movers table
+const MOVERS_SHOWN = 15;
+
+// Format a change as a percentage, or "new" when there was no spend before
+const formatPercentChange = (percentChange) => {
+  if (percentChange === null) return 'new';
+  return `${percentChange > 0 ? '+' : ''}${percentChange.toFixed(1)}%`;
+};
+
+// Compare two month ranges of the current account, or two accounts over the selected period
+// accountsData is App's in-memory account cache; in the consolidated view, accounts can also be
+// picked from the account_name tags on the line items
+export const ComparisonView = ({ accountName, lineItems, accountsData, period, onClose }) => {
+  const [mode, setMode] = useState('periods');
+  const [dimension, setDimension] = useState('product');
+  const [baseStart, setBaseStart] = useState('');
+  const [baseEnd, setBaseEnd] = useState('');
+  const [compareStart, setCompareStart] = useState('');
+  const [compareEnd, setCompareEnd] = useState('');
+  const [baseAccount, setBaseAccount] = useState('');
+  const [compareAccount, setCompareAccount] = useState('');
+  
+  const months = useMemo(() => getLineItemMonths(lineItems), [lineItems]);
+  const accountNames = useMemo(() => {
+    const names = new Set(Object.keys(accountsData || {}));
+    (lineItems || []).forEach(item => {
+      if (item.account_name) names.add(item.account_name);
+    });
+    return [...names].sort();
+  }, [accountsData, lineItems]);
+  
+  // Fall back to the last two months, or the first two accounts, until a choice is made
+  const pickMonth = (value, fallback) => (months.includes(value) ? value : fallback);
+  const defaultBaseMonth = months[Math.max(0, months.length - 2)] || '';
+  const defaultCompareMonth = months[months.length - 1] || '';
+  const periods = {
+    baseStart: pickMonth(baseStart, defaultBaseMonth),
+    baseEnd: pickMonth(baseEnd, defaultBaseMonth),
+    compareStart: pickMonth(compareStart, defaultCompareMonth),
+    compareEnd: pickMonth(compareEnd, defaultCompareMonth)
+  };
+  const selectedBaseAccount = accountNames.includes(baseAccount) ? baseAccount : (accountNames[0] || '');
+  const selectedCompareAccount = accountNames.includes(compareAccount) ? compareAccount : (accountNames[1] || '');
+  
+  const comparison = useMemo(() => {
+    // Line items for an account: its cached data, or its tagged items in the consolidated view
+    const getAccountItems = (name) => {
+      const items = accountsData?.[name]?.detailedLineItems ||
+        (lineItems || []).filter(item => item.account_name === name);
+      return filterByPeriod(items, period);
+    };
+    
+    const formatRange = (start, end) => (start === end ? start : `${start} to ${end}`);
+    
+    let baseItems;
+    let compareItems;
+    let baseLabel;
+    let compareLabel;
+    
+    if (mode === 'accounts') {
+      if (!selectedBaseAccount || !selectedCompareAccount) return null;
+      baseItems = getAccountItems(selectedBaseAccount);
+      compareItems = getAccountItems(selectedCompareAccount);
+      baseLabel = selectedBaseAccount;
+      compareLabel = selectedCompareAccount;
+    } else {
+      if (!periods.baseStart || !periods.compareStart) return null;
+      baseItems = filterLineItemsByMonths(lineItems, periods.baseStart, periods.baseEnd);
+      compareItems = filterLineItemsByMonths(lineItems, periods.compareStart, periods.compareEnd);
+      baseLabel = formatRange(periods.baseStart, periods.baseEnd);
+      compareLabel = formatRange(periods.compareStart, periods.compareEnd);
+    }
+    
+    const result = compareLineItems(baseItems, compareItems, dimension);
+    return {
+      ...result,
+      baseLabel,
+      compareLabel,
+      steps: buildWaterfallSteps(result)
+    };
+  }, [
+    mode, dimension, lineItems, accountsData, period, selectedBaseAccount, selectedCompareAccount,
+    periods.baseStart, periods.baseEnd, periods.compareStart, periods.compareEnd
+  ]);
+  
+  // Render a start/end month pair for one side of a period comparison
+  const renderMonthRange = (label, start, end, setStart, setEnd) => (
+    <div className="form-group" style={{ marginBottom: 0 }}>
+      <label>{label}</label>
+      <div style={{ display: 'flex', gap: '5px', alignItems: 'center' }}>
+        <select
+          value={start}
+          onChange={(e) => {
+            setStart(e.target.value);
+            if (end < e.target.value) setEnd(e.target.value);
+          }}
+        >
+          {months.map(month => <option key={month} value={month}>{month}</option>)}
+        </select>
+        to
+        <select value={end} onChange={(e) => setEnd(e.target.value)}>
+          {months.filter(month => month >= start).map(month => <option key={month} value={month}>{month}</option>)}
+        </select>
+      </div>
+    </div>
+  );
+  
+  // Render an account picker for one side of an account comparison
+  const renderAccountPicker = (label, value, setValue) => (
+    <div className="form-group" style={{ marginBottom: 0 }}>
+      <label>{label}</label>
+      <select value={value} onChange={(e) => setValue(e.target.value)}>
+        {accountNames.map(name => <option key={name} value={name}>{name}</option>)}
+      </select>
+    </div>
+  );
+  
+  const dimensionLabel = COMPARISON_DIMENSIONS[dimension].label;
+  
+  return (
+    <div className="chart-container">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+        <h3 className="chart-title">Compare Spend - {accountName}</h3>
+        <button className="close-btn" onClick={onClose}>×</button>
+      </div>
+      
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '20px', alignItems: 'flex-end', marginBottom: '15px' }}>
+        <div className="form-group" style={{ marginBottom: 0 }}>
+          <label>Compare</label>
+          <select value={mode} onChange={(e) => setMode(e.target.value)}>
+            <option value="periods">Two periods</option>
+            <option value="accounts">Two accounts</option>
+          </select>
+        </div>
+        
+        {mode === 'periods' ? (
+          <>
+            {renderMonthRange('Base period', periods.baseStart, periods.baseEnd, setBaseStart, setBaseEnd)}
+            {renderMonthRange('Comparison period', periods.compareStart, periods.compareEnd, setCompareStart, setCompareEnd)}
+          </>
+        ) : (
+          <>
+            {renderAccountPicker('Base account', selectedBaseAccount, setBaseAccount)}
+            {renderAccountPicker('Comparison account', selectedCompareAccount, setCompareAccount)}
+          </>
+        )}
+        
+        <div className="form-group" style={{ marginBottom: 0 }}>
+          <label>Break down by</label>
+          <select value={dimension} onChange={(e) => setDimension(e.target.value)}>
+            {Object.entries(COMPARISON_DIMENSIONS).map(([id, { label }]) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      
+      {mode === 'accounts' && accountNames.length < 2 ? (
+        <p style={{ color: '#6b7280', fontSize: '14px', fontStyle: 'italic' }}>
+          Open at least two accounts (or the All accounts view) to compare them.
+        </p>
+      ) : !comparison ? (
+        <p style={{ color: '#6b7280', fontSize: '14px', fontStyle: 'italic' }}>
+          No line items available to compare.
+        </p>
+      ) : (
+        <>
+          <p style={{ fontSize: '14px', margin: '0 0 10px 0' }}>
+            {comparison.baseLabel}: <strong>{formatCurrency(comparison.baseTotal)}</strong>,{' '}
+            {comparison.compareLabel}: <strong>{formatCurrency(comparison.compareTotal)}</strong>{' '}
+            <span style={{ color: comparison.difference > 0 ? '#ef4444' : '#10b981', fontWeight: '500' }}>
+              ({comparison.difference >= 0 ? '+' : ''}{formatCurrency(comparison.difference)})
+            </span>
+          </p>
+          
+          <div className="chart">
+            <WaterfallChart
+              steps={comparison.steps}
+              baseLabel={comparison.baseLabel}
+              compareLabel={comparison.compareLabel}
+            />
+          </div>
+          
+          <h4 style={{ marginBottom: '10px' }}>Biggest Movers by {dimensionLabel}</h4>
+          <table>
+            <thead>
+              <tr>
+                <th>{dimensionLabel}</th>
+                <th>{comparison.baseLabel}</th>
+                <th>{comparison.compareLabel}</th>
+                <th>Change</th>
+                <th>Change %</th>
+              </tr>
+            </thead>
+            <tbody>
+              {comparison.rows.slice(0, MOVERS_SHOWN).map(row => (
+                <tr key={row.key}>
+                  <td>{row.key}</td>
+                  <td>{formatCurrency(row.baseAmount)}</td>
+                  <td>{formatCurrency(row.compareAmount)}</td>
+                  <td style={{ color: row.difference > 0 ? '#ef4444' : '#10b981', fontWeight: '500' }}>
+                    {row.difference >= 0 ? '+' : ''}{formatCurrency(row.difference)}
+                  </td>
+                  <td>{formatPercentChange(row.percentChange)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
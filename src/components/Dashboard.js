@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { SummaryCards } from './SummaryCards';
 import { MonthlyChart } from './charts/MonthlyChart';
 import { CategoryChart } from './charts/CategoryChart';
@@ -7,41 +7,97 @@ import { ProductChart } from './charts/ProductChart';
 import { DetailedLineItemsChart } from './charts/DetailedLineItemsChart';
 import { LineItemExplorer } from './LineItemExplorer';
 import { InvoiceTable } from './InvoiceTable';
-import { formatCurrency, filterLineItemsByTimeRange } from '../utils/dataUtils';
+import { BudgetPanel } from './BudgetPanel';
+import { ChargebackPanel } from './ChargebackPanel';
+import { AccountChart } from './charts/AccountChart';
+import { ComparisonView } from './ComparisonView';
+import { AnomaliesPanel } from './AnomaliesPanel';
+import { PeriodPicker } from './PeriodPicker';
+import { ReconciliationPanel } from './ReconciliationPanel';
+import { LedgerPanel } from './LedgerPanel';
+import { formatCurrency } from '../utils/dataUtils';
+import { filterByPeriod, getLineItemMonths, resolvePeriod, describePeriod, getPeriodKey } from '../utils/periodUtils';
+import { readUrlState, updateUrlState } from '../utils/urlStateUtils';
+import { processCSVDataForVisualizations } from '../utils/csvUtils';
+import { buildExecutiveReport, openExecutiveReport } from '../utils/reportUtils';
+import { buildBillingWorkbook } from '../utils/xlsxUtils';
+import { loadPreferences, savePreferences } from '../utils/storageUtils';
+import { normalizeBudgets, scaleBudgetsToRange } from '../utils/budgetUtils';
+import { normalizeAllocation, hasAllocationRules, buildChargebackReport } from '../utils/allocationUtils';
+import { detectAnomalies } from '../utils/anomalyUtils';
+import { reconcileInvoices } from '../utils/reconciliationUtils';
+import { buildForecast, describeForecast, FORECAST_MODELS, FORECAST_HORIZONS, DEFAULT_FORECAST_HORIZON } from '../utils/forecastUtils';
 
 export const Dashboard = ({ 
   accountName,
   allInvoices, 
   allInvoiceSummaries, 
+  billingHistory = [],
   detailedLineItems,
   processedData,
   isLoading, 
   error, 
   statusMessage,
   cacheStatus,
-  apiToken, 
-  timeRange, 
+  syncFailures = [],
+  apiCredentials, 
+  getInvoiceCredentials,
+  period, 
   onLogout, 
   onRefresh, 
   onClearCache,
-  onTimeRangeChange,
-  fetchLineItemDetails
+  onPeriodChange,
+  fetchLineItemDetails,
+  budgets,
+  onSaveBudgets,
+  allocation,
+  onSaveAllocation,
+  isConsolidated = false,
+  accountsData = {}
 }) => {
+  // The drill-down and forecast toggle start from the URL, so shared links open the same view
+  const [initialUrlState] = useState(readUrlState);
   const [showDataNotice, setShowDataNotice] = useState(true);
-  const [selectedCategory, setSelectedCategory] = useState(null);
+  const [selectedCategory, setSelectedCategory] = useState(initialUrlState.category);
+  // Extra explorer filters set when drilling into an anomaly ({ month, project })
+  const [explorerFilter, setExplorerFilter] = useState(
+    initialUrlState.month || initialUrlState.project
+      ? { month: initialUrlState.month, project: initialUrlState.project }
+      : null
+  );
   const [filteredLineItems, setFilteredLineItems] = useState([]);
-  const [showForecast, setShowForecast] = useState(true); // New state for forecast toggle
+  const [showForecast, setShowForecast] = useState(initialUrlState.forecast ?? true); // New state for forecast toggle
+  const [forecastModel, setForecastModel] = useState(initialUrlState.forecastModel || 'auto');
+  const [forecastHorizon, setForecastHorizon] = useState(initialUrlState.forecastHorizon || DEFAULT_FORECAST_HORIZON);
+  const [showBacktest, setShowBacktest] = useState(false);
+  const [showComparison, setShowComparison] = useState(false);
+  const [showReconciliation, setShowReconciliation] = useState(false);
+  const [invoiceTab, setInvoiceTab] = useState('invoices');
+  // Incomplete invoices the user chose to see partial totals for, so new gaps still stop the dashboard
+  const [acceptedPartialKey, setAcceptedPartialKey] = useState('');
+  const [projectGroupBy, setProjectGroupBy] = useState('project');
+  const [allocateDiscounts, setAllocateDiscounts] = useState(() => Boolean(loadPreferences().allocateDiscounts));
+  
+  // Resolve the selected period once, against the latest month in the line items, so the charts,
+  // invoice table and explorer all filter to exactly the same months
+  const availableMonths = useMemo(() => getLineItemMonths(detailedLineItems), [detailedLineItems]);
+  const latestMonth = availableMonths[availableMonths.length - 1] || null;
+  const activePeriod = useMemo(
+    () => ({ preset: 'custom', ...resolvePeriod(period, latestMonth) }),
+    [period, latestMonth]
+  );
+  const periodLabel = describePeriod(period, latestMonth);
   
-  // Effect to filter line items by time range
+  // Effect to filter line items by the selected period
   useEffect(() => {
     if (detailedLineItems && detailedLineItems.length > 0) {
-      const filtered = filterLineItemsByTimeRange(detailedLineItems, timeRange);
-      console.log(`Filtered line items by time range: ${filtered.length} of ${detailedLineItems.length} items`);
+      const filtered = filterByPeriod(detailedLineItems, activePeriod);
+      console.log(`Filtered line items by period: ${filtered.length} of ${detailedLineItems.length} items`);
       setFilteredLineItems(filtered);
     } else {
       setFilteredLineItems([]);
     }
-  }, [detailedLineItems, timeRange]);
+  }, [detailedLineItems, activePeriod]);
   
   useEffect(() => {
     // Log details about the processed data for debugging
@@ -55,12 +111,131 @@ export const Dashboard = ({
     }
   }, [processedData]);
 
+  // Project and product totals with discounts spread onto what they apply to, when chosen
+  // The headline totals and monthly trend are net either way, so only the breakdowns change
+  const breakdownData = useMemo(() => {
+    if (!allocateDiscounts || !processedData) return processedData;
+    
+    const netData = processCSVDataForVisualizations(filteredLineItems, null, null, { allocateDiscounts: true });
+    return {
+      ...processedData,
+      projectData: netData.projectData,
+      productData: netData.productData
+    };
+  }, [processedData, filteredLineItems, allocateDiscounts]);
+  
+  // Handle the discount allocation toggle, remembered between visits
+  const toggleAllocateDiscounts = () => {
+    setAllocateDiscounts(!allocateDiscounts);
+    savePreferences({ allocateDiscounts: !allocateDiscounts });
+  };
+
+  // Project and product budgets are monthly; the charts show totals for the whole time range
+  const monthsInView = processedData?.monthlyData?.labels?.length || 1;
+  // Budgets belong to a single account, so the consolidated view has none
+  const currentBudgets = useMemo(() => normalizeBudgets(isConsolidated ? null : budgets), [budgets, isConsolidated]);
+  const projectBudgets = useMemo(
+    () => scaleBudgetsToRange(currentBudgets.projects, monthsInView),
+    [currentBudgets, monthsInView]
+  );
+  const productBudgets = useMemo(
+    () => scaleBudgetsToRange(currentBudgets.products, monthsInView),
+    [currentBudgets, monthsInView]
+  );
+
+  // Allocation rules belong to a single account too; the chargeback covers the line items in view
+  const currentAllocation = useMemo(
+    () => normalizeAllocation(isConsolidated ? null : allocation),
+    [allocation, isConsolidated]
+  );
+  const hasAllocation = hasAllocationRules(currentAllocation);
+  const chargeback = useMemo(
+    () => (hasAllocation ? buildChargebackReport(filteredLineItems, currentAllocation) : null),
+    [filteredLineItems, currentAllocation, hasAllocation]
+  );
+  const isGroupedByCostCentre = hasAllocation && projectGroupBy === 'costCentre';
+
+  // Check the invoices in view against their line items, so partial totals are never shown silently
+  const reconciliation = useMemo(
+    () => reconcileInvoices(filterByPeriod(allInvoices, activePeriod), filteredLineItems, {
+      syncFailures,
+      invoiceSummaries: allInvoiceSummaries,
+      isReduced: cacheStatus.isReduced
+    }),
+    [allInvoices, activePeriod, filteredLineItems, syncFailures, allInvoiceSummaries, cacheStatus.isReduced]
+  );
+  const partialKey = reconciliation.incompleteRows
+    .map(row => `${row.account_name || ''}|${row.invoice_uuid}|${row.lineItemTotal.toFixed(2)}`)
+    .join(',');
+  const isPartial = partialKey !== '';
+  const isPartialBlocked = isPartial && acceptedPartialKey !== partialKey;
+
+  // Anomalies over the monthly totals and each project and product series
+  const anomalies = useMemo(() => (processedData ? detectAnomalies(processedData) : []), [processedData]);
+
+  // Forecast with the selected model and horizon; the summary cards and budgets use its first month
+  const forecast = useMemo(() => {
+    if (!processedData?.monthlyData) return null;
+    return buildForecast(processedData.monthlyData.labels, processedData.monthlyData.values, {
+      model: forecastModel,
+      horizon: forecastHorizon
+    });
+  }, [processedData, forecastModel, forecastHorizon]);
+  const forecastSummary = useMemo(() => {
+    if (!processedData?.summary || !forecast) return processedData?.summary;
+    return {
+      ...processedData.summary,
+      forecastAmount: forecast.points[0].value,
+      confidenceText: describeForecast(forecast)
+    };
+  }, [processedData, forecast]);
+
+  // Keep the drill-down and forecast settings in the URL (defaults are left out)
+  useEffect(() => {
+    updateUrlState({
+      category: selectedCategory,
+      month: explorerFilter?.month,
+      project: explorerFilter?.project,
+      forecast: showForecast ? null : 'off',
+      forecastModel: forecastModel === 'auto' ? null : forecastModel,
+      forecastHorizon: forecastHorizon === DEFAULT_FORECAST_HORIZON ? null : forecastHorizon
+    });
+  }, [selectedCategory, explorerFilter, showForecast, forecastModel, forecastHorizon]);
+
   // Handle category click for drill-down
   const handleCategoryClick = (category) => {
     console.log(`Selected category: ${category}`);
     setSelectedCategory(category);
+    setExplorerFilter(null);
+    // A new drill-down starts with the explorer's default search, sort and grouping
+    updateUrlState({ search: null, sort: null, direction: null, group: null });
+  };
+
+  // Open the line item explorer on the month (and product or project) of an anomaly
+  const handleSelectAnomaly = (anomaly) => {
+    setSelectedCategory(anomaly.type === 'product' ? anomaly.name : null);
+    setExplorerFilter({
+      month: anomaly.month,
+      project: anomaly.type === 'project' ? anomaly.name : null
+    });
+    // An earlier search could hide every line item of the anomaly, so start from the explorer's defaults
+    updateUrlState({ search: null, sort: null, direction: null, group: null });
+    
+    const explorer = document.getElementById('line-item-explorer');
+    if (explorer) {
+      explorer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  };
+
+  // Return from the explorer to the line item chart
+  const closeExplorer = () => {
+    setSelectedCategory(null);
+    setExplorerFilter(null);
+    updateUrlState({ search: null, sort: null, direction: null, group: null });
   };
 
+  const isExploring = Boolean(selectedCategory || explorerFilter);
+
   // Close data notice
   const closeDataNotice = () => {
     setShowDataNotice(false);
@@ -71,16 +246,123 @@ export const Dashboard = ({
     setShowForecast(!showForecast);
   };
 
-  // Custom label for displaying the forecast confidence text based on time range
+  // Custom label for displaying the forecast confidence text based on the selected period
   const getForecastLabel = () => {
     if (!processedData || !processedData.summary) return '';
     
     // For 1-month view, add a special note
-    if (timeRange === '1month') {
+    if (period.preset === '1month') {
       return 'Forecast based on available data trends (may use data outside current view)';
     }
     
-    return processedData.summary.confidenceText || '';
+    const modelText = forecast?.isAutoSelected ? ' (best backtest)' : '';
+    return `${forecastSummary.confidenceText}${modelText}. Shaded band: 80% range.`;
+  };
+
+  // Render each account's spend and share of the organisation total (consolidated view only)
+  const renderAccountBreakdown = () => {
+    const accountData = processedData.accountData || {};
+    const totalAmount = processedData.summary.totalAmount;
+    const sortedAccounts = Object.entries(accountData).sort((a, b) => b[1] - a[1]);
+    
+    return (
+      <div className="chart-container">
+        <h3 className="chart-title">Spend by Account</h3>
+        <div className="chart">
+          <AccountChart
+            months={processedData.monthlyData.labels}
+            accountMonthlyData={processedData.accountMonthlyData || {}}
+            accountData={accountData}
+          />
+        </div>
+        <table style={{ marginTop: '15px' }}>
+          <thead>
+            <tr>
+              <th>Account</th>
+              <th>Spend</th>
+              <th>Share</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sortedAccounts.map(([account, amount]) => (
+              <tr key={account}>
+                <td>{account}</td>
+                <td>{formatCurrency(amount)}</td>
+                <td>{totalAmount !== 0 ? `${((amount / totalAmount) * 100).toFixed(1)}%` : 'N/A'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  // Render the backtest score of each model against the most recent months
+  const renderBacktestResults = () => {
+    if (!forecast || forecast.backtests.length === 0) {
+      return (
+        <p style={{ fontSize: '12px', color: '#6b7280', fontStyle: 'italic' }}>
+          At least five months of data are needed to backtest the forecast models.
+        </p>
+      );
+    }
+    
+    return (
+      <table style={{ marginTop: '10px', fontSize: '13px' }}>
+        <thead>
+          <tr>
+            <th>Model</th>
+            <th>Months Tested</th>
+            <th>Mean Absolute Error</th>
+            <th>Mean % Error</th>
+          </tr>
+        </thead>
+        <tbody>
+          {forecast.backtests.map(result => (
+            <tr key={result.modelId} style={result.modelId === forecast.modelId ? { fontWeight: '600' } : undefined}>
+              <td>{result.modelName}{result.modelId === forecast.modelId && ' (in use)'}</td>
+              <td>{result.points}</td>
+              <td>{formatCurrency(result.mae)}</td>
+              <td>{result.mape === null ? 'N/A' : `${result.mape.toFixed(1)}%`}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  };
+
+  // Download the filtered line items and the monthly, category, project and product breakdowns
+  // as an Excel workbook with one sheet each
+  const downloadBillingWorkbook = async () => {
+    try {
+      const blob = await buildBillingWorkbook(filteredLineItems, breakdownData);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${accountName.replace(/\s+/g, '_').toLowerCase()}_billing_${getPeriodKey(period).replace(/[^a-z0-9-]/gi, '_')}_${new Date().toISOString().slice(0,10)}.xlsx`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error building Excel workbook:', error);
+      alert(`Could not create the Excel file: ${error.message}`);
+    }
+  };
+
+  // Open the printable executive report for the account and period in view
+  const openReport = () => {
+    const reportHtml = buildExecutiveReport({
+      accountName,
+      periodLabel,
+      processedData: { ...breakdownData, summary: forecastSummary },
+      forecast,
+      lineItems: filteredLineItems
+    });
+    
+    if (!openExecutiveReport(reportHtml)) {
+      alert('The report window was blocked. Allow pop-ups for this site to open the report.');
+    }
   };
 
   // Download full billing data as CSV
@@ -113,7 +395,7 @@ export const Dashboard = ({
     const url = window.URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.href = url;
-    link.download = `${accountName.replace(/\s+/g, '_').toLowerCase()}_billing_${timeRange}_${new Date().toISOString().slice(0,10)}.csv`;
+    link.download = `${accountName.replace(/\s+/g, '_').toLowerCase()}_billing_${getPeriodKey(period).replace(/[^a-z0-9-]/gi, '_')}_${new Date().toISOString().slice(0,10)}.csv`;
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
@@ -140,6 +422,57 @@ export const Dashboard = ({
     return null;
   };
 
+  // List invoices that failed to download, so incomplete months are not mistaken for low spend
+  const renderSyncFailures = () => {
+    if (syncFailures.length === 0) return null;
+    
+    const sortedFailures = [...syncFailures].sort((a, b) => (b.invoice_period || '').localeCompare(a.invoice_period || ''));
+    
+    return (
+      <div className="sync-failures">
+        <strong>
+          {syncFailures.length} invoice{syncFailures.length === 1 ? '' : 's'} could not be downloaded - 
+          spend for these months is incomplete.
+        </strong>
+        <ul>
+          {sortedFailures.map(failure => (
+            <li key={failure.invoice_uuid}>
+              {failure.invoice_period || 'Unknown period'} (invoice {failure.invoice_uuid}): {failure.message}
+            </li>
+          ))}
+        </ul>
+        <button onClick={onRefresh} disabled={isLoading}>
+          Retry Failed Invoices
+        </button>
+      </div>
+    );
+  };
+
+  // Stop in place of the charts when line items are missing spend, until the user retries or accepts partial totals
+  const renderPartialTotals = () => (
+    <>
+      <div className="sync-failures">
+        <strong>
+          Spend for {periodLabel} is incomplete - the line items are {formatCurrency(reconciliation.shortfall)} short
+          of the invoice totals, so totals, charts and forecasts would understate it.
+        </strong>
+        <div style={{ display: 'flex', gap: '10px', marginTop: '10px' }}>
+          <button onClick={onRefresh} disabled={isLoading}>
+            Retry Sync
+          </button>
+          <button onClick={() => setAcceptedPartialKey(partialKey)} style={{ backgroundColor: '#6b7280' }}>
+            Show Partial Totals
+          </button>
+        </div>
+      </div>
+      <ReconciliationPanel
+        reconciliation={reconciliation}
+        accountName={accountName}
+        periodLabel={periodLabel}
+      />
+    </>
+  );
+
   return (
     <div className="container">
       <header>
@@ -148,23 +481,25 @@ export const Dashboard = ({
           <span className="account-badge">{accountName}</span>
         </div>
         <div className="controls">
-          <select 
-            id="timeRange" 
-            value={timeRange}
-            onChange={(e) => onTimeRangeChange(e.target.value)}
-          >
-            <option value="1month">Last Month</option>
-            <option value="3months">Last 3 Months</option>
-            <option value="6months">Last 6 Months</option>
-            <option value="12months">Last 12 Months</option>
-            <option value="all">All Time</option>
-          </select>
+          <PeriodPicker period={period} months={availableMonths} onChange={onPeriodChange} />
           <button onClick={onRefresh} disabled={isLoading}>
             Refresh Data
           </button>
           <button onClick={downloadBillingCSV} disabled={isLoading || filteredLineItems.length === 0}>
             Download CSV
           </button>
+          <button onClick={downloadBillingWorkbook} disabled={isLoading || filteredLineItems.length === 0}>
+            Download Excel
+          </button>
+          <button onClick={openReport} disabled={isLoading || !processedData}>
+            Executive Report
+          </button>
+          <button onClick={() => setShowComparison(!showComparison)} disabled={isLoading || detailedLineItems.length === 0}>
+            {showComparison ? 'Hide Comparison' : 'Compare'}
+          </button>
+          <button onClick={() => setShowReconciliation(!showReconciliation)} disabled={isLoading || allInvoices.length === 0}>
+            {showReconciliation ? 'Hide Reconciliation' : 'Reconcile'}
+          </button>
           <button onClick={onClearCache} disabled={isLoading || !cacheStatus.isCached}>
             Clear Cache
           </button>
@@ -176,6 +511,8 @@ export const Dashboard = ({
 
       {showDataNotice && renderDataNotice()}
 
+      {!isLoading && renderSyncFailures()}
+
       {isLoading && (
         <div className="loading-indicator">
           <div className="loading-spinner"></div> Loading {accountName}'s DigitalOcean billing data...
@@ -189,42 +526,136 @@ export const Dashboard = ({
         </div>
       )}
 
-      {!isLoading && processedData && (
+      {!isLoading && processedData && isPartialBlocked && renderPartialTotals()}
+
+      {!isLoading && processedData && !isPartialBlocked && (
         <>
           <div className="time-range-info" style={{ marginBottom: '15px', fontSize: '14px', color: '#666' }}>
-            Showing data for {timeRange === 'all' ? 'all time' : `last ${timeRange}`}
+            Showing data for {periodLabel}
             ({filteredLineItems.length} of {detailedLineItems.length} line items)
+            {isPartial && (
+              <span style={{ marginLeft: '15px', color: '#b45309', fontWeight: '500' }}>
+                Partial totals: {formatCurrency(reconciliation.shortfall)} of invoiced spend is missing.{' '}
+                <button type="button" className="link-btn" onClick={() => setShowReconciliation(true)}>
+                  Review
+                </button>
+              </span>
+            )}
+            {processedData.summary.discountItems > 0 && (
+              <label style={{ marginLeft: '15px', cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={allocateDiscounts}
+                  onChange={toggleAllocateDiscounts}
+                  style={{ marginRight: '5px', width: 'auto' }}
+                />
+                Allocate discounts to projects and products
+              </label>
+            )}
           </div>
 
-          <SummaryCards summary={processedData.summary} accountName={accountName} />
+          {showReconciliation && (
+            <ReconciliationPanel
+              reconciliation={reconciliation}
+              accountName={accountName}
+              periodLabel={periodLabel}
+              onClose={() => setShowReconciliation(false)}
+            />
+          )}
+
+          <SummaryCards summary={forecastSummary} accountName={accountName} />
+
+          {!isConsolidated && (
+            <BudgetPanel
+              accountName={accountName}
+              budgets={budgets}
+              onSaveBudgets={onSaveBudgets}
+              processedData={{ ...breakdownData, summary: forecastSummary }}
+            />
+          )}
+
+          {!isConsolidated && (
+            <ChargebackPanel
+              accountName={accountName}
+              allocation={allocation}
+              onSaveAllocation={onSaveAllocation}
+              report={chargeback}
+              periodLabel={periodLabel}
+            />
+          )}
 
           <div className="chart-container">
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
               <h3 className="chart-title">Monthly Spend Trend - {accountName}</h3>
-              <label style={{ display: 'flex', alignItems: 'center', fontSize: '14px', color: '#666' }}>
-                <input 
-                  type="checkbox" 
-                  checked={showForecast} 
-                  onChange={toggleForecast} 
-                  style={{ marginRight: '5px' }}
-                />
-                Show Next Month Forecast
-              </label>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '10px', fontSize: '14px', color: '#666' }}>
+                <label style={{ display: 'flex', alignItems: 'center' }}>
+                  <input 
+                    type="checkbox" 
+                    checked={showForecast} 
+                    onChange={toggleForecast} 
+                    style={{ marginRight: '5px' }}
+                  />
+                  Show Forecast
+                </label>
+                <select
+                  value={forecastModel}
+                  onChange={(e) => setForecastModel(e.target.value)}
+                  disabled={!showForecast}
+                  aria-label="Forecast model"
+                >
+                  <option value="auto">Auto (best backtest)</option>
+                  {FORECAST_MODELS.map(model => (
+                    <option key={model.id} value={model.id}>{model.name}</option>
+                  ))}
+                </select>
+                <select
+                  value={forecastHorizon}
+                  onChange={(e) => setForecastHorizon(parseInt(e.target.value))}
+                  disabled={!showForecast}
+                  aria-label="Forecast horizon"
+                >
+                  {FORECAST_HORIZONS.map(horizon => (
+                    <option key={horizon} value={horizon}>{horizon} month{horizon === 1 ? '' : 's'}</option>
+                  ))}
+                </select>
+              </div>
             </div>
             <div className="chart">
               <MonthlyChart 
                 data={processedData.monthlyData} 
                 showForecast={showForecast} 
-                forecastAmount={processedData.summary.forecastAmount} 
+                forecast={forecast} 
+                budget={currentBudgets.account}
               />
             </div>
             {showForecast && (
               <div style={{ textAlign: 'right', marginTop: '5px', fontSize: '12px', color: '#666' }}>
-                {getForecastLabel()}
+                {getForecastLabel()}{' '}
+                <button type="button" className="link-btn" onClick={() => setShowBacktest(!showBacktest)}>
+                  {showBacktest ? 'Hide backtest' : 'Show backtest'}
+                </button>
+              </div>
+            )}
+            {showForecast && showBacktest && renderBacktestResults()}
+            {processedData.monthlyData.provisional && (
+              <div style={{ textAlign: 'right', marginTop: '5px', fontSize: '12px', color: '#666' }}>
+                Amber bar: month-to-date spend for {processedData.monthlyData.provisional.label} (provisional, not yet invoiced)
               </div>
             )}
           </div>
 
+          {isConsolidated && renderAccountBreakdown()}
+
+          {showComparison && (
+            <ComparisonView
+              accountName={accountName}
+              lineItems={detailedLineItems}
+              accountsData={accountsData}
+              period={activePeriod}
+              onClose={() => setShowComparison(false)}
+            />
+          )}
+
           <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '20px' }}>
             <div className="chart-container">
               <h3 className="chart-title">Spend by Category</h3>
@@ -233,41 +664,69 @@ export const Dashboard = ({
               </div>
             </div>
             <div className="chart-container">
-              <h3 className="chart-title">Spend by Project</h3>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <h3 className="chart-title">Spend by {isGroupedByCostCentre ? 'Cost Centre' : 'Project'}</h3>
+                {hasAllocation && (
+                  <select value={projectGroupBy} onChange={(e) => setProjectGroupBy(e.target.value)} aria-label="Group by">
+                    <option value="project">By Project</option>
+                    <option value="costCentre">By Cost Centre</option>
+                  </select>
+                )}
+              </div>
               {detailedLineItems.length === 0 && (
                 <div className="note" style={{ marginBottom: "10px", color: "#666", fontSize: "14px" }}>
                   Note: Loading detailed project data from DigitalOcean API...
                 </div>
               )}
               <div className="chart" style={{ height: "400px" }}>
-                <ProjectChart data={processedData.projectData} />
+                {/* Budgets are set per project, so they are only shown on the project grouping */}
+                {isGroupedByCostCentre ? (
+                  <ProjectChart data={chargeback.costCentreData} />
+                ) : (
+                  <ProjectChart
+                    data={breakdownData.projectData}
+                    budgets={projectBudgets}
+                    alertThreshold={currentBudgets.alertThreshold}
+                  />
+                )}
               </div>
             </div>
           </div>
 
+          <AnomaliesPanel
+            anomalies={anomalies}
+            accountName={accountName}
+            onSelectAnomaly={handleSelectAnomaly}
+          />
+
           {/* Detailed Line Items (Interactive) */}
-          <div className="chart-container scrollable">
+          <div className="chart-container scrollable" id="line-item-explorer">
             <h3 className="chart-title">
-              {selectedCategory 
-                ? `Line Items: ${selectedCategory} - ${accountName}` 
+              {isExploring 
+                ? `Line Items: ${selectedCategory || explorerFilter.project || 'All'} - ${accountName}` 
                 : `Detailed Line Items - ${accountName}`}
             </h3>
             <div className="chart" style={{ 
-              height: selectedCategory ? "600px" : "550px",
-              overflowY: selectedCategory ? "auto" : "hidden" // Add scroll when needed
+              height: isExploring ? "600px" : "550px",
+              overflowY: isExploring ? "auto" : "hidden" // Add scroll when needed
             }}>
-              {selectedCategory ? (
+              {isExploring ? (
                 <LineItemExplorer
+                  // A new drill-down remounts the explorer so it reads the reset search, sort and grouping
+                  key={JSON.stringify([selectedCategory, explorerFilter?.month, explorerFilter?.project])}
                   detailedLineItems={detailedLineItems}
                   selectedCategory={selectedCategory}
-                  onBack={() => setSelectedCategory(null)}
-                  timeRange={timeRange}
+                  selectedMonth={explorerFilter?.month}
+                  selectedProject={explorerFilter?.project}
+                  onBack={closeExplorer}
+                  period={activePeriod}
+                  periodLabel={periodLabel}
                   accountName={accountName}
                 />
               ) : (
                 <DetailedLineItemsChart 
                   detailedLineItems={filteredLineItems} // Use filtered line items here
-                  timeRange={timeRange}
+                  periodLabel={periodLabel}
                   onCategoryClick={handleCategoryClick}
                   accountName={accountName}
                 />
@@ -278,16 +737,41 @@ export const Dashboard = ({
           <div className="chart-container">
             <h3 className="chart-title">Spend by Product - {accountName}</h3>
             <div className="chart">
-              <ProductChart data={processedData.productData} />
+              <ProductChart
+                data={breakdownData.productData}
+                budgets={productBudgets}
+                alertThreshold={currentBudgets.alertThreshold}
+              />
             </div>
           </div>
 
-          <InvoiceTable 
-            invoices={allInvoices} 
-            timeRange={timeRange} 
-            apiToken={apiToken}
-            accountName={accountName}
-          />
+          <div className="tab-bar">
+            <button className={`tab-btn ${invoiceTab === 'invoices' ? 'active' : ''}`} onClick={() => setInvoiceTab('invoices')}>
+              Invoices
+            </button>
+            <button className={`tab-btn ${invoiceTab === 'ledger' ? 'active' : ''}`} onClick={() => setInvoiceTab('ledger')}>
+              Ledger
+            </button>
+          </div>
+
+          {invoiceTab === 'ledger' ? (
+            <LedgerPanel
+              billingHistory={billingHistory}
+              invoices={allInvoices}
+              monthToDate={processedData.summary.monthToDate}
+              period={activePeriod}
+              accountName={accountName}
+            />
+          ) : (
+            <InvoiceTable 
+              invoices={allInvoices} 
+              summaries={allInvoiceSummaries}
+              period={activePeriod} 
+              apiCredentials={apiCredentials}
+              getInvoiceCredentials={getInvoiceCredentials}
+              accountName={accountName}
+            />
+          )}
         </>
       )}
     </div>
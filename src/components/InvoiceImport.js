@@ -0,0 +1,131 @@
+import React, { useState, useRef } from 'react';
+
+// Drag-and-drop import of invoice CSV files into an offline account
+// onImport(name, files) throws if nothing could be imported, so the form can show the error
+export const InvoiceImport = ({ onImport, idPrefix = 'import' }) => {
+  const [accountName, setAccountName] = useState('');
+  const [files, setFiles] = useState([]);
+  const [isDragging, setIsDragging] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+  
+  const addFiles = (fileList) => {
+    const added = Array.from(fileList || []);
+    if (added.length === 0) return;
+    
+    // Picking the same file twice keeps only the latest copy
+    setFiles(prevFiles => [
+      ...prevFiles.filter(file => !added.some(addedFile => addedFile.name === file.name)),
+      ...added
+    ]);
+    setError('');
+  };
+  
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    addFiles(e.dataTransfer.files);
+  };
+  
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    setIsDragging(true);
+  };
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!accountName.trim()) {
+      setError('Please enter an account name');
+      return;
+    }
+    
+    if (files.length === 0) {
+      setError('Please choose one or more invoice CSV files');
+      return;
+    }
+    
+    setLoading(true);
+    setError('');
+    
+    try {
+      await onImport(accountName.trim(), files);
+      
+      // Reset form
+      setAccountName('');
+      setFiles([]);
+    } catch (importError) {
+      setError(importError.message || 'Could not import the invoice CSVs');
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  return (
+    <form onSubmit={handleSubmit}>
+      <div className="form-group">
+        <label htmlFor={`${idPrefix}AccountName`}>Account Name:</label>
+        <input
+          type="text"
+          id={`${idPrefix}AccountName`}
+          placeholder="e.g., Production (offline)"
+          value={accountName}
+          onChange={(e) => setAccountName(e.target.value)}
+          disabled={loading}
+        />
+        <small className="form-text">
+          Importing into an existing offline account adds the files to it
+        </small>
+      </div>
+      
+      <div
+        className={`drop-zone ${isDragging ? 'dragging' : ''}`}
+        onDragOver={handleDragOver}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        onClick={() => fileInputRef.current?.click()}
+      >
+        {files.length === 0 ? (
+          <span>Drop invoice CSV files here, or click to choose them</span>
+        ) : (
+          <span>
+            {files.length} file{files.length === 1 ? '' : 's'} selected: {files.map(file => file.name).join(', ')}
+          </span>
+        )}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,text/csv"
+          multiple
+          style={{ display: 'none' }}
+          onChange={(e) => {
+            addFiles(e.target.files);
+            e.target.value = '';
+          }}
+        />
+      </div>
+      <small className="form-text" style={{ marginBottom: '15px' }}>
+        Invoice CSVs from the DigitalOcean control panel or the dashboard. The billing month is read from each file.
+      </small>
+      
+      <div className="form-buttons">
+        <button type="submit" disabled={loading}>
+          {loading ? 'Importing...' : 'Import CSVs'}
+        </button>
+        {files.length > 0 && (
+          <button type="button" onClick={() => setFiles([])} disabled={loading} style={{ backgroundColor: '#6b7280' }}>
+            Clear Files
+          </button>
+        )}
+      </div>
+      
+      {error && (
+        <div className="alert" style={{ marginTop: '10px' }}>
+          <span>{error}</span>
+          <button type="button" className="close-btn" onClick={() => setError('')}>×</button>
+        </div>
+      )}
+    </form>
+  );
+};
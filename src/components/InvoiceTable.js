@@ -1,62 +1,128 @@
-import React from 'react';
-import { formatCurrency, filterInvoicesByTimeRange } from '../utils/dataUtils';
+import React, { useState, useEffect } from 'react';
+import { formatCurrency } from '../utils/dataUtils';
+import { filterByPeriod } from '../utils/periodUtils';
+import {
+  fetchInvoicePDF,
+  fetchInvoiceCSVText,
+  buildInvoiceArchive,
+  getInvoiceFileName,
+  toFileNamePart
+} from '../utils/invoiceDocumentUtils';
 
-export const InvoiceTable = ({ invoices, timeRange, apiToken, accountName }) => {
-  const filteredInvoices = filterInvoicesByTimeRange(invoices, timeRange);
+// Sections of an invoice summary, in the order the control panel lists them
+const SUMMARY_SECTIONS = [
+  { field: 'product_charges', label: 'Product charges' },
+  { field: 'overages', label: 'Overages' },
+  { field: 'taxes', label: 'Taxes' },
+  { field: 'credits_and_adjustments', label: 'Credits and adjustments' }
+];
+
+// Key an invoice or summary by account as well, since the consolidated view mixes accounts
+const getInvoiceKey = (row) => `${row.account_name || ''}|${row.invoice_uuid}`;
+
+// summaries are invoice summaries ({ invoice_uuid, product_charges, overages, taxes, credits_and_adjustments });
+// invoices that have one can be expanded into that breakdown
+// getInvoiceCredentials(invoice) overrides apiCredentials where invoices belong to different accounts
+export const InvoiceTable = ({ invoices, summaries = [], period, apiCredentials, getInvoiceCredentials, accountName }) => {
+  const [expandedKey, setExpandedKey] = useState(null);
+  // Button currently downloading, e.g. "pdf-<uuid>"
+  const [loadingId, setLoadingId] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [archiveProgress, setArchiveProgress] = useState(null);
+  const filteredInvoices = filterByPeriod(invoices, period);
   
-  const downloadInvoiceCSV = async (uuid) => {
-    if (!apiToken) {
-      console.error('No API token found');
-      return;
-    }
-    
+  const summariesByKey = {};
+  summaries.forEach(summary => {
+    summariesByKey[getInvoiceKey(summary)] = summary;
+  });
+  
+  // Credentials to download an invoice with - in the consolidated view each invoice uses its own account's
+  const getCredentials = (invoice) => (getInvoiceCredentials ? getInvoiceCredentials(invoice) : apiCredentials);
+  
+  // Revoke the preview's object URL when it is replaced or the table goes away
+  useEffect(() => {
+    return () => {
+      if (preview?.url) window.URL.revokeObjectURL(preview.url);
+    };
+  }, [preview]);
+  
+  // Save a Blob as a file
+  const saveBlob = (blob, fileName) => {
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+  };
+  
+  const downloadInvoiceCSV = async (invoice) => {
+    setLoadingId(`csv-${invoice.invoice_uuid}`);
     try {
-      // Show a loading indicator
-      const button = document.getElementById(`csv-btn-${uuid}`);
-      if (button) {
-        button.textContent = 'Loading...';
-        button.disabled = true;
-      }
-      
-      const response = await fetch(
-        `https://api.digitalocean.com/v2/customers/my/invoices/${uuid}/csv`,
-        {
-          method: 'GET',
-          headers: {
-            'Authorization': `Bearer ${apiToken}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-      
-      if (!response.ok) throw new Error(`Failed to fetch CSV: ${response.status}`);
-      
-      const csvText = await response.text();
-      const blob = new Blob([csvText], { type: 'text/csv' });
-      const url = window.URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
+      const csvText = await fetchInvoiceCSVText(getCredentials(invoice), invoice.invoice_uuid);
       // Include account name in the file name for easier identification
-      link.download = `${accountName.replace(/\s+/g, '_').toLowerCase()}_invoice_${uuid}_${new Date().toISOString().slice(0,10)}.csv`;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      
-      // Reset the button
-      if (button) {
-        button.textContent = 'CSV';
-        button.disabled = false;
-      }
+      saveBlob(
+        new Blob([csvText], { type: 'text/csv' }),
+        `${toFileNamePart(invoice.account_name || accountName)}_invoice_${invoice.invoice_uuid}_${new Date().toISOString().slice(0,10)}.csv`
+      );
     } catch (err) {
       console.error('Error downloading invoice CSV:', err);
       alert('Failed to download invoice CSV. Check your API token or network.');
+    } finally {
+      setLoadingId(null);
+    }
+  };
+  
+  const downloadInvoicePDF = async (invoice) => {
+    setLoadingId(`pdf-${invoice.invoice_uuid}`);
+    try {
+      const blob = await fetchInvoicePDF(getCredentials(invoice), invoice.invoice_uuid);
+      saveBlob(blob, getInvoiceFileName(accountName, invoice, 'pdf'));
+    } catch (err) {
+      console.error('Error downloading invoice PDF:', err);
+      alert('Failed to download invoice PDF. Check your API token or network.');
+    } finally {
+      setLoadingId(null);
+    }
+  };
+  
+  // Open the invoice PDF in the preview panel
+  const previewInvoicePDF = async (invoice) => {
+    setLoadingId(`preview-${invoice.invoice_uuid}`);
+    try {
+      const blob = await fetchInvoicePDF(getCredentials(invoice), invoice.invoice_uuid);
+      setPreview({ invoice, blob, url: window.URL.createObjectURL(blob) });
+    } catch (err) {
+      console.error('Error loading invoice PDF:', err);
+      alert('Failed to load invoice PDF. Check your API token or network.');
+    } finally {
+      setLoadingId(null);
+    }
+  };
+  
+  // Download the PDF and CSV of every invoice in the selected period as one zip
+  const downloadAllInvoices = async () => {
+    setArchiveProgress({ done: 0, total: sortedInvoices.length });
+    try {
+      const { blob, failures } = await buildInvoiceArchive(sortedInvoices, {
+        accountName,
+        getCredentials,
+        onProgress: (done, total) => setArchiveProgress({ done, total })
+      });
+      const months = sortedInvoices.map(invoice => invoice.invoice_period).filter(Boolean).sort();
+      const range = months.length > 0 ? `${months[0]}_to_${months[months.length - 1]}` : 'all';
+      saveBlob(blob, `${toFileNamePart(accountName)}_invoices_${range}.zip`);
       
-      // Reset the button
-      const button = document.getElementById(`csv-btn-${uuid}`);
-      if (button) {
-        button.textContent = 'CSV';
-        button.disabled = false;
+      if (failures.length > 0) {
+        alert(`Some documents could not be downloaded and are listed in MISSING.txt in the zip:\n${failures.map(failure => `${failure.invoice_period || 'Unknown period'}: ${failure.message}`).join('\n')}`);
       }
+    } catch (err) {
+      console.error('Error downloading invoices:', err);
+      alert(`Failed to download the invoices: ${err.message}`);
+    } finally {
+      setArchiveProgress(null);
     }
   };
 
@@ -69,9 +135,73 @@ export const InvoiceTable = ({ invoices, timeRange, apiToken, accountName }) =>
     return dateB - dateA;
   });
 
+  // Render the breakdown of one invoice from its summary
+  const renderBreakdown = (summary) => (
+    <table style={{ margin: '5px 0 10px 0', fontSize: '13px' }}>
+      <tbody>
+        {SUMMARY_SECTIONS.filter(({ field }) => summary[field]).map(({ field, label }) => (
+          <React.Fragment key={field}>
+            <tr>
+              <td style={{ fontWeight: '500' }}>{summary[field].name || label}</td>
+              <td style={{ textAlign: 'right', fontWeight: '500' }}>{formatCurrency(parseFloat(summary[field].amount) || 0)}</td>
+            </tr>
+            {(summary[field].items || []).map((item, index) => (
+              <tr key={`${field}-${index}`}>
+                <td style={{ paddingLeft: '20px', color: '#4b5563' }}>
+                  {item.name}
+                  {item.count && item.count !== '1' && ` (${item.count})`}
+                </td>
+                <td style={{ textAlign: 'right', color: '#4b5563' }}>{formatCurrency(parseFloat(item.amount) || 0)}</td>
+              </tr>
+            ))}
+          </React.Fragment>
+        ))}
+        <tr>
+          <td style={{ fontWeight: '600' }}>Total</td>
+          <td style={{ textAlign: 'right', fontWeight: '600' }}>{formatCurrency(parseFloat(summary.amount) || 0)}</td>
+        </tr>
+      </tbody>
+    </table>
+  );
+
+  // Render the in-app preview of an invoice PDF
+  const renderPreview = () => (
+    <div style={{ marginBottom: '15px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '5px' }}>
+        <strong>Invoice {preview.invoice.invoice_period || preview.invoice.invoice_uuid}</strong>
+        <div>
+          <button
+            className="csv-btn"
+            onClick={() => saveBlob(preview.blob, getInvoiceFileName(accountName, preview.invoice, 'pdf'))}
+          >
+            Download PDF
+          </button>
+          <button className="close-btn" onClick={() => setPreview(null)}>×</button>
+        </div>
+      </div>
+      <iframe
+        src={preview.url}
+        title={`Invoice ${preview.invoice.invoice_uuid}`}
+        style={{ width: '100%', height: '600px', border: '1px solid #e5e7eb', borderRadius: '4px' }}
+      />
+    </div>
+  );
+  
+  const canDownloadAll = sortedInvoices.length > 0 && sortedInvoices.every(invoice => getCredentials(invoice));
+
   return (
     <div className="table-container">
-      <h3 className="chart-title">Recent Invoices - {accountName}</h3>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h3 className="chart-title">Recent Invoices - {accountName}</h3>
+        {canDownloadAll && (
+          <button onClick={downloadAllInvoices} disabled={Boolean(archiveProgress)}>
+            {archiveProgress
+              ? `Downloading ${archiveProgress.done} of ${archiveProgress.total}...`
+              : 'Download All (PDF + CSV)'}
+          </button>
+        )}
+      </div>
+      {preview && renderPreview()}
       <table>
         <thead>
           <tr>
@@ -90,21 +220,60 @@ export const InvoiceTable = ({ invoices, timeRange, apiToken, accountName }) =>
           ) : (
             sortedInvoices.map(invoice => {
               const amount = parseFloat(invoice.amount) || 0;
+              const key = getInvoiceKey(invoice);
+              const summary = summariesByKey[key];
+              const isExpanded = expandedKey === key;
               return (
-                <tr key={invoice.invoice_uuid}>
-                  <td>{invoice.invoice_uuid || 'Unknown'}</td>
-                  <td>{invoice.invoice_period || 'N/A'}</td>
-                  <td>
-                    {formatCurrency(amount)}
-                    <button 
-                      className="csv-btn"
-                      id={`csv-btn-${invoice.invoice_uuid}`}
-                      onClick={() => downloadInvoiceCSV(invoice.invoice_uuid)}
-                    >
-                      CSV
-                    </button>
-                  </td>
-                </tr>
+                <React.Fragment key={key}>
+                  <tr>
+                    <td>{invoice.invoice_uuid || 'Unknown'}</td>
+                    <td>{invoice.invoice_period || 'N/A'}</td>
+                    <td>
+                      {formatCurrency(amount)}
+                      {/* Imported (offline) invoices have no API credentials to download with */}
+                      {getCredentials(invoice) && (
+                        <>
+                          <button 
+                            className="csv-btn"
+                            onClick={() => downloadInvoiceCSV(invoice)}
+                            disabled={Boolean(loadingId)}
+                          >
+                            {loadingId === `csv-${invoice.invoice_uuid}` ? 'Loading...' : 'CSV'}
+                          </button>
+                          <button
+                            className="csv-btn"
+                            onClick={() => downloadInvoicePDF(invoice)}
+                            disabled={Boolean(loadingId)}
+                          >
+                            {loadingId === `pdf-${invoice.invoice_uuid}` ? 'Loading...' : 'PDF'}
+                          </button>
+                          <button
+                            className="csv-btn"
+                            onClick={() => previewInvoicePDF(invoice)}
+                            disabled={Boolean(loadingId)}
+                          >
+                            {loadingId === `preview-${invoice.invoice_uuid}` ? 'Loading...' : 'Preview'}
+                          </button>
+                        </>
+                      )}
+                      {summary && (
+                        <button
+                          type="button"
+                          className="link-btn"
+                          style={{ marginLeft: '10px' }}
+                          onClick={() => setExpandedKey(isExpanded ? null : key)}
+                        >
+                          {isExpanded ? 'Hide breakdown' : 'Breakdown'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                  {isExpanded && (
+                    <tr>
+                      <td colSpan="3">{renderBreakdown(summary)}</td>
+                    </tr>
+                  )}
+                </React.Fragment>
               );
             })
           )}
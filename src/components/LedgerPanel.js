@@ -0,0 +1,147 @@
+import React, { useState, useMemo } from 'react';
+import { formatCurrency } from '../utils/dataUtils';
+import { getLatestMonth, shiftMonth } from '../utils/periodUtils';
+import { buildLedger, resolveLedgerWindow, LEDGER_STATUSES } from '../utils/ledgerUtils';
+
+const STATUS_COLORS = {
+  settled: '#10b981',
+  outstanding: '#ef4444',
+  surplus: '#6b7280'
+};
+
+// Describe a balance the way the control panel does: positive is owed, negative is credit
+const describeBalance = (balance) => {
+  if (balance > 0.005) return `${formatCurrency(balance)} due`;
+  if (balance < -0.005) return `${formatCurrency(-balance)} in credit`;
+  return formatCurrency(0);
+};
+
+// Billing history ledger: invoices issued, payments and credits by month, with the account balance
+// monthToDate (from fetchMonthToDate) supplies the current account balance the ledger is anchored to
+export const LedgerPanel = ({ billingHistory = [], invoices = [], monthToDate, period, accountName }) => {
+  const [expandedMonth, setExpandedMonth] = useState(null);
+  
+  const accountBalance = monthToDate?.accountBalance ?? null;
+  const accountBalances = monthToDate?.accountBalances ?? null;
+  const ledger = useMemo(
+    () => buildLedger(billingHistory, invoices, { accountBalance, accountBalances }),
+    [billingHistory, invoices, accountBalance, accountBalances]
+  );
+  
+  // Show the months in which the selected billed months were invoiced; without invoices,
+  // the latest activity is taken to be the invoice for the month before it
+  const latestBilledMonth = getLatestMonth(invoices) || (ledger.months[0] ? shiftMonth(ledger.months[0].month, -1) : null);
+  const { start, end } = resolveLedgerWindow(period, latestBilledMonth);
+  const visibleMonths = ledger.months.filter(month => (!start || month.month >= start) && (!end || month.month <= end));
+  const hasAccounts = ledger.events.some(event => event.account_name);
+  
+  // Render the events recorded in one month
+  const renderEvents = (events) => (
+    <table style={{ margin: '5px 0 10px 0', fontSize: '13px' }}>
+      <tbody>
+        {events.map((event, index) => (
+          <tr key={index}>
+            <td>{new Date(event.date).toLocaleDateString()}</td>
+            {hasAccounts && <td>{event.account_name}</td>}
+            <td>{event.type}</td>
+            <td>
+              {event.description}
+              {event.billedPeriod && <span style={{ color: '#6b7280' }}> ({event.billedPeriod})</span>}
+            </td>
+            <td style={{ textAlign: 'right' }}>{formatCurrency(event.amount)}</td>
+            <td style={{ textAlign: 'right', color: '#4b5563' }}>{formatCurrency(event.balance)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+  
+  return (
+    <div className="table-container">
+      <h3 className="chart-title">Billing History - {accountName}</h3>
+      <p style={{ fontSize: '14px', color: '#6b7280', marginTop: 0 }}>
+        {accountBalance !== null ? (
+          <>
+            Account balance: <strong>{describeBalance(accountBalance)}</strong>
+            {monthToDate.monthToDateBalance !== null && (
+              <> ({describeBalance(monthToDate.monthToDateBalance)} including usage so far this month)</>
+            )}
+            {monthToDate.generatedAt && <> as of {new Date(monthToDate.generatedAt).toLocaleString()}</>}.
+          </>
+        ) : (
+          'The current account balance is not available.'
+        )}
+        {Math.abs(ledger.openingBalance) > 0.005 && ledger.events.length > 0 && (
+          <> The billing history starts on {new Date(ledger.events[ledger.events.length - 1].date).toLocaleDateString()} with
+          a balance of {formatCurrency(ledger.openingBalance)} brought forward.</>
+        )}
+      </p>
+      
+      <table>
+        <thead>
+          <tr>
+            <th>Month</th>
+            <th>Invoiced</th>
+            <th>Paid</th>
+            <th>Credits</th>
+            <th>Outstanding</th>
+            <th>Balance</th>
+            <th>Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          {visibleMonths.length === 0 ? (
+            <tr>
+              <td colSpan="7" style={{ textAlign: 'center' }}>
+                {ledger.months.length === 0
+                  ? 'No billing history available - it is downloaded with the invoices, so imported accounts have none'
+                  : 'No billing activity in the selected time period'}
+              </td>
+            </tr>
+          ) : (
+            visibleMonths.map(month => {
+              const isExpanded = expandedMonth === month.month;
+              return (
+                <React.Fragment key={month.month}>
+                  <tr>
+                    <td>
+                      {month.month}
+                      <button
+                        type="button"
+                        className="link-btn"
+                        style={{ marginLeft: '10px' }}
+                        onClick={() => setExpandedMonth(isExpanded ? null : month.month)}
+                      >
+                        {isExpanded ? 'Hide events' : `${month.events.length} event${month.events.length === 1 ? '' : 's'}`}
+                      </button>
+                    </td>
+                    <td>
+                      {formatCurrency(month.invoiced)}
+                      {month.billedPeriods.length > 0 && (
+                        <div style={{ fontSize: '12px', color: '#6b7280' }}>for {month.billedPeriods.join(', ')}</div>
+                      )}
+                    </td>
+                    <td>{formatCurrency(month.paid)}</td>
+                    <td>{formatCurrency(month.credited)}</td>
+                    <td>{formatCurrency(month.outstanding)}</td>
+                    <td>{describeBalance(month.closingBalance)}</td>
+                    <td>
+                      <span style={{ color: STATUS_COLORS[month.status], fontWeight: '500' }}>
+                        {LEDGER_STATUSES[month.status].label}
+                      </span>
+                    </td>
+                  </tr>
+                  {isExpanded && (
+                    <tr>
+                      <td colSpan="7">{renderEvents(month.events)}</td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+};
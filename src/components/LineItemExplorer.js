@@ -1,69 +1,77 @@
 import React, { useState, useEffect } from 'react';
-import { formatCurrency, extractMonetaryValue, filterLineItemsByTimeRange } from '../utils/dataUtils';
+import { formatCurrency, getItemProject, isDiscountItem, categorizeDiscountItem } from '../utils/dataUtils';
+import { filterByPeriod, getItemMonth, getPeriodKey } from '../utils/periodUtils';
+import { readUrlState, updateUrlState } from '../utils/urlStateUtils';
 
+// selectedMonth and selectedProject narrow the explorer further, e.g. when opened from an anomaly
 export const LineItemExplorer = ({ 
   detailedLineItems,
   selectedCategory,
+  selectedMonth = null,
+  selectedProject = null,
   onBack,
-  timeRange
+  period,
+  periodLabel
 }) => {
+  // Search, sort and grouping start from the URL, so shared links open the same view
+  const [initialUrlState] = useState(readUrlState);
   const [filteredItems, setFilteredItems] = useState([]);
-  const [sortField, setSortField] = useState('amount');
-  const [sortDirection, setSortDirection] = useState('desc');
-  const [groupBy, setGroupBy] = useState('none');
-  const [searchTerm, setSearchTerm] = useState('');
+  const [sortField, setSortField] = useState(initialUrlState.sort || 'amount');
+  const [sortDirection, setSortDirection] = useState(initialUrlState.direction || 'desc');
+  const [groupBy, setGroupBy] = useState(initialUrlState.group || 'none');
+  const [searchTerm, setSearchTerm] = useState(initialUrlState.search || '');
   const [totalAmount, setTotalAmount] = useState(0);
   const [groupedData, setGroupedData] = useState(null);
-  const [monetaryField, setMonetaryField] = useState('amount'); // Will be updated based on data
+  
+  // Line items are tagged with their account in the consolidated view
+  const hasAccounts = (detailedLineItems || []).some(item => item.account_name);
+
+  // Keep search, sort and grouping in the URL, leaving out the defaults
+  useEffect(() => {
+    updateUrlState({
+      search: searchTerm,
+      sort: sortField === 'amount' ? null : sortField,
+      direction: sortDirection === 'desc' ? null : sortDirection,
+      group: groupBy === 'none' ? null : groupBy
+    });
+  }, [searchTerm, sortField, sortDirection, groupBy]);
 
   // Process and filter line items when data changes
   useEffect(() => {
-    if (!detailedLineItems || detailedLineItems.length === 0 || !selectedCategory) {
+    if (!detailedLineItems || detailedLineItems.length === 0 || (!selectedCategory && !selectedProject && !selectedMonth)) {
       setFilteredItems([]);
       setTotalAmount(0);
       return;
     }
 
-    console.log(`Filtering line items for product/category: ${selectedCategory}`);
+    console.log(`Filtering line items for product/category: ${selectedCategory}, project: ${selectedProject}, month: ${selectedMonth}`);
     console.log(`Total line items before filtering: ${detailedLineItems.length}`);
 
-    // Apply time range filter first
-    const timeFilteredItems = filterLineItemsByTimeRange(detailedLineItems, timeRange);
-    console.log(`Items after time range filtering: ${timeFilteredItems.length}`);
-    
-    // Find the monetary field if we don't have it yet
-    if (timeFilteredItems.length > 0 && sortField === 'amount') {
-      // Find a sample item that has a monetary value
-      for (const item of timeFilteredItems) {
-        const monetaryValue = extractMonetaryValue(item);
-        if (monetaryValue > 0) {
-          // Look for which field contains this value
-          for (const [key, value] of Object.entries(item)) {
-            if (parseFloat(value) === monetaryValue) {
-              console.log(`Found monetary field: ${key}`);
-              setSortField(key);
-              setMonetaryField(key);
-              break;
-            }
-          }
-          break;
-        }
-      }
-    }
+    // Apply the period filter first - a specific month replaces the period
+    const timeFilteredItems = selectedMonth
+      ? detailedLineItems.filter(item => getItemMonth(item) === selectedMonth)
+      : filterByPeriod(detailedLineItems, period);
+    console.log(`Items after period filtering: ${timeFilteredItems.length}`);
+
+    // Narrow to a single project if requested
+    const projectFilteredItems = selectedProject
+      ? timeFilteredItems.filter(item => getItemProject(item) === selectedProject)
+      : timeFilteredItems;
 
     // Improved filtering logic for products
-    let items = timeFilteredItems.filter(item => {
+    let items = !selectedCategory ? projectFilteredItems : projectFilteredItems.filter(item => {
       // Get values from multiple potential fields
-      const itemProduct = item.product || '';
-      const itemCategory = item.category || '';
-      const itemName = item.name || '';
-      const itemDescription = item.description || '';
-      const itemGroupDescription = item.group_description || '';
+      const itemProduct = item.product;
+      const itemCategory = item.category;
+      const itemDescription = item.description;
+      const itemGroupDescription = item.group_description;
+      
+      // Discount buckets such as "IaaS Discount" are not a field of any item - the charts group discounts under them
+      if (isDiscountItem(item) && categorizeDiscountItem(item) === selectedCategory) return true;
       
       // First try exact match (which is preferred for products)
       if (itemProduct === selectedCategory) return true;
       if (itemCategory === selectedCategory) return true;
-      if (itemName === selectedCategory) return true;
       if (itemDescription === selectedCategory) return true;
       if (itemGroupDescription === selectedCategory) return true;
       
@@ -79,7 +87,6 @@ export const LineItemExplorer = ({
       // Only use partial matches for other fields if necessary
       // This avoids overly broad matches
       if (itemCategory && itemCategory.includes(selectedCategory)) return true;
-      if (itemName && itemName.includes(selectedCategory)) return true;
       if (itemDescription && itemDescription.includes(selectedCategory)) return true;
       if (itemGroupDescription && itemGroupDescription.includes(selectedCategory)) return true;
       
@@ -89,19 +96,17 @@ export const LineItemExplorer = ({
     console.log(`Items after category filtering: ${items.length}`);
     
     // Log a sample item to understand what's matching
-    if (items.length > 0) {
+    if (items.length > 0 && selectedCategory) {
       console.log("Sample matching item:", items[0]);
       
       // Check which field matched
       const matchedOn = 
         items[0].product === selectedCategory ? "product (exact)" :
         items[0].category === selectedCategory ? "category (exact)" :
-        items[0].name === selectedCategory ? "name (exact)" :
         items[0].description === selectedCategory ? "description (exact)" :
         items[0].group_description === selectedCategory ? "group_description (exact)" :
         items[0].product && items[0].product.includes(selectedCategory) ? "product (partial)" :
         items[0].category && items[0].category.includes(selectedCategory) ? "category (partial)" :
-        items[0].name && items[0].name.includes(selectedCategory) ? "name (partial)" :
         items[0].description && items[0].description.includes(selectedCategory) ? "description (partial)" :
         items[0].group_description && items[0].group_description.includes(selectedCategory) ? "group_description (partial)" :
         "unknown";
@@ -126,7 +131,7 @@ export const LineItemExplorer = ({
     items = sortData(items, sortField, sortDirection);
 
     // Calculate total
-    const total = items.reduce((sum, item) => sum + extractMonetaryValue(item), 0);
+    const total = items.reduce((sum, item) => sum + item.amount, 0);
     setTotalAmount(total);
     
     // Group data if needed
@@ -138,21 +143,20 @@ export const LineItemExplorer = ({
     }
 
     setFilteredItems(items);
-  }, [detailedLineItems, selectedCategory, searchTerm, sortField, sortDirection, groupBy, timeRange]);
+  }, [detailedLineItems, selectedCategory, selectedMonth, selectedProject, searchTerm, sortField, sortDirection, groupBy, period]);
 
   // Sort data by field
   const sortData = (data, field, direction) => {
     return [...data].sort((a, b) => {
       let valueA, valueB;
       
-      if (field === 'amount' || field === 'USD' || field === monetaryField) {
-        valueA = extractMonetaryValue(a);
-        valueB = extractMonetaryValue(b);
+      if (field === 'amount') {
+        valueA = a.amount;
+        valueB = b.amount;
       } else if (field === 'hours') {
-        valueA = parseFloat(a.hours) || 0;
-        valueB = parseFloat(b.hours) || 0;
-      } else if (field === 'date' || field === 'start' || field === 'end') {
-        // Use any available date field
+        valueA = a.hours ?? 0;
+        valueB = b.hours ?? 0;
+      } else if (field === 'start' || field === 'end') {
         valueA = new Date(a[field] || 0);
         valueB = new Date(b[field] || 0);
       } else {
@@ -176,7 +180,7 @@ export const LineItemExplorer = ({
       let groupValue;
       
       if (field === 'project') {
-        groupValue = item.project_name || 'Unassigned';
+        groupValue = getItemProject(item);
       } else if (field === 'month') {
         // Use invoice_period directly if available
         if (item.invoice_period) {
@@ -193,7 +197,7 @@ export const LineItemExplorer = ({
           groupValue = 'Unknown Date';
         }
       } else if (field === 'product') {
-        groupValue = item.product || 'Unknown';
+        groupValue = item.product;
       } else if (field === 'category') {
         groupValue = item.category || 'Unknown';
       } else {
@@ -208,7 +212,7 @@ export const LineItemExplorer = ({
       }
       
       grouped[groupValue].items.push(item);
-      grouped[groupValue].totalAmount += extractMonetaryValue(item);
+      grouped[groupValue].totalAmount += item.amount;
     });
     
     return grouped;
@@ -230,6 +234,13 @@ export const LineItemExplorer = ({
     return sortDirection === 'asc' ? ' ↑' : ' ↓';
   };
 
+  // Title describing what is being explored, e.g. "Droplets - Project: web - 2024-03"
+  const explorerTitle = [
+    selectedCategory,
+    selectedProject && `Project: ${selectedProject}`,
+    selectedMonth
+  ].filter(Boolean).join(' - ');
+
   // For download as CSV
   const downloadAsCSV = () => {
     if (filteredItems.length === 0) {
@@ -261,7 +272,7 @@ export const LineItemExplorer = ({
     const url = window.URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.href = url;
-    link.download = `${selectedCategory.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_details_${timeRange}.csv`;
+    link.download = `${explorerTitle.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_details_${selectedMonth || getPeriodKey(period).replace(/[^a-z0-9-]/gi, '_')}.csv`;
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
@@ -272,7 +283,7 @@ export const LineItemExplorer = ({
       {/* Header with controls */}
       <div className="explorer-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px' }}>
         <h3 style={{ margin: 0 }}>
-          {selectedCategory} Details 
+          {explorerTitle} Details 
           <span style={{ fontSize: '14px', fontWeight: 'normal', marginLeft: '10px' }}>
             ({filteredItems.length} items, {formatCurrency(totalAmount)})
           </span>
@@ -311,11 +322,12 @@ export const LineItemExplorer = ({
           <option value="month">Group by Month</option>
           <option value="product">Group by Product</option>
           <option value="category">Group by Category</option>
+          {hasAccounts && <option value="account_name">Group by Account</option>}
         </select>
       </div>
       
       <div style={{ fontSize: '14px', marginBottom: '15px', color: '#6b7280' }}>
-        Showing data for {timeRange === 'all' ? 'all time' : `the last ${timeRange}`}
+        Showing data for {selectedMonth || periodLabel}
       </div>
       
       {/* Data display - grouped or table */}
@@ -350,8 +362,8 @@ export const LineItemExplorer = ({
                         <th style={{ cursor: 'pointer' }} onClick={() => handleSort('hours')}>
                           Hours{renderSortIndicator('hours')}
                         </th>
-                        <th style={{ cursor: 'pointer', textAlign: 'right' }} onClick={() => handleSort(monetaryField)}>
-                          Amount{renderSortIndicator(monetaryField)}
+                        <th style={{ cursor: 'pointer', textAlign: 'right' }} onClick={() => handleSort('amount')}>
+                          Amount{renderSortIndicator('amount')}
                         </th>
                       </tr>
                     </thead>
@@ -360,8 +372,8 @@ export const LineItemExplorer = ({
                         <tr key={i}>
                           <td>{item.description || 'No description'}</td>
                           <td>{item.product || 'N/A'}</td>
-                          <td>{item.hours || 'N/A'}</td>
-                          <td style={{ textAlign: 'right' }}>{formatCurrency(extractMonetaryValue(item))}</td>
+                          <td>{item.hours ?? 'N/A'}</td>
+                          <td style={{ textAlign: 'right' }}>{formatCurrency(item.amount)}</td>
                         </tr>
                       ))}
                     </tbody>
@@ -387,8 +399,8 @@ export const LineItemExplorer = ({
                 <th style={{ cursor: 'pointer' }} onClick={() => handleSort('hours')}>
                   Hours{renderSortIndicator('hours')}
                 </th>
-                <th style={{ cursor: 'pointer', textAlign: 'right' }} onClick={() => handleSort(monetaryField)}>
-                  Amount{renderSortIndicator(monetaryField)}
+                <th style={{ cursor: 'pointer', textAlign: 'right' }} onClick={() => handleSort('amount')}>
+                  Amount{renderSortIndicator('amount')}
                 </th>
               </tr>
             </thead>
@@ -396,7 +408,7 @@ export const LineItemExplorer = ({
               {filteredItems.length === 0 ? (
                 <tr>
                   <td colSpan="5" style={{ textAlign: 'center', padding: '20px' }}>
-                    <p>No detailed line items found for {selectedCategory}.</p>
+                    <p>No detailed line items found for {explorerTitle}.</p>
                     <div style={{ marginTop: '10px', fontSize: '13px', color: '#666' }}>
                       This could be because:
                       <ul style={{ textAlign: 'left', marginTop: '5px' }}>
@@ -412,9 +424,9 @@ export const LineItemExplorer = ({
                   <tr key={index}>
                     <td>{item.description || 'No description'}</td>
                     <td>{item.product || 'N/A'}</td>
-                    <td>{item.project_name || 'Unassigned'}</td>
-                    <td>{item.hours || 'N/A'}</td>
-                    <td style={{ textAlign: 'right' }}>{formatCurrency(extractMonetaryValue(item))}</td>
+                    <td>{getItemProject(item)}</td>
+                    <td>{item.hours ?? 'N/A'}</td>
+                    <td style={{ textAlign: 'right' }}>{formatCurrency(item.amount)}</td>
                   </tr>
                 ))
               )}
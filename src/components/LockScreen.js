@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+
+export const LockScreen = ({ onUnlock, onReset }) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [unlocking, setUnlocking] = useState(false);
+  const [error, setError] = useState('');
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!passphrase) {
+      setError('Please enter your passphrase');
+      return;
+    }
+    
+    setUnlocking(true);
+    setError('');
+    
+    // Key derivation is deliberately slow, so this can take a moment
+    const unlocked = await onUnlock(passphrase);
+    
+    setUnlocking(false);
+    if (!unlocked) {
+      setError('Incorrect passphrase');
+      setPassphrase('');
+    }
+  };
+  
+  const handleReset = () => {
+    if (window.confirm('Forgot your passphrase? Encrypted data cannot be recovered. This removes all stored accounts and cached billing data from this browser.')) {
+      onReset();
+    }
+  };
+  
+  return (
+    <div className="form-container">
+      <h2 className="form-title">DigitalOcean FinOps Dashboard</h2>
+      <p className="intro-text">
+        This dashboard is locked. Enter your passphrase to decrypt your stored accounts and billing data.
+      </p>
+      
+      <form onSubmit={handleSubmit}>
+        <div className="form-group">
+          <label htmlFor="unlockPassphrase">Passphrase:</label>
+          <input
+            type="password"
+            id="unlockPassphrase"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            disabled={unlocking}
+            autoFocus
+          />
+        </div>
+        
+        <button
+          type="submit"
+          style={{ width: '100%' }}
+          disabled={unlocking}
+        >
+          {unlocking ? 'Unlocking...' : 'Unlock'}
+        </button>
+      </form>
+      
+      {error && (
+        <div className="alert" style={{ marginTop: '20px' }}>
+          <span>{error}</span>
+          <button className="close-btn" onClick={() => setError('')}>×</button>
+        </div>
+      )}
+      
+      <div style={{ marginTop: '30px', fontSize: '0.9em', color: '#666', textAlign: 'center' }}>
+        <button type="button" className="link-btn" onClick={handleReset}>
+          Forgot passphrase? Reset this browser's data
+        </button>
+      </div>
+    </div>
+  );
+};
@@ -1,12 +1,18 @@
 import React, { useState } from 'react';
+import { isVaultMode } from '../utils/apiUtils';
+import { InvoiceImport } from './InvoiceImport';
+import { BackupRestore } from './BackupRestore';
 
-export const LoginForm = ({ onAddAccount }) => {
+// onSaveProxyKey(key) is passed when the proxy needs its access key before the vault can be used;
+// the form then asks for the key instead of a new account
+export const LoginForm = ({ onAddAccount, onImportAccount, onRestoreBackup, onSaveProxyKey, connectionError }) => {
   const [accountName, setAccountName] = useState('');
   const [apiToken, setApiToken] = useState('');
+  const [proxyKey, setProxyKey] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     
     if (!accountName.trim()) {
@@ -22,13 +28,31 @@ export const LoginForm = ({ onAddAccount }) => {
     setLoading(true);
     setError('');
     
-    // Call parent function to handle the new account
-    onAddAccount(accountName.trim(), apiToken.trim());
+    try {
+      // Call parent function to handle the new account (registers it with the vault in vault mode)
+      await onAddAccount(accountName.trim(), apiToken.trim());
+      
+      // Reset form
+      setAccountName('');
+      setApiToken('');
+    } catch (addError) {
+      setError(addError.message || 'Could not add account');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleProxyKeySubmit = (e) => {
+    e.preventDefault();
     
-    // Reset form
-    setAccountName('');
-    setApiToken('');
-    setLoading(false);
+    if (!proxyKey.trim()) {
+      setError('Please enter the proxy access key');
+      return;
+    }
+    
+    setError('');
+    onSaveProxyKey(proxyKey.trim());
+    setProxyKey('');
   };
 
   const closeError = () => {
@@ -43,47 +67,70 @@ export const LoginForm = ({ onAddAccount }) => {
         You'll need an API token with read access to your billing data.
       </p>
       
-      <form onSubmit={handleSubmit}>
-        <div className="form-group">
-          <label htmlFor="accountName">Account Name:</label>
-          <input 
-            type="text" 
-            id="accountName" 
-            placeholder="e.g., Production, Development, etc."
-            value={accountName}
-            onChange={(e) => setAccountName(e.target.value)}
-            disabled={loading}
-            required
-          />
-          <small className="form-text">
-            Give this account a meaningful name to identify it later
-          </small>
-        </div>
-        
-        <div className="form-group">
-          <label htmlFor="apiToken">DigitalOcean API Token:</label>
-          <input 
-            type="password" 
-            id="apiToken" 
-            placeholder="Enter your API token"
-            value={apiToken}
-            onChange={(e) => setApiToken(e.target.value)}
+      {onSaveProxyKey ? (
+        <form onSubmit={handleProxyKeySubmit}>
+          <div className="form-group">
+            <label htmlFor="proxyKey">Proxy Access Key:</label>
+            <input
+              type="password"
+              id="proxyKey"
+              placeholder="Enter the key printed by the proxy"
+              value={proxyKey}
+              onChange={(e) => setProxyKey(e.target.value)}
+              required
+            />
+            <small className="form-text">
+              The proxy prints its access key when it starts, or uses PROXY_ACCESS_KEY if it is set
+            </small>
+          </div>
+          
+          <button type="submit" style={{ width: '100%' }}>
+            Unlock Token Vault
+          </button>
+        </form>
+      ) : (
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label htmlFor="accountName">Account Name:</label>
+            <input 
+              type="text" 
+              id="accountName" 
+              placeholder="e.g., Production, Development, etc."
+              value={accountName}
+              onChange={(e) => setAccountName(e.target.value)}
+              disabled={loading}
+              required
+            />
+            <small className="form-text">
+              Give this account a meaningful name to identify it later
+            </small>
+          </div>
+          
+          <div className="form-group">
+            <label htmlFor="apiToken">DigitalOcean API Token:</label>
+            <input 
+              type="password" 
+              id="apiToken" 
+              placeholder="Enter your API token"
+              value={apiToken}
+              onChange={(e) => setApiToken(e.target.value)}
+              disabled={loading}
+              required
+            />
+            <small className="form-text">
+              Create a read-only token in your DigitalOcean account settings
+            </small>
+          </div>
+          
+          <button 
+            type="submit" 
+            style={{ width: '100%' }}
             disabled={loading}
-            required
-          />
-          <small className="form-text">
-            Create a read-only token in your DigitalOcean account settings
-          </small>
-        </div>
-        
-        <button 
-          type="submit" 
-          style={{ width: '100%' }}
-          disabled={loading}
-        >
-          {loading ? 'Connecting...' : 'Connect Account'}
-        </button>
-      </form>
+          >
+            {loading ? 'Connecting...' : 'Connect Account'}
+          </button>
+        </form>
+      )}
       
       {error && (
         <div className="alert" style={{ marginTop: '20px' }}>
@@ -92,8 +139,31 @@ export const LoginForm = ({ onAddAccount }) => {
         </div>
       )}
 
+      {!error && connectionError && (
+        <div className="alert" style={{ marginTop: '20px' }}>
+          <span>{connectionError}</span>
+        </div>
+      )}
+
+      <div style={{ marginTop: '30px', paddingTop: '20px', borderTop: '1px solid #e5e7eb' }}>
+        <h3 style={{ marginTop: 0 }}>No API token?</h3>
+        <p className="intro-text">
+          Import invoice CSVs downloaded from the DigitalOcean control panel to explore them in an offline account.
+        </p>
+        <InvoiceImport onImport={onImportAccount} idPrefix="loginImport" />
+      </div>
+
+      <div style={{ marginTop: '30px', paddingTop: '20px', borderTop: '1px solid #e5e7eb' }}>
+        <h3 style={{ marginTop: 0 }}>Moving from another browser?</h3>
+        <BackupRestore onRestoreBackup={onRestoreBackup} />
+      </div>
+
       <div className="data-security-note" style={{ marginTop: '30px', fontSize: '0.9em', color: '#666' }}>
-        <p><strong>Note:</strong> Your API tokens are stored only in your browser's local storage and are never sent to any third-party servers.</p>
+        {isVaultMode() ? (
+          <p><strong>Note:</strong> Your API tokens are stored in the dashboard server's token vault. This browser only keeps an opaque account ID, plus any imported invoice CSVs.</p>
+        ) : (
+          <p><strong>Note:</strong> Your API tokens are stored only in your browser's local storage and are never sent to any third-party servers.</p>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,82 @@
+import React from 'react';
+import { PERIOD_PRESETS, FISCAL_PRESETS } from '../utils/periodUtils';
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Period selector for the dashboard header: presets, a custom start/end month range, and the
+// fiscal year start month for the quarter and fiscal year presets
+// months is the list of billed months (YYYY-MM) available to pick from
+export const PeriodPicker = ({ period, months, onChange }) => {
+  const latestMonth = months[months.length - 1] || '';
+  
+  const handlePresetChange = (preset) => {
+    if (preset === 'custom') {
+      // Start the custom range from the months the current data covers
+      onChange({
+        ...period,
+        preset,
+        start: period.start || months[Math.max(0, months.length - 6)] || null,
+        end: period.end || latestMonth || null
+      });
+    } else {
+      onChange({ ...period, preset });
+    }
+  };
+  
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '5px' }}>
+      <select
+        id="period"
+        value={period.preset}
+        onChange={(e) => handlePresetChange(e.target.value)}
+        aria-label="Period"
+      >
+        {PERIOD_PRESETS.map(preset => (
+          <option key={preset.id} value={preset.id}>{preset.label}</option>
+        ))}
+      </select>
+      
+      {period.preset === 'custom' && (
+        <>
+          <select
+            value={period.start || ''}
+            onChange={(e) => onChange({
+              ...period,
+              start: e.target.value,
+              end: period.end && period.end < e.target.value ? e.target.value : period.end
+            })}
+            aria-label="Start month"
+          >
+            {months.map(month => <option key={month} value={month}>{month}</option>)}
+          </select>
+          to
+          <select
+            value={period.end || ''}
+            onChange={(e) => onChange({ ...period, end: e.target.value })}
+            aria-label="End month"
+          >
+            {months.filter(month => !period.start || month >= period.start).map(month => (
+              <option key={month} value={month}>{month}</option>
+            ))}
+          </select>
+        </>
+      )}
+      
+      {FISCAL_PRESETS.includes(period.preset) && (
+        <select
+          value={period.fiscalYearStart}
+          onChange={(e) => onChange({ ...period, fiscalYearStart: parseInt(e.target.value) })}
+          aria-label="Fiscal year starts in"
+          title="Fiscal year starts in"
+        >
+          {MONTH_NAMES.map((name, index) => (
+            <option key={name} value={index + 1}>FY starts {name}</option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { formatCurrency } from '../utils/dataUtils';
+import { RECONCILIATION_STATUSES } from '../utils/reconciliationUtils';
+
+const STATUS_COLORS = {
+  matched: '#10b981',
+  rounding: '#10b981',
+  tax: '#6b7280',
+  failed: '#ef4444',
+  missing: '#ef4444',
+  truncated: '#f59e0b',
+  mismatch: '#ef4444'
+};
+
+// Per-invoice comparison of the line item totals with the invoice totals
+export const ReconciliationPanel = ({ reconciliation, accountName, periodLabel, onClose }) => {
+  const [showAll, setShowAll] = useState(false);
+  
+  const { rows, incompleteRows, invoiceTotal, lineItemTotal } = reconciliation;
+  const visibleRows = showAll ? rows : incompleteRows;
+  const hasAccounts = rows.some(row => row.account_name);
+  const hasSummaries = rows.some(row => row.summaryAmount !== null);
+  
+  return (
+    <div className="table-container">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h3 className="chart-title">Invoice Reconciliation - {accountName}</h3>
+        {onClose && <button className="close-btn" onClick={onClose}>×</button>}
+      </div>
+      <p style={{ fontSize: '14px', color: '#6b7280', marginTop: 0 }}>
+        Line items for {periodLabel} add up to <strong>{formatCurrency(lineItemTotal)}</strong> against
+        invoice totals of <strong>{formatCurrency(invoiceTotal)}</strong>.{' '}
+        {incompleteRows.length === 0
+          ? 'Every invoice is accounted for.'
+          : `${incompleteRows.length} of ${rows.length} invoice${rows.length === 1 ? '' : 's'} ${incompleteRows.length === 1 ? 'is' : 'are'} missing spend.`}
+      </p>
+      
+      {visibleRows.length > 0 && (
+        <table>
+          <thead>
+            <tr>
+              <th>Period</th>
+              {hasAccounts && <th>Account</th>}
+              <th>Invoice</th>
+              <th>Invoice Total</th>
+              {hasSummaries && <th>Summary Total</th>}
+              <th>Line Items</th>
+              <th>Difference</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleRows.map(row => (
+              <tr key={`${row.account_name || ''}-${row.invoice_uuid}`}>
+                <td>{row.invoice_period || 'Unknown'}</td>
+                {hasAccounts && <td>{row.account_name}</td>}
+                <td style={{ fontSize: '12px' }}>{row.invoice_uuid}</td>
+                <td>{formatCurrency(row.invoiceAmount)}</td>
+                {hasSummaries && <td>{row.summaryAmount !== null ? formatCurrency(row.summaryAmount) : 'N/A'}</td>}
+                <td>{formatCurrency(row.lineItemTotal)} ({row.itemCount})</td>
+                <td>{formatCurrency(row.difference)}</td>
+                <td>
+                  <span style={{ color: STATUS_COLORS[row.status], fontWeight: '500' }}>
+                    {RECONCILIATION_STATUSES[row.status].label}
+                  </span>
+                  {row.reason && <div style={{ fontSize: '12px', color: '#6b7280' }}>{row.reason}</div>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      
+      {rows.length > incompleteRows.length && (
+        <div style={{ textAlign: 'center', marginTop: '10px' }}>
+          <button type="button" className="link-btn" onClick={() => setShowAll(!showAll)}>
+            {showAll ? 'Show only invoices missing spend' : `Show all ${rows.length} invoices`}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -10,7 +10,8 @@ export const SummaryCards = ({ summary, accountName }) => {
     totalDiscountAmount = 0,
     trendText, 
     forecastAmount, 
-    confidenceText 
+    confidenceText,
+    monthToDate = null
   } = summary;
 
   // Calculate gross amount (before discounts)
@@ -149,6 +150,22 @@ export const SummaryCards = ({ summary, accountName }) => {
         </p>
       </div>
       
+      {/* Spend so far in the month that has not been invoiced yet */}
+      {monthToDate && (
+        <div className="card">
+          <h3 className="card-title">Month-to-date</h3>
+          <p className="card-value">{formatCurrency(monthToDate.amount)}</p>
+          <p className="card-note" style={{ color: '#6b7280' }}>
+            Provisional, as of {new Date(monthToDate.generatedAt).toLocaleString()}
+          </p>
+          {monthToDate.accountBalance !== null && (
+            <p className="card-note" style={{ color: '#6b7280', fontSize: '11px' }}>
+              Account balance: {formatCurrency(monthToDate.accountBalance)}
+            </p>
+          )}
+        </div>
+      )}
+      
       <div className="card">
         <h3 className="card-title">Next Month Forecast</h3>
         <p className="card-value">{formatCurrency(forecastAmount)}</p>
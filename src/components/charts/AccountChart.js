@@ -0,0 +1,95 @@
+import React, { useEffect, useRef } from 'react';
+import Chart from 'chart.js/auto';
+import { formatCurrency } from '../../utils/dataUtils';
+
+const ACCOUNT_COLORS = [
+  'rgba(59, 130, 246, 0.8)', // blue
+  'rgba(16, 185, 129, 0.8)', // green
+  'rgba(245, 158, 11, 0.8)', // amber
+  'rgba(139, 92, 246, 0.8)', // purple
+  'rgba(6, 182, 212, 0.8)',  // cyan
+  'rgba(239, 68, 68, 0.8)',  // red
+  'rgba(96, 165, 250, 0.8)', // light blue
+  'rgba(52, 211, 153, 0.8)'  // light green
+];
+
+// Monthly spend stacked by account, so each month shows the organisation total and each account's share
+export const AccountChart = ({ months, accountMonthlyData, accountData }) => {
+  const chartRef = useRef(null);
+  const chartInstance = useRef(null);
+  
+  useEffect(() => {
+    if (chartInstance.current) {
+      chartInstance.current.destroy();
+    }
+    
+    if (!months || months.length === 0 || !accountData || Object.keys(accountData).length === 0) {
+      console.log("No account data available for chart");
+      return;
+    }
+    
+    const ctx = chartRef.current.getContext('2d');
+    
+    // Largest accounts first, so the biggest share sits at the bottom of each stack
+    const accounts = Object.keys(accountData).sort((a, b) => accountData[b] - accountData[a]);
+    const monthTotals = months.map(month => accounts.reduce(
+      (sum, account) => sum + (accountMonthlyData[account]?.[month] || 0),
+      0
+    ));
+    
+    chartInstance.current = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels: months,
+        datasets: accounts.map((account, index) => ({
+          label: account,
+          data: months.map(month => accountMonthlyData[account]?.[month] || 0),
+          backgroundColor: ACCOUNT_COLORS[index % ACCOUNT_COLORS.length],
+          borderWidth: 0
+        }))
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
+        scales: {
+          x: { stacked: true },
+          y: {
+            stacked: true,
+            beginAtZero: true,
+            ticks: {
+              callback: value => '$' + value.toLocaleString()
+            }
+          }
+        },
+        plugins: {
+          tooltip: {
+            callbacks: {
+              label: context => {
+                const total = monthTotals[context.dataIndex];
+                const percentage = total !== 0 ? Math.round((context.raw / total) * 100) : 0;
+                return `${context.dataset.label}: ${formatCurrency(context.raw)} (${percentage}%)`;
+              },
+              footer: items => `Total: ${formatCurrency(monthTotals[items[0].dataIndex])}`
+            }
+          },
+          legend: {
+            position: 'bottom'
+          }
+        }
+      }
+    });
+    
+    return () => {
+      if (chartInstance.current) {
+        chartInstance.current.destroy();
+      }
+    };
+  }, [months, accountMonthlyData, accountData]);
+  
+  return (
+    <div style={{ height: '100%', position: 'relative' }}>
+      <canvas ref={chartRef} />
+    </div>
+  );
+};
@@ -0,0 +1,94 @@
+import React, { useEffect, useRef } from 'react';
+import Chart from 'chart.js/auto';
+import { formatCurrency } from '../../utils/dataUtils';
+import { BUDGET_STATUS_COLORS } from '../../utils/budgetUtils';
+
+// Remaining budget through the current month: ideal pace, actual spend to date and the forecast
+export const BudgetBurndownChart = ({ burnDown }) => {
+  const chartRef = useRef(null);
+  const chartInstance = useRef(null);
+  
+  useEffect(() => {
+    if (chartInstance.current) {
+      chartInstance.current.destroy();
+    }
+    
+    if (!burnDown) return;
+    
+    const ctx = chartRef.current.getContext('2d');
+    const projectedColor = burnDown.projectedRemaining < 0 ? BUDGET_STATUS_COLORS.over : BUDGET_STATUS_COLORS.warning;
+    
+    chartInstance.current = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: burnDown.days,
+        datasets: [
+          {
+            label: 'Ideal',
+            data: burnDown.ideal,
+            borderColor: 'rgba(107, 114, 128, 0.6)',
+            borderDash: [4, 4],
+            borderWidth: 1.5,
+            pointRadius: 0
+          },
+          {
+            label: 'Actual',
+            data: burnDown.actual,
+            borderColor: 'rgba(59, 130, 246, 1)',
+            backgroundColor: 'rgba(59, 130, 246, 0.1)',
+            borderWidth: 2,
+            pointRadius: 0,
+            fill: true
+          },
+          {
+            label: 'Forecast',
+            data: burnDown.projected,
+            borderColor: projectedColor,
+            borderDash: [6, 4],
+            borderWidth: 2,
+            pointRadius: 0
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
+        scales: {
+          x: {
+            title: { display: true, text: 'Day of month' }
+          },
+          y: {
+            ticks: {
+              callback: value => '$' + value.toLocaleString()
+            },
+            title: { display: true, text: 'Budget remaining' }
+          }
+        },
+        plugins: {
+          tooltip: {
+            callbacks: {
+              title: items => `Day ${items[0].label}`,
+              label: context => `${context.dataset.label}: ${formatCurrency(context.raw)}`
+            }
+          },
+          legend: {
+            position: 'bottom'
+          }
+        }
+      }
+    });
+    
+    return () => {
+      if (chartInstance.current) {
+        chartInstance.current.destroy();
+      }
+    };
+  }, [burnDown]);
+  
+  return (
+    <div style={{ height: '100%', position: 'relative' }}>
+      <canvas ref={chartRef} />
+    </div>
+  );
+};
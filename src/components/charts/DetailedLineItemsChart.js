@@ -1,10 +1,10 @@
 import React, { useState, useEffect, useRef } from 'react';
 import Chart from 'chart.js/auto';
-import { formatCurrency, extractMonetaryValue } from '../../utils/dataUtils';
+import { formatCurrency } from '../../utils/dataUtils';
 
 export const DetailedLineItemsChart = ({ 
   detailedLineItems,
-  timeRange,
+  periodLabel,
   onCategoryClick,
   accountName
 }) => {
@@ -34,16 +34,7 @@ export const DetailedLineItemsChart = ({
     let validItems = 0;
     
     detailedLineItems.forEach(item => {
-      // Prioritize product field for more detailed breakdown
-      const product = item.product || 
-                    item.name || 
-                    item.category || 
-                    item.group_description || 
-                    item.description || 
-                    'Unknown';
-      
-      // Extract monetary value using the shared utility function
-      const amount = extractMonetaryValue(item);
+      const { product, amount } = item;
       
       if (amount <= 0) return; // Skip zero or negative values
       
@@ -131,7 +122,7 @@ export const DetailedLineItemsChart = ({
           },
           title: {
             display: true,
-            text: `Showing ${displayLabels.length} of ${chartData.labels.length} products for ${timeRange === 'all' ? 'all time' : `last ${timeRange}`}`,
+            text: `Showing ${displayLabels.length} of ${chartData.labels.length} products for ${periodLabel}`,
             font: {
               size: 16
             }
@@ -172,7 +163,7 @@ export const DetailedLineItemsChart = ({
         chartInstance.current.destroy();
       }
     };
-  }, [chartData, displayCount, onCategoryClick, timeRange]);
+  }, [chartData, displayCount, onCategoryClick, periodLabel]);
 
   // Function to load more items
   const loadMore = () => {
@@ -188,7 +179,7 @@ export const DetailedLineItemsChart = ({
   if (chartData.labels.length === 0) {
     return (
       <div style={{ height: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
-        <p>No product data available for {timeRange === 'all' ? 'all time' : `the last ${timeRange}`}. Make sure you've loaded detailed data.</p>
+        <p>No product data available for {periodLabel}. Make sure you've loaded detailed data.</p>
       </div>
     );
   }
@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useRef } from 'react';
 import Chart from 'chart.js/auto';
-import { formatCurrency } from '../../utils/dataUtils';
+import { formatCurrency, getItemCategory, getItemProject } from '../../utils/dataUtils';
 
 export const LineItemDetailChart = ({ 
   data, 
@@ -93,13 +93,7 @@ export const LineItemDetailChart = ({
   useEffect(() => {
     if (selectedCategory && detailedLineItems && detailedLineItems.length > 0) {
       // Filter line items for the selected category
-      const items = detailedLineItems.filter(item => {
-        const itemCategory = item.name || 
-                            item.group_description || 
-                            item.description || 
-                            'Unknown';
-        return itemCategory === selectedCategory;
-      });
+      const items = detailedLineItems.filter(item => getItemCategory(item) === selectedCategory);
       
       setDetailData(items);
       setIsDetailView(true);
@@ -153,8 +147,8 @@ export const LineItemDetailChart = ({
                     <tr key={`${item.invoice_uuid}-${index}`}>
                       <td>{item.description || 'No description'}</td>
                       <td>{item.invoice_period || 'N/A'}</td>
-                      <td>{item.project_name || 'Unassigned'}</td>
-                      <td>{formatCurrency(parseFloat(item.amount) || 0)}</td>
+                      <td>{getItemProject(item)}</td>
+                      <td>{formatCurrency(item.amount)}</td>
                     </tr>
                   ))
                 )}
@@ -1,8 +1,9 @@
 import React, { useEffect, useRef } from 'react';
 import Chart from 'chart.js/auto';
 import { formatCurrency } from '../../utils/dataUtils';
+import { BUDGET_STATUS_COLORS } from '../../utils/budgetUtils';
 
-export const MonthlyChart = ({ data, showForecast = true, forecastAmount = null }) => {
+export const MonthlyChart = ({ data, showForecast = true, forecast = null, budget = null }) => {
   const chartRef = useRef(null);
   const chartInstance = useRef(null);
 
@@ -43,61 +44,81 @@ export const MonthlyChart = ({ data, showForecast = true, forecastAmount = null
       }]
     };
     
-    // Add forecast point if enabled
-    if (showForecast && forecastAmount) {
-      // Calculate the next month label after the chronologically last month
-      const latestLabel = sortedLabels[sortedLabels.length - 1];
-      let nextMonthLabel = '';
+    // Add the forecast horizon as a dashed line with a shaded band between its lower and
+    // upper bounds; each series starts at the last actual month so it joins the spend line
+    const forecastPoints = showForecast && forecast ? forecast.points : [];
+    const lastActualIndex = sortedLabels.length - 1;
+    if (forecastPoints.length > 0) {
+      const lastActualValue = sortedValues[lastActualIndex];
+      const padding = Array(lastActualIndex).fill(null);
+      const forecastSeries = (field) => [...padding, lastActualValue, ...forecastPoints.map(point => point[field])];
       
-      if (/^\d{4}-\d{2}$/.test(latestLabel)) {
-        // Format is YYYY-MM
-        const year = parseInt(latestLabel.substring(0, 4));
-        const month = parseInt(latestLabel.substring(5, 7));
-        
-        if (month === 12) {
-          nextMonthLabel = `${year + 1}-01`;
-        } else {
-          nextMonthLabel = `${year}-${String(month + 1).padStart(2, '0')}`;
+      forecastPoints.forEach(point => chartData.labels.push(point.label));
+      
+      chartData.datasets.push(
+        {
+          label: 'Forecast upper',
+          data: forecastSeries('upper'),
+          borderColor: 'transparent',
+          pointRadius: 0,
+          pointHitRadius: 0,
+          tension: 0.1,
+          fill: false
+        },
+        {
+          label: 'Forecast lower',
+          data: forecastSeries('lower'),
+          borderColor: 'transparent',
+          backgroundColor: 'rgba(255, 99, 132, 0.12)',
+          pointRadius: 0,
+          pointHitRadius: 0,
+          tension: 0.1,
+          fill: '-1' // Shade up to the upper bound
+        },
+        {
+          label: 'Forecast',
+          data: forecastSeries('value'),
+          borderColor: 'rgba(255, 99, 132, 1)',
+          backgroundColor: 'rgba(255, 99, 132, 1)',
+          borderWidth: 2,
+          borderDash: [5, 5],
+          pointRadius: [...padding.map(() => 0), 0, ...forecastPoints.map(() => 5)],
+          tension: 0.1,
+          fill: false
         }
-      } else {
-        // Fallback to simple labeling if we can't parse the date format
-        nextMonthLabel = 'Forecast';
+      );
+    }
+    
+    // Add the in-progress month as a provisional bar - it is not finished, so it is kept
+    // off the spend line and its forecast segment
+    const provisional = data.provisional;
+    if (provisional) {
+      if (!chartData.labels.includes(provisional.label)) {
+        chartData.labels.push(provisional.label);
       }
       
-      // Add the forecast month to the labels
-      chartData.labels.push(nextMonthLabel);
-      
-      // Add the forecast value to each dataset
-      chartData.datasets = chartData.datasets.map((dataset, datasetIndex) => {
-        if (datasetIndex === 0) {
-          // Main dataset - add forecast point with special styling
-          return {
-            ...dataset,
-            data: [...dataset.data, forecastAmount],
-            pointBackgroundColor: [
-              ...Array(dataset.data.length).fill('rgba(59, 130, 246, 1)'),
-              'rgba(255, 99, 132, 1)' // Red for forecast point
-            ],
-            pointRadius: [
-              ...Array(dataset.data.length).fill(3),
-              6 // Larger for forecast point
-            ],
-            segment: {
-              borderColor: (ctx) => {
-                // Make the line segment to the forecast point red and dashed
-                const index = ctx.p0DataIndex;
-                const isLastSegment = index === dataset.data.length - 1;
-                return isLastSegment ? 'rgba(255, 99, 132, 1)' : 'rgba(59, 130, 246, 1)';
-              },
-              borderDash: (ctx) => {
-                const index = ctx.p0DataIndex;
-                const isLastSegment = index === dataset.data.length - 1;
-                return isLastSegment ? [5, 5] : undefined;
-              }
-            }
-          };
-        }
-        return dataset;
+      chartData.datasets.push({
+        type: 'bar',
+        label: 'Month-to-date (provisional)',
+        data: chartData.labels.map(label => (label === provisional.label ? provisional.value : null)),
+        backgroundColor: 'rgba(245, 158, 11, 0.35)',
+        borderColor: 'rgba(245, 158, 11, 1)',
+        borderWidth: 1,
+        barPercentage: 0.5
+      });
+    }
+    
+    // Draw the monthly account budget as a flat dashed line across every month
+    if (budget > 0) {
+      chartData.datasets.push({
+        label: 'Monthly Budget',
+        data: chartData.labels.map(() => budget),
+        borderColor: BUDGET_STATUS_COLORS.over,
+        borderWidth: 1.5,
+        borderDash: [6, 4],
+        pointRadius: 0,
+        pointHoverRadius: 0,
+        fill: false
       });
     }
     
@@ -119,10 +140,17 @@ export const MonthlyChart = ({ data, showForecast = true, forecastAmount = null
           tooltip: { 
             callbacks: { 
               label: context => {
-                // Special handling for forecast point (last point in main dataset)
-                const isLastPoint = context.dataIndex === context.dataset.data.length - 1;
-                if (isLastPoint && showForecast) {
-                  return 'Forecast: ' + formatCurrency(context.raw);
+                if (context.dataset.type === 'bar') {
+                  return 'Month-to-date (provisional): ' + formatCurrency(context.raw);
+                }
+                if (context.dataset.label === 'Monthly Budget') {
+                  return 'Budget: ' + formatCurrency(context.raw);
+                }
+                if (context.dataset.label === 'Forecast') {
+                  // The first point of the forecast line is the last actual month
+                  const point = forecastPoints[context.dataIndex - lastActualIndex - 1];
+                  if (!point) return 'Spend: ' + formatCurrency(context.raw);
+                  return `Forecast: ${formatCurrency(point.value)} (${formatCurrency(point.lower)} - ${formatCurrency(point.upper)})`;
                 }
                 return 'Spend: ' + formatCurrency(context.raw);
               }
@@ -140,7 +168,7 @@ export const MonthlyChart = ({ data, showForecast = true, forecastAmount = null
         chartInstance.current.destroy();
       }
     };
-  }, [data, showForecast, forecastAmount]);
+  }, [data, showForecast, forecast, budget]);
 
   // Helper function to parse month period strings into comparable dates
   const parseMonthPeriod = (periodStr) => {
@@ -1,8 +1,13 @@
 import React, { useEffect, useRef } from 'react';
 import Chart from 'chart.js/auto';
 import { formatCurrency } from '../../utils/dataUtils';
+import { getBudgetStatus, BUDGET_STATUS_COLORS } from '../../utils/budgetUtils';
 
-export const ProductChart = ({ data }) => {
+// Shared default so the chart is not rebuilt on every render when no budgets are passed
+const NO_BUDGETS = {};
+
+// budgets holds the budget for each product over the time range in view (see scaleBudgetsToRange)
+export const ProductChart = ({ data, budgets = NO_BUDGETS, alertThreshold }) => {
   const chartRef = useRef(null);
   const chartInstance = useRef(null);
 
@@ -31,16 +36,42 @@ export const ProductChart = ({ data }) => {
     // Calculate total for all products
     const totalAmount = Object.values(data).reduce((sum, val) => sum + val, 0);
     
+    // Products with a budget are coloured by how much of it they have used
+    const backgroundColors = sortedEntries.map(([key, value]) => {
+      const budgetStatus = getBudgetStatus(value, budgets[key], alertThreshold);
+      return budgetStatus ? BUDGET_STATUS_COLORS[budgetStatus] : 'rgba(59, 130, 246, 0.8)';
+    });
+    
+    const datasets = [{
+      label: 'Product Spend',
+      data: values,
+      backgroundColor: backgroundColors,
+      borderWidth: 1
+    }];
+    
+    // Mark each product's budget with a vertical tick across its bar
+    if (labels.some(label => budgets[label] > 0)) {
+      datasets.push({
+        type: 'line',
+        label: 'Budget',
+        data: labels.map(label => budgets[label] || null),
+        indexAxis: 'y',
+        showLine: false,
+        pointStyle: 'line',
+        rotation: 90,
+        pointRadius: 12,
+        pointHoverRadius: 12,
+        pointBorderWidth: 3,
+        borderColor: '#111827',
+        backgroundColor: '#111827'
+      });
+    }
+    
     chartInstance.current = new Chart(ctx, {
       type: 'bar',
       data: {
         labels: labels,
-        datasets: [{
-          label: 'Product Spend',
-          data: values,
-          backgroundColor: 'rgba(59, 130, 246, 0.8)',
-          borderWidth: 1
-        }]
+        datasets: datasets
       },
       options: {
         responsive: true,
@@ -66,7 +97,7 @@ export const ProductChart = ({ data }) => {
         plugins: {
           tooltip: {
             callbacks: {
-              label: context => `Spend: ${formatCurrency(context.raw)}`
+              label: context => `${context.dataset.label === 'Budget' ? 'Budget' : 'Spend'}: ${formatCurrency(context.raw)}`
             }
           },
           legend: {
@@ -92,7 +123,7 @@ export const ProductChart = ({ data }) => {
         chartInstance.current.destroy();
       }
     };
-  }, [data]);
+  }, [data, budgets, alertThreshold]);
 
   // Determine if we have data or need to show a message
   const hasData = data && Object.keys(data).length > 0;
@@ -1,8 +1,13 @@
 import React, { useEffect, useRef } from 'react';
 import Chart from 'chart.js/auto';
 import { formatCurrency } from '../../utils/dataUtils';
+import { getBudgetStatus, BUDGET_STATUS_COLORS } from '../../utils/budgetUtils';
 
-export const ProjectChart = ({ data }) => {
+// Shared default so the chart is not rebuilt on every render when no budgets are passed
+const NO_BUDGETS = {};
+
+// budgets holds the budget for each project over the time range in view (see scaleBudgetsToRange)
+export const ProjectChart = ({ data, budgets = NO_BUDGETS, alertThreshold }) => {
   const chartRef = useRef(null);
   const chartInstance = useRef(null);
 
@@ -32,7 +37,13 @@ export const ProjectChart = ({ data }) => {
     const totalAmount = Object.values(data).reduce((sum, val) => sum + val, 0);
     
     // Create chart with appropriate colors
-    const backgroundColors = sortedData.map(([key]) => {
+    const backgroundColors = sortedData.map(([key, value]) => {
+      // Projects with a budget are coloured by how much of it they have used
+      const budgetStatus = getBudgetStatus(value, budgets[key], alertThreshold);
+      if (budgetStatus) {
+        return BUDGET_STATUS_COLORS[budgetStatus];
+      }
+      
       // Use a distinct color for Unassigned
       if (key === 'Unassigned' || key === 'No Project Data') {
         return 'rgba(200, 200, 200, 0.8)';
@@ -40,16 +51,36 @@ export const ProjectChart = ({ data }) => {
       return 'rgba(16, 185, 129, 0.8)'; // Green for real projects
     });
     
+    const datasets = [{ 
+      label: 'Project Spend', 
+      data: values, 
+      backgroundColor: backgroundColors, 
+      borderWidth: 1 
+    }];
+    
+    // Mark each project's budget with a vertical tick across its bar
+    if (labels.some(label => budgets[label] > 0)) {
+      datasets.push({
+        type: 'line',
+        label: 'Budget',
+        data: labels.map(label => budgets[label] || null),
+        indexAxis: 'y',
+        showLine: false,
+        pointStyle: 'line',
+        rotation: 90,
+        pointRadius: 12,
+        pointHoverRadius: 12,
+        pointBorderWidth: 3,
+        borderColor: '#111827',
+        backgroundColor: '#111827'
+      });
+    }
+    
     chartInstance.current = new Chart(ctx, {
       type: 'bar',
       data: { 
         labels: labels, 
-        datasets: [{ 
-          label: 'Project Spend', 
-          data: values, 
-          backgroundColor: backgroundColors, 
-          borderWidth: 1 
-        }] 
+        datasets: datasets
       },
       options: {
         responsive: true,
@@ -75,7 +106,7 @@ export const ProjectChart = ({ data }) => {
         plugins: { 
           tooltip: { 
             callbacks: { 
-              label: context => 'Spend: ' + formatCurrency(context.raw)
+              label: context => (context.dataset.label === 'Budget' ? 'Budget: ' : 'Spend: ') + formatCurrency(context.raw)
             } 
           },
           // Add legend display options
@@ -102,7 +133,7 @@ export const ProjectChart = ({ data }) => {
         chartInstance.current.destroy();
       }
     };
-  }, [data]);
+  }, [data, budgets, alertThreshold]);
 
 // Determine if we have data or need to show a message
 const hasData = data && Object.keys(data).length > 0;
@@ -0,0 +1,95 @@
+import React, { useEffect, useRef } from 'react';
+import Chart from 'chart.js/auto';
+import { formatCurrency } from '../../utils/dataUtils';
+
+const STEP_COLORS = {
+  total: 'rgba(59, 130, 246, 0.8)',   // blue
+  increase: 'rgba(239, 68, 68, 0.8)', // red - spend went up
+  decrease: 'rgba(16, 185, 129, 0.8)' // green - spend went down
+};
+
+// Waterfall of the change in spend between two totals (steps from buildWaterfallSteps)
+export const WaterfallChart = ({ steps, baseLabel, compareLabel }) => {
+  const chartRef = useRef(null);
+  const chartInstance = useRef(null);
+  
+  useEffect(() => {
+    if (chartInstance.current) {
+      chartInstance.current.destroy();
+    }
+    
+    if (!steps || steps.length === 0) return;
+    
+    const ctx = chartRef.current.getContext('2d');
+    
+    // Name the two totals after what is being compared
+    const labels = steps.map((step, index) => {
+      if (index === 0) return baseLabel;
+      if (index === steps.length - 1) return compareLabel;
+      return step.label;
+    });
+    
+    chartInstance.current = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels,
+        datasets: [{
+          label: 'Change',
+          // Floating bars: each step runs from its start to its end
+          data: steps.map(step => [step.start, step.end]),
+          backgroundColor: steps.map(step => STEP_COLORS[step.kind]),
+          borderWidth: 0
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          x: {
+            ticks: {
+              // Long product names would otherwise squash the chart
+              callback: function(value) {
+                const label = this.getLabelForValue(value);
+                return label.length > 18 ? label.substring(0, 17) + '…' : label;
+              }
+            }
+          },
+          y: {
+            ticks: {
+              callback: value => '$' + value.toLocaleString()
+            }
+          }
+        },
+        plugins: {
+          tooltip: {
+            callbacks: {
+              label: context => {
+                const step = steps[context.dataIndex];
+                if (step.kind === 'total') {
+                  return `Total: ${formatCurrency(step.end)}`;
+                }
+                const difference = step.end - step.start;
+                return `${difference >= 0 ? '+' : ''}${formatCurrency(difference)}`;
+              }
+            }
+          },
+          legend: {
+            display: false
+          }
+        }
+      }
+    });
+    
+    return () => {
+      if (chartInstance.current) {
+        chartInstance.current.destroy();
+      }
+    };
+  }, [steps, baseLabel, compareLabel]);
+  
+  return (
+    <div style={{ height: '100%', position: 'relative' }}>
+      <canvas ref={chartRef} />
+    </div>
+  );
+};
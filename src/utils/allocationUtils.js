@@ -0,0 +1,192 @@
+// Cost allocation utilities for DigitalOcean FinOps Dashboard
+// Allocation rules map line items to cost centres by exact or regex match on a line item field.
+// Shared costs (matched by the shared rules, and optionally discounts) are split across the cost
+// centres in proportion to their direct spend in the same month, for a per-cost-centre chargeback.
+// Unallocated counts as a cost centre here: spend that matches no rule takes its share of shared
+// costs too, so the named cost centres are not charged for overhead that serves unassigned resources
+// and writing a rule for that spend later moves its share along with it.
+import { isDiscountItem } from './dataUtils';
+import { getItemMonth } from './periodUtils';
+
+// Line item fields a rule can match on
+export const ALLOCATION_FIELDS = {
+  description: 'Description',
+  resource_name: 'Resource name',
+  project_name: 'Project',
+  product: 'Product'
+};
+
+// Cost centre for spend no rule matches
+export const UNALLOCATED_COST_CENTRE = 'Unallocated';
+
+// Allocation rules as stored per account
+// rules: [{ costCentre, field, matchType ('exact' or 'regex'), pattern }], first match wins
+// sharedRules: [{ field, matchType, pattern }] for costs to split, e.g. load balancers
+export const createEmptyAllocation = () => ({
+  rules: [],
+  sharedRules: [],
+  splitDiscounts: false
+});
+
+// Fill in missing fields so stored rules from older versions are safe to use
+export const normalizeAllocation = (allocation) => ({
+  ...createEmptyAllocation(),
+  ...(allocation || {}),
+  rules: allocation?.rules || [],
+  sharedRules: allocation?.sharedRules || []
+});
+
+// Check whether any allocation rules have been set up
+export const hasAllocationRules = (allocation) => {
+  if (!allocation) return false;
+  return allocation.rules.length > 0 || allocation.sharedRules.length > 0 || allocation.splitDiscounts;
+};
+
+// Describe what is wrong with a rule, or return null if it is usable
+export const getRuleError = (rule, needsCostCentre = true) => {
+  if (needsCostCentre && !rule.costCentre?.trim()) return 'Cost centre is required';
+  if (!ALLOCATION_FIELDS[rule.field]) return 'Choose a field to match on';
+  if (!rule.pattern) return 'Pattern is required';
+  if (rule.matchType === 'regex') {
+    try {
+      new RegExp(rule.pattern, 'i');
+    } catch (error) {
+      return `Invalid regular expression: ${error.message}`;
+    }
+  }
+  return null;
+};
+
+// Build a matcher for a rule; exact matches ignore case and surrounding whitespace
+const compileRule = (rule) => {
+  if (getRuleError(rule, false)) return () => false;
+  
+  if (rule.matchType === 'regex') {
+    const regex = new RegExp(rule.pattern, 'i');
+    return item => regex.test(String(item[rule.field] || ''));
+  }
+  
+  const expected = rule.pattern.trim().toLowerCase();
+  return item => String(item[rule.field] || '').trim().toLowerCase() === expected;
+};
+
+// Add to a nested { outer: { inner: amount } } map
+const addTo = (map, outer, inner, amount) => {
+  map[outer] = map[outer] || {};
+  map[outer][inner] = (map[outer][inner] || 0) + amount;
+};
+
+// Allocate line items to cost centres and build the chargeback report
+// Returns { costCentres: [{ name, direct, shared, total, share, itemCount }], costCentreData,
+// costCentreMonthlyData, totalAmount, sharedAmount, unallocatedAmount }
+// costCentreData and costCentreMonthlyData have the same shape as projectData and projectMonthlyData
+export const buildChargebackReport = (lineItems, allocation) => {
+  const { rules, sharedRules, splitDiscounts } = normalizeAllocation(allocation);
+  const directMatchers = rules.map(rule => ({ costCentre: rule.costCentre.trim(), matches: compileRule(rule) }));
+  const sharedMatchers = sharedRules.map(compileRule);
+  
+  const direct = {};
+  const directMonthly = {};
+  const itemCounts = {};
+  const sharedByMonth = {};
+  let totalAmount = 0;
+  let sharedAmount = 0;
+  
+  (lineItems || []).forEach(item => {
+    const { amount } = item;
+    if (amount === 0) return;
+    
+    const month = getItemMonth(item) || 'unknown';
+    totalAmount += amount;
+    
+    const isShared = sharedMatchers.some(matches => matches(item)) || (splitDiscounts && isDiscountItem(item));
+    if (isShared) {
+      sharedByMonth[month] = (sharedByMonth[month] || 0) + amount;
+      sharedAmount += amount;
+      return;
+    }
+    
+    const matched = directMatchers.find(matcher => matcher.matches(item));
+    const costCentre = matched ? matched.costCentre : UNALLOCATED_COST_CENTRE;
+    direct[costCentre] = (direct[costCentre] || 0) + amount;
+    itemCounts[costCentre] = (itemCounts[costCentre] || 0) + 1;
+    addTo(directMonthly, costCentre, month, amount);
+  });
+  
+  // Split each month's shared costs by that month's direct spend, Unallocated included; months
+  // with no direct spend are split by the direct spend over the whole period instead
+  const shared = {};
+  const sharedMonthly = {};
+  const splitAmount = (amount, weights, month) => {
+    const weightTotal = Object.values(weights).reduce((sum, weight) => sum + Math.max(0, weight), 0);
+    if (weightTotal <= 0) {
+      shared[UNALLOCATED_COST_CENTRE] = (shared[UNALLOCATED_COST_CENTRE] || 0) + amount;
+      addTo(sharedMonthly, UNALLOCATED_COST_CENTRE, month, amount);
+      return;
+    }
+    Object.entries(weights).forEach(([costCentre, weight]) => {
+      if (weight <= 0) return;
+      const portion = amount * (weight / weightTotal);
+      shared[costCentre] = (shared[costCentre] || 0) + portion;
+      addTo(sharedMonthly, costCentre, month, portion);
+    });
+  };
+  
+  Object.entries(sharedByMonth).forEach(([month, amount]) => {
+    const monthWeights = {};
+    Object.entries(directMonthly).forEach(([costCentre, months]) => {
+      monthWeights[costCentre] = months[month] || 0;
+    });
+    const hasMonthSpend = Object.values(monthWeights).some(weight => weight > 0);
+    splitAmount(amount, hasMonthSpend ? monthWeights : direct, month);
+  });
+  
+  // Combine direct and shared spend per cost centre
+  const costCentreData = {};
+  const costCentreMonthlyData = {};
+  [...new Set([...Object.keys(direct), ...Object.keys(shared)])].forEach(costCentre => {
+    costCentreData[costCentre] = (direct[costCentre] || 0) + (shared[costCentre] || 0);
+    [directMonthly[costCentre], sharedMonthly[costCentre]].forEach(months => {
+      Object.entries(months || {}).forEach(([month, amount]) => {
+        if (month !== 'unknown') addTo(costCentreMonthlyData, costCentre, month, amount);
+      });
+    });
+  });
+  
+  const costCentres = Object.entries(costCentreData)
+    .map(([name, total]) => ({
+      name,
+      direct: direct[name] || 0,
+      shared: shared[name] || 0,
+      total,
+      share: totalAmount !== 0 ? (total / totalAmount) * 100 : 0,
+      itemCount: itemCounts[name] || 0
+    }))
+    .sort((a, b) => b.total - a.total);
+  
+  return {
+    costCentres,
+    costCentreData,
+    costCentreMonthlyData,
+    totalAmount,
+    sharedAmount,
+    unallocatedAmount: costCentreData[UNALLOCATED_COST_CENTRE] || 0
+  };
+};
+
+// Chargeback report as CSV text, one row per cost centre
+export const chargebackReportToCSV = (report) => {
+  const escape = (value) => `"${String(value).replace(/"/g, '""')}"`;
+  const rows = [['Cost Centre', 'Direct', 'Shared', 'Total', 'Share %', 'Line Items']];
+  report.costCentres.forEach(costCentre => {
+    rows.push([
+      costCentre.name,
+      costCentre.direct.toFixed(2),
+      costCentre.shared.toFixed(2),
+      costCentre.total.toFixed(2),
+      costCentre.share.toFixed(1),
+      costCentre.itemCount
+    ]);
+  });
+  return rows.map(row => row.map(escape).join(',')).join('\n');
+};
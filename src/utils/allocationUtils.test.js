@@ -0,0 +1,110 @@
+import { buildChargebackReport, UNALLOCATED_COST_CENTRE } from './allocationUtils';
+
+const item = (invoice_period, amount, extra = {}) => ({ invoice_period, amount, product: 'Droplets', description: '', ...extra });
+
+const rules = [
+  { costCentre: 'Web', field: 'project_name', matchType: 'exact', pattern: 'web' },
+  { costCentre: 'Data', field: 'project_name', matchType: 'exact', pattern: 'data' }
+];
+const sharedRules = [{ field: 'product', matchType: 'exact', pattern: 'Load Balancers' }];
+
+const centre = (report, name) => report.costCentres.find(costCentre => costCentre.name === name);
+
+test('shared costs are split by the direct spend of the same month', () => {
+  const report = buildChargebackReport([
+    item('2024-01', 30, { project_name: 'Web' }),
+    item('2024-01', 10, { project_name: 'Data' }),
+    item('2024-01', 8, { product: 'Load Balancers' }),
+    item('2024-02', 10, { project_name: 'Web' }),
+    item('2024-02', 30, { project_name: 'Data' }),
+    item('2024-02', 8, { product: 'Load Balancers' })
+  ], { rules, sharedRules });
+
+  expect(report.costCentreMonthlyData.Web).toEqual({ '2024-01': 36, '2024-02': 12 });
+  expect(report.costCentreMonthlyData.Data).toEqual({ '2024-01': 12, '2024-02': 36 });
+  expect(centre(report, 'Web')).toMatchObject({ direct: 40, shared: 8, total: 48, itemCount: 2 });
+  expect(report.sharedAmount).toBe(16);
+  expect(report.totalAmount).toBe(96);
+});
+
+test('a month with shared costs but no direct spend is split by the whole period', () => {
+  const report = buildChargebackReport([
+    item('2024-01', 30, { project_name: 'Web' }),
+    item('2024-01', 10, { project_name: 'Data' }),
+    item('2024-02', 20, { product: 'Load Balancers' })
+  ], { rules, sharedRules });
+
+  expect(report.costCentreMonthlyData.Web['2024-02']).toBe(15);
+  expect(report.costCentreMonthlyData.Data['2024-02']).toBe(5);
+  expect(report.unallocatedAmount).toBe(0);
+});
+
+test('shared costs go to Unallocated when nothing has direct spend', () => {
+  const report = buildChargebackReport([item('2024-01', 20, { product: 'Load Balancers' })], { rules, sharedRules });
+
+  expect(report.costCentres).toEqual([
+    { name: UNALLOCATED_COST_CENTRE, direct: 0, shared: 20, total: 20, share: 100, itemCount: 0 }
+  ]);
+});
+
+test('spend that matches no rule takes its share of shared costs as Unallocated', () => {
+  const report = buildChargebackReport([
+    item('2024-01', 30, { project_name: 'Web' }),
+    item('2024-01', 10, { project_name: 'Sandbox' }),
+    item('2024-01', 8, { product: 'Load Balancers' })
+  ], { rules, sharedRules });
+
+  expect(centre(report, 'Web')).toMatchObject({ direct: 30, shared: 6, total: 36 });
+  expect(centre(report, UNALLOCATED_COST_CENTRE)).toMatchObject({ direct: 10, shared: 2, total: 12 });
+  expect(report.unallocatedAmount).toBe(12);
+});
+
+test('discounts are only shared when splitDiscounts is on', () => {
+  const lineItems = [
+    item('2024-01', 30, { project_name: 'Web' }),
+    item('2024-01', 10, { project_name: 'Data' }),
+    item('2024-01', -4, { description: 'Promo credit' })
+  ];
+
+  expect(centre(buildChargebackReport(lineItems, { rules }), UNALLOCATED_COST_CENTRE).direct).toBe(-4);
+
+  const report = buildChargebackReport(lineItems, { rules, splitDiscounts: true });
+  expect(centre(report, 'Web').total).toBe(27);
+  expect(centre(report, 'Data').total).toBe(9);
+  expect(centre(report, UNALLOCATED_COST_CENTRE)).toBeUndefined();
+});
+
+test('exact rules match the whole value and regex rules match part of it, both ignoring case', () => {
+  const lineItems = [
+    item('2024-01', 1, { description: 'API Server' }),
+    item('2024-01', 2, { description: 'api-server-2' }),
+    item('2024-01', 4, { description: 'worker' })
+  ];
+
+  const exact = buildChargebackReport(lineItems, {
+    rules: [{ costCentre: 'API', field: 'description', matchType: 'exact', pattern: ' api server ' }]
+  });
+  expect(exact.costCentreData).toEqual({ API: 1, [UNALLOCATED_COST_CENTRE]: 6 });
+
+  const regex = buildChargebackReport(lineItems, {
+    rules: [{ costCentre: 'API', field: 'description', matchType: 'regex', pattern: '^api[ -]server' }]
+  });
+  expect(regex.costCentreData).toEqual({ API: 3, [UNALLOCATED_COST_CENTRE]: 4 });
+
+  // An invalid pattern matches nothing instead of throwing
+  const invalid = buildChargebackReport(lineItems, {
+    rules: [{ costCentre: 'API', field: 'description', matchType: 'regex', pattern: '(' }]
+  });
+  expect(invalid.costCentreData).toEqual({ [UNALLOCATED_COST_CENTRE]: 7 });
+});
+
+test('the first matching rule wins', () => {
+  const report = buildChargebackReport([item('2024-01', 5, { project_name: 'Web', description: 'db' })], {
+    rules: [
+      { costCentre: 'Web', field: 'project_name', matchType: 'exact', pattern: 'web' },
+      { costCentre: 'Data', field: 'description', matchType: 'exact', pattern: 'db' }
+    ]
+  });
+
+  expect(report.costCentreData).toEqual({ Web: 5 });
+});
@@ -0,0 +1,88 @@
+// Anomaly detection for DigitalOcean FinOps Dashboard
+// Flags months whose spend departs sharply from the trailing baseline of the same series
+// (the monthly total, or one project or product)
+
+export const ANOMALY_DEFAULTS = {
+  // Trailing months used as the baseline for each month
+  baselineMonths: 6,
+  // A month is only checked once it has this many months of history before it
+  minHistory: 3,
+  // Standard deviations away from the baseline mean
+  zThreshold: 2.5,
+  // Ignore small relative moves, even in very stable series
+  minPercentChange: 25,
+  // Ignore small absolute moves, so a $0.10 line item doubling is not an anomaly
+  minAmount: 10
+};
+
+// Check one series ({ month: amount }) against its trailing baseline
+// months is the full, sorted list of months in view; months missing from the series count as $0
+export const detectSeriesAnomalies = (series, months, options = {}) => {
+  const { baselineMonths, minHistory, zThreshold, minPercentChange, minAmount } = { ...ANOMALY_DEFAULTS, ...options };
+  const values = months.map(month => series[month] || 0);
+  const anomalies = [];
+  
+  for (let i = minHistory; i < values.length; i++) {
+    const trailing = values.slice(Math.max(0, i - baselineMonths), i);
+    const mean = trailing.reduce((sum, val) => sum + val, 0) / trailing.length;
+    const variance = trailing.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / trailing.length;
+    const stdDev = Math.sqrt(variance);
+    
+    const amount = values[i];
+    const difference = amount - mean;
+    
+    // A perfectly flat baseline makes any change infinitely many deviations away;
+    // the percentage and amount checks below keep that from flagging noise
+    const zScore = stdDev > 0 ? difference / stdDev : (difference !== 0 ? Infinity * Math.sign(difference) : 0);
+    const percentChange = mean !== 0 ? (difference / Math.abs(mean)) * 100 : (difference !== 0 ? Infinity * Math.sign(difference) : 0);
+    
+    if (Math.abs(zScore) >= zThreshold &&
+        Math.abs(percentChange) >= minPercentChange &&
+        Math.abs(difference) >= minAmount) {
+      anomalies.push({
+        month: months[i],
+        amount,
+        baseline: mean,
+        difference,
+        percentChange,
+        zScore,
+        direction: difference > 0 ? 'spike' : 'drop'
+      });
+    }
+  }
+  
+  return anomalies;
+};
+
+// Run anomaly detection over the monthly totals and every project and product series
+// from processCSVDataForVisualizations; newest and largest anomalies come first
+export const detectAnomalies = (processedData, options = {}) => {
+  const months = processedData?.monthlyData?.labels || [];
+  if (months.length === 0) return [];
+  
+  const anomalies = [];
+  const addSeries = (type, name, series) => {
+    detectSeriesAnomalies(series, months, options).forEach(anomaly => {
+      anomalies.push({ type, name, ...anomaly });
+    });
+  };
+  
+  const totals = {};
+  months.forEach((month, index) => {
+    totals[month] = processedData.monthlyData.values[index];
+  });
+  addSeries('total', 'Total spend', totals);
+  
+  Object.entries(processedData.projectMonthlyData || {}).forEach(([project, series]) => {
+    addSeries('project', project, series);
+  });
+  
+  Object.entries(processedData.productMonthlyData || {}).forEach(([product, series]) => {
+    addSeries('product', product, series);
+  });
+  
+  return anomalies.sort((a, b) => {
+    if (a.month !== b.month) return months.indexOf(b.month) - months.indexOf(a.month);
+    return Math.abs(b.difference) - Math.abs(a.difference);
+  });
+};
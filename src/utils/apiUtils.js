@@ -0,0 +1,198 @@
+// API utilities for DigitalOcean FinOps Dashboard
+import { createRequestQueue } from './requestQueue';
+
+// DigitalOcean's public API origin - used when no proxy is configured
+export const DIGITALOCEAN_API_ORIGIN = 'https://api.digitalocean.com';
+
+// Get the base URL for API calls
+// Checks window.ENV_VARS (set by container) first, then React environment variables (for development)
+export const getApiBaseUrl = () => {
+  const baseUrl = window.ENV_VARS?.API_BASE_URL ||
+                  process.env.REACT_APP_API_BASE_URL ||
+                  DIGITALOCEAN_API_ORIGIN;
+  
+  // Strip trailing slashes so paths can always start with "/"
+  return baseUrl.replace(/\/+$/, '');
+};
+
+// Check whether requests go through a proxy rather than straight to DigitalOcean
+export const isUsingProxy = () => getApiBaseUrl() !== DIGITALOCEAN_API_ORIGIN;
+
+// Check whether tokens are kept in the proxy's token vault instead of the browser
+// Vault mode only works through the proxy, since it swaps account IDs for tokens
+export const isVaultMode = () => {
+  const flag = window.ENV_VARS?.TOKEN_VAULT ?? process.env.REACT_APP_TOKEN_VAULT;
+  return (flag === true || flag === 'true') && isUsingProxy();
+};
+
+// Session storage key for the proxy access key (see server/proxy.js)
+// Kept for the browser session only, since it unlocks every token the proxy holds
+const PROXY_KEY_STORAGE_KEY = 'doProxyAccessKey';
+
+// Get the proxy access key entered in this session, if any
+export const getProxyAccessKey = () => {
+  try {
+    return sessionStorage.getItem(PROXY_KEY_STORAGE_KEY) || '';
+  } catch (error) {
+    return '';
+  }
+};
+
+// Remember the proxy access key for this session (an empty key forgets it)
+export const saveProxyAccessKey = (key) => {
+  if (key) {
+    sessionStorage.setItem(PROXY_KEY_STORAGE_KEY, key);
+  } else {
+    sessionStorage.removeItem(PROXY_KEY_STORAGE_KEY);
+  }
+};
+
+// Error ID the proxy answers with when the access key is missing or wrong
+export const PROXY_UNAUTHORIZED = 'proxy_unauthorized';
+
+// Get the credentials used to call the API on behalf of an account
+// Vault accounts only carry an opaque ID; browser-only accounts carry their token
+// Offline accounts (imported invoice CSVs) have no credentials
+export const getAccountCredentials = (account) => {
+  if (!account || account.offline) return null;
+  return account.id ? { accountId: account.id } : { token: account.token };
+};
+
+// Build a full request URL from an API path (e.g. "/v2/customers/my/invoices")
+// Absolute DigitalOcean URLs, such as pagination links returned by the API, are
+// re-pointed at the configured base URL so they go through the proxy as well
+export const buildApiUrl = (pathOrUrl) => {
+  if (pathOrUrl.startsWith(DIGITALOCEAN_API_ORIGIN)) {
+    return `${getApiBaseUrl()}${pathOrUrl.slice(DIGITALOCEAN_API_ORIGIN.length)}`;
+  }
+  
+  if (/^https?:\/\//.test(pathOrUrl)) {
+    return pathOrUrl;
+  }
+  
+  const path = pathOrUrl.startsWith('/') ? pathOrUrl : `/${pathOrUrl}`;
+  return `${getApiBaseUrl()}${path}`;
+};
+
+// Build request headers for an API call
+// Credentials are optional - when they are missing the proxy injects a token server-side
+export const buildApiHeaders = (credentials) => {
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+  
+  // The proxy only uses the tokens it holds for requests carrying its access key
+  const proxyKey = isUsingProxy() ? getProxyAccessKey() : '';
+  if (proxyKey) {
+    headers['X-Proxy-Key'] = proxyKey;
+  }
+  
+  if (credentials?.accountId) {
+    headers['X-Account-Id'] = credentials.accountId;
+  } else if (credentials?.token) {
+    headers['Authorization'] = `Bearer ${credentials.token}`;
+  }
+  
+  return headers;
+};
+
+// Perform a GET request against the DigitalOcean API (directly or through the proxy)
+export const apiFetch = (credentials, pathOrUrl, options = {}) => {
+  return fetch(buildApiUrl(pathOrUrl), {
+    method: 'GET',
+    ...options,
+    headers: {
+      ...buildApiHeaders(credentials),
+      ...(options.headers || {})
+    }
+  });
+};
+
+// Turn a failed API response into an Error carrying the HTTP status (error.status)
+// Uses the message from the JSON error body that DigitalOcean and the proxy both send, when there is one
+export const buildApiError = async (response) => {
+  let message = '';
+  try {
+    message = (await response.json()).message || '';
+  } catch (error) {
+    // Not a JSON error - the status alone has to do
+  }
+  
+  const apiError = new Error(`API Error: ${response.status}${message ? ` - ${message}` : ''}`);
+  apiError.status = response.status;
+  return apiError;
+};
+
+// Schedulers for billing API calls, so bulk downloads respect DigitalOcean's rate limits
+// Rate limits are per token, so each account gets its own queue and a throttled account never holds up another
+const apiRequestQueues = new Map();
+
+// Key the queue by vault account ID or token; requests the proxy signs with its own token share one queue
+const getRequestQueue = (credentials) => {
+  const queueKey = credentials?.accountId
+    ? `vault:${credentials.accountId}`
+    : credentials?.token ? `token:${credentials.token}` : 'proxy';
+  
+  if (!apiRequestQueues.has(queueKey)) {
+    apiRequestQueues.set(queueKey, createRequestQueue());
+  }
+  return apiRequestQueues.get(queueKey);
+};
+
+// Same as apiFetch, but queued behind the account's other requests and retried on 429s and server errors
+export const queuedApiFetch = (credentials, pathOrUrl, options = {}) => {
+  return getRequestQueue(credentials).schedule(() => apiFetch(credentials, pathOrUrl, options));
+};
+
+// Turn a failed vault response into an Error; error.code is PROXY_UNAUTHORIZED when the access key is needed
+const readVaultError = async (response) => {
+  let body = {};
+  try {
+    body = await response.json();
+  } catch (error) {
+    // Not a JSON error - fall back to the status
+  }
+  
+  const vaultError = new Error(body.message || `Vault error: ${response.status}`);
+  vaultError.code = body.id;
+  return vaultError;
+};
+
+// Headers for vault requests - the vault only answers requests carrying the proxy access key
+const buildVaultHeaders = (headers = {}) => {
+  const proxyKey = getProxyAccessKey();
+  return proxyKey ? { ...headers, 'X-Proxy-Key': proxyKey } : headers;
+};
+
+// List the accounts held in the token vault ({ id, name, source } - never tokens)
+export const fetchVaultAccounts = async () => {
+  const response = await fetch(buildApiUrl('/accounts'), { method: 'GET', headers: buildVaultHeaders() });
+  if (!response.ok) throw await readVaultError(response);
+  
+  const data = await response.json();
+  return data.accounts || [];
+};
+
+// Register an account with the token vault; the token is sent once and never stored locally
+export const registerVaultAccount = async (name, token) => {
+  const response = await fetch(buildApiUrl('/accounts'), {
+    method: 'POST',
+    headers: buildVaultHeaders({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify({ name, token })
+  });
+  if (!response.ok) throw await readVaultError(response);
+  
+  const data = await response.json();
+  return data.account;
+};
+
+// Remove an account from the token vault
+export const removeVaultAccount = async (accountId) => {
+  const response = await fetch(buildApiUrl(`/accounts/${encodeURIComponent(accountId)}`), {
+    method: 'DELETE',
+    headers: buildVaultHeaders()
+  });
+  if (!response.ok) throw await readVaultError(response);
+  
+  return true;
+};
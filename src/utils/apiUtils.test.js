@@ -0,0 +1,63 @@
+import { queuedApiFetch, buildApiError, buildApiUrl, getAccountCredentials } from './apiUtils';
+
+// Minimal fetch Response with the parts the queue and buildApiError read
+const response = (status, headers = {}, body = {}) => ({
+  status,
+  ok: status >= 200 && status < 300,
+  headers: { get: (name) => headers[name] ?? null },
+  json: async () => body
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+});
+
+test('a throttled account does not hold up requests for another account', async () => {
+  const throttledToken = 'throttled-token';
+  let throttledCalls = 0;
+  global.fetch = jest.fn(async (url, options) => {
+    if (options.headers.Authorization === `Bearer ${throttledToken}`) {
+      throttledCalls++;
+      return throttledCalls === 1 ? response(429, { 'Retry-After': '1' }) : response(200);
+    }
+    return response(200);
+  });
+
+  const throttled = queuedApiFetch({ token: throttledToken }, '/v2/customers/my/invoices');
+  // Let the first attempt come back with its 429 before the other account asks
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  const startedAt = Date.now();
+  const other = await queuedApiFetch({ token: 'other-token' }, '/v2/customers/my/invoices');
+  expect(other.status).toBe(200);
+  expect(Date.now() - startedAt).toBeLessThan(500);
+
+  expect((await throttled).status).toBe(200);
+  expect(throttledCalls).toBe(2);
+});
+
+test('API errors carry the status and the message from the body', async () => {
+  const apiError = await buildApiError(response(401, {}, { id: 'unauthorized', message: 'Unable to authenticate you' }));
+  expect(apiError.status).toBe(401);
+  expect(apiError.message).toBe('API Error: 401 - Unable to authenticate you');
+
+  const bare = await buildApiError({ status: 502, json: async () => { throw new SyntaxError('Unexpected token'); } });
+  expect(bare.message).toBe('API Error: 502');
+});
+
+test('pagination links from DigitalOcean keep going to the configured base URL', () => {
+  expect(buildApiUrl('/v2/customers/my/invoices')).toBe('https://api.digitalocean.com/v2/customers/my/invoices');
+  expect(buildApiUrl('https://api.digitalocean.com/v2/customers/my/invoices?page=2'))
+    .toBe('https://api.digitalocean.com/v2/customers/my/invoices?page=2');
+});
+
+test('credentials depend on where the token is kept', () => {
+  expect(getAccountCredentials({ name: 'prod', id: 'acc-1' })).toEqual({ accountId: 'acc-1' });
+  expect(getAccountCredentials({ name: 'dev', token: 'dop_v1_x' })).toEqual({ token: 'dop_v1_x' });
+  expect(getAccountCredentials({ name: 'lab', offline: true })).toBeNull();
+});
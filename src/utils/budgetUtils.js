@@ -0,0 +1,94 @@
+// Budget utilities for DigitalOcean FinOps Dashboard
+// Budgets are monthly amounts set for the whole account, per project_name and per product
+
+// Warn once spend reaches this share of a budget, unless the account sets its own threshold
+export const DEFAULT_ALERT_THRESHOLD = 80;
+
+// Create an empty budget configuration for an account
+export const createEmptyBudgets = () => ({
+  account: null,
+  projects: {},
+  products: {},
+  alertThreshold: DEFAULT_ALERT_THRESHOLD
+});
+
+// Fill in anything missing from a stored budget configuration
+export const normalizeBudgets = (budgets) => ({
+  ...createEmptyBudgets(),
+  ...(budgets || {}),
+  projects: { ...(budgets?.projects || {}) },
+  products: { ...(budgets?.products || {}) }
+});
+
+// Check whether any budget has been set
+export const hasBudgets = (budgets) => {
+  if (!budgets) return false;
+  return budgets.account > 0 ||
+    Object.keys(budgets.projects || {}).length > 0 ||
+    Object.keys(budgets.products || {}).length > 0;
+};
+
+// Classify spend against a budget: 'ok', 'warning' (past the alert threshold) or 'over'
+export const getBudgetStatus = (spend, budget, alertThreshold = DEFAULT_ALERT_THRESHOLD) => {
+  if (!budget || budget <= 0) return null;
+  
+  const percentUsed = (spend / budget) * 100;
+  if (percentUsed > 100) return 'over';
+  if (percentUsed >= alertThreshold) return 'warning';
+  return 'ok';
+};
+
+// Colours used for budget status across the cards and charts
+export const BUDGET_STATUS_COLORS = {
+  ok: '#10b981',
+  warning: '#f59e0b',
+  over: '#ef4444'
+};
+
+// Scale monthly budgets to the number of months in view, for comparing with range totals
+// (the project and product charts show totals for the selected time range, not per month)
+export const scaleBudgetsToRange = (monthlyBudgets, monthCount) => {
+  const months = Math.max(1, monthCount || 1);
+  const scaled = {};
+  Object.entries(monthlyBudgets || {}).forEach(([name, amount]) => {
+    scaled[name] = amount * months;
+  });
+  return scaled;
+};
+
+// Build the burn-down for the current month
+// Remaining budget starts at the full amount on day 1; the actual line runs to today using
+// month-to-date spend, and the projection runs on to month end using the forecast
+export const calculateBurnDown = (budget, monthToDateSpend, forecastAmount, today = new Date()) => {
+  if (!budget || budget <= 0) return null;
+  
+  const daysInMonth = new Date(today.getFullYear(), today.getMonth() + 1, 0).getDate();
+  const dayOfMonth = today.getDate();
+  const spent = monthToDateSpend || 0;
+  
+  // The forecast can never be below what has already been spent
+  const projectedSpend = Math.max(forecastAmount || 0, spent);
+  
+  const days = Array.from({ length: daysInMonth }, (_, index) => index + 1);
+  const ideal = days.map(day => budget - (budget * day) / daysInMonth);
+  const actual = days.map(day => (day <= dayOfMonth ? budget - (spent * day) / dayOfMonth : null));
+  const projected = days.map(day => {
+    if (day < dayOfMonth) return null;
+    const remainingDays = daysInMonth - dayOfMonth;
+    const progress = remainingDays > 0 ? (day - dayOfMonth) / remainingDays : 1;
+    return budget - spent - (projectedSpend - spent) * progress;
+  });
+  
+  return {
+    days,
+    ideal,
+    actual,
+    projected,
+    spent,
+    projectedSpend,
+    remaining: budget - spent,
+    projectedRemaining: budget - projectedSpend,
+    percentUsed: (spent / budget) * 100,
+    percentOfMonth: (dayOfMonth / daysInMonth) * 100
+  };
+};
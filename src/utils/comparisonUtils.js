@@ -0,0 +1,106 @@
+// Comparison utilities for DigitalOcean FinOps Dashboard
+// Diffs two sets of line items (two accounts, or two month ranges of one account) so the
+// difference in spend can be broken down by product, project or group_description
+import { getItemProduct, getItemProject } from './dataUtils';
+import { getItemMonth } from './periodUtils';
+
+// Dimensions spend can be compared by, keyed the same way as the dashboard charts
+export const COMPARISON_DIMENSIONS = {
+  product: {
+    label: 'Product',
+    getKey: getItemProduct
+  },
+  project: {
+    label: 'Project',
+    getKey: getItemProject
+  },
+  group: {
+    label: 'Group',
+    getKey: item => item.group_description || 'Ungrouped'
+  }
+};
+
+// Keep the line items billed from startMonth to endMonth inclusive
+export const filterLineItemsByMonths = (lineItems, startMonth, endMonth) => {
+  return (lineItems || []).filter(item => {
+    const month = getItemMonth(item);
+    return month && month >= startMonth && month <= endMonth;
+  });
+};
+
+// Total spend per key of a dimension
+const sumByDimension = (lineItems, getKey) => {
+  const totals = {};
+  let total = 0;
+  
+  lineItems.forEach(item => {
+    const key = getKey(item);
+    totals[key] = (totals[key] || 0) + item.amount;
+    total += item.amount;
+  });
+  
+  return { totals, total };
+};
+
+// Diff two line item sets by a dimension ('product', 'project' or 'group')
+// Rows are sorted by the size of the change, biggest movers first
+export const compareLineItems = (baseItems, compareItems, dimension = 'product') => {
+  const { getKey } = COMPARISON_DIMENSIONS[dimension];
+  const base = sumByDimension(baseItems || [], getKey);
+  const compare = sumByDimension(compareItems || [], getKey);
+  
+  const keys = new Set([...Object.keys(base.totals), ...Object.keys(compare.totals)]);
+  const rows = [...keys].map(key => {
+    const baseAmount = base.totals[key] || 0;
+    const compareAmount = compare.totals[key] || 0;
+    const difference = compareAmount - baseAmount;
+    return {
+      key,
+      baseAmount,
+      compareAmount,
+      difference,
+      // null when the key is new in the comparison set
+      percentChange: baseAmount !== 0 ? (difference / Math.abs(baseAmount)) * 100 : null
+    };
+  });
+  
+  rows.sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
+  
+  return {
+    dimension,
+    baseTotal: base.total,
+    compareTotal: compare.total,
+    difference: compare.total - base.total,
+    rows
+  };
+};
+
+// Turn a comparison into waterfall steps: the base total, the biggest movers, everything
+// else as one "Other" step, then the comparison total
+// Each step is { label, start, end, kind } where kind is 'total', 'increase' or 'decrease'
+export const buildWaterfallSteps = (comparison, maxMovers = 10) => {
+  const movers = comparison.rows.filter(row => row.difference !== 0);
+  const shown = movers.slice(0, maxMovers);
+  const otherDifference = movers.slice(maxMovers).reduce((sum, row) => sum + row.difference, 0);
+  
+  const steps = [{ label: 'Base total', start: 0, end: comparison.baseTotal, kind: 'total' }];
+  let running = comparison.baseTotal;
+  
+  const addStep = (label, difference) => {
+    steps.push({
+      label,
+      start: running,
+      end: running + difference,
+      kind: difference >= 0 ? 'increase' : 'decrease'
+    });
+    running += difference;
+  };
+  
+  shown.forEach(row => addStep(row.key, row.difference));
+  if (otherDifference !== 0) {
+    addStep(`Other (${movers.length - shown.length})`, otherDifference);
+  }
+  
+  steps.push({ label: 'Comparison total', start: 0, end: comparison.compareTotal, kind: 'total' });
+  return steps;
+};
@@ -0,0 +1,65 @@
+// Consolidated view utilities for DigitalOcean FinOps Dashboard
+// Merges the billing data of several accounts into one dataset, tagging every row with the
+// name of the account it came from (account_name)
+
+// Name shown for the consolidated view in place of an account name
+export const ALL_ACCOUNTS_NAME = 'All accounts';
+
+// Tag each row with its account name
+const tagWithAccount = (rows, accountName) => (rows || []).map(row => ({ ...row, account_name: accountName }));
+
+// Add up the month-to-date spend of every account for the same period
+const mergeMonthToDate = (accountSnapshots) => {
+  const available = accountSnapshots.filter(snapshot => snapshot.monthToDate).map(snapshot => ({
+    ...snapshot.monthToDate,
+    accountName: snapshot.accountName
+  }));
+  if (available.length === 0) return null;
+  
+  // Accounts are billed on the same calendar month, so the latest period is the current one
+  const period = available.map(monthToDate => monthToDate.period).sort().pop();
+  const current = available.filter(monthToDate => monthToDate.period === period);
+  const sumField = (field) => {
+    const values = current.map(monthToDate => monthToDate[field]).filter(value => value !== null && value !== undefined);
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) : null;
+  };
+  
+  return {
+    period,
+    amount: sumField('amount') || 0,
+    accountBalance: sumField('accountBalance'),
+    monthToDateBalance: sumField('monthToDateBalance'),
+    // Per-account balances, so the ledger anchors each account's history to its own balance
+    accountBalances: Object.fromEntries(current
+      .filter(monthToDate => monthToDate.accountBalance !== null && monthToDate.accountBalance !== undefined)
+      .map(monthToDate => [monthToDate.accountName, monthToDate.accountBalance])),
+    generatedAt: current.map(monthToDate => monthToDate.generatedAt).filter(Boolean).sort()[0] || null
+  };
+};
+
+// Merge per-account data ({ accountName, invoices, lineItems, invoiceSummaries, billingHistory, syncFailures,
+// monthToDate }) into a single dataset for processCSVDataForVisualizations
+export const mergeAccountData = (accountSnapshots) => {
+  let invoices = [];
+  let lineItems = [];
+  let invoiceSummaries = [];
+  let billingHistory = [];
+  let syncFailures = [];
+  
+  accountSnapshots.forEach(snapshot => {
+    invoices = invoices.concat(tagWithAccount(snapshot.invoices, snapshot.accountName));
+    lineItems = lineItems.concat(tagWithAccount(snapshot.lineItems, snapshot.accountName));
+    invoiceSummaries = invoiceSummaries.concat(tagWithAccount(snapshot.invoiceSummaries, snapshot.accountName));
+    billingHistory = billingHistory.concat(tagWithAccount(snapshot.billingHistory, snapshot.accountName));
+    syncFailures = syncFailures.concat(tagWithAccount(snapshot.syncFailures, snapshot.accountName));
+  });
+  
+  return {
+    invoices,
+    lineItems,
+    invoiceSummaries,
+    billingHistory,
+    syncFailures,
+    monthToDate: mergeMonthToDate(accountSnapshots)
+  };
+};
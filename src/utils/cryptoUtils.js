@@ -0,0 +1,80 @@
+// Encryption utilities for DigitalOcean FinOps Dashboard
+// Thin wrappers around WebCrypto: PBKDF2 key derivation and AES-GCM encryption
+
+// PBKDF2 work factor - high enough to slow down guessing, low enough to unlock in about a second
+const PBKDF2_ITERATIONS = 310000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+// Convert bytes to base64 in chunks (spreading a large array into fromCharCode overflows the stack)
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return window.btoa(binary);
+};
+
+const base64ToBytes = (base64) => {
+  const binary = window.atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+// Check whether this browser supports the APIs we need
+export const isCryptoSupported = () => {
+  return Boolean(window.crypto && window.crypto.subtle && window.crypto.getRandomValues);
+};
+
+// Generate a random salt, returned as base64 so it can be stored alongside the data
+export const generateSalt = () => {
+  return bytesToBase64(window.crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+};
+
+// Derive an AES-GCM key from a passphrase and a base64 salt
+export const deriveKey = async (passphrase, salt) => {
+  const encoder = new TextEncoder();
+  const baseKey = await window.crypto.subtle.importKey(
+    'raw',
+    encoder.encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  
+  return window.crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: base64ToBytes(salt), iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+// Encrypt any JSON-serialisable value, returning { iv, data } as base64 strings
+export const encryptJSON = async (key, value) => {
+  const iv = window.crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const plaintext = new TextEncoder().encode(JSON.stringify(value));
+  const ciphertext = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+  
+  return {
+    iv: bytesToBase64(iv),
+    data: bytesToBase64(new Uint8Array(ciphertext))
+  };
+};
+
+// Decrypt a payload produced by encryptJSON
+// Throws if the key is wrong or the data has been tampered with (AES-GCM authenticates it)
+export const decryptJSON = async (key, payload) => {
+  const plaintext = await window.crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(payload.iv) },
+    key,
+    base64ToBytes(payload.data)
+  );
+  
+  return JSON.parse(new TextDecoder().decode(plaintext));
+};
@@ -0,0 +1,34 @@
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+import { isCryptoSupported, generateSalt, deriveKey, encryptJSON, decryptJSON } from './cryptoUtils';
+
+// jsdom has no WebCrypto or TextEncoder; use Node's
+beforeAll(() => {
+  Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true });
+  global.TextEncoder = TextEncoder;
+  global.TextDecoder = TextDecoder;
+});
+
+test('a value encrypted with a passphrase decrypts with the same passphrase and salt', async () => {
+  expect(isCryptoSupported()).toBe(true);
+  const salt = generateSalt();
+  const value = { accounts: [{ name: 'prod', token: 'dop_v1_secret' }], amount: 12.5 };
+
+  const payload = await encryptJSON(await deriveKey('correct horse', salt), value);
+  expect(payload.data).not.toContain('dop_v1_secret');
+
+  expect(await decryptJSON(await deriveKey('correct horse', salt), payload)).toEqual(value);
+});
+
+test('a wrong passphrase, another salt or tampered data is rejected', async () => {
+  const salt = generateSalt();
+  const key = await deriveKey('correct horse', salt);
+  const payload = await encryptJSON(key, { token: 'dop_v1_secret' });
+
+  await expect(decryptJSON(await deriveKey('wrong passphrase', salt), payload)).rejects.toThrow();
+  await expect(decryptJSON(await deriveKey('correct horse', generateSalt()), payload)).rejects.toThrow();
+
+  const flipped = window.atob(payload.data).split('');
+  flipped[0] = String.fromCharCode(flipped[0].charCodeAt(0) ^ 1);
+  await expect(decryptJSON(key, { ...payload, data: window.btoa(flipped.join('')) })).rejects.toThrow();
+});
@@ -1,6 +1,10 @@
 // CSV processing utilities for DigitalOcean FinOps Dashboard
 import Papa from 'papaparse';
-import { formatCurrency, extractMonetaryValue, filterLineItemsByTimeRange, isDiscountItem, categorizeDiscountItem } from './dataUtils';
+import { formatCurrency, isDiscountItem, getItemCategory, getItemProduct, getItemProject, allocateDiscounts } from './dataUtils';
+import { filterByPeriod, getPeriodKey, getItemMonth } from './periodUtils';
+import { normalizeLineItems } from './lineItemUtils';
+import { queuedApiFetch, buildApiError } from './apiUtils';
+import { calculateTrendAndForecast, buildForecast, describeForecast } from './forecastUtils';
 
 // Parse CSV text into structured data
 export const parseCSV = (csvText) => {
@@ -28,13 +32,6 @@ export const parseCSV = (csvText) => {
         }
       }
       
-      // Check for discount items in the sample
-      const discountItems = results.data.filter(item => isDiscountItem(item));
-      if (discountItems.length > 0) {
-        console.log(`Found ${discountItems.length} discount items in CSV`);
-        console.log("Sample discount item:", discountItems[0]);
-      }
-      
       window._hasLoggedCSVStructure = true; // Only log once
     }
     
@@ -46,158 +43,346 @@ export const parseCSV = (csvText) => {
 };
 
 // Fetch CSV data for a specific invoice
-export const fetchInvoiceCSV = async (token, invoiceId) => {
-  try {
-    const response = await fetch(
-      `https://api.digitalocean.com/v2/customers/my/invoices/${invoiceId}/csv`,
-      {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-    
-    if (!response.ok) throw new Error(`Failed to fetch CSV: ${response.status}`);
-    
-    const csvText = await response.text();
-    
-    // Ensure we received valid CSV data
-    if (!csvText || csvText.trim().length === 0) {
-      console.warn(`Empty CSV response for invoice ${invoiceId}`);
-      return [];
-    }
-    
-    // Parse the CSV data
-    const parsedData = parseCSV(csvText);
-    return parsedData;
-  } catch (err) {
-    console.error(`Error fetching CSV for invoice ${invoiceId}:`, err);
+// Goes through the request queue, so throttled requests are retried; throws if the download
+// still fails so callers never mistake a failed invoice for an empty one
+export const fetchInvoiceCSV = async (credentials, invoiceId) => {
+  const response = await queuedApiFetch(credentials, `/v2/customers/my/invoices/${invoiceId}/csv`);
+  
+  if (!response.ok) throw new Error(`Failed to fetch CSV: ${response.status}`);
+  
+  const csvText = await response.text();
+  
+  // Ensure we received valid CSV data
+  if (!csvText || csvText.trim().length === 0) {
+    console.warn(`Empty CSV response for invoice ${invoiceId}`);
     return [];
   }
+  
+  // Parse the CSV data
+  const parsedData = parseCSV(csvText);
+  return parsedData;
 };
 
-// Fetch all invoices and their CSV data
-export const fetchAllInvoiceData = async (token) => {
-  try {
-    // First get list of invoices
-    const invoicesList = await fetchInvoicesList(token);
-    console.log(`Retrieved ${invoicesList.length} invoices`);
-    
-    // Then fetch CSVs for each invoice
-    const allLineItems = [];
+// Fetch the summary of a specific invoice: product charges, overages, taxes and credits
+// Only the billing figures are kept - the summary also carries the billing contact's name and address
+export const fetchInvoiceSummary = async (credentials, invoiceId) => {
+  const response = await queuedApiFetch(credentials, `/v2/customers/my/invoices/${invoiceId}/summary`);
+  
+  if (!response.ok) throw new Error(`Failed to fetch invoice summary: ${response.status}`);
+  
+  const summary = await response.json();
+  return {
+    invoice_uuid: summary.invoice_uuid || invoiceId,
+    billing_period: summary.billing_period,
+    amount: summary.amount,
+    product_charges: summary.product_charges,
+    overages: summary.overages,
+    taxes: summary.taxes,
+    credits_and_adjustments: summary.credits_and_adjustments
+  };
+};
+
+// Fetch summaries for the given invoices
+// A summary that cannot be downloaded is left out and fetched again on the next sync
+const fetchInvoiceSummaries = async (credentials, invoices) => {
+  const summaries = [];
+  
+  await Promise.all(invoices.map(async invoice => {
+    try {
+      summaries.push(await fetchInvoiceSummary(credentials, invoice.invoice_uuid));
+    } catch (err) {
+      console.error(`Error fetching summary for invoice ${invoice.invoice_uuid}:`, err);
+    }
+  }));
+  
+  return summaries;
+};
+
+// Get the current billing month as YYYY-MM (the format of invoice_period)
+const getCurrentInvoicePeriod = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// Work out which invoices need their CSV downloaded
+// Closed invoices never change, so only new invoices, invoices whose amount changed,
+// invoices with no cached line items and the in-progress month are fetched again
+export const getInvoicesToSync = (invoices, cachedInvoices = [], cachedLineItems = []) => {
+  const cachedById = {};
+  cachedInvoices.forEach(invoice => {
+    cachedById[invoice.invoice_uuid] = invoice;
+  });
+  
+  const cachedItemInvoiceIds = new Set(cachedLineItems.map(item => item.invoice_uuid));
+  const currentPeriod = getCurrentInvoicePeriod();
+  
+  return invoices.filter(invoice => {
+    const cached = cachedById[invoice.invoice_uuid];
+    if (!cached) return true;
+    if (cached.amount !== invoice.amount) return true;
+    if (invoice.invoice_period && invoice.invoice_period >= currentPeriod) return true;
+    
+    // An earlier fetch may have failed - retry unless the invoice is genuinely empty
+    return !cachedItemInvoiceIds.has(invoice.invoice_uuid) && parseFloat(invoice.amount) !== 0;
+  });
+};
+
+// Fetch CSVs for the given invoices and normalise each row into a line item tagged with its invoice
+// Returns the line items, the rows that could not be mapped and the invoices whose CSV could not be downloaded
+const fetchInvoiceLineItems = async (credentials, invoices) => {
+  const allLineItems = [];
+  const unmappedRows = [];
+  const failures = [];
+  
+  // The request queue caps concurrency and handles rate limits, so all invoices can be queued at once
+  const promises = invoices.map(async invoice => {
+    console.log(`Fetching CSV data for invoice ${invoice.invoice_uuid}...`);
+    let csvData;
+    try {
+      csvData = await fetchInvoiceCSV(credentials, invoice.invoice_uuid);
+    } catch (err) {
+      console.error(`Error fetching CSV for invoice ${invoice.invoice_uuid}:`, err);
+      failures.push({
+        invoice_uuid: invoice.invoice_uuid,
+        invoice_period: invoice.invoice_period,
+        message: err.message
+      });
+      return;
+    }
     
-    // Using Promise.all for parallel fetching - be cautious with rate limits
-    const promises = invoicesList.map(async invoice => {
-      console.log(`Fetching CSV data for invoice ${invoice.invoice_uuid}...`);
-      const csvData = await fetchInvoiceCSV(token, invoice.invoice_uuid);
+    if (csvData && csvData.length > 0) {
+      const { lineItems: processedItems, unmapped } = normalizeLineItems(csvData, {
+        invoice_uuid: invoice.invoice_uuid,
+        invoice_period: invoice.invoice_period,
+        invoice_amount: invoice.amount
+      });
+      
+      allLineItems.push(...processedItems);
+      unmappedRows.push(...unmapped.map(entry => ({ ...entry, invoice_uuid: invoice.invoice_uuid })));
       
-      if (csvData && csvData.length > 0) {
-        // Add invoice information to each line item
-        const processedItems = csvData.map(item => ({
-          ...item,
-          // Ensure these fields are present for compatibility with existing code
-          invoice_uuid: invoice.invoice_uuid,
-          invoice_period: invoice.invoice_period,
-          invoice_amount: invoice.amount, // Add the invoice's total amount for reference
-          date: invoice.date || invoice.created_at
-        }));
-        
-        allLineItems.push(...processedItems);
-        
-        // Count discount items for this invoice
-        const discountItems = processedItems.filter(item => isDiscountItem(item));
-        console.log(`Added ${processedItems.length} line items from invoice ${invoice.invoice_uuid} (${discountItems.length} discounts)`);
+      // Count discount items for this invoice
+      const discountItems = processedItems.filter(item => isDiscountItem(item));
+      console.log(`Added ${processedItems.length} line items from invoice ${invoice.invoice_uuid} (${discountItems.length} discounts)`);
+    } else {
+      console.warn(`No CSV data found for invoice ${invoice.invoice_uuid}`);
+    }
+  });
+  
+  await Promise.all(promises);
+  return { lineItems: allLineItems, unmappedRows, failures };
+};
+
+// Sync invoices, their CSV data and their summaries against what is already cached
+// With no cache every invoice is downloaded; otherwise only the invoices picked by
+// getInvoicesToSync are fetched and their line items replace the cached ones. Summaries are
+// fetched for the same invoices and for any invoice that has no cached summary yet.
+export const syncInvoiceData = async (credentials, cachedInvoices = [], cachedLineItems = [], cachedSummaries = []) => {
+  // First get list of invoices - a failure here is thrown, so it is never mistaken for an account with no invoices
+  const invoicesList = await fetchInvoicesList(credentials);
+  console.log(`Retrieved ${invoicesList.length} invoices`);
+  
+  const invoicesToSync = getInvoicesToSync(invoicesList, cachedInvoices, cachedLineItems);
+  const cachedInvoiceIds = new Set(cachedInvoices.map(invoice => invoice.invoice_uuid));
+  console.log(`Syncing ${invoicesToSync.length} of ${invoicesList.length} invoices`);
+  
+  const syncIds = new Set(invoicesToSync.map(invoice => invoice.invoice_uuid));
+  const cachedSummaryIds = new Set(cachedSummaries.map(summary => summary.invoice_uuid));
+  const summariesToSync = invoicesList.filter(invoice =>
+    syncIds.has(invoice.invoice_uuid) || !cachedSummaryIds.has(invoice.invoice_uuid)
+  );
+  
+  // Then fetch CSVs and summaries for the invoices that changed
+  const [{ lineItems: syncedLineItems, unmappedRows, failures }, syncedSummaries] = await Promise.all([
+    fetchInvoiceLineItems(credentials, invoicesToSync),
+    fetchInvoiceSummaries(credentials, summariesToSync)
+  ]);
+  const failedInvoiceIds = new Set(failures.map(failure => failure.invoice_uuid));
+  const syncedInvoiceIds = invoicesToSync
+    .map(invoice => invoice.invoice_uuid)
+    .filter(invoiceId => !failedInvoiceIds.has(invoiceId));
+  
+  const newInvoiceCount = syncedInvoiceIds.filter(invoiceId => !cachedInvoiceIds.has(invoiceId)).length;
+  
+  if (failures.length > 0) {
+    console.warn(`${failures.length} invoices could not be downloaded:`, failures);
+  }
+  
+  // Keep cached line items for untouched invoices that are still on the account,
+  // and for invoices that failed to download so a failure never wipes out known spend
+  const currentInvoiceIds = new Set(invoicesList.map(invoice => invoice.invoice_uuid));
+  const replacedInvoiceIds = new Set(syncedInvoiceIds);
+  const keptLineItems = cachedLineItems.filter(item =>
+    currentInvoiceIds.has(item.invoice_uuid) && !replacedInvoiceIds.has(item.invoice_uuid)
+  );
+  const allLineItems = [...keptLineItems, ...syncedLineItems];
+  
+  const syncedSummaryIds = new Set(syncedSummaries.map(summary => summary.invoice_uuid));
+  const invoiceSummaries = [
+    ...cachedSummaries.filter(summary =>
+      currentInvoiceIds.has(summary.invoice_uuid) && !syncedSummaryIds.has(summary.invoice_uuid)
+    ),
+    ...syncedSummaries
+  ];
+  
+  // Log overall discount statistics
+  const totalDiscountItems = allLineItems.filter(item => isDiscountItem(item));
+  const totalDiscountAmount = totalDiscountItems.reduce((sum, item) => sum + item.amount, 0);
+  console.log(`Total discount items found: ${totalDiscountItems.length}`);
+  console.log(`Total discount amount: ${formatCurrency(totalDiscountAmount)}`);
+  
+  // Keep the cached copy of a failed invoice so the next sync sees it as changed and retries it
+  const cachedById = {};
+  cachedInvoices.forEach(invoice => {
+    cachedById[invoice.invoice_uuid] = invoice;
+  });
+  const invoices = invoicesList.map(invoice =>
+    (failedInvoiceIds.has(invoice.invoice_uuid) && cachedById[invoice.invoice_uuid]) || invoice
+  );
+  
+  return {
+    invoices,
+    lineItems: allLineItems,
+    invoiceSummaries,
+    syncedLineItems,
+    syncedInvoiceIds,
+    newInvoiceCount,
+    unmappedRows,
+    failures
+  };
+};
+
+// Fetch list of invoices
+// Throws when a page cannot be fetched (error.status holds the HTTP status), so a failed request is
+// never reported as an account with no invoices
+export const fetchInvoicesList = async (credentials) => {
+  // Initialize variables for pagination
+  let fetchedInvoices = [];
+  let hasMorePages = true;
+  let pageUrl = '/v2/customers/my/invoices?per_page=100';
+  
+  // Fetch all pages (apiFetch re-points absolute "next" links at the configured base URL)
+  while (hasMorePages) {
+    console.log(`Fetching invoices page: ${pageUrl}`);
+    const response = await queuedApiFetch(credentials, pageUrl);
+    
+    if (!response.ok) throw await buildApiError(response);
+    
+    const data = await response.json();
+    const pageInvoices = data.invoices || [];
+    fetchedInvoices = [...fetchedInvoices, ...pageInvoices];
+    
+    console.log(`Retrieved ${pageInvoices.length} invoices from current page`);
+    
+    // Check for more pages
+    if (data.links && data.links.pages && data.links.pages.next) {
+      pageUrl = data.links.pages.next;
+    } else if (response.headers && response.headers.get('Link')) {
+      const linkHeader = response.headers.get('Link');
+      const nextMatch = linkHeader.match(/<([^>]+)>;\s*rel="next"/);
+      if (nextMatch && nextMatch[1]) {
+        pageUrl = nextMatch[1];
       } else {
-        console.warn(`No CSV data found for invoice ${invoice.invoice_uuid}`);
+        hasMorePages = false;
       }
-    });
-    
-    await Promise.all(promises);
-    
-    // Log overall discount statistics
-    const totalDiscountItems = allLineItems.filter(item => isDiscountItem(item));
-    const totalDiscountAmount = totalDiscountItems.reduce((sum, item) => sum + extractMonetaryValue(item), 0);
-    console.log(`Total discount items found: ${totalDiscountItems.length}`);
-    console.log(`Total discount amount: ${formatCurrency(totalDiscountAmount)}`);
-    
-    return {
-      invoices: invoicesList,
-      lineItems: allLineItems
-    };
+    } else {
+      hasMorePages = false;
+    }
+  }
+  
+  return fetchedInvoices;
+};
+
+// Fetch month-to-date spend for the current, not yet invoiced month
+// Combines /v2/customers/my/balance with the invoice preview from the invoice list;
+// returns null if neither is available
+export const fetchMonthToDate = async (credentials) => {
+  let balance = null;
+  let preview = null;
+  
+  try {
+    const response = await queuedApiFetch(credentials, '/v2/customers/my/balance');
+    if (!response.ok) throw new Error(`API Error: ${response.status}`);
+    balance = await response.json();
+  } catch (error) {
+    console.error('Error fetching account balance:', error);
+  }
+  
+  try {
+    const response = await queuedApiFetch(credentials, '/v2/customers/my/invoices?per_page=1');
+    if (!response.ok) throw new Error(`API Error: ${response.status}`);
+    const data = await response.json();
+    preview = data.invoice_preview || null;
   } catch (error) {
-    console.error('Error fetching invoice data:', error);
-    return { invoices: [], lineItems: [] };
+    console.error('Error fetching invoice preview:', error);
   }
+  
+  if (!balance && !preview) return null;
+  
+  // The balance endpoint's usage figure is the most current; the preview is the fallback
+  const usage = balance?.month_to_date_usage ?? preview?.amount;
+  const monthToDate = {
+    period: preview?.invoice_period || getCurrentInvoicePeriod(),
+    amount: parseFloat(usage) || 0,
+    accountBalance: balance ? parseFloat(balance.account_balance) || 0 : null,
+    monthToDateBalance: balance ? parseFloat(balance.month_to_date_balance) || 0 : null,
+    generatedAt: balance?.generated_at || preview?.updated_at || new Date().toISOString()
+  };
+  
+  console.log('Month-to-date spend:', monthToDate);
+  return monthToDate;
 };
 
-// Fetch list of invoices
-export const fetchInvoicesList = async (token) => {
+// Fetch every billing history event (invoices, payments, credits) from /v2/customers/my/billing_history
+// Returns null if the history cannot be downloaded, so the caller can keep the cached copy
+export const fetchBillingHistory = async (credentials) => {
   try {
-    const headers = {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json'
-    };
-    
-    // Initialize variables for pagination
-    let fetchedInvoices = [];
-    let hasMorePages = true;
-    let pageUrl = 'https://api.digitalocean.com/v2/customers/my/invoices?per_page=100';
+    let events = [];
+    let pageUrl = '/v2/customers/my/billing_history?per_page=100';
     
-    // Fetch all pages
-    while (hasMorePages) {
-      console.log(`Fetching invoices page: ${pageUrl}`);
-      const response = await fetch(pageUrl, { method: 'GET', headers });
-      
+    while (pageUrl) {
+      const response = await queuedApiFetch(credentials, pageUrl);
       if (!response.ok) throw new Error(`API Error: ${response.status}`);
       
       const data = await response.json();
-      const pageInvoices = data.invoices || [];
-      fetchedInvoices = [...fetchedInvoices, ...pageInvoices];
-      
-      console.log(`Retrieved ${pageInvoices.length} invoices from current page`);
-      
-      // Check for more pages
-      if (data.links && data.links.pages && data.links.pages.next) {
-        pageUrl = data.links.pages.next;
-      } else if (response.headers && response.headers.get('Link')) {
-        const linkHeader = response.headers.get('Link');
-        const nextMatch = linkHeader.match(/<([^>]+)>;\s*rel="next"/);
-        if (nextMatch && nextMatch[1]) {
-          pageUrl = nextMatch[1];
-        } else {
-          hasMorePages = false;
-        }
-      } else {
-        hasMorePages = false;
-      }
+      events = events.concat((data.billing_history || []).map(event => ({
+        date: event.date,
+        type: event.type,
+        description: event.description || '',
+        amount: event.amount,
+        invoice_uuid: event.invoice_uuid || ''
+      })));
+      pageUrl = data.links?.pages?.next || null;
     }
     
-    return fetchedInvoices;
+    console.log(`Retrieved ${events.length} billing history events`);
+    return events;
   } catch (error) {
-    console.error('Error fetching invoices list:', error);
-    return [];
+    console.error('Error fetching billing history:', error);
+    return null;
   }
 };
 
-// UPDATED: Process CSV data for visualizations with optional time range filter (now includes discounts)
-export const processCSVDataForVisualizations = (lineItems, timeRange = null) => {
+// UPDATED: Process CSV data for visualizations with optional period filter (now includes discounts)
+// monthToDate (from fetchMonthToDate) adds a provisional bar for the in-progress month; it is
+// kept out of the totals, trend and forecast because the month is not finished yet
+// options.allocateDiscounts spreads discounts onto the projects and products they apply to (see
+// allocateDiscounts), so project and product totals are net; otherwise they get discount buckets
+export const processCSVDataForVisualizations = (lineItems, period = null, monthToDate = null, options = {}) => {
   console.log("Processing visualization data from", lineItems.length, "items (including discounts)");
   
   if (lineItems.length === 0) {
     console.warn("No line items to process for visualizations");
-    return createEmptyVisualizationData();
+    return addMonthToDate(createEmptyVisualizationData(), monthToDate);
   }
   
   // Show sample item for debugging
   console.log("Sample line item:", lineItems[0]);
   
-  // Apply time range filter if provided
+  // Apply period filter if provided
   let itemsToProcess = lineItems;
-  if (timeRange) {
-    itemsToProcess = filterLineItemsByTimeRange(lineItems, timeRange);
-    console.log(`Applied time range filter: ${timeRange}. Items reduced from ${lineItems.length} to ${itemsToProcess.length}`);
+  if (period) {
+    itemsToProcess = filterByPeriod(lineItems, period);
+    console.log(`Applied period filter: ${getPeriodKey(period)}. Items reduced from ${lineItems.length} to ${itemsToProcess.length}`);
   }
   
   // Initialize data structures
@@ -205,15 +390,24 @@ export const processCSVDataForVisualizations = (lineItems, timeRange = null) =>
   const categorySpend = {};
   const projectSpend = {};
   const productSpend = {};
+  // Month-by-month spend per project and product, used by anomaly detection
+  const projectMonthlySpend = {};
+  const productMonthlySpend = {};
+  // Spend per account, only filled in for the consolidated view (items tagged with account_name)
+  const accountSpend = {};
+  const accountMonthlySpend = {};
   let totalAmount = 0;
   let validItemCount = 0;
   let discountItemCount = 0;
   let totalDiscountAmount = 0;
   
+  // Discounts spread onto projects and products skip the discount buckets below
+  const discountAllocation = options.allocateDiscounts ? allocateDiscounts(itemsToProcess) : null;
+  const allocatedDiscounts = new Set(discountAllocation?.allocatedItems);
+  
   // Process each line item
   itemsToProcess.forEach((item, index) => {
-    // Find the monetary value for this item using the shared utility function
-    let amount = extractMonetaryValue(item);
+    const { amount } = item;
     
     // Log details for the first few items to debug (including discounts)
     if (index < 5) {
@@ -237,54 +431,44 @@ export const processCSVDataForVisualizations = (lineItems, timeRange = null) =>
     // Previously we might have had: if (amount <= 0) return;
     // Now we process all amounts, including negative ones
     
-    // For monthly data - use invoice_period or extract from start date
-    let month = item.invoice_period || '';
-    if (!month && item.start) {
-      // Try to extract YYYY-MM from start date
-      try {
-        const date = new Date(item.start);
-        if (!isNaN(date.getTime())) {
-          month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-        }
-      } catch (e) {
-        console.warn("Failed to parse date:", item.start);
-      }
-    }
+    // For monthly data - use invoice_period or the start date's month
+    const month = getItemMonth(item);
     
     if (month) {
       monthlySpend[month] = (monthlySpend[month] || 0) + amount;
     }
     
-    // For category breakdown - handle discounts specially
-    let category;
-    if (isDiscountItem(item)) {
-      category = categorizeDiscountItem(item);
-    } else {
-      category = item.category || item.name || item.product || item.description || 'Unknown';
-    }
+    // For category breakdown - discounts are grouped by their kind
+    const category = getItemCategory(item);
+    categorySpend[category] = (categorySpend[category] || 0) + amount;
     
-    if (category) {
-      categorySpend[category] = (categorySpend[category] || 0) + amount;
+    if (!allocatedDiscounts.has(item)) {
+      addSpend(projectSpend, projectMonthlySpend, getItemProject(item), month, amount);
+      addSpend(productSpend, productMonthlySpend, getItemProduct(item), month, amount);
     }
     
-    // For project breakdown - use project_name field
-    const project = item.project_name || 'Unassigned';
-    projectSpend[project] = (projectSpend[project] || 0) + amount;
-    
-    // For product breakdown - handle discounts specially
-    let product;
-    if (isDiscountItem(item)) {
-      product = categorizeDiscountItem(item);
-    } else {
-      product = item.product || item.name || item.type || 'Unknown';
+    if (item.account_name) {
+      accountSpend[item.account_name] = (accountSpend[item.account_name] || 0) + amount;
+      if (month) {
+        accountMonthlySpend[item.account_name] = accountMonthlySpend[item.account_name] || {};
+        accountMonthlySpend[item.account_name][month] = (accountMonthlySpend[item.account_name][month] || 0) + amount;
+      }
     }
-    productSpend[product] = (productSpend[product] || 0) + amount;
     
     // Add to total (including negative amounts for discounts)
     totalAmount += amount;
     validItemCount++;
   });
   
+  // Add the allocated discounts to the projects and products they were spread onto
+  if (discountAllocation) {
+    discountAllocation.allocations.forEach(({ project, product, month, amount }) => {
+      addSpend(projectSpend, projectMonthlySpend, project, month, amount);
+      addSpend(productSpend, productMonthlySpend, product, month, amount);
+    });
+    console.log(`Allocated ${discountAllocation.allocatedItems.length} discounts to projects and products, ${discountAllocation.unallocatedItems.length} left in discount buckets`);
+  }
+  
   // Debug logging for data validation (now including discount info)
   console.log("Monthly data:", monthlySpend);
   console.log("Category data:", categorySpend);
@@ -300,7 +484,7 @@ export const processCSVDataForVisualizations = (lineItems, timeRange = null) =>
     
     // Fallback: if no valid items were found, try using invoice totals instead
     console.log("Using invoice totals as fallback...");
-    return processInvoiceTotals(itemsToProcess);
+    return addMonthToDate(processInvoiceTotals(itemsToProcess), monthToDate);
   }
   
   // Sort monthly data by date for time-series display
@@ -315,15 +499,20 @@ export const processCSVDataForVisualizations = (lineItems, timeRange = null) =>
   const monthlyLabels = sortedMonths;
   const monthlyValues = sortedMonths.map(month => monthlySpend[month]);
   
-  // Calculate trend and forecast with improved methods
+  // Calculate trend, then forecast with the best backtested model
   const { trendText, forecastAmount, confidenceText } = 
     calculateTrendAndForecast(monthlyLabels, monthlyValues, validItemCount);
+  const forecast = buildForecast(monthlyLabels, monthlyValues);
   
-  return {
+  return addMonthToDate({
     monthlyData: { labels: monthlyLabels, values: monthlyValues },
     categoryData: categorySpend,
     projectData: projectSpend,
     productData: productSpend,
+    projectMonthlyData: projectMonthlySpend,
+    productMonthlyData: productMonthlySpend,
+    accountData: accountSpend,
+    accountMonthlyData: accountMonthlySpend,
     summary: {
       totalAmount,
       invoiceCount: Object.keys(monthlySpend).length,
@@ -331,8 +520,38 @@ export const processCSVDataForVisualizations = (lineItems, timeRange = null) =>
       discountItems: discountItemCount,
       totalDiscountAmount: totalDiscountAmount,
       trendText,
-      forecastAmount,
-      confidenceText
+      forecastAmount: forecast ? forecast.points[0].value : forecastAmount,
+      confidenceText: forecast ? describeForecast(forecast) : confidenceText
+    },
+    forecast
+  }, monthToDate);
+};
+
+// Add an amount to a project or product total and its month-by-month series
+const addSpend = (spend, monthlySpend, key, month, amount) => {
+  spend[key] = (spend[key] || 0) + amount;
+  if (month) {
+    monthlySpend[key] = monthlySpend[key] || {};
+    monthlySpend[key][month] = (monthlySpend[key][month] || 0) + amount;
+  }
+};
+
+// Attach month-to-date spend to processed data
+// The provisional bar is only added while the month has no finalised invoice yet
+const addMonthToDate = (processedData, monthToDate) => {
+  if (!monthToDate) return processedData;
+  
+  const isInvoiced = processedData.monthlyData.labels.includes(monthToDate.period);
+  
+  return {
+    ...processedData,
+    monthlyData: {
+      ...processedData.monthlyData,
+      provisional: isInvoiced ? null : { label: monthToDate.period, value: monthToDate.amount }
+    },
+    summary: {
+      ...processedData.summary,
+      monthToDate
     }
   };
 };
@@ -354,20 +573,8 @@ const processInvoiceTotals = (lineItems) => {
     // Skip if we've already processed this invoice
     if (invoices.has(item.invoice_uuid)) return;
     
-    // For invoice amounts, make sure to parse correctly if it's a string
-    let amount = 0;
-    if (item.invoice_amount) {
-      if (typeof item.invoice_amount === 'string') {
-        // Remove currency symbols if present, but keep minus sign for negative amounts
-        const cleaned = item.invoice_amount.replace(/[^\d.-]/g, '');
-        amount = parseFloat(cleaned);
-      } else if (typeof item.invoice_amount === 'number') {
-        amount = item.invoice_amount;
-      }
-    }
-    
-    // Don't skip negative amounts anymore - they could be credit invoices
-    if (isNaN(amount)) return;
+    // Don't skip negative amounts - they could be credit invoices
+    const amount = item.invoice_amount ?? 0;
     
     invoices.add(item.invoice_uuid);
     invoiceAmounts[item.invoice_period] = (invoiceAmounts[item.invoice_period] || 0) + amount;
@@ -398,15 +605,20 @@ const processInvoiceTotals = (lineItems) => {
     return createEmptyVisualizationData();
   }
   
-  // Calculate trend and forecast with improved methods
+  // Calculate trend, then forecast with the best backtested model
   const { trendText, forecastAmount, confidenceText } = 
     calculateTrendAndForecast(monthlyLabels, monthlyValues, invoices.size);
+  const forecast = buildForecast(monthlyLabels, monthlyValues);
   
   return {
     monthlyData: { labels: monthlyLabels, values: monthlyValues },
     categoryData: categorySpend,
     projectData: projectSpend,
     productData: productSpend,
+    projectMonthlyData: {},
+    productMonthlyData: {},
+    accountData: {},
+    accountMonthlyData: {},
     summary: {
       totalAmount,
       invoiceCount: invoices.size,
@@ -414,9 +626,10 @@ const processInvoiceTotals = (lineItems) => {
       discountItems: 0, // We don't have detailed discount info in this fallback
       totalDiscountAmount: 0,
       trendText,
-      forecastAmount,
-      confidenceText
-    }
+      forecastAmount: forecast ? forecast.points[0].value : forecastAmount,
+      confidenceText: forecast ? describeForecast(forecast) : confidenceText
+    },
+    forecast
   };
 };
 
@@ -463,6 +676,10 @@ const createEmptyVisualizationData = () => {
     categoryData: {'No Data': 0},
     projectData: {'No Data': 0},
     productData: {'No Data': 0},
+    projectMonthlyData: {},
+    productMonthlyData: {},
+    accountData: {},
+    accountMonthlyData: {},
     summary: {
       totalAmount: 0,
       invoiceCount: 0,
@@ -472,296 +689,11 @@ const createEmptyVisualizationData = () => {
       trendText: 'N/A',
       forecastAmount: 0,
       confidenceText: 'No data available'
-    }
+    },
+    forecast: null
   };
 };
 
-// IMPROVED: Calculate trend and forecast from monthly data with advanced methods (unchanged but now accounts for discounts in the data)
-const calculateTrendAndForecast = (labels, values, itemCount) => {
-  // Handle the case where we don't have enough data
-  if (!labels || !values || values.length === 0) {
-    return {
-      trendText: 'N/A',
-      forecastAmount: 0,
-      confidenceText: `No data available`
-    };
-  }
-  
-  // Special case: If we're looking at only the last month (timeRange = '1month')
-  // we should still make a forecast by looking at a wider range of data
-  let lastSpend = 0;
-  let prevSpend = 0;
-  let fullDataset = false;
-  
-  // Case 1: We have at least 2 months of data in the current view
-  if (values.length >= 2) {
-    const lastIndex = values.length - 1;
-    lastSpend = values[lastIndex];
-    prevSpend = values[lastIndex - 1];
-    fullDataset = true;
-  } 
-  // Case 2: We only have 1 month in view (likely because timeRange = '1month')
-  // In this case, we'll use the last month's value and make a simple projection
-  else if (values.length === 1) {
-    lastSpend = values[0];
-    
-    // Even with only one month in view, we'll attempt a forecast
-    // Set a reasonable default value (for now, just use the last month)
-    // We'll refine this in the forecast calculation
-    prevSpend = lastSpend;
-    
-    // Mark that we don't have a full dataset to calculate trend
-    fullDataset = false;
-  }
-  // Case 3: No data available at all
-  else {
-    return {
-      trendText: 'N/A',
-      forecastAmount: 0,
-      confidenceText: `Insufficient data (${itemCount} items)`
-    };
-  }
-
-  // Calculate trend, but only if we have at least 2 months of data
-  let trendText = 'N/A';
-  if (fullDataset && prevSpend !== 0) { // Changed from prevSpend > 0 to handle negative previous spend
-    const change = lastSpend - prevSpend;
-    const percentChange = (change / Math.abs(prevSpend)) * 100; // Use absolute value for percentage calculation
-    trendText = change >= 0 ? 
-      `Up ${percentChange.toFixed(1)}%` : 
-      `Down ${Math.abs(percentChange).toFixed(1)}%`;
-  }
-
-  // IMPROVED FORECASTING METHODS (now accounts for discounts in calculations)
-  let forecastAmount = 0;
-  let confidenceText = '';
-
-  // For limited visible data
-  if (!fullDataset) {
-    forecastAmount = lastSpend * 1.03; // Assume 3% growth instead of 5%
-    confidenceText = 'Based on limited visible data, high variance possible';
-  }
-  // For 12+ months of data
-  else if (values.length >= 12) {
-    // IMPROVED METHOD FOR 12+ MONTHS: Multiple model ensemble
-    
-    // 1. Calculate moving average growth rates (last 3, 6, and 12 months)
-    const last3MonthsAvg = values.slice(-3).reduce((sum, val) => sum + val, 0) / 3;
-    const last6MonthsAvg = values.slice(-6).reduce((sum, val) => sum + val, 0) / 6;
-    
-    // 2. Calculate month-over-month growth rates
-    const recentGrowthRates = [];
-    for (let i = 1; i < Math.min(6, values.length); i++) {
-      if (values[values.length - i - 1] !== 0) { // Changed from > 0 to !== 0
-        recentGrowthRates.push(values[values.length - i] / values[values.length - i - 1]);
-      }
-    }
-    
-    // Average of recent growth rates
-    const avgGrowthRate = recentGrowthRates.length > 0 ? 
-      recentGrowthRates.reduce((sum, rate) => sum + rate, 0) / recentGrowthRates.length : 1;
-    
-    // 3. Calculate seasonal index (compare current month to trailing average)
-    // For 12-month view, we need to avoid comparing with ourselves
-    let seasonalFactor = 1;
-    if (values.length > 12) {
-      // Use true seasonal comparison with prior year
-      const sameMonthLastYear = values[values.length - 12];
-      const trailingAvgLastYear = values.slice(-15, -9).reduce((sum, val) => sum + val, 0) / 6;
-      
-      if (trailingAvgLastYear !== 0) { // Changed from > 0 to !== 0
-        // How much this month typically differs from the average
-        seasonalFactor = (sameMonthLastYear / trailingAvgLastYear);
-      }
-    } else {
-      // For exactly 12 months, use the overall pattern in the data
-      // rather than comparing with ourselves
-      const firstHalfAvg = values.slice(0, 6).reduce((sum, val) => sum + val, 0) / 6;
-      const secondHalfAvg = values.slice(-6).reduce((sum, val) => sum + val, 0) / 6;
-      
-      if (firstHalfAvg !== 0) { // Changed from > 0 to !== 0
-        const overallGrowthFactor = secondHalfAvg / firstHalfAvg;
-        // Apply a dampened growth factor
-        seasonalFactor = Math.pow(overallGrowthFactor, 1/6); // Sixth root for monthly growth
-      }
-    }
-    
-    // Cap seasonal factor to avoid extreme values
-    seasonalFactor = Math.max(0.8, Math.min(1.2, seasonalFactor));
-    
-    // 4. Calculate variance to determine confidence
-    const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
-    const variance = values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / values.length;
-    const coefficientOfVariation = Math.abs(mean) > 0 ? Math.sqrt(variance) / Math.abs(mean) : 0; // Use absolute value for mean
-    
-    // 5. Ensemble forecast using all factors
-    // Weighted blend of different models
-    const trendModelForecast = lastSpend * avgGrowthRate;
-    const movingAvgForecast = (last3MonthsAvg * 0.7 + last6MonthsAvg * 0.3) * seasonalFactor;
-    
-    // Final forecast with weightings
-    forecastAmount = trendModelForecast * 0.6 + movingAvgForecast * 0.4;
-    
-    // Confidence text based on actual variance in the data
-    const confidencePercent = Math.min(25, Math.max(5, Math.round(coefficientOfVariation * 100)));
-    confidenceText = `Based on ${values.length} months with seasonal adjustment, ±${confidencePercent}%`;
-  } 
-  else if (values.length >= 6) {
-    // IMPROVED METHOD FOR 6-11 MONTHS
-    
-    // Calculate exponentially weighted moving average
-    // More weight to recent months
-    const weights = [0.35, 0.25, 0.15, 0.10, 0.08, 0.07]; // Sum = 1
-    let weightedSum = 0;
-    let weightSum = 0;
-    
-    for (let i = 0; i < Math.min(6, values.length); i++) {
-      weightedSum += values[values.length - 1 - i] * weights[i];
-      weightSum += weights[i];
-    }
-    
-    const weightedAvg = weightedSum / weightSum;
-    
-    // Calculate growth rate with longer-term trend
-    const firstHalf = values.slice(0, Math.floor(values.length / 2));
-    const secondHalf = values.slice(Math.floor(values.length / 2));
-    
-    const firstHalfAvg = firstHalf.reduce((sum, val) => sum + val, 0) / firstHalf.length;
-    const secondHalfAvg = secondHalf.reduce((sum, val) => sum + val, 0) / secondHalf.length;
-    
-    let growthFactor = 1.02; // Default modest growth
-    
-    if (firstHalfAvg !== 0) { // Changed from > 0 to !== 0
-      // Calculate monthly growth factor
-      growthFactor = Math.pow(secondHalfAvg / firstHalfAvg, 1/secondHalf.length);
-      // Cap growth to avoid extreme forecasts
-      growthFactor = Math.max(0.9, Math.min(1.1, growthFactor));
-    }
-    
-    // Retrending method: Weighted average × growth factor
-    forecastAmount = weightedAvg * growthFactor;
-    
-    // Calculate variance for confidence
-    const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
-    const variance = values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / values.length;
-    const relativeVariance = Math.abs(mean) > 0 ? Math.sqrt(variance) / Math.abs(mean) : 0; // Use absolute value for mean
-    
-    const confidencePercent = Math.min(20, Math.max(8, Math.round(relativeVariance * 100)));
-    confidenceText = `Based on ${values.length} months trend analysis, ±${confidencePercent}%`;
-  }
-  else if (values.length >= 3) {
-    // IMPROVED METHOD FOR 3-5 MONTHS
-    // Enhanced linear regression with drift adjustment
-    
-    // 1. Simple linear regression
-    let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0;
-    const n = values.length;
-    
-    for (let i = 0; i < n; i++) {
-      sumX += i;
-      sumY += values[i];
-      sumXY += i * values[i];
-      sumX2 += i * i;
-    }
-    
-    // Calculate slope and intercept
-    const denominator = n * sumX2 - sumX * sumX;
-    const slope = denominator ? (n * sumXY - sumX * sumY) / denominator : 0;
-    const intercept = (sumY - slope * sumX) / n;
-    
-    // Base projection
-    let baseProjection = intercept + slope * n;
-    
-    // 2. Calculate acceleration/deceleration
-    let acceleration = 0;
-    if (n >= 3) {
-      const firstDiffs = [];
-      for (let i = 1; i < n; i++) {
-        firstDiffs.push(values[i] - values[i-1]);
-      }
-      
-      // Calculate average change in differences (acceleration)
-      let diffSum = 0;
-      for (let i = 1; i < firstDiffs.length; i++) {
-        diffSum += firstDiffs[i] - firstDiffs[i-1];
-      }
-      
-      if (firstDiffs.length > 1) {
-        acceleration = diffSum / (firstDiffs.length - 1);
-        // Dampen the acceleration effect
-        acceleration *= 0.5;
-      }
-    }
-    
-    // Apply acceleration adjustment
-    forecastAmount = baseProjection + acceleration;
-    
-    // Apply reasonable bounds (now considering negative values for discounts)
-    const lastValue = values[n-1];
-    if (forecastAmount < lastValue * 0.5 && lastValue > 0) forecastAmount = lastValue * 0.9;
-    if (forecastAmount > lastValue * 2 && lastValue > 0) forecastAmount = lastValue * 1.3;
-    
-    // Calculate error bounds based on regression residuals
-    let sumSquaredErrors = 0;
-    for (let i = 0; i < n; i++) {
-      const predicted = intercept + slope * i;
-      sumSquaredErrors += Math.pow(values[i] - predicted, 2);
-    }
-    
-    const standardError = Math.sqrt(sumSquaredErrors / (n - 2));
-    const meanValue = sumY / n;
-    const confidencePercent = Math.abs(meanValue) > 0 ? 
-      Math.min(25, Math.max(10, Math.round((standardError / Math.abs(meanValue)) * 100))) : 15;
-    
-    confidenceText = `Based on ${n} months regression analysis, ±${confidencePercent}%`;
-  } 
-  else if (values.length >= 2) {
-    // IMPROVED METHOD FOR 2 MONTHS (now handles negative values properly)
-    // Use dampened growth with reasonability checks
-    
-    const growthRate = prevSpend !== 0 ? lastSpend / prevSpend : 1;
-    
-    // Apply stronger dampening for extreme growth rates
-    let dampening = 0.7; // Default dampening factor
-    if (growthRate > 1.5 || growthRate < 0.75) {
-      dampening = 0.5; // More aggressive dampening for extreme changes
-    }
-    
-    const dampedGrowthRate = 1 + (growthRate - 1) * dampening;
-    forecastAmount = lastSpend * dampedGrowthRate;
-    
-    // Apply more conservative bounds (considering negative values)
-    const absLastSpend = Math.abs(lastSpend);
-    if (Math.abs(forecastAmount) > absLastSpend * 1.3) {
-      forecastAmount = lastSpend * (lastSpend >= 0 ? 1.3 : 0.7);
-    }
-    
-    confidenceText = 'Based on 2 months of data, high uncertainty (±20%)';
-  }
-
-  // Apply anomaly detection and smoothing for all methods (now considers negative values)
-  if (values.length >= 4) {
-    const sortedValues = [...values].sort((a, b) => a - b);
-    const medianValue = sortedValues[Math.floor(values.length / 2)];
-    const threeMonthAvg = (values[values.length - 2] + values[values.length - 3] + values[values.length - 4]) / 3;
-    
-    // Check if the last month is an outlier compared to both median and recent average
-    const medianDeviation = Math.abs(medianValue) > 0 ? Math.abs(lastSpend - medianValue) / Math.abs(medianValue) : 0;
-    const recentDeviation = Math.abs(threeMonthAvg) > 0 ? Math.abs(lastSpend - threeMonthAvg) / Math.abs(threeMonthAvg) : 0;
-    
-    // If both deviations are high, it's likely an anomaly
-    if (medianDeviation > 0.3 && recentDeviation > 0.25) {
-      // Use a blend that reduces the impact of the anomaly
-      const blendedBaseline = threeMonthAvg * 0.7 + medianValue * 0.3;
-      // Adjust the forecast by blending the original with the adjusted baseline
-      forecastAmount = forecastAmount * 0.4 + blendedBaseline * 0.6;
-      confidenceText += ' (adjusted for potential anomaly)';
-    }
-  }
-
-  return { trendText, forecastAmount, confidenceText };
-};
-
 // Helper function to add forecast visualization to chart data
 export const addForecastToMonthlyChart = (chartData, forecastAmount) => {
   if (!chartData || !chartData.labels || chartData.labels.length === 0 || !chartData.datasets) 
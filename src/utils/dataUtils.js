@@ -1,202 +1,27 @@
+import { filterByPeriod, getItemMonth } from './periodUtils';
+import { UNASSIGNED_PROJECT } from './lineItemUtils';
+
 // Format currency helper
 export const formatCurrency = (value) => {
   return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(value);
 };
 
-// Filter invoices by time range
-export const filterInvoicesByTimeRange = (invoices, selectedRange) => {
-  if (!invoices || invoices.length === 0) return [];
-  
-  const mostRecentInvoice = invoices.reduce((latest, current) => {
-    const currentDate = new Date(current.invoice_period || current.created_at || 0);
-    const latestDate = new Date(latest.invoice_period || latest.created_at || 0);
-    return currentDate > latestDate ? current : latest;
-  }, invoices[0]);
-  
-  const mostRecentDate = mostRecentInvoice 
-    ? new Date(mostRecentInvoice.invoice_period || mostRecentInvoice.created_at) 
-    : new Date();
-  
-  const filterDate = new Date();
-  
-  switch (selectedRange) {
-    case '1month':
-      return invoices.filter(invoice => {
-        const invoiceDate = new Date(invoice.invoice_period || invoice.created_at || 0);
-        return invoiceDate.getFullYear() === mostRecentDate.getFullYear() && 
-               invoiceDate.getMonth() === mostRecentDate.getMonth();
-      });
-    case '3months':
-      filterDate.setMonth(filterDate.getMonth() - 4);
-      break;
-    case '6months':
-      filterDate.setMonth(filterDate.getMonth() - 7);
-      break;
-    case '12months':
-      filterDate.setMonth(filterDate.getMonth() - 13);
-      break;
-    case 'all':
-      filterDate.setFullYear(2000);
-      break;
-    default:
-      filterDate.setMonth(filterDate.getMonth() - 6);
-  }
-  
-  if (selectedRange !== '1month') {
-    return invoices.filter(invoice => {
-      const dateToCheck = new Date(invoice.invoice_period || invoice.created_at || 0);
-      return !isNaN(dateToCheck.getTime()) && dateToCheck >= filterDate;
-    });
-  }
-  
-  return [];
-};
-
-// NEW FUNCTION: Filter line items by time range
-export const filterLineItemsByTimeRange = (lineItems, selectedRange) => {
-  if (!lineItems || lineItems.length === 0) return [];
-  
-  // For "all" time range, return all items
-  if (selectedRange === 'all') {
-    return lineItems;
-  }
-  
-  const filterDate = new Date();
-  
-  // Calculate filter date based on selected range
-  switch (selectedRange) {
-    case '1month':
-      filterDate.setMonth(filterDate.getMonth() - 2);
-      break;
-    case '3months':
-      filterDate.setMonth(filterDate.getMonth() - 4);
-      break;
-    case '6months':
-      filterDate.setMonth(filterDate.getMonth() - 7);
-      break;
-    case '12months':
-      filterDate.setMonth(filterDate.getMonth() - 13);
-      break;
-    default:
-      filterDate.setMonth(filterDate.getMonth() - 7); // Default to 6 months
-  }
-  
-  return lineItems.filter(item => {
-    // Try multiple date fields that might be in the CSV
-    let itemDate;
-    
-    // Find the most reliable date field
-    if (item.invoice_period) {
-      // Handle YYYY-MM format
-      if (/^\d{4}-\d{2}$/.test(item.invoice_period)) {
-        itemDate = new Date(`${item.invoice_period}-01`);
-      } else {
-        // Try to parse other formats
-        itemDate = new Date(item.invoice_period);
-      }
-    } else if (item.date) {
-      itemDate = new Date(item.date);
-    } else if (item.start) {
-      itemDate = new Date(item.start);
-    } else if (item.created_at) {
-      itemDate = new Date(item.created_at);
-    } else if (item.invoice_date) {
-      itemDate = new Date(item.invoice_date);
-    }
-    
-    // If no valid date found, include the item by default
-    if (!itemDate || isNaN(itemDate.getTime())) {
-      return true;
-    }
-    
-    return itemDate >= filterDate;
-  });
-};
-
-// UPDATED FUNCTION: Extract monetary value from line item (now handles negative values/discounts)
-export const extractMonetaryValue = (item) => {
-  // For USD field, clean and handle the string values (including negative values)
-  if ('USD' in item) {
-    // If it's a string like "$18.00" or "-$1,779.55", clean it up
-    if (typeof item.USD === 'string') {
-      // Remove $ and any other non-numeric characters except decimal point and minus sign
-      const cleaned = item.USD.replace(/[^\d.-]/g, '');
-      const value = parseFloat(cleaned);
-      if (!isNaN(value)) {
-        console.log(`Extracted USD value: ${item.USD} -> ${value}`);
-        return value; // This will be negative for discounts
-      }
-    } else if (typeof item.USD === 'number') {
-      return item.USD;
-    }
-  }
-  
-  // Check other common field names (allow negative values)
-  if ('amount' in item) {
-    const amount = parseFloat(item.amount);
-    if (!isNaN(amount)) return amount;
-  }
-  if ('cost' in item) {
-    const cost = parseFloat(item.cost);
-    if (!isNaN(cost)) return cost;
-  }
-  if ('price' in item) {
-    const price = parseFloat(item.price);
-    if (!isNaN(price)) return price;
-  }
-  if ('charge' in item) {
-    const charge = parseFloat(item.charge);
-    if (!isNaN(charge)) return charge;
-  }
-  
-  // IMPORTANT: Do NOT use invoice_amount as a fallback
-  // This is the entire invoice amount, not the line item amount!
-  
-  // Look for other fields that might contain monetary values (including negative)
-  for (const [key, value] of Object.entries(item)) {
-    // Skip non-numeric fields, hours field, and invoice amount
-    if (key === 'hours' || key === 'invoice_amount') continue;
-    
-    // Handle string values that might have currency symbols (including negative)
-    if (typeof value === 'string' && (value.includes('$') || value.includes('-'))) {
-      const cleaned = value.replace(/[^\d.-]/g, '');
-      const numValue = parseFloat(cleaned);
-      if (!isNaN(numValue)) {
-        // Log if this is a discount/negative value
-        if (numValue < 0) {
-          console.log(`Found discount/negative value in field ${key}: ${value} -> ${numValue}`);
-        }
-        return numValue; // Return negative values for discounts
-      }
-    } else if (typeof value === 'number') {
-      // Return any numeric field, including negative values
-      return value;
-    }
-  }
-  
-  // If nothing else is found, return 0
-  return 0;
-};
-
 // NEW FUNCTION: Check if an item is a discount
 export const isDiscountItem = (item) => {
   // Check if the monetary value is negative
-  const amount = extractMonetaryValue(item);
-  if (amount < 0) return true;
+  if (item.amount < 0) return true;
   
   // Check if description/category indicates it's a discount
   const description = (item.description || '').toLowerCase();
   const category = (item.category || '').toLowerCase();
   const product = (item.product || '').toLowerCase();
-  const name = (item.name || '').toLowerCase();
   
   const discountKeywords = ['discount', 'credit', 'refund', 'rebate', 'adjustment'];
   
   return discountKeywords.some(keyword => 
     description.includes(keyword) || 
     category.includes(keyword) || 
-    product.includes(keyword) ||
-    name.includes(keyword)
+    product.includes(keyword)
   );
 };
 
@@ -221,6 +46,91 @@ export const categorizeDiscountItem = (item) => {
   return 'Discounts';
 };
 
+// Product a line item counts towards - discounts are grouped by their kind
+export const getItemProduct = (item) => (isDiscountItem(item) ? categorizeDiscountItem(item) : item.product);
+
+// Category a line item counts towards, falling back to its product when the CSV has no category
+export const getItemCategory = (item) => (isDiscountItem(item) ? categorizeDiscountItem(item) : (item.category || item.product));
+
+// Project a line item counts towards
+export const getItemProject = (item) => item.project_name || UNASSIGNED_PROJECT;
+
+// Products each kind of discount applies to, matched against the lower-cased product name
+// Other discounts apply to every product
+const DISCOUNT_PRODUCT_SCOPES = {
+  'IaaS Discount': ['droplet', 'volume', 'snapshot', 'backup', 'load balancer', 'spaces', 'floating ip', 'reserved ip', 'kubernetes', 'bandwidth'],
+  'PaaS Discount': ['app platform', 'database', 'functions', 'container registry']
+};
+
+// Spread discounts back onto the charges they apply to, in proportion to each charge's amount
+// A discount is shared by the charges billed in the same month, narrowed to the products its
+// type covers and to its own project when it has one (each narrowing is skipped if nothing matches)
+// Positive items that count as discounts (e.g. an adjustment reversing a credit) are spread the same
+// way, so they net off against the charges the credit went to instead of staying in a discount bucket
+// Returns { allocations: [{ project, product, month, amount }], allocatedItems, unallocatedItems }
+export const allocateDiscounts = (lineItems) => {
+  const chargesByMonth = {};
+  const discounts = [];
+  
+  lineItems.forEach(item => {
+    const { amount } = item;
+    
+    if (isDiscountItem(item)) {
+      if (amount !== 0) discounts.push({ item, amount });
+    } else if (amount > 0) {
+      const month = getItemMonth(item);
+      chargesByMonth[month] = chargesByMonth[month] || [];
+      chargesByMonth[month].push({
+        amount,
+        project: getItemProject(item),
+        product: item.product
+      });
+    }
+  });
+  
+  // Narrow the candidate charges, unless that would leave none
+  const narrow = (charges, predicate) => {
+    const narrowed = charges.filter(predicate);
+    return narrowed.length > 0 ? narrowed : charges;
+  };
+  
+  const totals = {};
+  const allocatedItems = [];
+  const unallocatedItems = [];
+  
+  discounts.forEach(({ item, amount }) => {
+    const month = getItemMonth(item);
+    let charges = chargesByMonth[month] || [];
+    
+    const scope = DISCOUNT_PRODUCT_SCOPES[categorizeDiscountItem(item)];
+    if (scope) {
+      charges = narrow(charges, charge => scope.some(keyword => charge.product.toLowerCase().includes(keyword)));
+    }
+    if (item.project_name) {
+      charges = narrow(charges, charge => charge.project === item.project_name);
+    }
+    
+    const chargeTotal = charges.reduce((sum, charge) => sum + charge.amount, 0);
+    if (chargeTotal <= 0) {
+      unallocatedItems.push(item);
+      return;
+    }
+    
+    charges.forEach(charge => {
+      const key = JSON.stringify([charge.project, charge.product, month]);
+      totals[key] = (totals[key] || 0) + amount * (charge.amount / chargeTotal);
+    });
+    allocatedItems.push(item);
+  });
+  
+  const allocations = Object.entries(totals).map(([key, amount]) => {
+    const [project, product, month] = JSON.parse(key);
+    return { project, product, month, amount };
+  });
+  
+  return { allocations, allocatedItems, unallocatedItems };
+};
+
 // Helper function to extract proper project name from item
 const extractProjectName = (item) => {
   // First, check for explicit project fields
@@ -243,18 +153,18 @@ const extractProjectName = (item) => {
 };
 
 // UPDATED: Process project data from detailed line items (now includes discounts)
-export const processProjectData = (detailedLineItems, selectedRange, invoices) => {
+export const processProjectData = (detailedLineItems, period, invoices) => {
   if (!detailedLineItems || detailedLineItems.length === 0) {
     return { 'Unassigned': 0 };
   }
   
   console.log("Processing project data from detailed line items (including discounts)");
   
-  // Filter invoices by time range
-  const filteredInvoices = filterInvoicesByTimeRange(invoices, selectedRange);
+  // Filter invoices by the selected period
+  const filteredInvoices = filterByPeriod(invoices, period);
   console.log("Filtered invoices count for projects:", filteredInvoices.length);
   
-  // Get set of invoice UUIDs for the selected time range
+  // Get set of invoice UUIDs for the selected period
   const invoiceIds = new Set(filteredInvoices.map(invoice => invoice.invoice_uuid));
   
   // Process line items to get project spending
@@ -269,7 +179,7 @@ export const processProjectData = (detailedLineItems, selectedRange, invoices) =
       return;
     }
     
-    const amount = extractMonetaryValue(item);
+    const { amount } = item;
     
     // Log discount items for debugging
     if (amount < 0) {
@@ -282,8 +192,7 @@ export const processProjectData = (detailedLineItems, selectedRange, invoices) =
       discountCount++;
     }
     
-    // Extract project name, use "Unassigned" if not present
-    const project = item.project_name || 'Unassigned';
+    const project = getItemProject(item);
     
     // Add to project spending (this now includes negative amounts for discounts)
     projectSpend[project] = (projectSpend[project] || 0) + amount;
@@ -303,15 +212,15 @@ export const processProjectData = (detailedLineItems, selectedRange, invoices) =
 };
 
 // Enhanced helper function to process detailed line items by category (now includes discounts)
-export const processDetailedLineItems = (detailedLineItems, selectedRange, invoices) => {
+export const processDetailedLineItems = (detailedLineItems, period, invoices) => {
   if (!detailedLineItems || detailedLineItems.length === 0) {
     return {};
   }
   
-  // Filter invoices by time range
-  const filteredInvoices = filterInvoicesByTimeRange(invoices, selectedRange);
+  // Filter invoices by the selected period
+  const filteredInvoices = filterByPeriod(invoices, period);
   
-  // Get set of invoice UUIDs for the selected time range
+  // Get set of invoice UUIDs for the selected period
   const invoiceIds = new Set(filteredInvoices.map(invoice => invoice.invoice_uuid));
   
   // Filter detailed line items by invoice IDs
@@ -323,20 +232,7 @@ export const processDetailedLineItems = (detailedLineItems, selectedRange, invoi
   const categorizedItems = {};
   
   filteredLineItems.forEach(item => {
-    let category;
-    
-    // Special handling for discount items
-    if (isDiscountItem(item)) {
-      category = categorizeDiscountItem(item);
-    } else {
-      // Determine the category using multiple potential fields for regular items
-      category = item.category || 
-                item.name || 
-                item.product || 
-                item.group_description || 
-                item.description || 
-                'Unknown';
-    }
+    const category = getItemCategory(item);
     
     // Initialize the category array if needed
     if (!categorizedItems[category]) {
@@ -351,30 +247,17 @@ export const processDetailedLineItems = (detailedLineItems, selectedRange, invoi
 };
 
 // Helper function to get detailed data for a specific category (now includes discounts)
-export const getCategoryDetails = (detailedLineItems, category, selectedRange, invoices) => {
+export const getCategoryDetails = (detailedLineItems, category, period, invoices) => {
   if (!category || !detailedLineItems || detailedLineItems.length === 0) {
     return [];
   }
   
-  // Filter line items by time range directly
-  const filteredLineItems = filterLineItemsByTimeRange(detailedLineItems, selectedRange);
+  // Filter line items by the selected period directly
+  const filteredLineItems = filterByPeriod(detailedLineItems, period);
   
   // Filter detailed line items by category
   return filteredLineItems.filter(item => {
-    let itemCategory;
-    
-    // Special handling for discount items
-    if (isDiscountItem(item)) {
-      itemCategory = categorizeDiscountItem(item);
-    } else {
-      // Determine the item's category using multiple potential fields
-      itemCategory = item.category || 
-                    item.name || 
-                    item.product || 
-                    item.group_description || 
-                    item.description || 
-                    'Unknown';
-    }
+    const itemCategory = getItemCategory(item);
     
     // Try exact match first
     if (itemCategory === category) return true;
@@ -396,29 +279,15 @@ export const getDistinctCategories = (detailedLineItems) => {
   const categories = new Set();
   
   detailedLineItems.forEach(item => {
-    let category;
-    
-    // Special handling for discount items
-    if (isDiscountItem(item)) {
-      category = categorizeDiscountItem(item);
-    } else {
-      category = item.category || 
-                item.name || 
-                item.product || 
-                item.group_description || 
-                item.description || 
-                'Unknown';
-    }
-    
-    categories.add(category);
+    categories.add(getItemCategory(item));
   });
   
   return Array.from(categories);
 };
 
 // Main data processing function (updated to handle discounts)
-export const processData = (invoices, invoiceSummaries, selectedRange) => {
-  console.log("Processing data with time range:", selectedRange);
+export const processData = (invoices, invoiceSummaries, period) => {
+  console.log("Processing data for period:", period);
   
   const monthlySpend = {};
   const categorySpend = {};
@@ -427,8 +296,8 @@ export const processData = (invoices, invoiceSummaries, selectedRange) => {
   let totalAmount = 0;
   let totalItems = 0;
   
-  // Filter invoices by time range
-  const filteredInvoices = filterInvoicesByTimeRange(invoices, selectedRange);
+  // Filter invoices by the selected period
+  const filteredInvoices = filterByPeriod(invoices, period);
   console.log("Filtered invoices count:", filteredInvoices.length);
   
   // Filter summaries by matched invoice IDs
@@ -0,0 +1,77 @@
+import { allocateDiscounts } from './dataUtils';
+
+const charge = (product, amount, project_name = 'Web', invoice_period = '2024-01') => ({ product, amount, project_name, invoice_period });
+const discount = (description, amount, extra = {}) => ({ product: 'Credits', description, amount, invoice_period: '2024-01', ...extra });
+
+// Allocated amount per "project/product" for easy comparison
+const allocatedTo = (result) => Object.fromEntries(
+  result.allocations.map(({ project, product, amount }) => [`${project}/${product}`, Math.round(amount * 100) / 100])
+);
+
+test('a discount is spread over the charges of its month in proportion to their amount', () => {
+  const result = allocateDiscounts([
+    charge('Droplets', 30),
+    charge('Databases', 10, 'Data'),
+    charge('Droplets', 50, 'Web', '2024-02'),
+    discount('Promo credit', -8)
+  ]);
+
+  expect(allocatedTo(result)).toEqual({ 'Web/Droplets': -6, 'Data/Databases': -2 });
+  expect(result.allocations.every(allocation => allocation.month === '2024-01')).toBe(true);
+  expect(result.allocatedItems).toHaveLength(1);
+  expect(result.unallocatedItems).toEqual([]);
+});
+
+test('IaaS and PaaS discounts only go to the products they cover', () => {
+  const lineItems = [charge('Droplets', 30), charge('Volumes', 10), charge('Databases', 40)];
+
+  expect(allocatedTo(allocateDiscounts([...lineItems, discount('IaaS discount', -8)]))).toEqual({
+    'Web/Droplets': -6,
+    'Web/Volumes': -2
+  });
+  expect(allocatedTo(allocateDiscounts([...lineItems, discount('PaaS discount', -8)]))).toEqual({
+    'Web/Databases': -8
+  });
+});
+
+test('a discount with a project only goes to that project', () => {
+  const result = allocateDiscounts([
+    charge('Droplets', 30),
+    charge('Droplets', 10, 'Data'),
+    charge('Volumes', 30, 'Data'),
+    discount('IaaS discount', -8, { project_name: 'Data' })
+  ]);
+
+  expect(allocatedTo(result)).toEqual({ 'Data/Droplets': -2, 'Data/Volumes': -6 });
+});
+
+test('a narrowing that matches nothing is skipped', () => {
+  const result = allocateDiscounts([
+    charge('App Platform', 30),
+    charge('Databases', 10, 'Data'),
+    discount('IaaS discount', -8, { project_name: 'Gone' })
+  ]);
+
+  expect(allocatedTo(result)).toEqual({ 'Web/App Platform': -6, 'Data/Databases': -2 });
+});
+
+test('discounts in a month without charges are left unallocated', () => {
+  const orphan = discount('Promo credit', -5, { invoice_period: '2024-03' });
+  const result = allocateDiscounts([charge('Droplets', 30), orphan]);
+
+  expect(result.allocations).toEqual([]);
+  expect(result.allocatedItems).toEqual([]);
+  expect(result.unallocatedItems).toEqual([orphan]);
+});
+
+test('a positive adjustment is spread like a discount and is not a charge', () => {
+  const result = allocateDiscounts([
+    charge('Droplets', 30),
+    charge('Volumes', 10),
+    discount('Promo credit', -8),
+    discount('Credit adjustment', 4)
+  ]);
+
+  expect(allocatedTo(result)).toEqual({ 'Web/Droplets': -3, 'Web/Volumes': -1 });
+  expect(result.allocatedItems).toHaveLength(2);
+});
@@ -0,0 +1,555 @@
+// Forecasting for DigitalOcean FinOps Dashboard
+// Each model takes the monthly spend history (oldest first) and predicts the next months.
+// buildForecast scores the models against held-out history and adds an uncertainty band.
+
+// Number of months forecast by default
+export const DEFAULT_FORECAST_HORIZON = 3;
+
+// Horizons (in months) offered in the forecast controls
+export const FORECAST_HORIZONS = [1, 3, 6, 12];
+
+// Most recent months used as held-out points in the backtest
+const MAX_BACKTEST_POINTS = 12;
+
+// Months of training history before the first backtest point
+const MIN_BACKTEST_TRAINING = 3;
+
+// z-score for the 80% band around the forecast
+const BAND_Z_SCORE = 1.28;
+
+// Smoothing parameters tried when fitting Holt-Winters
+const SMOOTHING_GRID = [0.2, 0.4, 0.6, 0.8];
+
+// Months in a season; seasonal models need at least two full seasons
+const SEASON_LENGTH = 12;
+
+// IMPROVED: Calculate trend and forecast from monthly data with advanced methods (unchanged but now accounts for discounts in the data)
+export const calculateTrendAndForecast = (labels, values, itemCount) => {
+  // Handle the case where we don't have enough data
+  if (!labels || !values || values.length === 0) {
+    return {
+      trendText: 'N/A',
+      forecastAmount: 0,
+      confidenceText: `No data available`
+    };
+  }
+  
+  // Special case: If we're looking at only the last month (timeRange = '1month')
+  // we should still make a forecast by looking at a wider range of data
+  let lastSpend = 0;
+  let prevSpend = 0;
+  let fullDataset = false;
+  
+  // Case 1: We have at least 2 months of data in the current view
+  if (values.length >= 2) {
+    const lastIndex = values.length - 1;
+    lastSpend = values[lastIndex];
+    prevSpend = values[lastIndex - 1];
+    fullDataset = true;
+  } 
+  // Case 2: We only have 1 month in view (likely because timeRange = '1month')
+  // In this case, we'll use the last month's value and make a simple projection
+  else if (values.length === 1) {
+    lastSpend = values[0];
+    
+    // Even with only one month in view, we'll attempt a forecast
+    // Set a reasonable default value (for now, just use the last month)
+    // We'll refine this in the forecast calculation
+    prevSpend = lastSpend;
+    
+    // Mark that we don't have a full dataset to calculate trend
+    fullDataset = false;
+  }
+  // Case 3: No data available at all
+  else {
+    return {
+      trendText: 'N/A',
+      forecastAmount: 0,
+      confidenceText: `Insufficient data (${itemCount} items)`
+    };
+  }
+  
+  // Calculate trend, but only if we have at least 2 months of data
+  let trendText = 'N/A';
+  if (fullDataset && prevSpend !== 0) { // Changed from prevSpend > 0 to handle negative previous spend
+    const change = lastSpend - prevSpend;
+    const percentChange = (change / Math.abs(prevSpend)) * 100; // Use absolute value for percentage calculation
+    trendText = change >= 0 ? 
+      `Up ${percentChange.toFixed(1)}%` : 
+      `Down ${Math.abs(percentChange).toFixed(1)}%`;
+  }
+  
+  // IMPROVED FORECASTING METHODS (now accounts for discounts in calculations)
+  let forecastAmount = 0;
+  let confidenceText = '';
+  
+  // For limited visible data
+  if (!fullDataset) {
+    forecastAmount = lastSpend * 1.03; // Assume 3% growth instead of 5%
+    confidenceText = 'Based on limited visible data, high variance possible';
+  }
+  // For 12+ months of data
+  else if (values.length >= 12) {
+    // IMPROVED METHOD FOR 12+ MONTHS: Multiple model ensemble
+    
+    // 1. Calculate moving average growth rates (last 3, 6, and 12 months)
+    const last3MonthsAvg = values.slice(-3).reduce((sum, val) => sum + val, 0) / 3;
+    const last6MonthsAvg = values.slice(-6).reduce((sum, val) => sum + val, 0) / 6;
+    
+    // 2. Calculate month-over-month growth rates
+    const recentGrowthRates = [];
+    for (let i = 1; i < Math.min(6, values.length); i++) {
+      if (values[values.length - i - 1] !== 0) { // Changed from > 0 to !== 0
+        recentGrowthRates.push(values[values.length - i] / values[values.length - i - 1]);
+      }
+    }
+    
+    // Average of recent growth rates
+    const avgGrowthRate = recentGrowthRates.length > 0 ? 
+      recentGrowthRates.reduce((sum, rate) => sum + rate, 0) / recentGrowthRates.length : 1;
+    
+    // 3. Calculate seasonal index (compare current month to trailing average)
+    // For 12-month view, we need to avoid comparing with ourselves
+    let seasonalFactor = 1;
+    if (values.length > 12) {
+      // Use true seasonal comparison with prior year
+      const sameMonthLastYear = values[values.length - 12];
+      const trailingAvgLastYear = values.slice(-15, -9).reduce((sum, val) => sum + val, 0) / 6;
+      
+      if (trailingAvgLastYear !== 0) { // Changed from > 0 to !== 0
+        // How much this month typically differs from the average
+        seasonalFactor = (sameMonthLastYear / trailingAvgLastYear);
+      }
+    } else {
+      // For exactly 12 months, use the overall pattern in the data
+      // rather than comparing with ourselves
+      const firstHalfAvg = values.slice(0, 6).reduce((sum, val) => sum + val, 0) / 6;
+      const secondHalfAvg = values.slice(-6).reduce((sum, val) => sum + val, 0) / 6;
+      
+      if (firstHalfAvg !== 0) { // Changed from > 0 to !== 0
+        const overallGrowthFactor = secondHalfAvg / firstHalfAvg;
+        // Apply a dampened growth factor
+        seasonalFactor = Math.pow(overallGrowthFactor, 1/6); // Sixth root for monthly growth
+      }
+    }
+    
+    // Cap seasonal factor to avoid extreme values
+    seasonalFactor = Math.max(0.8, Math.min(1.2, seasonalFactor));
+    
+    // 4. Calculate variance to determine confidence
+    const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
+    const variance = values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / values.length;
+    const coefficientOfVariation = Math.abs(mean) > 0 ? Math.sqrt(variance) / Math.abs(mean) : 0; // Use absolute value for mean
+    
+    // 5. Ensemble forecast using all factors
+    // Weighted blend of different models
+    const trendModelForecast = lastSpend * avgGrowthRate;
+    const movingAvgForecast = (last3MonthsAvg * 0.7 + last6MonthsAvg * 0.3) * seasonalFactor;
+    
+    // Final forecast with weightings
+    forecastAmount = trendModelForecast * 0.6 + movingAvgForecast * 0.4;
+    
+    // Confidence text based on actual variance in the data
+    const confidencePercent = Math.min(25, Math.max(5, Math.round(coefficientOfVariation * 100)));
+    confidenceText = `Based on ${values.length} months with seasonal adjustment, ±${confidencePercent}%`;
+  } 
+  else if (values.length >= 6) {
+    // IMPROVED METHOD FOR 6-11 MONTHS
+    
+    // Calculate exponentially weighted moving average
+    // More weight to recent months
+    const weights = [0.35, 0.25, 0.15, 0.10, 0.08, 0.07]; // Sum = 1
+    let weightedSum = 0;
+    let weightSum = 0;
+    
+    for (let i = 0; i < Math.min(6, values.length); i++) {
+      weightedSum += values[values.length - 1 - i] * weights[i];
+      weightSum += weights[i];
+    }
+    
+    const weightedAvg = weightedSum / weightSum;
+    
+    // Calculate growth rate with longer-term trend
+    const firstHalf = values.slice(0, Math.floor(values.length / 2));
+    const secondHalf = values.slice(Math.floor(values.length / 2));
+    
+    const firstHalfAvg = firstHalf.reduce((sum, val) => sum + val, 0) / firstHalf.length;
+    const secondHalfAvg = secondHalf.reduce((sum, val) => sum + val, 0) / secondHalf.length;
+    
+    let growthFactor = 1.02; // Default modest growth
+    
+    if (firstHalfAvg !== 0) { // Changed from > 0 to !== 0
+      // Calculate monthly growth factor
+      growthFactor = Math.pow(secondHalfAvg / firstHalfAvg, 1/secondHalf.length);
+      // Cap growth to avoid extreme forecasts
+      growthFactor = Math.max(0.9, Math.min(1.1, growthFactor));
+    }
+    
+    // Retrending method: Weighted average × growth factor
+    forecastAmount = weightedAvg * growthFactor;
+    
+    // Calculate variance for confidence
+    const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
+    const variance = values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / values.length;
+    const relativeVariance = Math.abs(mean) > 0 ? Math.sqrt(variance) / Math.abs(mean) : 0; // Use absolute value for mean
+    
+    const confidencePercent = Math.min(20, Math.max(8, Math.round(relativeVariance * 100)));
+    confidenceText = `Based on ${values.length} months trend analysis, ±${confidencePercent}%`;
+  }
+  else if (values.length >= 3) {
+    // IMPROVED METHOD FOR 3-5 MONTHS
+    // Enhanced linear regression with drift adjustment
+    
+    // 1. Simple linear regression
+    let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0;
+    const n = values.length;
+    
+    for (let i = 0; i < n; i++) {
+      sumX += i;
+      sumY += values[i];
+      sumXY += i * values[i];
+      sumX2 += i * i;
+    }
+    
+    // Calculate slope and intercept
+    const denominator = n * sumX2 - sumX * sumX;
+    const slope = denominator ? (n * sumXY - sumX * sumY) / denominator : 0;
+    const intercept = (sumY - slope * sumX) / n;
+    
+    // Base projection
+    let baseProjection = intercept + slope * n;
+    
+    // 2. Calculate acceleration/deceleration
+    let acceleration = 0;
+    if (n >= 3) {
+      const firstDiffs = [];
+      for (let i = 1; i < n; i++) {
+        firstDiffs.push(values[i] - values[i-1]);
+      }
+      
+      // Calculate average change in differences (acceleration)
+      let diffSum = 0;
+      for (let i = 1; i < firstDiffs.length; i++) {
+        diffSum += firstDiffs[i] - firstDiffs[i-1];
+      }
+      
+      if (firstDiffs.length > 1) {
+        acceleration = diffSum / (firstDiffs.length - 1);
+        // Dampen the acceleration effect
+        acceleration *= 0.5;
+      }
+    }
+    
+    // Apply acceleration adjustment
+    forecastAmount = baseProjection + acceleration;
+    
+    // Apply reasonable bounds (now considering negative values for discounts)
+    const lastValue = values[n-1];
+    if (forecastAmount < lastValue * 0.5 && lastValue > 0) forecastAmount = lastValue * 0.9;
+    if (forecastAmount > lastValue * 2 && lastValue > 0) forecastAmount = lastValue * 1.3;
+    
+    // Calculate error bounds based on regression residuals
+    let sumSquaredErrors = 0;
+    for (let i = 0; i < n; i++) {
+      const predicted = intercept + slope * i;
+      sumSquaredErrors += Math.pow(values[i] - predicted, 2);
+    }
+    
+    const standardError = Math.sqrt(sumSquaredErrors / (n - 2));
+    const meanValue = sumY / n;
+    const confidencePercent = Math.abs(meanValue) > 0 ? 
+      Math.min(25, Math.max(10, Math.round((standardError / Math.abs(meanValue)) * 100))) : 15;
+    
+    confidenceText = `Based on ${n} months regression analysis, ±${confidencePercent}%`;
+  } 
+  else if (values.length >= 2) {
+    // IMPROVED METHOD FOR 2 MONTHS (now handles negative values properly)
+    // Use dampened growth with reasonability checks
+    
+    const growthRate = prevSpend !== 0 ? lastSpend / prevSpend : 1;
+    
+    // Apply stronger dampening for extreme growth rates
+    let dampening = 0.7; // Default dampening factor
+    if (growthRate > 1.5 || growthRate < 0.75) {
+      dampening = 0.5; // More aggressive dampening for extreme changes
+    }
+    
+    const dampedGrowthRate = 1 + (growthRate - 1) * dampening;
+    forecastAmount = lastSpend * dampedGrowthRate;
+    
+    // Apply more conservative bounds (considering negative values)
+    const absLastSpend = Math.abs(lastSpend);
+    if (Math.abs(forecastAmount) > absLastSpend * 1.3) {
+      forecastAmount = lastSpend * (lastSpend >= 0 ? 1.3 : 0.7);
+    }
+    
+    confidenceText = 'Based on 2 months of data, high uncertainty (±20%)';
+  }
+  
+  // Apply anomaly detection and smoothing for all methods (now considers negative values)
+  if (values.length >= 4) {
+    const sortedValues = [...values].sort((a, b) => a - b);
+    const medianValue = sortedValues[Math.floor(values.length / 2)];
+    const threeMonthAvg = (values[values.length - 2] + values[values.length - 3] + values[values.length - 4]) / 3;
+    
+    // Check if the last month is an outlier compared to both median and recent average
+    const medianDeviation = Math.abs(medianValue) > 0 ? Math.abs(lastSpend - medianValue) / Math.abs(medianValue) : 0;
+    const recentDeviation = Math.abs(threeMonthAvg) > 0 ? Math.abs(lastSpend - threeMonthAvg) / Math.abs(threeMonthAvg) : 0;
+    
+    // If both deviations are high, it's likely an anomaly
+    if (medianDeviation > 0.3 && recentDeviation > 0.25) {
+      // Use a blend that reduces the impact of the anomaly
+      const blendedBaseline = threeMonthAvg * 0.7 + medianValue * 0.3;
+      // Adjust the forecast by blending the original with the adjusted baseline
+      forecastAmount = forecastAmount * 0.4 + blendedBaseline * 0.6;
+      confidenceText += ' (adjusted for potential anomaly)';
+    }
+  }
+  
+  return { trendText, forecastAmount, confidenceText };
+};
+
+// Hand-tuned blend of moving averages, growth rates and regression, one month at a time
+const blendForecast = (values, horizon) => {
+  const history = [...values];
+  const predictions = [];
+  for (let h = 0; h < horizon; h++) {
+    const { forecastAmount } = calculateTrendAndForecast(history, history, history.length);
+    predictions.push(forecastAmount);
+    history.push(forecastAmount);
+  }
+  return predictions;
+};
+
+// Least-squares straight line through the whole history
+const linearRegressionForecast = (values, horizon) => {
+  const n = values.length;
+  let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0;
+  
+  for (let i = 0; i < n; i++) {
+    sumX += i;
+    sumY += values[i];
+    sumXY += i * values[i];
+    sumX2 += i * i;
+  }
+  
+  const denominator = n * sumX2 - sumX * sumX;
+  const slope = denominator ? (n * sumXY - sumX * sumY) / denominator : 0;
+  const intercept = (sumY - slope * sumX) / n;
+  
+  return Array.from({ length: horizon }, (_, h) => intercept + slope * (n + h));
+};
+
+// Holt's linear exponential smoothing (level and trend, no season)
+const fitHoltLinear = (values, alpha, beta) => {
+  let level = values[0];
+  let trend = values[1] - values[0];
+  let sse = 0;
+  
+  for (let t = 1; t < values.length; t++) {
+    const error = values[t] - (level + trend);
+    sse += error * error;
+    const newLevel = alpha * values[t] + (1 - alpha) * (level + trend);
+    trend = beta * (newLevel - level) + (1 - beta) * trend;
+    level = newLevel;
+  }
+  
+  return {
+    sse,
+    forecast: (horizon) => Array.from({ length: horizon }, (_, h) => level + (h + 1) * trend)
+  };
+};
+
+// Additive Holt-Winters (level, trend and a 12-month season)
+const fitHoltWintersAdditive = (values, alpha, beta, gamma) => {
+  const firstSeason = values.slice(0, SEASON_LENGTH);
+  const secondSeason = values.slice(SEASON_LENGTH, SEASON_LENGTH * 2);
+  const firstMean = firstSeason.reduce((sum, val) => sum + val, 0) / SEASON_LENGTH;
+  const secondMean = secondSeason.reduce((sum, val) => sum + val, 0) / SEASON_LENGTH;
+  
+  let level = firstMean;
+  let trend = (secondMean - firstMean) / SEASON_LENGTH;
+  const seasonals = firstSeason.map(val => val - firstMean);
+  let sse = 0;
+  
+  for (let t = SEASON_LENGTH; t < values.length; t++) {
+    const seasonIndex = t % SEASON_LENGTH;
+    const error = values[t] - (level + trend + seasonals[seasonIndex]);
+    sse += error * error;
+    const newLevel = alpha * (values[t] - seasonals[seasonIndex]) + (1 - alpha) * (level + trend);
+    trend = beta * (newLevel - level) + (1 - beta) * trend;
+    seasonals[seasonIndex] = gamma * (values[t] - newLevel) + (1 - gamma) * seasonals[seasonIndex];
+    level = newLevel;
+  }
+  
+  const n = values.length;
+  return {
+    sse,
+    forecast: (horizon) => Array.from({ length: horizon }, (_, h) => (
+      level + (h + 1) * trend + seasonals[(n + h) % SEASON_LENGTH]
+    ))
+  };
+};
+
+// Holt-Winters with the smoothing parameters that best fit the history
+// Falls back to Holt's linear method until there are two full seasons of data
+const holtWintersForecast = (values, horizon) => {
+  const isSeasonal = values.length >= SEASON_LENGTH * 2;
+  let best = null;
+  
+  SMOOTHING_GRID.forEach(alpha => {
+    SMOOTHING_GRID.forEach(beta => {
+      const gammas = isSeasonal ? SMOOTHING_GRID : [null];
+      gammas.forEach(gamma => {
+        const fit = isSeasonal
+          ? fitHoltWintersAdditive(values, alpha, beta, gamma)
+          : fitHoltLinear(values, alpha, beta);
+        if (!best || fit.sse < best.sse) best = fit;
+      });
+    });
+  });
+  
+  return best.forecast(horizon);
+};
+
+// Same month last year, or the last month when there is less than a year of history
+const seasonalNaiveForecast = (values, horizon) => {
+  const n = values.length;
+  if (n < SEASON_LENGTH) {
+    return Array(horizon).fill(values[n - 1]);
+  }
+  return Array.from({ length: horizon }, (_, h) => values[n - SEASON_LENGTH + (h % SEASON_LENGTH)]);
+};
+
+// Flat projection of the last six months, weighted towards the most recent
+const weightedMovingAverageForecast = (values, horizon) => {
+  const recent = values.slice(-6);
+  let weightedSum = 0;
+  let weightSum = 0;
+  recent.forEach((val, index) => {
+    weightedSum += val * (index + 1);
+    weightSum += index + 1;
+  });
+  return Array(horizon).fill(weightedSum / weightSum);
+};
+
+// Available models; minHistory is the number of months each needs to make a forecast
+export const FORECAST_MODELS = [
+  { id: 'blend', name: 'Blended trend', minHistory: 1, forecast: blendForecast },
+  { id: 'linear', name: 'Linear regression', minHistory: 2, forecast: linearRegressionForecast },
+  { id: 'holtWinters', name: 'Holt-Winters', minHistory: 3, forecast: holtWintersForecast },
+  { id: 'seasonalNaive', name: 'Seasonal naive', minHistory: 1, forecast: seasonalNaiveForecast },
+  { id: 'weightedAverage', name: 'Weighted moving average', minHistory: 1, forecast: weightedMovingAverageForecast }
+];
+
+// Find a model by id
+export const getForecastModel = (modelId) => FORECAST_MODELS.find(model => model.id === modelId) || null;
+
+// Score a model by forecasting each of the most recent months from the months before it
+// Returns null when there is not enough history for at least two held-out months
+export const backtestModel = (model, values) => {
+  const minTraining = Math.max(model.minHistory, MIN_BACKTEST_TRAINING);
+  const firstTest = Math.max(minTraining, values.length - MAX_BACKTEST_POINTS);
+  if (values.length - firstTest < 2) return null;
+  
+  let absoluteErrorSum = 0;
+  let squaredErrorSum = 0;
+  let percentErrorSum = 0;
+  let percentErrorCount = 0;
+  
+  for (let t = firstTest; t < values.length; t++) {
+    const [predicted] = model.forecast(values.slice(0, t), 1);
+    const error = values[t] - predicted;
+    absoluteErrorSum += Math.abs(error);
+    squaredErrorSum += error * error;
+    
+    // Months with no spend have no meaningful percentage error
+    if (values[t] !== 0) {
+      percentErrorSum += Math.abs(error / values[t]);
+      percentErrorCount++;
+    }
+  }
+  
+  const points = values.length - firstTest;
+  return {
+    modelId: model.id,
+    modelName: model.name,
+    points,
+    mae: absoluteErrorSum / points,
+    rmse: Math.sqrt(squaredErrorSum / points),
+    mape: percentErrorCount > 0 ? (percentErrorSum / percentErrorCount) * 100 : null
+  };
+};
+
+// Backtest every model that can run on this history, best (lowest mean absolute error) first
+export const backtestModels = (values) => {
+  return FORECAST_MODELS
+    .map(model => backtestModel(model, values))
+    .filter(Boolean)
+    .sort((a, b) => a.mae - b.mae);
+};
+
+// Label the month `offset` months after a YYYY-MM label
+const addMonthsToLabel = (label, offset) => {
+  if (!/^\d{4}-\d{2}$/.test(label)) {
+    return `Forecast ${offset}`;
+  }
+  
+  const year = parseInt(label.substring(0, 4));
+  const month = parseInt(label.substring(5, 7)) - 1 + offset;
+  return `${year + Math.floor(month / 12)}-${String((month % 12) + 1).padStart(2, '0')}`;
+};
+
+// Forecast the months after the last label
+// model is a model id, or 'auto' to use the model with the best backtest;
+// the band widens with the square root of the horizon around the backtest RMSE
+export const buildForecast = (labels, values, { model = 'auto', horizon = DEFAULT_FORECAST_HORIZON } = {}) => {
+  if (!labels || !values || values.length === 0) return null;
+  
+  const backtests = backtestModels(values);
+  
+  let selectedModel = model === 'auto'
+    ? getForecastModel(backtests.length > 0 ? backtests[0].modelId : 'blend')
+    : getForecastModel(model);
+  if (!selectedModel || selectedModel.minHistory > values.length) {
+    selectedModel = getForecastModel('blend');
+  }
+  
+  const backtest = backtests.find(result => result.modelId === selectedModel.id) || null;
+  
+  // Without a backtest, assume the same ±20% used for short histories elsewhere
+  const lastValue = values[values.length - 1];
+  const errorScale = backtest ? backtest.rmse : Math.abs(lastValue) * 0.2;
+  const lastLabel = labels[labels.length - 1];
+  
+  const points = selectedModel.forecast(values, horizon).map((value, index) => {
+    const margin = BAND_Z_SCORE * errorScale * Math.sqrt(index + 1);
+    return {
+      label: addMonthsToLabel(lastLabel, index + 1),
+      value,
+      lower: value - margin,
+      upper: value + margin
+    };
+  });
+  
+  return {
+    modelId: selectedModel.id,
+    modelName: selectedModel.name,
+    isAutoSelected: model === 'auto',
+    horizon,
+    points,
+    backtest,
+    backtests
+  };
+};
+
+// Describe a forecast for the summary cards, in the "±N%" form they read the confidence from
+export const describeForecast = (forecast) => {
+  if (!forecast) return 'No data available';
+  
+  if (!forecast.backtest || forecast.backtest.mape === null) {
+    return `${forecast.modelName}, not enough history to backtest (±20%)`;
+  }
+  
+  return `${forecast.modelName}, backtest error ±${Math.round(forecast.backtest.mape)}% over ${forecast.backtest.points} months`;
+};
@@ -0,0 +1,77 @@
+import { FORECAST_MODELS, getForecastModel, backtestModel, backtestModels, buildForecast, describeForecast } from './forecastUtils';
+
+const labels = (count, start = 2023) => Array.from({ length: count }, (_, index) => (
+  `${start + Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`
+));
+
+test('linear regression extends a straight line', () => {
+  const forecast = getForecastModel('linear').forecast([10, 20, 30, 40], 2);
+  expect(forecast[0]).toBeCloseTo(50);
+  expect(forecast[1]).toBeCloseTo(60);
+});
+
+test('seasonal naive repeats the same month last year', () => {
+  const values = [...Array(12).keys()].map(month => 100 + month);
+  expect(getForecastModel('seasonalNaive').forecast(values, 3)).toEqual([100, 101, 102]);
+  expect(getForecastModel('seasonalNaive').forecast([5, 7], 2)).toEqual([7, 7]);
+});
+
+test('every model returns one prediction per month of the horizon', () => {
+  const values = [100, 110, 105, 120, 125, 130, 128, 140, 150, 145, 160, 170, 165, 180, 190, 185, 200, 210, 205, 220, 230, 225, 240, 250];
+  FORECAST_MODELS.forEach(model => {
+    const forecast = model.forecast(values, 4);
+    expect(forecast).toHaveLength(4);
+    forecast.forEach(value => expect(Number.isFinite(value)).toBe(true));
+  });
+});
+
+test('backtesting needs at least two held-out months', () => {
+  expect(backtestModel(getForecastModel('linear'), [1, 2, 3, 4])).toBeNull();
+
+  const result = backtestModel(getForecastModel('linear'), [10, 20, 30, 40, 50, 60]);
+  expect(result.points).toBe(3);
+  expect(result.mae).toBeCloseTo(0);
+  expect(result.mape).toBeCloseTo(0);
+});
+
+test('backtest results are sorted best first and skip the percentage error for zero months', () => {
+  const results = backtestModels([0, 10, 0, 10, 0, 10, 0, 10]);
+  for (let index = 1; index < results.length; index++) {
+    expect(results[index].mae).toBeGreaterThanOrEqual(results[index - 1].mae);
+  }
+
+  const linear = backtestModel(getForecastModel('linear'), [10, 20, 30, 0, 0]);
+  expect(linear.mape).toBeNull();
+});
+
+test('auto picks the model with the best backtest', () => {
+  const values = [10, 20, 30, 40, 50, 60, 70, 80];
+  const forecast = buildForecast(labels(values.length), values);
+  expect(forecast.isAutoSelected).toBe(true);
+  expect(forecast.modelId).toBe(forecast.backtests[0].modelId);
+});
+
+test('forecast points are labelled with the following months and banded', () => {
+  const values = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100, 110, 120];
+  const forecast = buildForecast(labels(values.length), values, { model: 'linear', horizon: 2 });
+
+  expect(forecast.points.map(point => point.label)).toEqual(['2024-01', '2024-02']);
+  expect(forecast.points[0].value).toBeCloseTo(130);
+  forecast.points.forEach(point => {
+    expect(point.lower).toBeLessThanOrEqual(point.value);
+    expect(point.upper).toBeGreaterThanOrEqual(point.value);
+  });
+});
+
+test('a model that needs more history falls back to the blend', () => {
+  const forecast = buildForecast(['2024-01'], [50], { model: 'holtWinters' });
+  expect(forecast.modelId).toBe('blend');
+  expect(forecast.backtest).toBeNull();
+  expect(forecast.points[0].upper - forecast.points[0].value).toBeCloseTo(1.28 * 10);
+  expect(describeForecast(forecast)).toBe('Blended trend, not enough history to backtest (±20%)');
+});
+
+test('there is no forecast without data', () => {
+  expect(buildForecast([], [])).toBeNull();
+  expect(describeForecast(null)).toBe('No data available');
+});
@@ -0,0 +1,205 @@
+// IndexedDB utilities for DigitalOcean FinOps Dashboard
+// Promise wrappers around the IndexedDB API used by storageUtils for the billing cache
+//
+// Layout:
+//   entries              - one record per `${accountId}_${dataType}` (invoices, processedData,
+//                          and the metadata for line items)
+//   account:<accountId>  - one store per account holding line items, one record per invoice
+//                          (keyed by invoice_uuid, indexed by invoice_period)
+
+const DB_NAME = 'do-finops-dashboard';
+const ENTRIES_STORE = 'entries';
+const ACCOUNT_STORE_PREFIX = 'account:';
+
+// Cached connection - reopened whenever a new account store has to be created
+let dbPromise = null;
+
+// Serialises schema checks so two callers never try the same version upgrade at once
+let schemaQueue = Promise.resolve();
+
+// Name of the object store holding an account's line items
+const getAccountStoreName = (accountId) => `${ACCOUNT_STORE_PREFIX}${accountId}`;
+
+export const isIndexedDBSupported = () => typeof window !== 'undefined' && Boolean(window.indexedDB);
+
+// Wrap an IDBRequest in a promise
+const promisifyRequest = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// Resolve once a transaction has committed
+const promisifyTransaction = (transaction) => {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+};
+
+// Open the database at a given version (or the current one), creating any missing stores
+const openAtVersion = (version, requiredStores) => {
+  return new Promise((resolve, reject) => {
+    const request = version ? window.indexedDB.open(DB_NAME, version) : window.indexedDB.open(DB_NAME);
+    
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      
+      if (!db.objectStoreNames.contains(ENTRIES_STORE)) {
+        db.createObjectStore(ENTRIES_STORE, { keyPath: 'key' });
+      }
+      
+      requiredStores.forEach(storeName => {
+        if (!db.objectStoreNames.contains(storeName)) {
+          const store = db.createObjectStore(storeName, { keyPath: 'invoice_uuid' });
+          store.createIndex('invoice_period', 'invoice_period', { unique: false });
+        }
+      });
+    };
+    
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let other tabs upgrade the schema when they add an account
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => console.warn('IndexedDB upgrade blocked by another open tab');
+  });
+};
+
+// Get a connection that has the given stores, upgrading the schema if needed
+const getDatabase = (requiredStores = []) => {
+  const result = schemaQueue.then(() => ensureStores(requiredStores));
+  schemaQueue = result.catch(() => {});
+  return result;
+};
+
+const ensureStores = async (requiredStores) => {
+  if (!isIndexedDBSupported()) {
+    throw new Error('IndexedDB is not available in this browser');
+  }
+  
+  if (!dbPromise) {
+    dbPromise = openAtVersion(null, []);
+  }
+  
+  let db = await dbPromise;
+  const missingStores = [ENTRIES_STORE, ...requiredStores].filter(name => !db.objectStoreNames.contains(name));
+  if (missingStores.length === 0) {
+    return db;
+  }
+  
+  // Creating a store needs a version bump
+  console.log(`Creating IndexedDB stores: ${missingStores.join(', ')}`);
+  const nextVersion = db.version + 1;
+  db.close();
+  dbPromise = openAtVersion(nextVersion, requiredStores);
+  db = await dbPromise;
+  return db;
+};
+
+// Read a record from the entries store
+export const getEntry = async (key) => {
+  const db = await getDatabase();
+  const transaction = db.transaction(ENTRIES_STORE, 'readonly');
+  const result = await promisifyRequest(transaction.objectStore(ENTRIES_STORE).get(key));
+  return result || null;
+};
+
+// Write a record to the entries store
+export const putEntry = async (record) => {
+  const db = await getDatabase();
+  const transaction = db.transaction(ENTRIES_STORE, 'readwrite');
+  transaction.objectStore(ENTRIES_STORE).put(record);
+  await promisifyTransaction(transaction);
+};
+
+// Delete records from the entries store
+export const deleteEntries = async (keys) => {
+  const db = await getDatabase();
+  const transaction = db.transaction(ENTRIES_STORE, 'readwrite');
+  const store = transaction.objectStore(ENTRIES_STORE);
+  keys.forEach(key => store.delete(key));
+  await promisifyTransaction(transaction);
+};
+
+// List all keys in the entries store
+export const getEntryKeys = async () => {
+  const db = await getDatabase();
+  const transaction = db.transaction(ENTRIES_STORE, 'readonly');
+  return promisifyRequest(transaction.objectStore(ENTRIES_STORE).getAllKeys());
+};
+
+// Replace all per-invoice records in an account's store
+export const replaceAccountRecords = async (accountId, records) => {
+  const storeName = getAccountStoreName(accountId);
+  const db = await getDatabase([storeName]);
+  const transaction = db.transaction(storeName, 'readwrite');
+  const store = transaction.objectStore(storeName);
+  store.clear();
+  records.forEach(record => store.put(record));
+  await promisifyTransaction(transaction);
+};
+
+// Write some per-invoice records and drop any record whose key is not in keepKeys
+export const mergeAccountRecords = async (accountId, records, keepKeys) => {
+  const storeName = getAccountStoreName(accountId);
+  const db = await getDatabase([storeName]);
+  const transaction = db.transaction(storeName, 'readwrite');
+  const store = transaction.objectStore(storeName);
+  const keep = new Set(keepKeys);
+  
+  // Delete from the request callback so the transaction is still active
+  const keysRequest = store.getAllKeys();
+  keysRequest.onsuccess = () => {
+    keysRequest.result.filter(key => !keep.has(key)).forEach(key => store.delete(key));
+  };
+  records.forEach(record => store.put(record));
+  
+  await promisifyTransaction(transaction);
+};
+
+// Read all per-invoice records from an account's store
+export const getAccountRecords = async (accountId) => {
+  const storeName = getAccountStoreName(accountId);
+  const db = await getDatabase();
+  if (!db.objectStoreNames.contains(storeName)) {
+    return [];
+  }
+  
+  const transaction = db.transaction(storeName, 'readonly');
+  return promisifyRequest(transaction.objectStore(storeName).getAll());
+};
+
+// Remove everything in an account's store (the store itself is kept)
+export const clearAccountRecords = async (accountId) => {
+  const storeName = getAccountStoreName(accountId);
+  const db = await getDatabase();
+  if (!db.objectStoreNames.contains(storeName)) {
+    return;
+  }
+  
+  const transaction = db.transaction(storeName, 'readwrite');
+  transaction.objectStore(storeName).clear();
+  await promisifyTransaction(transaction);
+};
+
+// Delete the whole database (used when resetting a forgotten passphrase)
+export const deleteDatabase = async () => {
+  if (!isIndexedDBSupported()) return;
+  
+  if (dbPromise) {
+    const db = await dbPromise.catch(() => null);
+    if (db) db.close();
+    dbPromise = null;
+  }
+  
+  await promisifyRequest(window.indexedDB.deleteDatabase(DB_NAME));
+};
@@ -0,0 +1,173 @@
+// Offline import utilities for DigitalOcean FinOps Dashboard
+// Invoice CSVs downloaded from the control panel (or from the dashboard's invoice table) can be
+// imported without an API token. Each file becomes an invoice of a local "offline account", with
+// its billing month inferred from the file, so the dashboard works on it like synced data.
+import { parseCSV } from './csvUtils';
+import { normalizeLineItems, describeUnmappedRows } from './lineItemUtils';
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Matches the invoice UUID in file names written by the invoice table, e.g. "prod_invoice_<uuid>_2024-02-03.csv"
+const INVOICE_UUID_PATTERN = /invoice[_-]([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/i;
+
+// Offline accounts have no token - their data only comes from imported CSVs
+export const isOfflineAccount = (account) => Boolean(account?.offline);
+
+// Create the account entry for an offline account
+export const createOfflineAccount = (name) => ({ name, offline: true });
+
+// Billing month (YYYY-MM) of a row's start date, read from the text so time zones cannot shift it
+const getRowMonth = (row) => {
+  const match = String(row.start || '').match(/^(\d{4})-(\d{2})/);
+  return match ? `${match[1]}-${match[2]}` : null;
+};
+
+// Most common billing month among the rows' start dates
+const getMonthFromRows = (rows) => {
+  const counts = {};
+  rows.forEach(row => {
+    const month = getRowMonth(row);
+    if (month) counts[month] = (counts[month] || 0) + 1;
+  });
+  
+  const [month] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [];
+  return month || null;
+};
+
+// Billing month from a file name such as "invoice-2024-01.csv" or "DigitalOcean Invoice 2024 Jan.csv"
+// Full dates (like the download date the dashboard appends) are not billing months and are ignored
+const getMonthFromFileName = (fileName) => {
+  const name = fileName.toLowerCase();
+  
+  const numeric = name.match(/(?:^|\D)(20\d{2})[-_](0[1-9]|1[0-2])(?![-_]?\d)/);
+  if (numeric) return `${numeric[1]}-${numeric[2]}`;
+  
+  const toMonthNumber = (word) => MONTH_NAMES.findIndex(month => word.length >= 3 && month.startsWith(word)) + 1;
+  const named = name.match(/(20\d{2})[\s_-]+([a-z]+)/) || name.match(/([a-z]+)[\s_-]+(20\d{2})/);
+  if (named) {
+    const [year, word] = /^\d/.test(named[1]) ? [named[1], named[2]] : [named[2], named[1]];
+    const monthNumber = toMonthNumber(word);
+    if (monthNumber > 0) return `${year}-${String(monthNumber).padStart(2, '0')}`;
+  }
+  
+  return null;
+};
+
+// Short, stable fingerprint of a file's contents (32-bit FNV-1a, as hex)
+const hashText = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+// Build an invoice record in the shape returned by the invoices API
+const buildInvoice = (invoiceId, invoicePeriod, lineItems) => ({
+  invoice_uuid: invoiceId,
+  invoice_period: invoicePeriod,
+  amount: lineItems.reduce((sum, item) => sum + item.amount, 0).toFixed(2)
+});
+
+// Split the line items of one file into invoices
+// A billing CSV downloaded from the dashboard already has invoice_uuid and invoice_period columns and can
+// hold many invoices; a single invoice CSV gets its month from the start dates or, failing that, the file name.
+// Invoices without a UUID are identified by month and the file's content hash, so two different files for
+// the same month are kept side by side while importing the same file again replaces it.
+const getFileInvoices = (fileName, rows, contentHash) => {
+  if (rows.some(row => row.invoice_period)) {
+    const groups = {};
+    rows.forEach(row => {
+      const invoicePeriod = String(row.invoice_period || getRowMonth(row) || '');
+      const invoiceId = row.invoice_uuid ? String(row.invoice_uuid) : `offline-${invoicePeriod}-${contentHash}`;
+      groups[invoiceId] = groups[invoiceId] || { invoicePeriod, rows: [] };
+      groups[invoiceId].rows.push(row);
+    });
+    return Object.entries(groups).map(([invoiceId, group]) => ({ invoiceId, ...group }));
+  }
+  
+  const invoicePeriod = getMonthFromRows(rows) || getMonthFromFileName(fileName);
+  if (!invoicePeriod) return null;
+  
+  const uuidMatch = fileName.match(INVOICE_UUID_PATTERN);
+  return [{ invoiceId: uuidMatch ? uuidMatch[1] : `offline-${invoicePeriod}-${contentHash}`, invoicePeriod, rows }];
+};
+
+// Read invoice CSV files (File objects) into invoices and tagged line items
+// Resolves to { invoices, lineItems, errors }; files and rows that cannot be used are skipped and described in errors
+export const importInvoiceFiles = async (files) => {
+  const invoicesById = {};
+  const lineItemsById = {};
+  const errors = [];
+  
+  for (const file of Array.from(files || [])) {
+    if (!/\.csv$/i.test(file.name) && file.type !== 'text/csv') {
+      errors.push(`${file.name} is not a CSV file`);
+      continue;
+    }
+    
+    let text;
+    let rows;
+    try {
+      text = await file.text();
+      rows = parseCSV(text);
+    } catch (error) {
+      console.error(`Error reading ${file.name}:`, error);
+      errors.push(`${file.name} could not be read`);
+      continue;
+    }
+    
+    const { lineItems: fileLineItems, unmapped } = normalizeLineItems(rows);
+    if (fileLineItems.length === 0) {
+      errors.push(`${file.name} does not look like a DigitalOcean invoice CSV`);
+      continue;
+    }
+    if (unmapped.length > 0) {
+      errors.push(`${file.name}: ${describeUnmappedRows(unmapped)}`);
+    }
+    
+    const fileInvoices = getFileInvoices(file.name, fileLineItems, hashText(text));
+    if (!fileInvoices) {
+      errors.push(`Could not work out the billing month of ${file.name}`);
+      continue;
+    }
+    
+    // A later file for the same invoice replaces an earlier one
+    fileInvoices.forEach(({ invoiceId, invoicePeriod, rows: invoiceItems }) => {
+      const invoice = buildInvoice(invoiceId, invoicePeriod, invoiceItems);
+      invoicesById[invoiceId] = invoice;
+      lineItemsById[invoiceId] = normalizeLineItems(invoiceItems, {
+        invoice_uuid: invoiceId,
+        invoice_period: invoicePeriod,
+        invoice_amount: invoice.amount
+      }).lineItems;
+    });
+    console.log(`Imported ${fileLineItems.length} line items from ${file.name}`);
+  }
+  
+  const invoices = Object.values(invoicesById).sort((a, b) => b.invoice_period.localeCompare(a.invoice_period));
+  return {
+    invoices,
+    lineItems: invoices.flatMap(invoice => lineItemsById[invoice.invoice_uuid]),
+    errors
+  };
+};
+
+// Add newly imported invoices to an offline account's existing data
+// An imported invoice replaces the stored invoice (and its line items) with the same ID
+export const mergeImportedData = (existing, imported) => {
+  const replacedIds = new Set(imported.invoices.map(invoice => invoice.invoice_uuid));
+  const invoices = [
+    ...imported.invoices,
+    ...(existing.invoices || []).filter(invoice => !replacedIds.has(invoice.invoice_uuid))
+  ].sort((a, b) => (b.invoice_period || '').localeCompare(a.invoice_period || ''));
+  
+  return {
+    invoices,
+    lineItems: [
+      ...(existing.lineItems || []).filter(item => !replacedIds.has(item.invoice_uuid)),
+      ...imported.lineItems
+    ]
+  };
+};
@@ -0,0 +1,119 @@
+import { importInvoiceFiles, mergeImportedData, isOfflineAccount, createOfflineAccount } from './importUtils';
+
+// Stand-in for a dropped File: the importer only reads its name, type and text
+const csvFile = (name, text) => ({ name, type: 'text/csv', text: async () => text });
+
+const FEBRUARY_CSV = [
+  'product,description,USD,start',
+  'Droplets,web-1,$6.00,2024-02-01 00:00:00 +0000',
+  'Spaces,assets,$5.00,2024-02-01 00:00:00 +0000'
+].join('\n');
+
+const SECOND_FEBRUARY_CSV = [
+  'product,description,USD,start',
+  'Droplets,db-1,$12.00,2024-02-01 00:00:00 +0000'
+].join('\n');
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('offline accounts are marked as such', () => {
+  expect(createOfflineAccount('lab')).toEqual({ name: 'lab', offline: true });
+  expect(isOfflineAccount(createOfflineAccount('lab'))).toBe(true);
+  expect(isOfflineAccount({ name: 'prod', token: 'x' })).toBe(false);
+});
+
+test('a single invoice CSV becomes an invoice for the month of its start dates', async () => {
+  const { invoices, lineItems, errors } = await importInvoiceFiles([csvFile('export.csv', FEBRUARY_CSV)]);
+
+  expect(errors).toEqual([]);
+  expect(invoices).toHaveLength(1);
+  expect(invoices[0].invoice_period).toBe('2024-02');
+  expect(invoices[0].amount).toBe('11.00');
+  expect(lineItems).toHaveLength(2);
+  lineItems.forEach(item => expect(item.invoice_uuid).toBe(invoices[0].invoice_uuid));
+});
+
+test('the billing month falls back to the file name', async () => {
+  const text = 'product,description,USD\nDroplets,web-1,$6.00';
+  const { invoices } = await importInvoiceFiles([csvFile('DigitalOcean Invoice 2024 Mar.csv', text)]);
+  expect(invoices[0].invoice_period).toBe('2024-03');
+
+  const { errors } = await importInvoiceFiles([csvFile('download.csv', text)]);
+  expect(errors).toEqual(['Could not work out the billing month of download.csv']);
+});
+
+test('the invoice UUID is taken from file names written by the invoice table', async () => {
+  const uuid = '0a1b2c3d-1111-2222-3333-444455556666';
+  const { invoices } = await importInvoiceFiles([csvFile(`prod_invoice_${uuid}_2024-03-05.csv`, FEBRUARY_CSV)]);
+  expect(invoices[0].invoice_uuid).toBe(uuid);
+});
+
+test('two different files for the same month are both kept', async () => {
+  const { invoices, lineItems } = await importInvoiceFiles([
+    csvFile('february.csv', FEBRUARY_CSV),
+    csvFile('february (1).csv', SECOND_FEBRUARY_CSV)
+  ]);
+
+  expect(invoices).toHaveLength(2);
+  expect(new Set(invoices.map(invoice => invoice.invoice_uuid)).size).toBe(2);
+  expect(lineItems).toHaveLength(3);
+});
+
+test('importing the same file again replaces the earlier import', async () => {
+  const first = await importInvoiceFiles([csvFile('february.csv', FEBRUARY_CSV)]);
+  const second = await importInvoiceFiles([csvFile('february-copy.csv', FEBRUARY_CSV)]);
+  expect(second.invoices[0].invoice_uuid).toBe(first.invoices[0].invoice_uuid);
+
+  const merged = mergeImportedData(first, second);
+  expect(merged.invoices).toHaveLength(1);
+  expect(merged.lineItems).toHaveLength(2);
+});
+
+test('billing CSVs exported by the dashboard keep their invoices apart', async () => {
+  const text = [
+    'product,description,amount,invoice_uuid,invoice_period',
+    'Droplets,web-1,6.00,inv-a,2024-01',
+    'Droplets,web-1,7.00,inv-b,2024-02'
+  ].join('\n');
+  const { invoices } = await importInvoiceFiles([csvFile('billing.csv', text)]);
+
+  expect(invoices.map(invoice => [invoice.invoice_uuid, invoice.invoice_period, invoice.amount])).toEqual([
+    ['inv-b', '2024-02', '7.00'],
+    ['inv-a', '2024-01', '6.00']
+  ]);
+});
+
+test('files that are not invoice CSVs are reported', async () => {
+  const { invoices, errors } = await importInvoiceFiles([
+    { name: 'notes.txt', type: 'text/plain', text: async () => 'hello' },
+    csvFile('other.csv', 'foo,bar\n1,2')
+  ]);
+
+  expect(invoices).toEqual([]);
+  expect(errors).toEqual([
+    'notes.txt is not a CSV file',
+    'other.csv does not look like a DigitalOcean invoice CSV'
+  ]);
+});
+
+test('merging adds new invoices and replaces ones with the same ID', () => {
+  const existing = {
+    invoices: [{ invoice_uuid: 'a', invoice_period: '2024-01' }, { invoice_uuid: 'b', invoice_period: '2024-02' }],
+    lineItems: [{ invoice_uuid: 'a', amount: 1 }, { invoice_uuid: 'b', amount: 2 }]
+  };
+  const imported = {
+    invoices: [{ invoice_uuid: 'b', invoice_period: '2024-02' }, { invoice_uuid: 'c', invoice_period: '2024-03' }],
+    lineItems: [{ invoice_uuid: 'b', amount: 3 }, { invoice_uuid: 'c', amount: 4 }]
+  };
+
+  const merged = mergeImportedData(existing, imported);
+  expect(merged.invoices.map(invoice => invoice.invoice_uuid)).toEqual(['c', 'b', 'a']);
+  expect(merged.lineItems.map(item => item.amount)).toEqual([1, 3, 4]);
+});
@@ -0,0 +1,93 @@
+// Invoice document utilities for DigitalOcean FinOps Dashboard
+// Downloads the PDF and CSV of invoices as DigitalOcean issues them, one at a time or bundled
+// into a zip (a folder per billing month) for month-end filing.
+import JSZip from 'jszip';
+import { queuedApiFetch } from './apiUtils';
+
+// Fetch the PDF of an invoice as a Blob
+// Throws if the download fails or the API answers with something other than a PDF
+export const fetchInvoicePDF = async (credentials, invoiceId) => {
+  const response = await queuedApiFetch(credentials, `/v2/customers/my/invoices/${invoiceId}/pdf`);
+  
+  if (!response.ok) throw new Error(`Failed to fetch PDF: ${response.status}`);
+  
+  const contentType = response.headers.get('content-type') || '';
+  if (contentType && !contentType.includes('pdf') && !contentType.includes('octet-stream')) {
+    throw new Error(`Expected a PDF but received ${contentType}`);
+  }
+  
+  const blob = await response.blob();
+  return blob.type === 'application/pdf' ? blob : new Blob([blob], { type: 'application/pdf' });
+};
+
+// Fetch the CSV of an invoice as the original text, untouched for filing
+export const fetchInvoiceCSVText = async (credentials, invoiceId) => {
+  const response = await queuedApiFetch(credentials, `/v2/customers/my/invoices/${invoiceId}/csv`);
+  
+  if (!response.ok) throw new Error(`Failed to fetch CSV: ${response.status}`);
+  
+  return response.text();
+};
+
+// Lower-case, underscore-separated form of an account name for file names
+export const toFileNamePart = (name) => String(name || '').trim().replace(/\s+/g, '_').replace(/[^a-z0-9_.-]/gi, '').toLowerCase();
+
+// File name for an invoice document, e.g. "production_invoice_2024-01_<uuid>.pdf"
+export const getInvoiceFileName = (accountName, invoice, extension) => {
+  const account = toFileNamePart(invoice.account_name || accountName);
+  return `${account ? `${account}_` : ''}invoice_${invoice.invoice_period || 'unknown'}_${invoice.invoice_uuid}.${extension}`;
+};
+
+// Zip the PDF and CSV of every invoice, in a folder per billing month (and per account in the
+// consolidated view). getCredentials(invoice) returns the credentials to download it with;
+// onProgress(done, total) is called after each invoice.
+// Resolves to { blob, failures: [{ invoice_uuid, invoice_period, message }] }; throws if nothing could be downloaded
+export const buildInvoiceArchive = async (invoices, { accountName, getCredentials, onProgress }) => {
+  const zip = new JSZip();
+  const failures = [];
+  let done = 0;
+  let added = 0;
+  
+  // The request queue caps concurrency and handles rate limits, so all invoices can be queued at once
+  await Promise.all(invoices.map(async invoice => {
+    const credentials = getCredentials(invoice);
+    const folder = [toFileNamePart(invoice.account_name), invoice.invoice_period || 'unknown'].filter(Boolean).join('/');
+    
+    const [pdf, csv] = await Promise.allSettled([
+      fetchInvoicePDF(credentials, invoice.invoice_uuid),
+      fetchInvoiceCSVText(credentials, invoice.invoice_uuid)
+    ]);
+    
+    if (pdf.status === 'fulfilled') {
+      zip.file(`${folder}/${getInvoiceFileName(accountName, invoice, 'pdf')}`, pdf.value);
+      added++;
+    }
+    if (csv.status === 'fulfilled') {
+      zip.file(`${folder}/${getInvoiceFileName(accountName, invoice, 'csv')}`, csv.value);
+      added++;
+    }
+    
+    const errors = [pdf, csv].filter(result => result.status === 'rejected').map(result => result.reason.message);
+    if (errors.length > 0) {
+      console.error(`Error downloading documents for invoice ${invoice.invoice_uuid}:`, errors);
+      failures.push({ invoice_uuid: invoice.invoice_uuid, invoice_period: invoice.invoice_period, message: errors.join('; ') });
+    }
+    
+    done++;
+    if (onProgress) onProgress(done, invoices.length);
+  }));
+  
+  if (added === 0) {
+    throw new Error('None of the invoice documents could be downloaded');
+  }
+  
+  // List what is missing inside the archive too, so a partial archive is never filed as complete
+  if (failures.length > 0) {
+    zip.file('MISSING.txt', failures
+      .map(failure => `${failure.invoice_period || 'unknown'} ${failure.invoice_uuid}: ${failure.message}`)
+      .join('\n'));
+  }
+  
+  const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+  return { blob, failures };
+};
@@ -0,0 +1,136 @@
+// Billing history ledger utilities for DigitalOcean FinOps Dashboard
+// Turns the billing history (invoices issued, payments, credits) into a month-by-month ledger of
+// what was invoiced against what was paid or credited, with the running account balance.
+import { resolvePeriod, shiftMonth } from './periodUtils';
+
+// How each billing history event type counts in the ledger
+// Amounts are signed as the API sends them: invoices add to the balance, payments and credits reduce it
+const EVENT_KINDS = {
+  Invoice: 'invoiced',
+  Payment: 'paid',
+  Refund: 'paid',
+  Reversal: 'paid',
+  Chargeback: 'paid',
+  ACHFailure: 'paid',
+  Credit: 'credited',
+  CreditExpiration: 'credited',
+  Adjustment: 'credited'
+};
+
+// Month statuses: whether the payments and credits of a month cover what was invoiced in it
+export const LEDGER_STATUSES = {
+  settled: { label: 'Settled' },
+  outstanding: { label: 'Outstanding' },
+  surplus: { label: 'Paid ahead' }
+};
+
+const TOLERANCE = 0.01;
+
+// Key an invoice by account as well, since the consolidated view mixes accounts
+const getInvoiceKey = (row) => `${row.account_name || ''}|${row.invoice_uuid}`;
+
+// Parse an amount from the API, which sends them as strings
+const parseAmount = (value) => {
+  const amount = parseFloat(value);
+  return isNaN(amount) ? 0 : amount;
+};
+
+// Calendar month (YYYY-MM) an event was recorded in, in UTC like the rest of the billing data
+const getEventMonth = (event) => {
+  const date = new Date(event.date);
+  if (isNaN(date.getTime())) return '';
+  return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+};
+
+// Ledger months (YYYY-MM, null when open) covered by a dashboard period
+// The period selects billed months, and the invoice for billed month M is issued - and usually paid - in M+1,
+// so the window is moved one month later. latestBilledMonth is the latest invoice_period, as elsewhere.
+export const resolveLedgerWindow = (period, latestBilledMonth) => {
+  const { start, end } = resolvePeriod(period, latestBilledMonth);
+  return {
+    start: start ? shiftMonth(start, 1) : null,
+    end: end ? shiftMonth(end, 1) : null
+  };
+};
+
+// Build the ledger from billing history events
+// Months are the calendar months the activity was recorded in, so an invoice issued at the start of a
+// month sits next to the payment that settled it. The billing period of each invoice event is looked up
+// in invoices. With accountBalance (from the balance endpoint) the running balance is anchored to it, so
+// it is right even when the billing history does not reach back to the account's first invoice. The
+// consolidated view passes accountBalances ({ [account_name]: balance }) instead, so each account's events
+// are anchored to that account's balance and accounts without one start from zero.
+// Returns { months: [{ month, invoiced, paid, credited, outstanding, closingBalance, billedPeriods, status, events }],
+// events, openingBalance, closingBalance } - newest first, each event with its kind, month and balance after it
+export const buildLedger = (billingHistory, invoices = [], { accountBalance = null, accountBalances = null } = {}) => {
+  const invoicesByKey = {};
+  (invoices || []).forEach(invoice => {
+    invoicesByKey[getInvoiceKey(invoice)] = invoice;
+  });
+  
+  const events = (billingHistory || [])
+    .map(event => ({
+      ...event,
+      amount: parseAmount(event.amount),
+      kind: EVENT_KINDS[event.type] || 'other',
+      month: getEventMonth(event),
+      billedPeriod: event.invoice_uuid ? invoicesByKey[getInvoiceKey(event)]?.invoice_period || '' : ''
+    }))
+    .filter(event => event.month)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+  
+  const getTotal = (rows) => rows.reduce((sum, event) => sum + event.amount, 0);
+  let openingBalance = 0;
+  if (accountBalances) {
+    openingBalance = Object.entries(accountBalances).reduce((sum, [accountName, balance]) => (
+      sum + balance - getTotal(events.filter(event => event.account_name === accountName))
+    ), 0);
+  } else if (accountBalance !== null) {
+    openingBalance = accountBalance - getTotal(events);
+  }
+  
+  let balance = openingBalance;
+  const monthsByKey = {};
+  events.forEach(event => {
+    balance += event.amount;
+    event.balance = balance;
+    
+    monthsByKey[event.month] = monthsByKey[event.month] || {
+      month: event.month,
+      invoiced: 0,
+      paid: 0,
+      credited: 0,
+      other: 0,
+      billedPeriods: [],
+      events: []
+    };
+    const month = monthsByKey[event.month];
+    if (event.kind === 'invoiced') {
+      month.invoiced += event.amount;
+      if (event.billedPeriod) month.billedPeriods.push(event.billedPeriod);
+    } else if (event.kind === 'other') {
+      month.other += event.amount;
+    } else {
+      // Payments and credits reduce the balance, so they are shown as positive amounts
+      month[event.kind] -= event.amount;
+    }
+    month.closingBalance = balance;
+    month.events.unshift(event);
+  });
+  
+  const months = Object.values(monthsByKey).map(month => {
+    const outstanding = month.invoiced + month.other - month.paid - month.credited;
+    let status = 'settled';
+    if (outstanding > TOLERANCE) status = 'outstanding';
+    else if (outstanding < -TOLERANCE) status = 'surplus';
+    
+    return { ...month, outstanding, billedPeriods: [...new Set(month.billedPeriods)].sort(), status };
+  }).sort((a, b) => b.month.localeCompare(a.month));
+  
+  return {
+    months,
+    events: [...events].reverse(),
+    openingBalance,
+    closingBalance: balance
+  };
+};
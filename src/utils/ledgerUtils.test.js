@@ -0,0 +1,75 @@
+import { buildLedger, resolveLedgerWindow } from './ledgerUtils';
+
+const history = [
+  { type: 'Invoice', description: 'Invoice for January 2024', amount: '30.00', invoice_uuid: 'jan', date: '2024-02-01T10:00:00Z' },
+  { type: 'Payment', description: 'Payment (Visa 4242)', amount: '-30.00', date: '2024-02-03T10:00:00Z' },
+  { type: 'Invoice', description: 'Invoice for February 2024', amount: '40.00', invoice_uuid: 'feb', date: '2024-03-01T10:00:00Z' },
+  { type: 'Credit', description: 'Promo credit', amount: '-10.00', date: '2024-03-05T10:00:00Z' },
+  { type: 'Payment', description: 'Payment (Visa 4242)', amount: '-20.00', date: '2024-03-06T10:00:00Z' },
+  { type: 'Invoice', description: 'Invoice for March 2024', amount: '50.00', invoice_uuid: 'mar', date: '2024-04-01T10:00:00Z' }
+];
+
+const invoices = [
+  { invoice_uuid: 'jan', invoice_period: '2024-01', amount: '30.00' },
+  { invoice_uuid: 'feb', invoice_period: '2024-02', amount: '40.00' },
+  { invoice_uuid: 'mar', invoice_period: '2024-03', amount: '50.00' }
+];
+
+test('events are grouped by the month they were recorded in, newest first', () => {
+  const ledger = buildLedger(history, invoices);
+
+  expect(ledger.months.map(month => month.month)).toEqual(['2024-04', '2024-03', '2024-02']);
+  expect(ledger.events[0].description).toBe('Invoice for March 2024');
+
+  const march = ledger.months[1];
+  expect(march).toMatchObject({ invoiced: 40, paid: 20, credited: 10, outstanding: 10, status: 'outstanding' });
+  expect(march.billedPeriods).toEqual(['2024-02']);
+  expect(ledger.months[2].status).toBe('settled');
+});
+
+test('the running balance is anchored to the account balance', () => {
+  const ledger = buildLedger(history, invoices, { accountBalance: 60 });
+
+  expect(ledger.closingBalance).toBeCloseTo(60);
+  expect(ledger.openingBalance).toBeCloseTo(0);
+  expect(ledger.months[0].closingBalance).toBeCloseTo(60);
+  expect(ledger.months[2].closingBalance).toBeCloseTo(0);
+
+  // A history that starts part-way through brings the earlier balance forward
+  const partial = buildLedger(history.slice(2), invoices, { accountBalance: 70 });
+  expect(partial.openingBalance).toBeCloseTo(10);
+  expect(buildLedger(history.slice(2), invoices).openingBalance).toBe(0);
+});
+
+test('each account in the consolidated view is anchored to its own balance', () => {
+  const tagged = [
+    ...history.map(event => ({ ...event, account_name: 'prod' })),
+    { type: 'Invoice', description: 'Invoice for March 2024', amount: '15.00', invoice_uuid: 'dev-mar', date: '2024-04-01T10:00:00Z', account_name: 'dev' }
+  ];
+
+  // dev has no balance, so its events must not be counted against prod's
+  const ledger = buildLedger(tagged, invoices, { accountBalances: { prod: 60 } });
+  expect(ledger.openingBalance).toBeCloseTo(0);
+  expect(ledger.closingBalance).toBeCloseTo(75);
+
+  const both = buildLedger(tagged, invoices, { accountBalances: { prod: 60, dev: 25 } });
+  expect(both.openingBalance).toBeCloseTo(10);
+  expect(both.closingBalance).toBeCloseTo(85);
+});
+
+test('events without a usable date are left out', () => {
+  const ledger = buildLedger([{ type: 'Payment', amount: '-5.00', date: 'not a date' }], []);
+  expect(ledger.events).toEqual([]);
+  expect(ledger.months).toEqual([]);
+});
+
+test('the ledger window covers the months the selected billed months were invoiced in', () => {
+  expect(resolveLedgerWindow({ preset: '3months' }, '2024-03')).toEqual({ start: '2024-02', end: '2024-04' });
+  expect(resolveLedgerWindow({ preset: 'custom', start: '2023-12', end: null }, '2024-03')).toEqual({ start: '2024-01', end: null });
+  expect(resolveLedgerWindow({ preset: 'all' }, '2024-03')).toEqual({ start: null, end: null });
+
+  // The invoice for March, issued in April, falls in a window ending in March
+  const { start, end } = resolveLedgerWindow({ preset: '1month' }, '2024-03');
+  const visible = buildLedger(history, invoices).months.filter(month => month.month >= start && month.month <= end);
+  expect(visible.map(month => month.billedPeriods)).toEqual([['2024-03']]);
+});
@@ -0,0 +1,173 @@
+// Line item schema for DigitalOcean FinOps Dashboard
+// Every line item - from an invoice CSV, the invoice API, an imported file or an older cache - is
+// converted once into the canonical record below, so the rest of the app reads typed fields instead
+// of guessing at column names and parsing amounts at every call site.
+//
+// {
+//   amount: number (USD, negative for discounts and credits),
+//   hours: number or null,
+//   start, end: ISO 8601 timestamps or null,
+//   product: string ('Unknown' when the row has none),
+//   group_description, description, category, project_name, resource_uuid, resource_name: strings ('' when missing),
+//   invoice_uuid, invoice_period (YYYY-MM), invoice_amount: the invoice the item was billed on,
+//   account_name: only set in the consolidated view
+// }
+
+// Product for rows that name none
+export const UNKNOWN_PRODUCT = 'Unknown';
+
+// Project label for items that are not assigned to a project
+export const UNASSIGNED_PROJECT = 'Unassigned';
+
+// Source columns for each canonical field, in order of preference
+// Column names are matched case-insensitively with spaces treated as underscores; the
+// alternatives cover the invoice API's invoice_items and older exports
+const COLUMN_MAP = {
+  amount: ['usd', 'amount'],
+  hours: ['hours'],
+  start: ['start', 'start_time'],
+  end: ['end', 'end_time'],
+  product: ['product', 'name', 'type'],
+  group_description: ['group_description'],
+  description: ['description'],
+  category: ['category'],
+  project_name: ['project_name', 'project'],
+  resource_uuid: ['resource_uuid', 'resource_id'],
+  resource_name: ['resource_name'],
+  invoice_uuid: ['invoice_uuid'],
+  invoice_period: ['invoice_period'],
+  invoice_amount: ['invoice_amount'],
+  account_name: ['account_name']
+};
+
+const TEXT_FIELDS = ['product', 'group_description', 'description', 'category', 'project_name', 'resource_uuid', 'resource_name', 'invoice_uuid'];
+
+// Parse a money value such as 18, "$18.00", "-$1,779.55" or "($5.00)"; NaN if it is not one
+const parseAmount = (value) => {
+  if (typeof value === 'number') return value;
+  
+  const text = String(value ?? '').trim();
+  const isBracketed = /^\(.*\)$/.test(text);
+  const cleaned = text.replace(/[()$,\s]/g, '');
+  if (!/^-?\d+(\.\d+)?$/.test(cleaned)) return NaN;
+  
+  const amount = parseFloat(cleaned);
+  return isBracketed ? -Math.abs(amount) : amount;
+};
+
+// Parse "2024-01-01 00:00:00 +0000" (the CSV format) or an ISO date into an ISO timestamp
+// Parsed by hand because browsers disagree on the CSV format
+const parseTimestamp = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  
+  const match = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i);
+  if (!match) return null;
+  
+  const [, year, month, day, hour = '0', minute = '0', second = '0', zone] = match;
+  let time = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+  if (zone && zone.toUpperCase() !== 'Z') {
+    const sign = zone.startsWith('-') ? -1 : 1;
+    const digits = zone.slice(1).replace(':', '');
+    time -= sign * (parseInt(digits.slice(0, 2)) * 60 + parseInt(digits.slice(2))) * 60 * 1000;
+  }
+  
+  const date = new Date(time);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// Index a row's columns by their normalised names
+const indexColumns = (row) => {
+  const columns = {};
+  Object.entries(row).forEach(([key, value]) => {
+    const name = key.trim().toLowerCase().replace(/\s+/g, '_');
+    if (!(name in columns) || columns[name] === '' || columns[name] === null) {
+      columns[name] = value;
+    }
+  });
+  return columns;
+};
+
+// First non-empty value among a field's source columns
+const getColumn = (columns, field) => {
+  for (const name of COLUMN_MAP[field]) {
+    const value = columns[name];
+    if (value !== null && value !== undefined && String(value).trim() !== '') return value;
+  }
+  return null;
+};
+
+// Rows with no values at all, such as a trailing line of delimiters, are not line items
+const isBlankRow = (row) => Boolean(row) && typeof row === 'object' &&
+  Object.values(row).every(value => value === null || value === undefined || String(value).trim() === '');
+
+// Map one row to the canonical record; returns { item } or { reason } when it cannot be mapped
+const mapRow = (row, invoice) => {
+  if (!row || typeof row !== 'object') return { reason: 'Row is empty' };
+  
+  const columns = indexColumns(row);
+  const rawAmount = getColumn(columns, 'amount');
+  if (rawAmount === null) return { reason: 'No amount' };
+  
+  const amount = parseAmount(rawAmount);
+  if (isNaN(amount)) return { reason: `Amount "${rawAmount}" is not a number` };
+  
+  const item = { amount };
+  TEXT_FIELDS.forEach(field => {
+    const value = getColumn(columns, field);
+    item[field] = value === null ? '' : String(value).trim();
+  });
+  if (!item.product && !item.description && !item.group_description) {
+    return { reason: 'No product or description' };
+  }
+  item.product = item.product || UNKNOWN_PRODUCT;
+  
+  const hours = parseFloat(getColumn(columns, 'hours'));
+  item.hours = isNaN(hours) ? null : hours;
+  item.start = parseTimestamp(getColumn(columns, 'start'));
+  item.end = parseTimestamp(getColumn(columns, 'end'));
+  
+  const invoicePeriod = invoice.invoice_period ?? getColumn(columns, 'invoice_period');
+  item.invoice_uuid = invoice.invoice_uuid ?? item.invoice_uuid;
+  item.invoice_period = invoicePeriod ? String(invoicePeriod) : null;
+  
+  const invoiceAmount = parseAmount(invoice.invoice_amount ?? getColumn(columns, 'invoice_amount'));
+  item.invoice_amount = isNaN(invoiceAmount) ? null : invoiceAmount;
+  
+  const accountName = getColumn(columns, 'account_name');
+  if (accountName !== null) item.account_name = String(accountName);
+  
+  return { item };
+};
+
+// Convert parsed rows into canonical line items
+// invoice ({ invoice_uuid, invoice_period, invoice_amount }) stamps every item with the invoice it came
+// from; without it the rows' own invoice columns are used. Canonical records map to themselves, so
+// already normalised data can safely go through again.
+// Returns { lineItems, unmapped: [{ index, row, reason }] } - unmapped rows are left out of lineItems
+export const normalizeLineItems = (rows, invoice = {}) => {
+  const lineItems = [];
+  const unmapped = [];
+  
+  (rows || []).forEach((row, index) => {
+    if (isBlankRow(row)) return;
+    
+    const { item, reason } = mapRow(row, invoice);
+    if (item) {
+      lineItems.push(item);
+    } else {
+      unmapped.push({ index, row, reason });
+    }
+  });
+  
+  if (unmapped.length > 0) {
+    console.warn(`${unmapped.length} of ${(rows || []).length} line items could not be mapped:`, unmapped.slice(0, 5));
+  }
+  
+  return { lineItems, unmapped };
+};
+
+// Describe unmapped rows in one line, e.g. "2 rows could not be read (No amount)"
+export const describeUnmappedRows = (unmapped) => {
+  const reasons = [...new Set(unmapped.map(entry => entry.reason))];
+  return `${unmapped.length} row${unmapped.length === 1 ? '' : 's'} could not be read (${reasons.join('; ')})`;
+};
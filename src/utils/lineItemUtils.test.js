@@ -0,0 +1,106 @@
+import { normalizeLineItems, describeUnmappedRows, UNKNOWN_PRODUCT } from './lineItemUtils';
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const amountOf = (value) => normalizeLineItems([{ product: 'Droplets', USD: value }]).lineItems[0]?.amount;
+
+test('amounts are parsed from the formats DigitalOcean exports', () => {
+  expect(amountOf(18)).toBe(18);
+  expect(amountOf('$18.00')).toBe(18);
+  expect(amountOf('-$1,779.55')).toBe(-1779.55);
+  expect(amountOf('($5.00)')).toBe(-5);
+  expect(amountOf('0')).toBe(0);
+});
+
+test('an invoice CSV row is mapped to the canonical record', () => {
+  const { lineItems, unmapped } = normalizeLineItems([{
+    product: 'Droplets',
+    group_description: '',
+    description: 's-1vcpu-1gb',
+    hours: '744',
+    start: '2024-01-01 00:00:00 +0000',
+    end: '2024-02-01 00:00:00 +0000',
+    USD: '$6.00',
+    'Project Name': 'Web',
+    category: 'Compute'
+  }], { invoice_uuid: 'inv-1', invoice_period: '2024-01', invoice_amount: '6.00' });
+
+  expect(unmapped).toEqual([]);
+  expect(lineItems).toEqual([{
+    amount: 6,
+    product: 'Droplets',
+    group_description: '',
+    description: 's-1vcpu-1gb',
+    category: 'Compute',
+    project_name: 'Web',
+    resource_uuid: '',
+    resource_name: '',
+    invoice_uuid: 'inv-1',
+    hours: 744,
+    start: '2024-01-01T00:00:00.000Z',
+    end: '2024-02-01T00:00:00.000Z',
+    invoice_period: '2024-01',
+    invoice_amount: 6
+  }]);
+});
+
+test('time zone offsets are applied to timestamps', () => {
+  const [item] = normalizeLineItems([{ product: 'Droplets', USD: 1, start: '2024-01-01 02:00:00 +0200' }]).lineItems;
+  expect(item.start).toBe('2024-01-01T00:00:00.000Z');
+});
+
+test('alternative column names from the invoice API are recognised', () => {
+  const [item] = normalizeLineItems([{
+    name: 'Spaces',
+    amount: '5.00',
+    start_time: '2024-03-01T00:00:00Z',
+    project: 'Assets',
+    resource_id: 'r-1'
+  }]).lineItems;
+
+  expect(item).toMatchObject({ product: 'Spaces', amount: 5, start: '2024-03-01T00:00:00.000Z', project_name: 'Assets', resource_uuid: 'r-1' });
+});
+
+test('rows without a product but with a description get the unknown product', () => {
+  const [item] = normalizeLineItems([{ description: 'Promo credit', USD: '-$2.50' }]).lineItems;
+  expect(item.product).toBe(UNKNOWN_PRODUCT);
+  expect(item.amount).toBe(-2.5);
+});
+
+test('rows that cannot be mapped are reported and blank rows are skipped', () => {
+  const { lineItems, unmapped } = normalizeLineItems([
+    { product: 'Droplets', USD: '$1.00' },
+    { product: '', USD: '' },
+    { product: 'Volumes' },
+    { product: 'Broken', USD: 'abc' },
+    { USD: '$3.00' },
+    null
+  ]);
+
+  expect(lineItems).toHaveLength(1);
+  expect(unmapped.map(entry => [entry.index, entry.reason])).toEqual([
+    [2, 'No amount'],
+    [3, 'Amount "abc" is not a number'],
+    [4, 'No product or description'],
+    [5, 'Row is empty']
+  ]);
+  expect(describeUnmappedRows(unmapped.slice(0, 1))).toBe('1 row could not be read (No amount)');
+  expect(describeUnmappedRows(unmapped)).toBe(
+    '4 rows could not be read (No amount; Amount "abc" is not a number; No product or description; Row is empty)'
+  );
+});
+
+test('normalised line items map to themselves', () => {
+  const { lineItems } = normalizeLineItems([
+    { product: 'Droplets', USD: '$6.00', start: '2024-01-01 00:00:00 +0000', account_name: 'prod' }
+  ], { invoice_uuid: 'inv-1', invoice_period: '2024-01', invoice_amount: '6.00' });
+
+  expect(normalizeLineItems(lineItems).lineItems).toEqual(lineItems);
+  expect(lineItems[0].account_name).toBe('prod');
+});
@@ -0,0 +1,133 @@
+// Period utilities for DigitalOcean FinOps Dashboard
+// A period is { preset, start, end, fiscalYearStart }: a preset id from PERIOD_PRESETS, the
+// first and last month (YYYY-MM) of a custom range, and the month (1-12) the fiscal year starts in.
+// Presets count back from the latest billed month in the data, so every chart, the invoice table
+// and the explorer select the same months.
+
+// Selectable presets; months is the number of billed months for the "last N months" presets
+export const PERIOD_PRESETS = [
+  { id: '1month', label: 'Last Month', months: 1 },
+  { id: '3months', label: 'Last 3 Months', months: 3 },
+  { id: '6months', label: 'Last 6 Months', months: 6 },
+  { id: '12months', label: 'Last 12 Months', months: 12 },
+  { id: 'quarter', label: 'Latest Quarter' },
+  { id: 'previousQuarter', label: 'Previous Quarter' },
+  { id: 'fiscalYear', label: 'Fiscal Year to Date' },
+  { id: 'previousFiscalYear', label: 'Previous Fiscal Year' },
+  { id: 'all', label: 'All Time' },
+  { id: 'custom', label: 'Custom Range' }
+];
+
+// Presets that depend on when the fiscal year starts
+export const FISCAL_PRESETS = ['quarter', 'previousQuarter', 'fiscalYear', 'previousFiscalYear'];
+
+export const DEFAULT_PERIOD = { preset: '6months', start: null, end: null, fiscalYearStart: 1 };
+
+// Get the billing month (YYYY-MM) of a line item or invoice, the same way processCSVDataForVisualizations does
+export const getItemMonth = (item) => {
+  if (item.invoice_period) return item.invoice_period;
+  if (item.start) {
+    const date = new Date(item.start);
+    if (!isNaN(date.getTime())) {
+      return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+    }
+  }
+  return '';
+};
+
+// Move a YYYY-MM month forwards or backwards by a number of months
+export const shiftMonth = (month, offset) => {
+  const index = parseInt(month.substring(0, 4)) * 12 + parseInt(month.substring(5, 7)) - 1 + offset;
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+};
+
+// List the billing months (YYYY-MM) present in a set of line items or invoices, oldest first
+export const getLineItemMonths = (rows) => {
+  const months = new Set();
+  (rows || []).forEach(row => {
+    const month = getItemMonth(row);
+    if (month) months.add(month);
+  });
+  return [...months].sort();
+};
+
+// Latest billing month in a set of line items or invoices
+export const getLatestMonth = (rows) => {
+  let latest = '';
+  (rows || []).forEach(row => {
+    const month = getItemMonth(row);
+    if (month > latest) latest = month;
+  });
+  return latest || null;
+};
+
+// Turn a period into the first and last month it covers; null means the range is open on that side
+export const resolvePeriod = (period, latestMonth) => {
+  const { preset, fiscalYearStart = 1 } = period || DEFAULT_PERIOD;
+  
+  if (preset === 'custom') {
+    return { start: period.start || null, end: period.end || null };
+  }
+  if (preset === 'all' || !latestMonth) {
+    return { start: null, end: null };
+  }
+  
+  const presetDefinition = PERIOD_PRESETS.find(definition => definition.id === preset);
+  if (presetDefinition?.months) {
+    return { start: shiftMonth(latestMonth, 1 - presetDefinition.months), end: latestMonth };
+  }
+  
+  // Months since the start of the fiscal year the latest month falls in
+  const monthOfFiscalYear = (parseInt(latestMonth.substring(5, 7)) - fiscalYearStart + 12) % 12;
+  const quarterStart = shiftMonth(latestMonth, -(monthOfFiscalYear % 3));
+  const fiscalYearStartMonth = shiftMonth(latestMonth, -monthOfFiscalYear);
+  
+  switch (preset) {
+    case 'quarter':
+      return { start: quarterStart, end: latestMonth };
+    case 'previousQuarter':
+      return { start: shiftMonth(quarterStart, -3), end: shiftMonth(quarterStart, -1) };
+    case 'fiscalYear':
+      return { start: fiscalYearStartMonth, end: latestMonth };
+    case 'previousFiscalYear':
+      return { start: shiftMonth(fiscalYearStartMonth, -12), end: shiftMonth(fiscalYearStartMonth, -1) };
+    default:
+      return { start: null, end: null };
+  }
+};
+
+// Keep the line items or invoices billed within a period
+// Rows without a billing month are kept, as the time range filters always did
+export const filterByPeriod = (rows, period, latestMonth = getLatestMonth(rows)) => {
+  if (!rows || rows.length === 0) return [];
+  
+  const { start, end } = resolvePeriod(period, latestMonth);
+  if (!start && !end) return rows;
+  
+  return rows.filter(row => {
+    const month = getItemMonth(row);
+    if (!month) return true;
+    return (!start || month >= start) && (!end || month <= end);
+  });
+};
+
+// Stable string for a period, used to tell whether processed data matches the selected period
+export const getPeriodKey = (period) => {
+  const { preset, start, end, fiscalYearStart = 1 } = period || DEFAULT_PERIOD;
+  if (preset === 'custom') return `custom:${start || ''}:${end || ''}`;
+  if (FISCAL_PRESETS.includes(preset)) {
+    return `${preset}:${fiscalYearStart}`;
+  }
+  return preset;
+};
+
+// Describe a period for headings and file names, e.g. "Last 6 Months (2024-04 to 2024-09)"
+export const describePeriod = (period, latestMonth) => {
+  const presetDefinition = PERIOD_PRESETS.find(definition => definition.id === period?.preset);
+  const { start, end } = resolvePeriod(period, latestMonth);
+  const label = period?.preset === 'custom' ? 'Custom range' : (presetDefinition?.label || 'All Time');
+  
+  if (!start && !end) return label;
+  if (start === end) return `${label} (${start})`;
+  return `${label} (${start || 'start'} to ${end || 'latest'})`;
+};
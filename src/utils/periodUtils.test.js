@@ -0,0 +1,69 @@
+import { getItemMonth, shiftMonth, getLineItemMonths, getLatestMonth, resolvePeriod, filterByPeriod, getPeriodKey, describePeriod } from './periodUtils';
+
+const rows = [
+  { invoice_period: '2024-01', amount: 1 },
+  { invoice_period: '2024-03', amount: 2 },
+  { start: '2024-06-01T00:00:00Z', amount: 3 },
+  { amount: 4 }
+];
+
+test('the billing month comes from the invoice period, then the start date', () => {
+  expect(getItemMonth({ invoice_period: '2024-02', start: '2023-01-01T00:00:00Z' })).toBe('2024-02');
+  expect(getItemMonth({ start: '2024-12-31T23:00:00Z' })).toBe('2024-12');
+  expect(getItemMonth({ start: 'not a date' })).toBe('');
+  expect(getItemMonth({})).toBe('');
+});
+
+test('months shift across year boundaries', () => {
+  expect(shiftMonth('2024-01', -1)).toBe('2023-12');
+  expect(shiftMonth('2024-11', 3)).toBe('2025-02');
+  expect(shiftMonth('2024-06', -18)).toBe('2022-12');
+});
+
+test('months are listed oldest first and the latest is found', () => {
+  expect(getLineItemMonths(rows)).toEqual(['2024-01', '2024-03', '2024-06']);
+  expect(getLatestMonth(rows)).toBe('2024-06');
+  expect(getLatestMonth([])).toBeNull();
+});
+
+test('"last N months" presets count back from the latest month', () => {
+  expect(resolvePeriod({ preset: '3months' }, '2024-02')).toEqual({ start: '2023-12', end: '2024-02' });
+  expect(resolvePeriod({ preset: '1month' }, '2024-02')).toEqual({ start: '2024-02', end: '2024-02' });
+  expect(resolvePeriod({ preset: 'all' }, '2024-02')).toEqual({ start: null, end: null });
+  expect(resolvePeriod({ preset: '6months' }, null)).toEqual({ start: null, end: null });
+});
+
+test('quarters and fiscal years follow the fiscal year start', () => {
+  const april = { fiscalYearStart: 4 };
+  expect(resolvePeriod({ preset: 'quarter', ...april }, '2024-05')).toEqual({ start: '2024-04', end: '2024-05' });
+  expect(resolvePeriod({ preset: 'previousQuarter', ...april }, '2024-05')).toEqual({ start: '2024-01', end: '2024-03' });
+  expect(resolvePeriod({ preset: 'fiscalYear', ...april }, '2024-02')).toEqual({ start: '2023-04', end: '2024-02' });
+  expect(resolvePeriod({ preset: 'previousFiscalYear', ...april }, '2024-02')).toEqual({ start: '2022-04', end: '2023-03' });
+  expect(resolvePeriod({ preset: 'quarter' }, '2024-12')).toEqual({ start: '2024-10', end: '2024-12' });
+});
+
+test('custom ranges may be open on either side', () => {
+  expect(resolvePeriod({ preset: 'custom', start: '2024-02', end: null }, '2024-06')).toEqual({ start: '2024-02', end: null });
+  expect(filterByPeriod(rows, { preset: 'custom', start: '2024-02', end: null }).map(row => row.amount)).toEqual([2, 3, 4]);
+  expect(filterByPeriod(rows, { preset: 'custom', start: null, end: '2024-03' }).map(row => row.amount)).toEqual([1, 2, 4]);
+});
+
+test('filtering keeps rows without a billing month', () => {
+  expect(filterByPeriod(rows, { preset: '3months' }).map(row => row.amount)).toEqual([3, 4]);
+  expect(filterByPeriod(rows, { preset: 'all' })).toBe(rows);
+  expect(filterByPeriod([], { preset: '3months' })).toEqual([]);
+});
+
+test('period keys only change when the selected months can change', () => {
+  expect(getPeriodKey({ preset: '6months', fiscalYearStart: 4 })).toBe('6months');
+  expect(getPeriodKey({ preset: 'fiscalYear', fiscalYearStart: 4 })).toBe('fiscalYear:4');
+  expect(getPeriodKey({ preset: 'custom', start: '2024-01', end: null })).toBe('custom:2024-01:');
+  expect(getPeriodKey(null)).toBe('6months');
+});
+
+test('periods are described with the months they cover', () => {
+  expect(describePeriod({ preset: '3months' }, '2024-06')).toBe('Last 3 Months (2024-04 to 2024-06)');
+  expect(describePeriod({ preset: '1month' }, '2024-06')).toBe('Last Month (2024-06)');
+  expect(describePeriod({ preset: 'custom', start: '2024-02', end: null }, '2024-06')).toBe('Custom range (2024-02 to latest)');
+  expect(describePeriod({ preset: 'all' }, '2024-06')).toBe('All Time');
+});
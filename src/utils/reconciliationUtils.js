@@ -0,0 +1,127 @@
+// Invoice reconciliation utilities for DigitalOcean FinOps Dashboard
+// Checks, invoice by invoice, that the line items add up to the invoice total, so spend built from
+// an incomplete set of line items (a failed CSV download, a truncated cache) is never shown as if it
+// were the whole bill.
+
+// Line item amounts are rounded to the cent, so each item can put the sum off by half a cent
+const ROUNDING_PER_ITEM = 0.005;
+const MIN_TOLERANCE = 0.01;
+
+// Reconciliation statuses; incomplete ones mean the line items are missing spend
+export const RECONCILIATION_STATUSES = {
+  matched: { label: 'Matches', incomplete: false },
+  rounding: { label: 'Rounding', incomplete: false },
+  tax: { label: 'Taxes', incomplete: false },
+  failed: { label: 'Download failed', incomplete: true },
+  missing: { label: 'No line items', incomplete: true },
+  truncated: { label: 'Truncated cache', incomplete: true },
+  mismatch: { label: 'Mismatch', incomplete: true }
+};
+
+// Key an invoice by account as well, since the consolidated view mixes accounts
+const getInvoiceKey = (row) => `${row.account_name || ''}|${row.invoice_uuid}`;
+
+// Parse an amount from the invoices API, which sends them as strings
+const parseAmount = (value) => {
+  const amount = parseFloat(value);
+  return isNaN(amount) ? null : amount;
+};
+
+// Work out why the line items of one invoice do not add up to its total
+const getStatus = ({ difference, tolerance, itemCount, failure, summary, invoiceAmount, isReduced }) => {
+  if (failure) {
+    return { status: 'failed', reason: `The CSV could not be downloaded (${failure.message || 'unknown error'})` };
+  }
+  
+  const summaryAmount = summary ? parseAmount(summary.amount) : null;
+  if (summaryAmount !== null && Math.abs(summaryAmount - invoiceAmount) > tolerance) {
+    return { status: 'mismatch', reason: 'The invoice summary total differs from the invoice list' };
+  }
+  
+  if (Math.abs(difference) <= tolerance) {
+    return Math.abs(difference) < 0.0001
+      ? { status: 'matched', reason: '' }
+      : { status: 'rounding', reason: 'Line item amounts are rounded to the cent' };
+  }
+  
+  if (itemCount === 0) {
+    return { status: 'missing', reason: 'No line items are cached for this invoice' };
+  }
+  
+  const taxAmount = summary?.taxes ? parseAmount(summary.taxes.amount) : null;
+  if (taxAmount && Math.abs(difference - taxAmount) <= tolerance) {
+    return { status: 'tax', reason: 'The difference is the tax on the invoice' };
+  }
+  
+  if (isReduced && difference > 0) {
+    return { status: 'truncated', reason: 'The cached line items were cut down by an older version - refresh to download them again' };
+  }
+  
+  return { status: 'mismatch', reason: 'The line items do not add up to the invoice total' };
+};
+
+// Compare each invoice's total with the sum of its line items
+// invoiceSummaries are the invoice summary endpoint's responses, used when available to explain
+// differences by tax; isReduced marks a cache truncated by older versions.
+// Returns { rows: [{ invoice_uuid, invoice_period, account_name, invoiceAmount, summaryAmount, lineItemTotal,
+// itemCount, difference, status, reason }], incompleteRows, invoiceTotal, lineItemTotal, shortfall }
+export const reconcileInvoices = (invoices, lineItems, { syncFailures = [], invoiceSummaries = [], isReduced = false } = {}) => {
+  const itemTotals = {};
+  (lineItems || []).forEach(item => {
+    const key = getInvoiceKey(item);
+    itemTotals[key] = itemTotals[key] || { total: 0, count: 0 };
+    itemTotals[key].total += item.amount;
+    itemTotals[key].count++;
+  });
+  
+  const failuresByKey = {};
+  syncFailures.forEach(failure => {
+    failuresByKey[getInvoiceKey(failure)] = failure;
+  });
+  
+  const summariesByKey = {};
+  (invoiceSummaries || []).forEach(summary => {
+    summariesByKey[getInvoiceKey(summary)] = summary;
+  });
+  
+  const rows = (invoices || []).map(invoice => {
+    const key = getInvoiceKey(invoice);
+    const invoiceAmount = parseAmount(invoice.amount) || 0;
+    const { total: lineItemTotal, count: itemCount } = itemTotals[key] || { total: 0, count: 0 };
+    const difference = invoiceAmount - lineItemTotal;
+    const summary = summariesByKey[key];
+    const tolerance = Math.max(MIN_TOLERANCE, itemCount * ROUNDING_PER_ITEM);
+    
+    return {
+      invoice_uuid: invoice.invoice_uuid,
+      invoice_period: invoice.invoice_period,
+      account_name: invoice.account_name,
+      invoiceAmount,
+      summaryAmount: summary ? parseAmount(summary.amount) : null,
+      lineItemTotal,
+      itemCount,
+      difference,
+      ...getStatus({
+        difference,
+        tolerance,
+        itemCount,
+        failure: failuresByKey[key],
+        summary,
+        invoiceAmount,
+        isReduced
+      })
+    };
+  }).sort((a, b) => (b.invoice_period || '').localeCompare(a.invoice_period || ''));
+  
+  const incompleteRows = rows.filter(row => RECONCILIATION_STATUSES[row.status].incomplete);
+  const invoiceTotal = rows.reduce((sum, row) => sum + row.invoiceAmount, 0);
+  const lineItemTotal = rows.reduce((sum, row) => sum + row.lineItemTotal, 0);
+  
+  return {
+    rows,
+    incompleteRows,
+    invoiceTotal,
+    lineItemTotal,
+    shortfall: incompleteRows.reduce((sum, row) => sum + row.difference, 0)
+  };
+};
@@ -0,0 +1,85 @@
+import { reconcileInvoices, RECONCILIATION_STATUSES } from './reconciliationUtils';
+
+const invoice = (invoice_uuid, invoice_period, amount, extra = {}) => ({ invoice_uuid, invoice_period, amount, ...extra });
+const item = (invoice_uuid, amount, extra = {}) => ({ invoice_uuid, amount, ...extra });
+
+const statusOf = (result, invoiceId) => result.rows.find(row => row.invoice_uuid === invoiceId).status;
+
+test('invoices whose line items add up are matched', () => {
+  const result = reconcileInvoices(
+    [invoice('a', '2024-01', '10.00'), invoice('b', '2024-02', '10.00')],
+    [item('a', 6), item('a', 4), item('b', 6), item('b', 4.004)]
+  );
+
+  expect(statusOf(result, 'a')).toBe('matched');
+  expect(statusOf(result, 'b')).toBe('rounding');
+  expect(result.incompleteRows).toEqual([]);
+  expect(result.shortfall).toBe(0);
+});
+
+test('rows are sorted newest first with the totals of every invoice', () => {
+  const result = reconcileInvoices(
+    [invoice('a', '2024-01', '10.00'), invoice('b', '2024-03', '5.00'), invoice('c', '2024-02', '0')],
+    [item('a', 10), item('b', 5)]
+  );
+
+  expect(result.rows.map(row => row.invoice_uuid)).toEqual(['b', 'c', 'a']);
+  expect(result.invoiceTotal).toBe(15);
+  expect(result.lineItemTotal).toBe(15);
+});
+
+test('missing spend is explained and counted in the shortfall', () => {
+  const result = reconcileInvoices(
+    [
+      invoice('failed', '2024-01', '20.00'),
+      invoice('missing', '2024-02', '5.00'),
+      invoice('short', '2024-03', '30.00')
+    ],
+    [item('failed', 15), item('short', 25)],
+    { syncFailures: [{ invoice_uuid: 'failed', message: 'HTTP 500' }] }
+  );
+
+  expect(statusOf(result, 'failed')).toBe('failed');
+  expect(result.rows.find(row => row.invoice_uuid === 'failed').reason).toContain('HTTP 500');
+  expect(statusOf(result, 'missing')).toBe('missing');
+  expect(statusOf(result, 'short')).toBe('mismatch');
+  expect(result.incompleteRows).toHaveLength(3);
+  expect(result.shortfall).toBeCloseTo(15);
+});
+
+test('a difference equal to the tax on the summary is not missing spend', () => {
+  const result = reconcileInvoices(
+    [invoice('a', '2024-01', '11.00')],
+    [item('a', 10)],
+    { invoiceSummaries: [{ invoice_uuid: 'a', amount: '11.00', taxes: { amount: '1.00' } }] }
+  );
+
+  expect(statusOf(result, 'a')).toBe('tax');
+  expect(RECONCILIATION_STATUSES.tax.incomplete).toBe(false);
+  expect(result.rows[0].summaryAmount).toBe(11);
+});
+
+test('a summary total that disagrees with the invoice list is a mismatch', () => {
+  const result = reconcileInvoices(
+    [invoice('a', '2024-01', '10.00')],
+    [item('a', 10)],
+    { invoiceSummaries: [{ invoice_uuid: 'a', amount: '12.00' }] }
+  );
+
+  expect(statusOf(result, 'a')).toBe('mismatch');
+});
+
+test('short invoices in a truncated cache are marked as such', () => {
+  const result = reconcileInvoices([invoice('a', '2024-01', '10.00')], [item('a', 4)], { isReduced: true });
+  expect(statusOf(result, 'a')).toBe('truncated');
+});
+
+test('accounts are reconciled separately in the consolidated view', () => {
+  const result = reconcileInvoices(
+    [invoice('same', '2024-01', '10.00', { account_name: 'prod' }), invoice('same', '2024-01', '5.00', { account_name: 'dev' })],
+    [item('same', 10, { account_name: 'prod' })]
+  );
+
+  expect(result.rows.find(row => row.account_name === 'prod').status).toBe('matched');
+  expect(result.rows.find(row => row.account_name === 'dev').status).toBe('missing');
+});
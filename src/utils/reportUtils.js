@@ -0,0 +1,288 @@
+// Executive report utilities for DigitalOcean FinOps Dashboard
+// Builds a self-contained, printable HTML page from the processed data on screen; the browser's
+// print dialog turns it into a PDF, so no PDF library is needed
+import { formatCurrency, isDiscountItem, categorizeDiscountItem } from './dataUtils';
+import { compareLineItems } from './comparisonUtils';
+import { getItemMonth } from './periodUtils';
+
+// Rows in the top products and top projects tables
+const TOP_ROWS = 10;
+
+// Months shown in the trend chart and table
+const TREND_MONTHS = 12;
+
+const REPORT_STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1f2937; margin: 0 auto; max-width: 900px; padding: 30px; }
+  h1 { font-size: 24px; margin: 0 0 5px 0; color: #0069ff; }
+  h2 { font-size: 17px; margin: 30px 0 10px 0; border-bottom: 2px solid #e5e7eb; padding-bottom: 5px; }
+  .subtitle { color: #6b7280; font-size: 14px; margin: 0; }
+  .cards { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; margin-top: 20px; }
+  .card { border: 1px solid #e5e7eb; border-radius: 6px; padding: 12px; }
+  .card-label { font-size: 12px; color: #6b7280; text-transform: uppercase; letter-spacing: 0.03em; }
+  .card-value { font-size: 20px; font-weight: 600; margin-top: 4px; }
+  .card-note { font-size: 12px; color: #6b7280; margin-top: 4px; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; }
+  th { background: #f9fafb; font-weight: 600; }
+  td.amount, th.amount { text-align: right; }
+  .up { color: #ef4444; }
+  .down { color: #10b981; }
+  .commentary li { margin-bottom: 6px; font-size: 14px; }
+  .columns { display: grid; grid-template-columns: 1fr 1fr; gap: 20px; }
+  .toolbar { margin-bottom: 20px; display: flex; gap: 10px; }
+  .toolbar button { background: #0069ff; color: white; border: none; border-radius: 4px; padding: 8px 14px; cursor: pointer; }
+  .footer { margin-top: 30px; font-size: 11px; color: #9ca3af; }
+  @media print {
+    .toolbar { display: none; }
+    body { padding: 0; }
+    h2 { break-after: avoid; }
+    table, .cards, svg { break-inside: avoid; }
+  }
+`;
+
+// Escape text for use in HTML
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Format a change between two amounts, e.g. "+12.5%"
+const formatChange = (current, previous) => {
+  if (!previous) return 'n/a';
+  const change = ((current - previous) / Math.abs(previous)) * 100;
+  return `${change >= 0 ? '+' : ''}${change.toFixed(1)}%`;
+};
+
+// Largest entries of a { name: amount } map, with their share of the total
+const getTopEntries = (data, total) => Object.entries(data || {})
+  .sort((a, b) => b[1] - a[1])
+  .slice(0, TOP_ROWS)
+  .map(([name, amount]) => ({ name, amount, share: total !== 0 ? (amount / total) * 100 : 0 }));
+
+// Inline SVG bar chart of monthly spend, with the forecast months drawn faded
+const renderTrendChart = (months, forecastPoints) => {
+  const bars = [
+    ...months.map(({ label, value }) => ({ label, value, isForecast: false })),
+    ...forecastPoints.map(point => ({ label: point.label, value: point.value, isForecast: true }))
+  ];
+  if (bars.length === 0) return '';
+  
+  const width = 840;
+  const height = 220;
+  const chartHeight = 180;
+  const maxValue = Math.max(...bars.map(bar => bar.value), 1);
+  const slot = width / bars.length;
+  const barWidth = Math.max(4, slot * 0.6);
+  
+  const rects = bars.map((bar, index) => {
+    const barHeight = Math.max(0, (bar.value / maxValue) * chartHeight);
+    const x = index * slot + (slot - barWidth) / 2;
+    const y = chartHeight - barHeight;
+    return `
+      <rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}"
+        fill="${bar.isForecast ? '#93c5fd' : '#0069ff'}"${bar.isForecast ? ' stroke="#0069ff" stroke-dasharray="3,2"' : ''}>
+        <title>${escapeHtml(bar.label)}: ${escapeHtml(formatCurrency(bar.value))}${bar.isForecast ? ' (forecast)' : ''}</title>
+      </rect>
+      <text x="${(index * slot + slot / 2).toFixed(1)}" y="${chartHeight + 16}" font-size="10" text-anchor="middle" fill="#6b7280">${escapeHtml(bar.label)}</text>`;
+  }).join('');
+  
+  return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="Monthly spend trend">${rects}
+    <line x1="0" y1="${chartHeight}" x2="${width}" y2="${chartHeight}" stroke="#d1d5db" /></svg>`;
+};
+
+// Render a table of the largest products or projects
+const renderTopTable = (title, entries) => `
+  <div>
+    <h2>${escapeHtml(title)}</h2>
+    <table>
+      <thead><tr><th>Name</th><th class="amount">Spend</th><th class="amount">Share</th></tr></thead>
+      <tbody>
+        ${entries.map(entry => `
+          <tr>
+            <td>${escapeHtml(entry.name)}</td>
+            <td class="amount">${escapeHtml(formatCurrency(entry.amount))}</td>
+            <td class="amount">${entry.share.toFixed(1)}%</td>
+          </tr>`).join('')}
+      </tbody>
+    </table>
+  </div>`;
+
+// Discount totals per discount type
+const summarizeDiscounts = (lineItems) => {
+  const discounts = {};
+  lineItems.forEach(item => {
+    if (item.amount < 0 && isDiscountItem(item)) {
+      const type = categorizeDiscountItem(item);
+      discounts[type] = (discounts[type] || 0) + item.amount;
+    }
+  });
+  return Object.entries(discounts).sort((a, b) => a[1] - b[1]);
+};
+
+// Plain-language month-over-month commentary for the latest two months
+const buildCommentary = (months, lineItems, summary, forecast) => {
+  const commentary = [];
+  const latest = months[months.length - 1];
+  const previous = months[months.length - 2];
+  
+  if (latest && previous) {
+    const difference = latest.value - previous.value;
+    const direction = difference >= 0 ? 'up' : 'down';
+    commentary.push(
+      `Spend in ${latest.label} was ${formatCurrency(latest.value)}, ${direction} ${formatCurrency(Math.abs(difference))} ` +
+      `(${formatChange(latest.value, previous.value)}) on ${previous.label}.`
+    );
+    
+    // Biggest product movers between the two months
+    const comparison = compareLineItems(
+      lineItems.filter(item => getItemMonth(item) === previous.label),
+      lineItems.filter(item => getItemMonth(item) === latest.label),
+      'product'
+    );
+    const movers = comparison.rows.filter(row => Math.abs(row.difference) >= 0.01).slice(0, 3);
+    if (movers.length > 0) {
+      const moverText = movers
+        .map(row => `${row.key} (${row.difference >= 0 ? '+' : '-'}${formatCurrency(Math.abs(row.difference))})`)
+        .join(', ');
+      commentary.push(`The biggest changes by product were ${moverText}.`);
+    }
+  } else if (latest) {
+    commentary.push(`Spend in ${latest.label} was ${formatCurrency(latest.value)}. More months are needed for a month-over-month comparison.`);
+  }
+  
+  if (summary.totalDiscountAmount < 0) {
+    commentary.push(`Discounts and credits saved ${formatCurrency(Math.abs(summary.totalDiscountAmount))} over the period.`);
+  }
+  if (forecast?.points.length > 0) {
+    const next = forecast.points[0];
+    commentary.push(
+      `${next.label} is forecast at ${formatCurrency(next.value)} ` +
+      `(range ${formatCurrency(next.lower)} to ${formatCurrency(next.upper)}) using ${forecast.modelName}.`
+    );
+  }
+  if (summary.monthToDate) {
+    commentary.push(`${formatCurrency(summary.monthToDate.amount)} has been spent so far in the current month.`);
+  }
+  
+  return commentary;
+};
+
+// Build the executive report as a complete HTML document
+// processedData should carry the forecast-adjusted summary shown on the dashboard; lineItems are
+// the line items in the selected period
+export const buildExecutiveReport = ({ accountName, periodLabel, processedData, forecast, lineItems = [] }) => {
+  const { summary, monthlyData, productData, projectData } = processedData;
+  const months = (monthlyData?.labels || [])
+    .map((label, index) => ({ label, value: monthlyData.values[index] }))
+    .slice(-TREND_MONTHS);
+  const monthCount = monthlyData?.labels?.length || 0;
+  const grossAmount = summary.totalAmount - (summary.totalDiscountAmount || 0);
+  const discounts = summarizeDiscounts(lineItems);
+  const commentary = buildCommentary(months, lineItems, summary, forecast);
+  const generatedAt = new Date().toLocaleString();
+  
+  const cards = [
+    { label: 'Total Spend (net)', value: formatCurrency(summary.totalAmount), note: `${formatCurrency(grossAmount)} before discounts` },
+    { label: 'Average per Month', value: formatCurrency(monthCount > 0 ? summary.totalAmount / monthCount : 0), note: `${monthCount} month${monthCount === 1 ? '' : 's'}` },
+    { label: 'Month over Month', value: summary.trendText || 'N/A', note: 'Latest month against the one before' },
+    { label: 'Discounts', value: formatCurrency(summary.totalDiscountAmount || 0), note: `${summary.discountItems || 0} discount line items` },
+    { label: 'Next Month Forecast', value: formatCurrency(summary.forecastAmount || 0), note: summary.confidenceText || '' },
+    {
+      label: 'Month to Date',
+      value: summary.monthToDate ? formatCurrency(summary.monthToDate.amount) : 'N/A',
+      note: summary.monthToDate ? summary.monthToDate.period : 'Not available'
+    }
+  ];
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHtml(`Executive Report - ${accountName} - ${periodLabel}`)}</title>
+  <style>${REPORT_STYLES}</style>
+</head>
+<body>
+  <div class="toolbar">
+    <button onclick="window.print()">Print / Save as PDF</button>
+    <button onclick="(function () {
+      var blob = new Blob(['<!DOCTYPE html>\\n' + document.documentElement.outerHTML], { type: 'text/html' });
+      var link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = document.title.replace(/[^a-z0-9]+/gi, '_').toLowerCase() + '.html';
+      link.click();
+    })()">Download HTML</button>
+  </div>
+  
+  <h1>Cloud Spend Report - ${escapeHtml(accountName)}</h1>
+  <p class="subtitle">${escapeHtml(periodLabel)} &middot; Generated ${escapeHtml(generatedAt)}</p>
+  
+  <div class="cards">
+    ${cards.map(card => `
+      <div class="card">
+        <div class="card-label">${escapeHtml(card.label)}</div>
+        <div class="card-value">${escapeHtml(card.value)}</div>
+        <div class="card-note">${escapeHtml(card.note)}</div>
+      </div>`).join('')}
+  </div>
+  
+  <h2>Commentary</h2>
+  <ul class="commentary">
+    ${commentary.map(line => `<li>${escapeHtml(line)}</li>`).join('')}
+  </ul>
+  
+  <h2>Monthly Trend</h2>
+  ${renderTrendChart(months, forecast?.points || [])}
+  <table>
+    <thead><tr><th>Month</th><th class="amount">Spend</th><th class="amount">Change</th></tr></thead>
+    <tbody>
+      ${months.map((month, index) => {
+        const change = index > 0 ? formatChange(month.value, months[index - 1].value) : '';
+        const changeClass = change.startsWith('+') ? 'up' : (change.startsWith('-') ? 'down' : '');
+        return `
+          <tr>
+            <td>${escapeHtml(month.label)}</td>
+            <td class="amount">${escapeHtml(formatCurrency(month.value))}</td>
+            <td class="amount ${changeClass}">${escapeHtml(change)}</td>
+          </tr>`;
+      }).join('')}
+      ${(forecast?.points || []).map(point => `
+        <tr style="color: #6b7280; font-style: italic;">
+          <td>${escapeHtml(point.label)} (forecast)</td>
+          <td class="amount">${escapeHtml(formatCurrency(point.value))}</td>
+          <td class="amount">${escapeHtml(formatCurrency(point.lower))} to ${escapeHtml(formatCurrency(point.upper))}</td>
+        </tr>`).join('')}
+    </tbody>
+  </table>
+  
+  <div class="columns">
+    ${renderTopTable('Top Products', getTopEntries(productData, summary.totalAmount))}
+    ${renderTopTable('Top Projects', getTopEntries(projectData, summary.totalAmount))}
+  </div>
+  
+  <h2>Discounts</h2>
+  ${discounts.length === 0 ? '<p>No discounts were applied in this period.</p>' : `
+    <table>
+      <thead><tr><th>Discount</th><th class="amount">Amount</th></tr></thead>
+      <tbody>
+        ${discounts.map(([type, amount]) => `
+          <tr><td>${escapeHtml(type)}</td><td class="amount">${escapeHtml(formatCurrency(amount))}</td></tr>`).join('')}
+      </tbody>
+    </table>`}
+  
+  <p class="footer">Figures are taken from the DigitalOcean invoices cached in the dashboard. Forecasts are estimates.</p>
+</body>
+</html>`;
+};
+
+// Open the report in a new window, from where it can be printed to PDF or saved
+// Returns false if the browser blocked the window
+export const openExecutiveReport = (reportHtml) => {
+  const reportWindow = window.open('', '_blank');
+  if (!reportWindow) return false;
+  
+  reportWindow.document.open();
+  reportWindow.document.write(reportHtml);
+  reportWindow.document.close();
+  return true;
+};
@@ -0,0 +1,126 @@
+// Request scheduler for DigitalOcean FinOps Dashboard
+// Caps the number of API calls in flight, pauses when the rate limit runs low and
+// retries throttled or failed requests with exponential backoff
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_RETRIES = 4;
+const DEFAULT_BASE_DELAY_MS = 1000;
+
+// Never wait longer than this between attempts, whatever the server asks for
+const MAX_DELAY_MS = 60000;
+
+// Hold new requests back once this few calls are left in the rate limit window
+const LOW_REMAINING_THRESHOLD = 5;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 429 means we were throttled; 5xx errors are usually transient
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+// Read a Retry-After header (seconds or an HTTP date) as milliseconds, or null if absent
+export const parseRetryAfter = (value) => {
+  if (!value) return null;
+  
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Create a queue that runs request functions (() => Promise<Response>) with the limits above
+// Pauses apply to the whole queue, so requests made with different tokens belong in different queues
+// Resolves with the final response - which may still be an error response once retries run out -
+// and rejects only if the last attempt failed at the network level
+export const createRequestQueue = ({
+  concurrency = DEFAULT_CONCURRENCY,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS
+} = {}) => {
+  const waiting = [];
+  let active = 0;
+  let pausedUntil = 0;
+  
+  // Wait out any pause set by the rate limit headers or a 429
+  const waitForRateLimit = async () => {
+    while (pausedUntil > Date.now()) {
+      await sleep(pausedUntil - Date.now());
+    }
+  };
+  
+  // Pause the whole queue when the API says we are about to run out of requests
+  const noteRateLimit = (response) => {
+    const remaining = parseInt(response.headers?.get('RateLimit-Remaining'), 10);
+    const reset = parseInt(response.headers?.get('RateLimit-Reset'), 10);
+    
+    if (!isNaN(remaining) && remaining <= LOW_REMAINING_THRESHOLD && !isNaN(reset)) {
+      const resumeAt = Math.min(reset * 1000, Date.now() + MAX_DELAY_MS);
+      if (resumeAt > pausedUntil) {
+        console.warn(`Only ${remaining} API requests left, pausing until ${new Date(resumeAt).toLocaleTimeString()}`);
+        pausedUntil = resumeAt;
+      }
+    }
+  };
+  
+  const runWithRetries = async (request) => {
+    for (let attempt = 0; ; attempt++) {
+      await waitForRateLimit();
+      
+      let response = null;
+      let networkError = null;
+      try {
+        response = await request();
+      } catch (error) {
+        networkError = error;
+      }
+      
+      if (response) {
+        noteRateLimit(response);
+        if (!isRetryableStatus(response.status)) return response;
+      }
+      
+      if (attempt >= maxRetries) {
+        if (response) return response;
+        throw networkError;
+      }
+      
+      // Prefer the server's Retry-After, otherwise back off exponentially with a little jitter
+      const retryAfter = response ? parseRetryAfter(response.headers?.get('Retry-After')) : null;
+      const backoff = baseDelayMs * 2 ** attempt + Math.random() * baseDelayMs;
+      const delay = Math.min(retryAfter ?? backoff, MAX_DELAY_MS);
+      
+      // A 429 applies to every request on the token, so hold back the whole queue (one queue per token)
+      if (response?.status === 429) {
+        pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+      }
+      
+      console.warn(`Request failed (${response ? response.status : networkError.message}), retrying in ${Math.round(delay / 1000)}s (attempt ${attempt + 1} of ${maxRetries})`);
+      await sleep(delay);
+    }
+  };
+  
+  const start = ({ request, resolve, reject }) => {
+    active++;
+    runWithRetries(request)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        runNext();
+      });
+  };
+  
+  const runNext = () => {
+    while (active < concurrency && waiting.length > 0) {
+      start(waiting.shift());
+    }
+  };
+  
+  return {
+    schedule: (request) => new Promise((resolve, reject) => {
+      waiting.push({ request, resolve, reject });
+      runNext();
+    })
+  };
+};
@@ -0,0 +1,104 @@
+import { createRequestQueue, parseRetryAfter } from './requestQueue';
+
+// Minimal fetch Response with the headers the queue reads
+const response = (status, headers = {}) => ({
+  status,
+  ok: status >= 200 && status < 300,
+  headers: { get: (name) => headers[name] ?? null }
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('Retry-After is read as seconds or an HTTP date', () => {
+  expect(parseRetryAfter('3')).toBe(3000);
+  expect(parseRetryAfter(null)).toBeNull();
+  expect(parseRetryAfter('soon')).toBeNull();
+
+  const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+  expect(parseRetryAfter(inTenSeconds)).toBeGreaterThan(8000);
+  expect(parseRetryAfter('Thu, 01 Jan 1970 00:00:00 GMT')).toBe(0);
+});
+
+test('no more than the concurrency limit runs at once', async () => {
+  const queue = createRequestQueue({ concurrency: 2 });
+  let running = 0;
+  let maxRunning = 0;
+
+  const request = async () => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    running--;
+    return response(200);
+  };
+
+  const results = await Promise.all(Array.from({ length: 6 }, () => queue.schedule(request)));
+  expect(results.every(result => result.status === 200)).toBe(true);
+  expect(maxRunning).toBe(2);
+});
+
+test('throttled and server errors are retried', async () => {
+  const queue = createRequestQueue({ baseDelayMs: 1 });
+  const request = jest.fn()
+    .mockResolvedValueOnce(response(429, { 'Retry-After': '0' }))
+    .mockResolvedValueOnce(response(503))
+    .mockResolvedValueOnce(response(200));
+
+  const result = await queue.schedule(request);
+  expect(result.status).toBe(200);
+  expect(request).toHaveBeenCalledTimes(3);
+});
+
+test('client errors are returned without retrying', async () => {
+  const queue = createRequestQueue({ baseDelayMs: 1 });
+  const request = jest.fn().mockResolvedValue(response(401));
+
+  const result = await queue.schedule(request);
+  expect(result.status).toBe(401);
+  expect(request).toHaveBeenCalledTimes(1);
+});
+
+test('the last response is returned once retries run out', async () => {
+  const queue = createRequestQueue({ maxRetries: 2, baseDelayMs: 1 });
+  const request = jest.fn().mockResolvedValue(response(500));
+
+  const result = await queue.schedule(request);
+  expect(result.status).toBe(500);
+  expect(request).toHaveBeenCalledTimes(3);
+});
+
+test('a network error rejects only after the last attempt', async () => {
+  const queue = createRequestQueue({ maxRetries: 1, baseDelayMs: 1 });
+  const request = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+
+  await expect(queue.schedule(request)).rejects.toThrow('Failed to fetch');
+  expect(request).toHaveBeenCalledTimes(2);
+
+  const recovering = jest.fn()
+    .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+    .mockResolvedValueOnce(response(200));
+  await expect(queue.schedule(recovering)).resolves.toMatchObject({ status: 200 });
+});
+
+test('a 429 on one queue does not delay another', async () => {
+  const throttledQueue = createRequestQueue({ baseDelayMs: 1 });
+  const otherQueue = createRequestQueue({ baseDelayMs: 1 });
+  const throttledRequest = jest.fn()
+    .mockResolvedValueOnce(response(429, { 'Retry-After': '1' }))
+    .mockResolvedValueOnce(response(200));
+
+  const throttled = throttledQueue.schedule(throttledRequest);
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  const startedAt = Date.now();
+  await expect(otherQueue.schedule(async () => response(200))).resolves.toMatchObject({ status: 200 });
+  expect(Date.now() - startedAt).toBeLessThan(500);
+
+  await expect(throttled).resolves.toMatchObject({ status: 200 });
+});
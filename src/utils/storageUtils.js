@@ -1,60 +1,434 @@
 // Storage utilities for DigitalOcean FinOps Dashboard
+// The account list and lock settings live in localStorage; the billing cache lives in IndexedDB
+import { isCryptoSupported, generateSalt, deriveKey, encryptJSON, decryptJSON } from './cryptoUtils';
+import {
+  getEntry,
+  putEntry,
+  deleteEntries,
+  getEntryKeys,
+  replaceAccountRecords,
+  mergeAccountRecords,
+  getAccountRecords,
+  clearAccountRecords,
+  deleteDatabase
+} from './idbUtils';
+import { normalizeLineItems } from './lineItemUtils';
+
+// Per-account data types written by saveData
+const DATA_TYPES = ['invoices', 'csvLineItems', 'invoiceSummaries', 'billingHistory', 'processedData', 'syncFailures', 'monthToDate'];
+
+// Per-account settings - stored next to the cache but kept when the cache is cleared
+const SETTINGS_TYPES = ['budgets', 'allocation'];
+
+// Line items are stored one record per invoice in the account's own object store
+const LINE_ITEMS_TYPE = 'csvLineItems';
+
+// Record key for line items that did not come from an invoice
+const NO_INVOICE_KEY = '__no_invoice__';
+
+// Key holding the account list ({ name, token } objects, or { id, name } in vault mode)
+const ACCOUNTS_KEY = 'doAccounts';
+
+// Key holding the passphrase lock configuration (salt, check value, auto-lock timeout)
+const LOCK_CONFIG_KEY = 'doLockConfig';
+
+// Known value encrypted with the passphrase key, used to tell a wrong passphrase from a right one
+const LOCK_CHECK_VALUE = 'do-finops-dashboard';
+
+const DEFAULT_AUTO_LOCK_MINUTES = 15;
+
+// Key holding display preferences shared by every account (nothing sensitive, never encrypted)
+const PREFERENCES_KEY = 'doPreferences';
+
+// Identifies backup files, and the backup format version written by exportBackup
+// Bump the version when the bundle shape changes, and keep validateBackup reading older versions
+const BACKUP_FORMAT = 'do-finops-dashboard-backup';
+const BACKUP_VERSION = 1;
+
+// Data types whose stored value is always a list
+const LIST_TYPES = ['invoices', 'csvLineItems', 'invoiceSummaries', 'billingHistory', 'syncFailures'];
+
+// Key derived from the passphrase - held in memory only, never persisted
+let sessionKey = null;
+
+// Check if a localStorage key holds per-account data written before the move to IndexedDB
+const isLegacyDataKey = (key) => DATA_TYPES.some(type => key.endsWith(`_${type}`));
+
+// Set once legacy localStorage data has been moved to IndexedDB for this session
+let legacyMigration = null;
+
+const getLockConfig = () => {
+  try {
+    const config = localStorage.getItem(LOCK_CONFIG_KEY);
+    return config ? JSON.parse(config) : null;
+  } catch (error) {
+    console.error('Error reading lock configuration:', error);
+    return null;
+  }
+};
+
+// Wrap a value for storage, encrypting it when the passphrase lock is enabled
+const sealValue = async (value) => {
+  if (isStorageLockEnabled()) {
+    if (!sessionKey) throw new Error('Storage is locked');
+    return { encrypted: true, ...(await encryptJSON(sessionKey, value)) };
+  }
+  
+  return { value };
+};
+
+// Unwrap a value written by sealValue
+const openValue = async (sealed) => {
+  if (sealed && sealed.encrypted) {
+    if (!sessionKey) throw new Error('Storage is locked');
+    return decryptJSON(sessionKey, sealed);
+  }
+  
+  return sealed ? sealed.value : null;
+};
+
+// Write a value to localStorage, encrypting it when the passphrase lock is enabled
+const writeItem = async (key, value) => {
+  if (isStorageLockEnabled()) {
+    localStorage.setItem(key, JSON.stringify(await sealValue(value)));
+    return;
+  }
+  
+  localStorage.setItem(key, JSON.stringify(value));
+};
+
+// Read a value from localStorage, decrypting it if it was written while the lock was enabled
+const readItem = async (key) => {
+  const raw = localStorage.getItem(key);
+  if (!raw) return null;
+  
+  const parsed = JSON.parse(raw);
+  if (parsed && parsed.encrypted) {
+    return openValue(parsed);
+  }
+  
+  return parsed;
+};
+
+// Group line items by invoice so each invoice is one record in the account's store
+const groupLineItemsByInvoice = (lineItems) => {
+  const itemsByInvoice = {};
+  lineItems.forEach(item => {
+    const invoiceKey = item.invoice_uuid || NO_INVOICE_KEY;
+    if (!itemsByInvoice[invoiceKey]) {
+      itemsByInvoice[invoiceKey] = { period: item.invoice_period || null, items: [] };
+    }
+    itemsByInvoice[invoiceKey].items.push(item);
+  });
+  return itemsByInvoice;
+};
+
+// Build the stored record for one invoice's line items
+const buildInvoiceRecord = async (invoiceKey, group) => ({
+  invoice_uuid: invoiceKey,
+  invoice_period: group.period,
+  itemCount: group.items.length,
+  ...(await sealValue(group.items))
+});
+
+// Metadata stored alongside an entry's data, kept whenever the entry is rewritten
+// periodKey records the period processedData was built for (see getPeriodKey)
+const getEntryMetadata = (entry) => ({
+  ...(entry.isReduced ? { isReduced: true } : {}),
+  ...(entry.periodKey ? { periodKey: entry.periodKey } : {})
+});
+
+// Write one data type for an account to IndexedDB, keeping the given timestamp
+const writeData = async (accountId, dataType, data, lastUpdated, extraMetadata = {}) => {
+  const entry = {
+    ...extraMetadata,
+    key: `${accountId}_${dataType}`,
+    accountId,
+    dataType,
+    lastUpdated
+  };
+  
+  if (dataType === LINE_ITEMS_TYPE && Array.isArray(data)) {
+    const records = [];
+    for (const [invoiceKey, group] of Object.entries(groupLineItemsByInvoice(data))) {
+      records.push(await buildInvoiceRecord(invoiceKey, group));
+    }
+    
+    await replaceAccountRecords(accountId, records);
+    await putEntry({ ...entry, itemCount: data.length });
+    return;
+  }
+  
+  await putEntry({ ...entry, ...(await sealValue(data)) });
+};
+
+// Read one data type for an account from IndexedDB
+// Line items cached by older versions are brought up to the current line item schema
+const readData = async (entry) => {
+  if (entry.dataType === LINE_ITEMS_TYPE) {
+    const records = await getAccountRecords(entry.accountId);
+    let items = [];
+    for (const record of records) {
+      // concat rather than push(...) - an invoice can hold more items than fit in an argument list
+      items = items.concat(await openValue(record));
+    }
+    return normalizeLineItems(items).lineItems;
+  }
+  
+  return openValue(entry);
+};
+
+// Move per-account data written to localStorage by older versions into IndexedDB
+const migrateLegacyStorage = () => {
+  if (!legacyMigration) {
+    legacyMigration = (async () => {
+      const legacyKeys = Object.keys(localStorage).filter(isLegacyDataKey);
+      
+      for (const key of legacyKeys) {
+        try {
+          const item = await readItem(key);
+          const dataType = DATA_TYPES.find(type => key.endsWith(`_${type}`));
+          const accountId = item?.accountId || key.slice(0, -(dataType.length + 1));
+          
+          if (item && item.data !== undefined) {
+            await writeData(accountId, dataType, item.data, item.lastUpdated || new Date().toISOString(),
+              getEntryMetadata(item));
+          }
+          localStorage.removeItem(key);
+          console.log(`Migrated ${dataType} data for account ${accountId} from localStorage to IndexedDB`);
+        } catch (error) {
+          console.error(`Error migrating ${key} to IndexedDB:`, error);
+        }
+      }
+    })();
+  }
+  
+  return legacyMigration;
+};
+
+// Read every cached entry with its data - used to re-encrypt or decrypt the whole cache
+const readAllCachedData = async () => {
+  await migrateLegacyStorage();
+  
+  const snapshot = [];
+  for (const key of await getEntryKeys()) {
+    const entry = await getEntry(key);
+    if (!entry) continue;
+    snapshot.push({ entry, data: await readData(entry) });
+  }
+  
+  return snapshot;
+};
+
+// Write back a snapshot from readAllCachedData, keeping the original timestamps
+const writeAllCachedData = async (snapshot) => {
+  for (const { entry, data } of snapshot) {
+    await writeData(entry.accountId, entry.dataType, data, entry.lastUpdated, getEntryMetadata(entry));
+  }
+};
+
+// Check whether the passphrase lock is enabled
+export const isStorageLockEnabled = () => getLockConfig() !== null;
+
+// Check whether the passphrase has been entered for this session
+export const isStorageUnlocked = () => sessionKey !== null;
+
+// Minutes of inactivity before the dashboard locks itself
+export const getAutoLockMinutes = () => {
+  return getLockConfig()?.autoLockMinutes || DEFAULT_AUTO_LOCK_MINUTES;
+};
+
+// Derive the lock key from a passphrase - resolves null if it is not the lock passphrase
+const deriveLockKey = async (passphrase, config) => {
+  try {
+    const key = await deriveKey(passphrase, config.salt);
+    const check = await decryptJSON(key, config.check);
+    return check === LOCK_CHECK_VALUE ? key : null;
+  } catch (error) {
+    // AES-GCM fails to decrypt with the wrong key
+    return null;
+  }
+};
+
+// Unlock storage with the passphrase - resolves false if the passphrase is wrong
+export const unlockStorage = async (passphrase) => {
+  const config = getLockConfig();
+  if (!config) return true;
+  
+  const key = await deriveLockKey(passphrase, config);
+  if (!key) return false;
+  
+  sessionKey = key;
+  console.log('Storage unlocked');
+  return true;
+};
+
+// Forget the passphrase key - stored data stays encrypted until the next unlock
+export const lockStorage = () => {
+  sessionKey = null;
+  console.log('Storage locked');
+};
+
+// Turn on the passphrase lock and encrypt everything already stored
+export const enableStorageLock = async (passphrase, autoLockMinutes = DEFAULT_AUTO_LOCK_MINUTES) => {
+  if (!isCryptoSupported()) {
+    throw new Error('This browser does not support WebCrypto, so stored data cannot be encrypted');
+  }
+  
+  // Read everything while it is still plaintext
+  const accounts = await readItem(ACCOUNTS_KEY);
+  const snapshot = await readAllCachedData();
+  
+  const salt = generateSalt();
+  const key = await deriveKey(passphrase, salt);
+  const check = await encryptJSON(key, LOCK_CHECK_VALUE);
+  
+  localStorage.setItem(LOCK_CONFIG_KEY, JSON.stringify({ version: 1, salt, check, autoLockMinutes }));
+  sessionKey = key;
+  
+  if (accounts) {
+    await writeItem(ACCOUNTS_KEY, accounts);
+  }
+  await writeAllCachedData(snapshot);
+  
+  console.log(`Passphrase lock enabled, encrypted ${snapshot.length} cached items`);
+  return true;
+};
+
+// Turn off the passphrase lock and store everything as plaintext again (must be unlocked)
+export const disableStorageLock = async () => {
+  if (!isStorageLockEnabled()) return true;
+  if (!sessionKey) throw new Error('Unlock the dashboard before turning off the passphrase lock');
+  
+  const accounts = await readItem(ACCOUNTS_KEY);
+  const snapshot = await readAllCachedData();
+  
+  localStorage.removeItem(LOCK_CONFIG_KEY);
+  sessionKey = null;
+  
+  if (accounts) {
+    await writeItem(ACCOUNTS_KEY, accounts);
+  }
+  await writeAllCachedData(snapshot);
+  
+  console.log(`Passphrase lock disabled, decrypted ${snapshot.length} cached items`);
+  return true;
+};
+
+// Forgotten passphrase: encrypted data cannot be recovered, so remove it along with the lock
+export const resetStorageLock = async () => {
+  localStorage.removeItem(ACCOUNTS_KEY);
+  Object.keys(localStorage).filter(isLegacyDataKey).forEach(key => localStorage.removeItem(key));
+  localStorage.removeItem(LOCK_CONFIG_KEY);
+  sessionKey = null;
+  legacyMigration = null;
+  
+  try {
+    await deleteDatabase();
+  } catch (error) {
+    console.error('Error deleting the billing cache database:', error);
+  }
+  console.warn('Passphrase lock reset - all stored accounts and cached data were removed');
+};
+
+// Save the account list
+export const saveAccounts = async (accounts) => {
+  try {
+    await writeItem(ACCOUNTS_KEY, accounts);
+    return true;
+  } catch (error) {
+    console.error('Error saving accounts:', error);
+    return false;
+  }
+};
+
+// Load the account list (empty if nothing is stored)
+export const loadAccounts = async () => {
+  try {
+    const accounts = await readItem(ACCOUNTS_KEY);
+    return Array.isArray(accounts) ? accounts : [];
+  } catch (error) {
+    console.error('Error loading accounts:', error);
+    return [];
+  }
+};
+
+// Remove the stored account list
+export const clearAccounts = () => {
+  localStorage.removeItem(ACCOUNTS_KEY);
+};
 
 // Save data with metadata
-export const saveData = (accountId, dataType, data) => {
+// metadata.periodKey records the period processedData was built for; loadData returns it
+export const saveData = async (accountId, dataType, data, metadata = {}) => {
     try {
-      const storageItem = {
-        data: data,
-        lastUpdated: new Date().toISOString(),
-        accountId: accountId
-      };
-      
-      localStorage.setItem(`${accountId}_${dataType}`, JSON.stringify(storageItem));
+      await migrateLegacyStorage();
+      await writeData(accountId, dataType, data, new Date().toISOString(), getEntryMetadata(metadata));
       console.log(`Saved ${dataType} data for account ${accountId}`);
       return true;
     } catch (error) {
       console.error(`Error saving ${dataType} data:`, error);
       
-      // If we hit storage limits, try clearing and saving only essential data
+      // IndexedDB quotas are large, but never save a partial dataset - totals would be wrong
       if (error.name === 'QuotaExceededError') {
-        console.warn('Storage quota exceeded, attempting to save with reduced data');
-        try {
-          // For line items, we might need to reduce the amount of data
-          if (dataType === 'csvLineItems' && Array.isArray(data)) {
-            // Keep only the most recent items or essential fields
-            const reducedData = reduceDataSize(data);
-            const reducedItem = {
-              data: reducedData,
-              lastUpdated: new Date().toISOString(),
-              accountId: accountId,
-              isReduced: true
-            };
-            localStorage.removeItem(`${accountId}_${dataType}`);
-            localStorage.setItem(`${accountId}_${dataType}`, JSON.stringify(reducedItem));
-            console.log(`Saved reduced ${dataType} data for account ${accountId}`);
-            return true;
-          }
-        } catch (retryError) {
-          console.error('Failed to save even with reduced data:', retryError);
+        console.warn(`Storage quota exceeded, ${dataType} for ${accountId} was not cached`);
+      }
+      return false;
+    }
+  };
+  
+  // Save merged line items after an incremental sync
+  // Only the records for changedInvoiceIds are rewritten; records for invoices no longer present are dropped
+  export const mergeLineItems = async (accountId, lineItems, changedInvoiceIds) => {
+    try {
+      await migrateLegacyStorage();
+      
+      const itemsByInvoice = groupLineItemsByInvoice(lineItems);
+      const records = [];
+      for (const invoiceKey of changedInvoiceIds) {
+        if (itemsByInvoice[invoiceKey]) {
+          records.push(await buildInvoiceRecord(invoiceKey, itemsByInvoice[invoiceKey]));
         }
       }
+      
+      await mergeAccountRecords(accountId, records, Object.keys(itemsByInvoice));
+      await putEntry({
+        key: `${accountId}_${LINE_ITEMS_TYPE}`,
+        accountId,
+        dataType: LINE_ITEMS_TYPE,
+        lastUpdated: new Date().toISOString(),
+        itemCount: lineItems.length
+      });
+      
+      console.log(`Merged line items for ${records.length} invoices into account ${accountId}`);
+      return true;
+    } catch (error) {
+      console.error('Error merging line items:', error);
       return false;
     }
   };
   
   // Load data from storage
-  export const loadData = (accountId, dataType) => {
+  export const loadData = async (accountId, dataType) => {
     try {
-      const item = localStorage.getItem(`${accountId}_${dataType}`);
-      if (!item) {
+      await migrateLegacyStorage();
+      
+      const entry = await getEntry(`${accountId}_${dataType}`);
+      if (!entry) {
         console.log(`No ${dataType} data found for account ${accountId}`);
         return null;
       }
       
-      const parsed = JSON.parse(item);
+      const parsed = {
+        data: await readData(entry),
+        lastUpdated: entry.lastUpdated,
+        accountId: accountId,
+        isReduced: entry.isReduced || false,
+        periodKey: entry.periodKey || null
+      };
       console.log(`Loaded ${dataType} data for account ${accountId}, last updated: ${parsed.lastUpdated}`);
       
-      // If it's marked as reduced data, log a warning
+      // Data truncated by older versions is still marked as reduced until it is refreshed
       if (parsed.isReduced) {
         console.warn(`Note: Using reduced dataset for ${dataType} due to previous storage limitations`);
       }
@@ -67,12 +441,14 @@ export const saveData = (accountId, dataType, data) => {
   };
   
   // Check if data needs refresh (older than 24 hours by default)
-  export const needsRefresh = (accountId, dataType, hoursThreshold = 24) => {
-    const item = loadData(accountId, dataType);
-    if (!item) return true;
-    
+  export const needsRefresh = async (accountId, dataType, hoursThreshold = 24) => {
     try {
-      const lastUpdated = new Date(item.lastUpdated);
+      await migrateLegacyStorage();
+      
+      const entry = await getEntry(`${accountId}_${dataType}`);
+      if (!entry) return true;
+      
+      const lastUpdated = new Date(entry.lastUpdated);
       const now = new Date();
       const hoursDifference = (now - lastUpdated) / (1000 * 60 * 60);
       
@@ -91,19 +467,14 @@ export const saveData = (accountId, dataType, data) => {
   };
   
   // Clear all data for an account
-  export const clearAccountData = (accountId) => {
+  export const clearAccountData = async (accountId) => {
     try {
-      const dataTypes = ['invoices', 'csvLineItems', 'processedData'];
-      let cleared = 0;
+      await migrateLegacyStorage();
       
-      dataTypes.forEach(type => {
-        if (localStorage.getItem(`${accountId}_${type}`)) {
-          localStorage.removeItem(`${accountId}_${type}`);
-          cleared++;
-        }
-      });
+      await deleteEntries(DATA_TYPES.map(type => `${accountId}_${type}`));
+      await clearAccountRecords(accountId);
       
-      console.log(`Cleared ${cleared} data items for account ${accountId}`);
+      console.log(`Cleared cached data for account ${accountId}`);
       return true;
     } catch (error) {
       console.error('Error clearing account data:', error);
@@ -112,13 +483,16 @@ export const saveData = (accountId, dataType, data) => {
   };
   
   // Get cache status information for UI display
-  export const getCacheStatus = (accountId) => {
+  // Reads only the line item metadata, so it stays fast for large histories
+  export const getCacheStatus = async (accountId) => {
     try {
-      const csvData = loadData(accountId, 'csvLineItems');
+      await migrateLegacyStorage();
       
-      if (!csvData) return { isCached: false };
+      const csvEntry = await getEntry(`${accountId}_${LINE_ITEMS_TYPE}`);
       
-      const lastUpdated = new Date(csvData.lastUpdated);
+      if (!csvEntry) return { isCached: false };
+      
+      const lastUpdated = new Date(csvEntry.lastUpdated);
       const now = new Date();
       const hoursSinceUpdate = (now - lastUpdated) / (1000 * 60 * 60);
       
@@ -128,8 +502,8 @@ export const saveData = (accountId, dataType, data) => {
         hoursSinceUpdate: hoursSinceUpdate,
         formattedDate: lastUpdated.toLocaleString(),
         isStale: hoursSinceUpdate > 24,
-        itemCount: Array.isArray(csvData.data) ? csvData.data.length : 0,
-        isReduced: csvData.isReduced || false
+        itemCount: csvEntry.itemCount || 0,
+        isReduced: csvEntry.isReduced || false
       };
     } catch (error) {
       console.error('Error getting cache status:', error);
@@ -137,26 +511,250 @@ export const saveData = (accountId, dataType, data) => {
     }
   };
   
-  // Helper to reduce data size for large datasets
-  const reduceDataSize = (data) => {
-    if (!Array.isArray(data)) return data;
-    
-    // If we have a large array, we need to reduce it
-    if (data.length > 1000) {
-      console.warn(`Reducing data array size from ${data.length} items to avoid storage limits`);
-      
-      // Keep a subset of the data, focusing on the most recent items
-      // Sort by date if possible
-      const sortedData = [...data].sort((a, b) => {
-        const dateA = new Date(a.date || a.created_at || 0);
-        const dateB = new Date(b.date || b.created_at || 0);
-        return dateB - dateA; // Most recent first
-      });
+  // Save an account's budgets (kept when the billing cache is cleared)
+  export const saveBudgets = async (accountId, budgets) => {
+    try {
+      await migrateLegacyStorage();
+      await writeData(accountId, 'budgets', budgets, new Date().toISOString());
+      console.log(`Saved budgets for account ${accountId}`);
+      return true;
+    } catch (error) {
+      console.error('Error saving budgets:', error);
+      return false;
+    }
+  };
+  
+  // Load an account's budgets, or null if none have been set
+  export const loadBudgets = async (accountId) => {
+    try {
+      await migrateLegacyStorage();
+      
+      const entry = await getEntry(`${accountId}_budgets`);
+      return entry ? await readData(entry) : null;
+    } catch (error) {
+      console.error('Error loading budgets:', error);
+      return null;
+    }
+  };
+  
+  // Save an account's cost allocation rules (kept when the billing cache is cleared)
+  export const saveAllocation = async (accountId, allocation) => {
+    try {
+      await migrateLegacyStorage();
+      await writeData(accountId, 'allocation', allocation, new Date().toISOString());
+      console.log(`Saved allocation rules for account ${accountId}`);
+      return true;
+    } catch (error) {
+      console.error('Error saving allocation rules:', error);
+      return false;
+    }
+  };
+  
+  // Load an account's cost allocation rules, or null if none have been set
+  export const loadAllocation = async (accountId) => {
+    try {
+      await migrateLegacyStorage();
       
-      // Take the most recent 1000 items
-      return sortedData.slice(0, 1000);
+      const entry = await getEntry(`${accountId}_allocation`);
+      return entry ? await readData(entry) : null;
+    } catch (error) {
+      console.error('Error loading allocation rules:', error);
+      return null;
+    }
+  };
+  
+  // Remove an account's settings - used when the account itself is removed
+  export const clearAccountSettings = async (accountId) => {
+    try {
+      await deleteEntries(SETTINGS_TYPES.map(type => `${accountId}_${type}`));
+      return true;
+    } catch (error) {
+      console.error('Error clearing account settings:', error);
+      return false;
+    }
+  };
+  
+  // Load display preferences shared by every account (e.g. the fiscal year start month)
+  export const loadPreferences = () => {
+    try {
+      const preferences = localStorage.getItem(PREFERENCES_KEY);
+      return preferences ? JSON.parse(preferences) : {};
+    } catch (error) {
+      console.error('Error loading preferences:', error);
+      return {};
+    }
+  };
+  
+  // Merge changes into the stored display preferences
+  export const savePreferences = (changes) => {
+    try {
+      localStorage.setItem(PREFERENCES_KEY, JSON.stringify({ ...loadPreferences(), ...changes }));
+      return true;
+    } catch (error) {
+      console.error('Error saving preferences:', error);
+      return false;
+    }
+  };
+  
+  // Encrypt a backup bundle with a passphrase of its own salt, so it can be restored in any browser
+  const encryptBackup = async (bundle, passphrase) => {
+    const salt = generateSalt();
+    const key = await deriveKey(passphrase, salt);
+    
+    return {
+      format: BACKUP_FORMAT,
+      encrypted: true,
+      exportedAt: bundle.exportedAt,
+      salt,
+      ...(await encryptJSON(key, bundle))
+    };
+  };
+  
+  // Check whether a parsed backup file was encrypted by exportBackup
+  export const isEncryptedBackup = (bundle) => Boolean(bundle && bundle.format === BACKUP_FORMAT && bundle.encrypted);
+  
+  // Decrypt a backup written with a passphrase; throws if the passphrase does not open it
+  export const decryptBackup = async (bundle, passphrase) => {
+    if (!isCryptoSupported()) {
+      throw new Error('This browser does not support WebCrypto, so the encrypted backup cannot be opened');
+    }
+    
+    try {
+      return await decryptJSON(await deriveKey(passphrase, bundle.salt), bundle);
+    } catch (error) {
+      throw new Error('The passphrase does not open this backup');
+    }
+  };
+  
+  // Build a backup bundle of the account list, every account's cached data and settings, and the preferences
+  // With a passphrase the bundle is encrypted with it. While the passphrase lock is on, the passphrase must be
+  // the lock's, so a backup never gives away more than the lock screen does; a plaintext bundle then needs
+  // allowPlaintext as well. Without the lock, tokens are only written in plain text with allowPlaintext.
+  // Throws if those conditions are not met
+  export const exportBackup = async (accounts, { passphrase = '', allowPlaintext = false } = {}) => {
+    if (isStorageLockEnabled() && !(await deriveLockKey(passphrase, getLockConfig()))) {
+      throw new Error('Enter the passphrase that locks this dashboard to download a backup');
+    }
+    if (!passphrase && !allowPlaintext && accounts.some(account => typeof account.token === 'string')) {
+      throw new Error('Enter a passphrase to encrypt the backup, or choose to save the API tokens in plain text');
+    }
+    
+    const accountIds = new Set(accounts.map(account => account.name));
+    const snapshot = await readAllCachedData();
+    
+    const bundle = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      accounts,
+      preferences: loadPreferences(),
+      data: snapshot
+        .filter(({ entry }) => accountIds.has(entry.accountId))
+        .map(({ entry, data }) => ({
+          accountId: entry.accountId,
+          dataType: entry.dataType,
+          lastUpdated: entry.lastUpdated,
+          ...getEntryMetadata(entry),
+          data
+        }))
+    };
+    
+    return passphrase && !allowPlaintext ? encryptBackup(bundle, passphrase) : bundle;
+  };
+  
+  // Check that a parsed backup file has the shape exportBackup writes
+  // Returns the bundle, or throws an Error describing the first problem found
+  export const validateBackup = (bundle) => {
+    if (!bundle || typeof bundle !== 'object' || bundle.format !== BACKUP_FORMAT) {
+      throw new Error('This file is not a FinOps Dashboard backup');
+    }
+    if (bundle.encrypted) {
+      throw new Error('This backup is encrypted - enter its passphrase to restore it');
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+      throw new Error('The backup has no valid format version');
+    }
+    if (bundle.version > BACKUP_VERSION) {
+      throw new Error(`This backup was made by a newer version of the dashboard (format version ${bundle.version})`);
+    }
+    
+    if (!Array.isArray(bundle.accounts)) {
+      throw new Error('The backup has no account list');
+    }
+    const names = new Set();
+    bundle.accounts.forEach((account, index) => {
+      if (!account || typeof account.name !== 'string' || !account.name.trim()) {
+        throw new Error(`Account ${index + 1} in the backup has no name`);
+      }
+      if (names.has(account.name)) {
+        throw new Error(`The backup lists the account ${account.name} more than once`);
+      }
+      if (!account.offline && typeof account.token !== 'string' && typeof account.id !== 'string') {
+        throw new Error(`The account ${account.name} in the backup has no token`);
+      }
+      names.add(account.name);
+    });
+    
+    if (!Array.isArray(bundle.data)) {
+      throw new Error('The backup has no cached data section');
+    }
+    bundle.data.forEach((item, index) => {
+      if (!item || typeof item.accountId !== 'string') {
+        throw new Error(`Data entry ${index + 1} in the backup has no account`);
+      }
+      if (!DATA_TYPES.includes(item.dataType) && !SETTINGS_TYPES.includes(item.dataType)) {
+        throw new Error(`Data entry ${index + 1} in the backup has an unknown type: ${item.dataType}`);
+      }
+      if (isNaN(new Date(item.lastUpdated).getTime())) {
+        throw new Error(`Data entry ${index + 1} in the backup has no valid timestamp`);
+      }
+      if (LIST_TYPES.includes(item.dataType) && !Array.isArray(item.data)) {
+        throw new Error(`The ${item.dataType} for ${item.accountId} in the backup are not a list`);
+      }
+    });
+    
+    if (bundle.preferences !== undefined && (typeof bundle.preferences !== 'object' || Array.isArray(bundle.preferences))) {
+      throw new Error('The backup preferences are not valid');
+    }
+    
+    return bundle;
+  };
+  
+  // Write a validated backup's cached data, settings and preferences into storage, keeping their timestamps
+  // Only the accounts in accountIds are restored, and anything already stored for them is replaced;
+  // with replace, every other account's data and the preferences are removed first, except for the
+  // accounts in keepAccountIds (such as vault accounts, which stay listed by the server)
+  // The account list itself is saved by the caller. Throws if the data cannot be written.
+  export const restoreBackup = async (backup, { accountIds, keepAccountIds = [], replace = false }) => {
+    await migrateLegacyStorage();
+    
+    const restoreIds = new Set(accountIds);
+    const keepIds = new Set(keepAccountIds);
+    const keysToClear = [];
+    const accountsToClear = new Set(restoreIds);
+    for (const key of await getEntryKeys()) {
+      const entry = await getEntry(key);
+      if (restoreIds.has(entry?.accountId) || (replace && !keepIds.has(entry?.accountId))) {
+        keysToClear.push(key);
+        if (entry?.accountId) accountsToClear.add(entry.accountId);
+      }
+    }
+    
+    await deleteEntries(keysToClear);
+    for (const accountId of accountsToClear) {
+      await clearAccountRecords(accountId);
+    }
+    
+    for (const item of backup.data) {
+      if (!restoreIds.has(item.accountId)) continue;
+      await writeData(item.accountId, item.dataType, item.data, item.lastUpdated, getEntryMetadata(item));
     }
     
-    // For smaller arrays, just return the original data
-    return data;
-  };
\ No newline at end of file
+    if (replace) {
+      localStorage.setItem(PREFERENCES_KEY, JSON.stringify(backup.preferences || {}));
+    } else {
+      savePreferences(backup.preferences || {});
+    }
+    
+    console.log(`Restored ${restoreIds.size} accounts from a backup made ${backup.exportedAt || 'at an unknown time'}`);
+  };
@@ -0,0 +1,195 @@
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+import {
+  saveData,
+  loadData,
+  exportBackup,
+  validateBackup,
+  restoreBackup,
+  isEncryptedBackup,
+  decryptBackup,
+  loadPreferences,
+  savePreferences,
+  saveAccounts,
+  loadAccounts,
+  enableStorageLock,
+  disableStorageLock,
+  unlockStorage,
+  lockStorage,
+  isStorageLockEnabled,
+  isStorageUnlocked
+} from './storageUtils';
+import { deleteDatabase, getEntry, getAccountRecords } from './idbUtils';
+
+// jsdom has no IndexedDB, so the billing cache is kept in memory for these tests
+jest.mock('./idbUtils', () => {
+  const entries = new Map();
+  const records = new Map();
+  return {
+    isIndexedDBSupported: () => true,
+    getEntry: async (key) => entries.get(key) || null,
+    putEntry: async (entry) => { entries.set(entry.key, entry); },
+    deleteEntries: async (keys) => keys.forEach(key => entries.delete(key)),
+    getEntryKeys: async () => [...entries.keys()],
+    replaceAccountRecords: async (accountId, accountRecords) => { records.set(accountId, accountRecords); },
+    mergeAccountRecords: async (accountId, accountRecords, keepKeys) => {
+      const kept = (records.get(accountId) || []).filter(record => (
+        keepKeys.includes(record.invoice_uuid) && !accountRecords.some(updated => updated.invoice_uuid === record.invoice_uuid)
+      ));
+      records.set(accountId, [...kept, ...accountRecords]);
+    },
+    getAccountRecords: async (accountId) => records.get(accountId) || [],
+    clearAccountRecords: async (accountId) => { records.delete(accountId); },
+    deleteDatabase: async () => {
+      entries.clear();
+      records.clear();
+    }
+  };
+});
+
+// jsdom has no WebCrypto or TextEncoder; use Node's
+beforeAll(() => {
+  Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true });
+  global.TextEncoder = TextEncoder;
+  global.TextDecoder = TextDecoder;
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  localStorage.clear();
+  lockStorage();
+  await deleteDatabase();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const tokenAccounts = [{ name: 'prod', token: 'dop_v1_secret' }];
+
+test('a backup with API tokens needs a passphrase or an explicit plaintext choice', async () => {
+  await expect(exportBackup(tokenAccounts)).rejects.toThrow('Enter a passphrase to encrypt the backup');
+
+  const plaintext = await exportBackup(tokenAccounts, { allowPlaintext: true });
+  expect(plaintext.accounts).toEqual(tokenAccounts);
+
+  // Vault and offline accounts carry no token, so they can be exported as they are
+  const bundle = await exportBackup([{ name: 'vault', id: 'acc-1' }, { name: 'lab', offline: true }]);
+  expect(isEncryptedBackup(bundle)).toBe(false);
+});
+
+test('an encrypted backup only opens with its passphrase and restores the cached data', async () => {
+  await saveData('prod', 'invoices', [{ invoice_uuid: 'a', invoice_period: '2024-01', amount: '10.00' }]);
+  await saveData('prod', 'processedData', { total: 10 }, { periodKey: '6months' });
+  savePreferences({ fiscalYearStart: 4 });
+
+  const encrypted = await exportBackup(tokenAccounts, { passphrase: 'correct horse' });
+  expect(isEncryptedBackup(encrypted)).toBe(true);
+  expect(JSON.stringify(encrypted)).not.toContain('dop_v1_secret');
+  expect(() => validateBackup(encrypted)).toThrow('This backup is encrypted');
+
+  await expect(decryptBackup(encrypted, 'wrong passphrase')).rejects.toThrow('The passphrase does not open this backup');
+
+  const backup = validateBackup(await decryptBackup(encrypted, 'correct horse'));
+  expect(backup.accounts).toEqual(tokenAccounts);
+
+  await deleteDatabase();
+  localStorage.clear();
+  await restoreBackup(backup, { accountIds: ['prod'] });
+
+  expect((await loadData('prod', 'invoices')).data).toEqual([{ invoice_uuid: 'a', invoice_period: '2024-01', amount: '10.00' }]);
+  expect((await loadData('prod', 'processedData')).periodKey).toBe('6months');
+  expect(loadPreferences()).toEqual({ fiscalYearStart: 4 });
+});
+
+test('files from another app or an unsupported version are rejected', async () => {
+  const backup = await exportBackup(tokenAccounts, { allowPlaintext: true });
+
+  expect(() => validateBackup({ accounts: [], data: [] })).toThrow('This file is not a FinOps Dashboard backup');
+  expect(() => validateBackup({ ...backup, format: 'someone-elses-backup' })).toThrow('This file is not a FinOps Dashboard backup');
+  expect(() => validateBackup({ ...backup, version: 99 })).toThrow('made by a newer version of the dashboard');
+  expect(() => validateBackup({ ...backup, version: 'one' })).toThrow('The backup has no valid format version');
+  expect(() => validateBackup({ ...backup, accounts: [{ name: 'prod' }] })).toThrow('The account prod in the backup has no token');
+  expect(() => validateBackup({
+    ...backup,
+    data: [{ accountId: 'prod', dataType: 'secrets', lastUpdated: new Date().toISOString(), data: [] }]
+  })).toThrow('unknown type: secrets');
+  expect(validateBackup(backup)).toBe(backup);
+});
+
+test('replace removes other accounts but keeps the data of the accounts it is told to keep', async () => {
+  await saveData('prod', 'invoices', [{ invoice_uuid: 'old' }]);
+  await saveData('vault', 'invoices', [{ invoice_uuid: 'kept' }]);
+  await saveData('stale', 'invoices', [{ invoice_uuid: 'gone' }]);
+  savePreferences({ fiscalYearStart: 4 });
+
+  const backup = {
+    format: 'do-finops-dashboard-backup',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    accounts: tokenAccounts,
+    preferences: {},
+    data: [{ accountId: 'prod', dataType: 'invoices', lastUpdated: new Date().toISOString(), data: [{ invoice_uuid: 'new' }] }]
+  };
+  await restoreBackup(validateBackup(backup), { accountIds: ['prod'], keepAccountIds: ['vault'], replace: true });
+
+  expect((await loadData('prod', 'invoices')).data).toEqual([{ invoice_uuid: 'new' }]);
+  expect((await loadData('vault', 'invoices')).data).toEqual([{ invoice_uuid: 'kept' }]);
+  expect(await loadData('stale', 'invoices')).toBeNull();
+  expect(loadPreferences()).toEqual({});
+});
+
+test('the passphrase lock encrypts everything stored and only the passphrase opens it again', async () => {
+  const lineItem = { product: 'Droplets', description: 'web-1', amount: 6, invoice_uuid: 'a', invoice_period: '2024-01' };
+  await saveAccounts(tokenAccounts);
+  await saveData('prod', 'invoices', [{ invoice_uuid: 'a', invoice_period: '2024-01', amount: '6.00' }]);
+  await saveData('prod', 'csvLineItems', [lineItem]);
+
+  await enableStorageLock('correct horse');
+  expect(isStorageLockEnabled()).toBe(true);
+
+  // Nothing readable is left in localStorage or the cache
+  expect(localStorage.getItem('doAccounts')).not.toContain('dop_v1_secret');
+  expect((await getEntry('prod_invoices')).encrypted).toBe(true);
+  expect((await getAccountRecords('prod'))[0].encrypted).toBe(true);
+
+  // Reads fail while locked and are logged
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  lockStorage();
+  expect(isStorageUnlocked()).toBe(false);
+  expect(await loadAccounts()).toEqual([]);
+  expect(await loadData('prod', 'invoices')).toBeNull();
+
+  expect(await unlockStorage('wrong passphrase')).toBe(false);
+  expect(isStorageUnlocked()).toBe(false);
+
+  expect(await unlockStorage('correct horse')).toBe(true);
+  expect(await loadAccounts()).toEqual(tokenAccounts);
+  expect((await loadData('prod', 'invoices')).data[0].amount).toBe('6.00');
+  expect((await loadData('prod', 'csvLineItems')).data[0]).toMatchObject({ description: 'web-1', amount: 6 });
+});
+
+test('turning the lock off needs the dashboard unlocked and stores everything as plaintext again', async () => {
+  await saveAccounts(tokenAccounts);
+  await saveData('prod', 'invoices', [{ invoice_uuid: 'a' }]);
+  await enableStorageLock('correct horse');
+
+  lockStorage();
+  await expect(disableStorageLock()).rejects.toThrow('Unlock the dashboard');
+
+  await unlockStorage('correct horse');
+  await disableStorageLock();
+  expect(isStorageLockEnabled()).toBe(false);
+
+  expect(JSON.parse(localStorage.getItem('doAccounts'))).toEqual(tokenAccounts);
+  expect((await getEntry('prod_invoices')).encrypted).toBeUndefined();
+  expect((await loadData('prod', 'invoices')).data).toEqual([{ invoice_uuid: 'a' }]);
+});
+
+test('a backup made while the lock is on needs the lock passphrase', async () => {
+  await saveAccounts(tokenAccounts);
+  await enableStorageLock('correct horse');
+
+  await expect(exportBackup(tokenAccounts, { passphrase: 'something else' })).rejects.toThrow('Enter the passphrase that locks this dashboard');
+  expect(isEncryptedBackup(await exportBackup(tokenAccounts, { passphrase: 'correct horse' }))).toBe(true);
+});
@@ -0,0 +1,92 @@
+// URL state utilities for DigitalOcean FinOps Dashboard
+// The view (account, period, drill-down, forecast and explorer settings) is mirrored into the query string
+// so a refresh, a bookmark or a link to a colleague opens the same view.
+// Only names and view settings go into the URL - never tokens or billing data.
+import { PERIOD_PRESETS, FISCAL_PRESETS } from './periodUtils';
+import { FORECAST_MODELS, FORECAST_HORIZONS } from './forecastUtils';
+
+// Query string parameter for each piece of view state
+const PARAMS = {
+  account: 'account',
+  preset: 'period',
+  start: 'from',
+  end: 'to',
+  fiscalYearStart: 'fy',
+  category: 'category',
+  month: 'month',
+  project: 'project',
+  forecast: 'forecast',
+  forecastModel: 'model',
+  forecastHorizon: 'horizon',
+  search: 'q',
+  sort: 'sort',
+  direction: 'dir',
+  group: 'group'
+};
+
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+
+// Read the view state from the current URL; anything missing or invalid comes back as null
+export const readUrlState = () => {
+  const params = new URLSearchParams(window.location.search);
+  const get = (key) => params.get(PARAMS[key]) || null;
+  const getMonth = (key) => (MONTH_PATTERN.test(get(key) || '') ? get(key) : null);
+  
+  const preset = PERIOD_PRESETS.some(definition => definition.id === get('preset')) ? get('preset') : null;
+  const fiscalYearStart = parseInt(get('fiscalYearStart'));
+  const direction = get('direction');
+  const forecastModel = get('forecastModel');
+  const forecastHorizon = parseInt(get('forecastHorizon'));
+  
+  return {
+    account: get('account'),
+    period: preset ? {
+      preset,
+      start: getMonth('start'),
+      end: getMonth('end'),
+      fiscalYearStart: fiscalYearStart >= 1 && fiscalYearStart <= 12 ? fiscalYearStart : null
+    } : null,
+    category: get('category'),
+    month: getMonth('month'),
+    project: get('project'),
+    forecast: get('forecast') === null ? null : get('forecast') !== 'off',
+    forecastModel: forecastModel === 'auto' || FORECAST_MODELS.some(model => model.id === forecastModel) ? forecastModel : null,
+    forecastHorizon: FORECAST_HORIZONS.includes(forecastHorizon) ? forecastHorizon : null,
+    search: get('search'),
+    sort: get('sort'),
+    direction: direction === 'asc' || direction === 'desc' ? direction : null,
+    group: get('group')
+  };
+};
+
+// Merge changes into the URL's view state; null, undefined or empty values remove the parameter
+// The history entry is replaced rather than added, so Back still leaves the dashboard
+export const updateUrlState = (changes) => {
+  const params = new URLSearchParams(window.location.search);
+  
+  Object.entries(changes).forEach(([key, value]) => {
+    if (!PARAMS[key]) return;
+    if (value === null || value === undefined || value === '') {
+      params.delete(PARAMS[key]);
+    } else {
+      params.set(PARAMS[key], String(value));
+    }
+  });
+  
+  const search = params.toString();
+  if (search === window.location.search.replace(/^\?/, '')) return;
+  
+  window.history.replaceState(
+    window.history.state,
+    '',
+    `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`
+  );
+};
+
+// URL changes for a period; the custom months and fiscal year start are only kept when the preset uses them
+export const getPeriodUrlState = (period) => ({
+  preset: period.preset,
+  start: period.preset === 'custom' ? period.start : null,
+  end: period.preset === 'custom' ? period.end : null,
+  fiscalYearStart: FISCAL_PRESETS.includes(period.preset) ? period.fiscalYearStart : null
+});
@@ -0,0 +1,51 @@
+import { readUrlState, updateUrlState, getPeriodUrlState } from './urlStateUtils';
+
+beforeEach(() => {
+  window.history.replaceState(null, '', '/');
+});
+
+test('view state round-trips through the query string', () => {
+  updateUrlState({
+    account: 'prod',
+    ...getPeriodUrlState({ preset: 'custom', start: '2024-01', end: '2024-06', fiscalYearStart: 4 }),
+    forecast: 'off',
+    forecastModel: 'holtWinters',
+    forecastHorizon: 12
+  });
+
+  expect(window.location.search).toBe('?account=prod&period=custom&from=2024-01&to=2024-06&forecast=off&model=holtWinters&horizon=12');
+  expect(readUrlState()).toMatchObject({
+    account: 'prod',
+    period: { preset: 'custom', start: '2024-01', end: '2024-06', fiscalYearStart: null },
+    forecast: false,
+    forecastModel: 'holtWinters',
+    forecastHorizon: 12
+  });
+});
+
+test('empty values remove their parameter', () => {
+  updateUrlState({ account: 'prod', forecastModel: 'linear' });
+  updateUrlState({ forecastModel: null, unknown: 'x' });
+  expect(window.location.search).toBe('?account=prod');
+});
+
+test('invalid values are read as missing', () => {
+  window.history.replaceState(null, '', '/?period=forever&model=crystalBall&horizon=7&dir=up&month=March');
+  expect(readUrlState()).toMatchObject({
+    period: null,
+    forecast: null,
+    forecastModel: null,
+    forecastHorizon: null,
+    direction: null,
+    month: null
+  });
+
+  window.history.replaceState(null, '', '/?model=auto&horizon=1');
+  expect(readUrlState()).toMatchObject({ forecastModel: 'auto', forecastHorizon: 1 });
+});
+
+test('the fiscal year start is only kept for fiscal presets', () => {
+  expect(getPeriodUrlState({ preset: 'fiscalYear', start: '2024-01', end: null, fiscalYearStart: 4 }))
+    .toEqual({ preset: 'fiscalYear', start: null, end: null, fiscalYearStart: 4 });
+  expect(getPeriodUrlState({ preset: '6months', fiscalYearStart: 4 }).fiscalYearStart).toBeNull();
+});
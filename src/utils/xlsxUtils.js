@@ -0,0 +1,212 @@
+// Excel export utilities for DigitalOcean FinOps Dashboard
+// Writes a minimal SpreadsheetML (.xlsx) workbook by hand and zips it with JSZip: inline strings,
+// real numeric cells, a bold frozen header row and an autofilter on every sheet
+import JSZip from 'jszip';
+
+// Cell styles defined in styles.xml: 0 default, 1 bold header, 2 currency, 3 percentage
+const STYLE_HEADER = 1;
+const STYLE_CURRENCY = 2;
+const STYLE_PERCENT = 3;
+
+// Matches money and plain numbers as they appear in the CSV, e.g. "$18.00", "-$1,779.55", "744"
+const NUMERIC_PATTERN = /^-?\$?-?\d[\d,]*(\.\d+)?$/;
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// Escape text for XML, dropping control characters Excel refuses to open
+const escapeXml = (value) => String(value ?? '')
+  // eslint-disable-next-line no-control-regex
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Parse "$1,234.56" style text into a number
+const parseNumericText = (value) => parseFloat(String(value).replace(/[$,]/g, ''));
+
+// Column letters for a zero-based index: 0 -> A, 26 -> AA
+const getColumnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+// Excel sheet names are at most 31 characters and cannot contain []:*?/\
+const toSheetName = (name) => name.replace(/[[\]:*?/\\]/g, ' ').substring(0, 31);
+
+// Render one cell; numbers are written as numbers, everything else as an inline string
+const renderCell = (reference, value, style) => {
+  const styleAttribute = style ? ` s="${style}"` : '';
+  if (typeof value === 'number' && isFinite(value)) {
+    return `<c r="${reference}"${styleAttribute}><v>${value}</v></c>`;
+  }
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  return `<c r="${reference}"${styleAttribute} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+// Render a worksheet: { columns: [{ header, format ('currency' or 'percent'), width }], rows: [[value]] }
+const renderSheet = ({ columns, rows }) => {
+  const lastColumn = getColumnName(Math.max(0, columns.length - 1));
+  const columnStyles = columns.map(column => {
+    if (column.format === 'currency') return STYLE_CURRENCY;
+    if (column.format === 'percent') return STYLE_PERCENT;
+    return 0;
+  });
+  
+  const headerRow = `<row r="1">${columns.map((column, index) => renderCell(`${getColumnName(index)}1`, column.header, STYLE_HEADER)).join('')}</row>`;
+  const dataRows = rows.map((row, rowIndex) => {
+    const rowNumber = rowIndex + 2;
+    const cells = row.map((value, index) => renderCell(`${getColumnName(index)}${rowNumber}`, value, columnStyles[index])).join('');
+    return `<row r="${rowNumber}">${cells}</row>`;
+  }).join('');
+  
+  return `${XML_HEADER}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<cols>${columns.map((column, index) => `<col min="${index + 1}" max="${index + 1}" width="${column.width || 15}" customWidth="1"/>`).join('')}</cols>
+<sheetData>${headerRow}${dataRows}</sheetData>
+<autoFilter ref="A1:${lastColumn}${rows.length + 1}"/>
+</worksheet>`;
+};
+
+const STYLES_XML = `${XML_HEADER}<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="2"><numFmt numFmtId="164" formatCode="&quot;$&quot;#,##0.00;[Red]-&quot;$&quot;#,##0.00"/><numFmt numFmtId="165" formatCode="0.0&quot;%&quot;"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="4">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+// Build an .xlsx file from a list of sheets: [{ name, columns, rows }]
+// Resolves to a Blob ready to download
+export const buildWorkbook = async (sheets) => {
+  const zip = new JSZip();
+  const sheetNames = sheets.map(sheet => toSheetName(sheet.name));
+  
+  zip.file('[Content_Types].xml', `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${sheets.map((_, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('\n')}
+</Types>`);
+
+  zip.file('_rels/.rels', `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`);
+
+  zip.file('xl/workbook.xml', `${XML_HEADER}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets>${sheetNames.map((name, index) => `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('')}</sheets>
+<definedNames>${sheets.map((sheet, index) => `<definedName name="_xlnm._FilterDatabase" localSheetId="${index}" hidden="1">'${escapeXml(sheetNames[index].replace(/'/g, "''"))}'!$A$1:$${getColumnName(Math.max(0, sheet.columns.length - 1))}$${sheet.rows.length + 1}</definedName>`).join('')}</definedNames>
+</workbook>`);
+
+  zip.file('xl/_rels/workbook.xml.rels', `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${sheets.map((_, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('\n')}
+<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`);
+
+  zip.file('xl/styles.xml', STYLES_XML);
+  sheets.forEach((sheet, index) => {
+    zip.file(`xl/worksheets/sheet${index + 1}.xml`, renderSheet(sheet));
+  });
+  
+  return zip.generateAsync({
+    type: 'blob',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    compression: 'DEFLATE'
+  });
+};
+
+// Line item fields holding US dollar amounts
+const MONEY_FIELDS = ['amount', 'invoice_amount'];
+
+// Sheet of line items with every field as a column; columns whose values are all numeric
+// (including "$18.00" money strings) are written as numbers
+const buildLineItemsSheet = (lineItems) => {
+  const headers = [];
+  lineItems.forEach(item => {
+    Object.keys(item).forEach(key => {
+      if (!headers.includes(key)) headers.push(key);
+    });
+  });
+  
+  const numericHeaders = new Set(headers.filter(header => {
+    const values = lineItems.map(item => item[header]).filter(value => value !== null && value !== undefined && value !== '');
+    return values.length > 0 && values.every(value => typeof value === 'number' || NUMERIC_PATTERN.test(String(value).trim()));
+  }));
+  const isMoney = (header) => MONEY_FIELDS.includes(header) || lineItems.some(item => String(item[header] ?? '').includes('$'));
+  
+  return {
+    name: 'Line Items',
+    columns: headers.map(header => ({
+      header,
+      format: numericHeaders.has(header) && isMoney(header) ? 'currency' : undefined,
+      width: Math.min(40, Math.max(12, header.length + 2))
+    })),
+    rows: lineItems.map(item => headers.map(header => {
+      const value = item[header];
+      if (!numericHeaders.has(header) || value === null || value === undefined || value === '') return value;
+      return typeof value === 'number' ? value : parseNumericText(String(value).trim());
+    }))
+  };
+};
+
+// Sheet of a { name: amount } breakdown, largest first, with each entry's share of the total
+const buildBreakdownSheet = (name, label, data) => {
+  const entries = Object.entries(data || {}).sort((a, b) => b[1] - a[1]);
+  const total = entries.reduce((sum, [, amount]) => sum + amount, 0);
+  return {
+    name,
+    columns: [
+      { header: label, width: 40 },
+      { header: 'Spend', format: 'currency', width: 15 },
+      { header: 'Share', format: 'percent', width: 10 }
+    ],
+    rows: entries.map(([key, amount]) => [key, amount, total !== 0 ? (amount / total) * 100 : null])
+  };
+};
+
+// Build the billing workbook: the filtered line items plus monthly, category, project and
+// product sheets from processedData
+export const buildBillingWorkbook = (lineItems, processedData) => {
+  const labels = processedData?.monthlyData?.labels || [];
+  const values = processedData?.monthlyData?.values || [];
+  
+  const monthlySheet = {
+    name: 'Monthly',
+    columns: [
+      { header: 'Month', width: 12 },
+      { header: 'Spend', format: 'currency', width: 15 },
+      { header: 'Change', format: 'currency', width: 15 },
+      { header: 'Change %', format: 'percent', width: 10 }
+    ],
+    rows: labels.map((label, index) => {
+      const previous = index > 0 ? values[index - 1] : null;
+      return [
+        label,
+        values[index],
+        previous !== null ? values[index] - previous : null,
+        previous ? ((values[index] - previous) / Math.abs(previous)) * 100 : null
+      ];
+    })
+  };
+  
+  return buildWorkbook([
+    buildLineItemsSheet(lineItems),
+    monthlySheet,
+    buildBreakdownSheet('Category', 'Category', processedData?.categoryData),
+    buildBreakdownSheet('Project', 'Project', processedData?.projectData),
+    buildBreakdownSheet('Product', 'Product', processedData?.productData)
+  ]);
+};